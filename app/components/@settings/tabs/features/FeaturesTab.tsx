@@ -6,6 +6,11 @@ import { useSettings } from '~/lib/hooks/useSettings';
 import { classNames } from '~/utils/classNames';
 import { toast } from 'react-toastify';
 import { PromptLibrary } from '~/lib/common/prompt-library';
+import { AUTO_FIX_MAX_ATTEMPTS } from '~/lib/stores/autoFix';
+import type { CommandApprovalMode, CommandApprovalPolicy } from '~/utils/commandApproval';
+import type { ModelFallback } from '~/lib/modules/llm/types';
+import type { UsageBudgets } from '~/utils/usageBudget';
+import type { ContextStrategy } from '~/types/context';
 
 interface FeatureToggle {
   id: string;
@@ -105,6 +110,294 @@ const FeatureSection = memo(
   ),
 );
 
+const APPROVAL_MODES: { value: CommandApprovalMode; label: string }[] = [
+  { value: 'auto', label: 'Run automatically' },
+  { value: 'allow-list', label: 'Only allow-listed commands' },
+  { value: 'ask', label: 'Ask every time' },
+];
+
+const inputClassName = classNames(
+  'p-2 rounded-lg text-sm',
+  'bg-bolt-elements-background-depth-3 border border-bolt-elements-borderColor',
+  'text-bolt-elements-textPrimary',
+  'focus:outline-none focus:ring-2 focus:ring-purple-500/30',
+  'group-hover:border-purple-500/30',
+  'transition-all duration-200',
+);
+
+const parsePatterns = (value: string) =>
+  value
+    .split('\n')
+    .map((pattern) => pattern.trim())
+    .filter(Boolean);
+
+const CommandApprovalSettings = memo(
+  ({ policy, onChange }: { policy: CommandApprovalPolicy; onChange: (policy: CommandApprovalPolicy) => void }) => (
+    <motion.div
+      layout
+      className={classNames(
+        'bg-bolt-elements-background-depth-2',
+        'hover:bg-bolt-elements-background-depth-3',
+        'transition-all duration-200',
+        'rounded-lg p-4',
+        'group',
+      )}
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.4 }}
+    >
+      <div className="flex items-center gap-4">
+        <div
+          className={classNames(
+            'p-2 rounded-lg text-xl',
+            'bg-bolt-elements-background-depth-3 group-hover:bg-bolt-elements-background-depth-4',
+            'transition-colors duration-200',
+            'text-purple-500',
+          )}
+        >
+          <div className="i-ph:shield-check" />
+        </div>
+        <div className="flex-1">
+          <h4 className="text-sm font-medium text-bolt-elements-textPrimary group-hover:text-purple-500 transition-colors">
+            Command Approval
+          </h4>
+          <p className="text-xs text-bolt-elements-textSecondary mt-0.5">
+            Choose which shell, start and build commands run without asking you first
+          </p>
+        </div>
+        <select
+          value={policy.mode}
+          onChange={(e) => {
+            onChange({ ...policy, mode: e.target.value as CommandApprovalMode });
+            toast.success('Command approval policy updated');
+          }}
+          className={classNames(inputClassName, 'min-w-[200px]')}
+        >
+          {APPROVAL_MODES.map((mode) => (
+            <option key={mode.value} value={mode.value}>
+              {mode.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      {policy.mode !== 'ask' && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+          {policy.mode === 'allow-list' && (
+            <label className="flex flex-col gap-1 text-xs text-bolt-elements-textSecondary">
+              Allowed commands, one pattern per line (* matches anything)
+              <textarea
+                key={policy.allowPatterns.join('\n')}
+                defaultValue={policy.allowPatterns.join('\n')}
+                rows={5}
+                onBlur={(e) => onChange({ ...policy, allowPatterns: parsePatterns(e.target.value) })}
+                className={classNames(inputClassName, 'font-mono resize-y')}
+              />
+            </label>
+          )}
+          <label className="flex flex-col gap-1 text-xs text-bolt-elements-textSecondary">
+            Commands that always need approval, one pattern per line
+            <textarea
+              key={policy.denyPatterns.join('\n')}
+              defaultValue={policy.denyPatterns.join('\n')}
+              rows={5}
+              onBlur={(e) => onChange({ ...policy, denyPatterns: parsePatterns(e.target.value) })}
+              className={classNames(inputClassName, 'font-mono resize-y')}
+            />
+          </label>
+        </div>
+      )}
+    </motion.div>
+  ),
+);
+
+const iconButtonClassName =
+  'p-1.5 rounded-md text-bolt-elements-textSecondary hover:text-bolt-elements-textPrimary hover:bg-bolt-elements-background-depth-4 disabled:opacity-40 disabled:cursor-not-allowed';
+
+const ModelFallbackSettings = memo(
+  ({
+    fallbacks,
+    providerNames,
+    onChange,
+  }: {
+    fallbacks: ModelFallback[];
+    providerNames: string[];
+    onChange: (fallbacks: ModelFallback[]) => void;
+  }) => {
+    const update = (index: number, fallback: ModelFallback) =>
+      onChange(fallbacks.map((entry, i) => (i === index ? fallback : entry)));
+
+    const move = (index: number, offset: number) => {
+      const reordered = [...fallbacks];
+      [reordered[index], reordered[index + offset]] = [reordered[index + offset], reordered[index]];
+      onChange(reordered);
+    };
+
+    return (
+      <motion.div
+        layout
+        className={classNames(
+          'bg-bolt-elements-background-depth-2',
+          'hover:bg-bolt-elements-background-depth-3',
+          'transition-all duration-200',
+          'rounded-lg p-4',
+          'group',
+        )}
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: 0.5 }}
+      >
+        <div className="flex items-center gap-4">
+          <div
+            className={classNames(
+              'p-2 rounded-lg text-xl',
+              'bg-bolt-elements-background-depth-3 group-hover:bg-bolt-elements-background-depth-4',
+              'transition-colors duration-200',
+              'text-purple-500',
+            )}
+          >
+            <div className="i-ph:arrows-split" />
+          </div>
+          <div className="flex-1">
+            <h4 className="text-sm font-medium text-bolt-elements-textPrimary group-hover:text-purple-500 transition-colors">
+              Model Failover
+            </h4>
+            <p className="text-xs text-bolt-elements-textSecondary mt-0.5">
+              When the selected model is rate limited, failing or unreachable, try these models in order
+            </p>
+          </div>
+          <button
+            className={classNames(inputClassName, 'flex items-center gap-1')}
+            disabled={providerNames.length === 0}
+            onClick={() => onChange([...fallbacks, { provider: providerNames[0] }])}
+          >
+            <div className="i-ph:plus" />
+            Add fallback
+          </button>
+        </div>
+        {fallbacks.length > 0 && (
+          <div className="flex flex-col gap-2 mt-4">
+            {fallbacks.map((fallback, index) => (
+              <div key={index} className="flex items-center gap-2">
+                <span className="w-5 text-xs text-bolt-elements-textTertiary">{index + 1}.</span>
+                <select
+                  value={fallback.provider}
+                  onChange={(e) => update(index, { provider: e.target.value })}
+                  className={classNames(inputClassName, 'min-w-[160px]')}
+                >
+                  {!providerNames.includes(fallback.provider) && (
+                    <option value={fallback.provider}>{fallback.provider} (disabled)</option>
+                  )}
+                  {providerNames.map((name) => (
+                    <option key={name} value={name}>
+                      {name}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  key={`${fallback.provider}-${fallback.model}`}
+                  defaultValue={fallback.model}
+                  placeholder="Model (the provider's first model when empty)"
+                  onBlur={(e) => update(index, { ...fallback, model: e.target.value.trim() || undefined })}
+                  className={classNames(inputClassName, 'flex-1 font-mono')}
+                />
+                <button
+                  className={iconButtonClassName}
+                  title="Move up"
+                  disabled={index === 0}
+                  onClick={() => move(index, -1)}
+                >
+                  <div className="i-ph:arrow-up" />
+                </button>
+                <button
+                  className={iconButtonClassName}
+                  title="Move down"
+                  disabled={index === fallbacks.length - 1}
+                  onClick={() => move(index, 1)}
+                >
+                  <div className="i-ph:arrow-down" />
+                </button>
+                <button
+                  className={iconButtonClassName}
+                  title="Remove"
+                  onClick={() => onChange(fallbacks.filter((_, i) => i !== index))}
+                >
+                  <div className="i-ph:trash" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </motion.div>
+    );
+  },
+);
+
+const BUDGET_FIELDS: Array<{ key: keyof UsageBudgets; label: string }> = [
+  { key: 'chatSoft', label: 'Warn per chat' },
+  { key: 'chatHard', label: 'Block per chat' },
+  { key: 'dailySoft', label: 'Warn per day' },
+  { key: 'dailyHard', label: 'Block per day' },
+];
+
+const UsageBudgetSettings = memo(
+  ({ budgets, onChange }: { budgets: UsageBudgets; onChange: (budgets: UsageBudgets) => void }) => (
+    <motion.div
+      layout
+      className={classNames(
+        'bg-bolt-elements-background-depth-2',
+        'hover:bg-bolt-elements-background-depth-3',
+        'transition-all duration-200',
+        'rounded-lg p-4',
+        'group',
+      )}
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.6 }}
+    >
+      <div className="flex items-center gap-4">
+        <div
+          className={classNames(
+            'p-2 rounded-lg text-xl',
+            'bg-bolt-elements-background-depth-3 group-hover:bg-bolt-elements-background-depth-4',
+            'transition-colors duration-200',
+            'text-purple-500',
+          )}
+        >
+          <div className="i-ph:coins" />
+        </div>
+        <div className="flex-1">
+          <h4 className="text-sm font-medium text-bolt-elements-textPrimary group-hover:text-purple-500 transition-colors">
+            Usage Budgets
+          </h4>
+          <p className="text-xs text-bolt-elements-textSecondary mt-0.5">
+            Estimated spend in USD at which to warn before, or block, further requests. Leave empty for no limit.
+          </p>
+        </div>
+      </div>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mt-4">
+        {BUDGET_FIELDS.map(({ key, label }) => (
+          <label key={key} className="flex flex-col gap-1 text-xs text-bolt-elements-textSecondary">
+            {label}
+            <input
+              key={budgets[key] ?? 'none'}
+              type="number"
+              min={0}
+              step={0.5}
+              placeholder="No limit"
+              defaultValue={budgets[key]}
+              onBlur={(e) => {
+                const value = parseFloat(e.target.value);
+                onChange({ ...budgets, [key]: value > 0 ? value : undefined });
+              }}
+              className={inputClassName}
+            />
+          </label>
+        ))}
+      </div>
+    </motion.div>
+  ),
+);
+
 export default function FeaturesTab() {
   const {
     autoSelectTemplate,
@@ -117,6 +410,19 @@ export default function FeaturesTab() {
     setEventLogs,
     setPromptId,
     promptId,
+    commandApprovalPolicy,
+    setCommandApprovalPolicy,
+    autoFixErrors,
+    enableAutoFixErrors,
+    modelFallbacks,
+    setModelFallbacks,
+    contextStrategy,
+    setContextStrategy,
+    compactionThreshold,
+    setCompactionThreshold,
+    usageBudgets,
+    setUsageBudgets,
+    activeProviders,
   } = useSettings();
 
   // Enable features by default on first load
@@ -170,11 +476,17 @@ export default function FeaturesTab() {
           break;
         }
 
+        case 'autoFixErrors': {
+          enableAutoFixErrors(enabled);
+          toast.success(`Automatic error fixing ${enabled ? 'enabled' : 'disabled'}`);
+          break;
+        }
+
         default:
           break;
       }
     },
-    [enableLatestBranch, setAutoSelectTemplate, enableContextOptimization, setEventLogs],
+    [enableLatestBranch, setAutoSelectTemplate, enableContextOptimization, setEventLogs, enableAutoFixErrors],
   );
 
   const features = {
@@ -212,7 +524,17 @@ export default function FeaturesTab() {
         tooltip: 'Enabled by default to record detailed logs of system events and user actions',
       },
     ],
-    beta: [],
+    beta: [
+      {
+        id: 'autoFixErrors',
+        title: 'Automatic Error Fixing',
+        description: 'Send terminal and preview errors back to Bolt without asking',
+        icon: 'i-ph:wrench',
+        enabled: autoFixErrors,
+        beta: true,
+        tooltip: `Bolt retries up to ${AUTO_FIX_MAX_ATTEMPTS} times and stops early when the same error keeps coming back`,
+      },
+    ],
   };
 
   return (
@@ -290,6 +612,108 @@ export default function FeaturesTab() {
           </select>
         </div>
       </motion.div>
+
+      <motion.div
+        layout
+        className={classNames(
+          'bg-bolt-elements-background-depth-2',
+          'hover:bg-bolt-elements-background-depth-3',
+          'transition-all duration-200',
+          'rounded-lg p-4',
+          'group',
+        )}
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: 0.35 }}
+      >
+        <div className="flex items-center gap-4">
+          <div
+            className={classNames(
+              'p-2 rounded-lg text-xl',
+              'bg-bolt-elements-background-depth-3 group-hover:bg-bolt-elements-background-depth-4',
+              'transition-colors duration-200',
+              'text-purple-500',
+            )}
+          >
+            <div className="i-ph:files" />
+          </div>
+          <div className="flex-1">
+            <h4 className="text-sm font-medium text-bolt-elements-textPrimary group-hover:text-purple-500 transition-colors">
+              Context Selection
+            </h4>
+            <p className="text-xs text-bolt-elements-textSecondary mt-0.5">
+              How Context Optimization picks the project files sent with each request. The local index needs no extra
+              model call and suits small local models.
+            </p>
+          </div>
+          <select
+            value={contextStrategy}
+            disabled={!contextOptimizationEnabled}
+            onChange={(e) => setContextStrategy(e.target.value as ContextStrategy)}
+            className={classNames(inputClassName, 'min-w-[200px] disabled:opacity-50')}
+          >
+            <option value="llm">Ask the model</option>
+            <option value="local">Local index</option>
+          </select>
+        </div>
+      </motion.div>
+
+      <motion.div
+        layout
+        className={classNames(
+          'bg-bolt-elements-background-depth-2',
+          'hover:bg-bolt-elements-background-depth-3',
+          'transition-all duration-200',
+          'rounded-lg p-4',
+          'group',
+        )}
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: 0.4 }}
+      >
+        <div className="flex items-center gap-4">
+          <div
+            className={classNames(
+              'p-2 rounded-lg text-xl',
+              'bg-bolt-elements-background-depth-3 group-hover:bg-bolt-elements-background-depth-4',
+              'transition-colors duration-200',
+              'text-purple-500',
+            )}
+          >
+            <div className="i-ph:arrows-in-line-vertical" />
+          </div>
+          <div className="flex-1">
+            <h4 className="text-sm font-medium text-bolt-elements-textPrimary group-hover:text-purple-500 transition-colors">
+              Conversation Compaction
+            </h4>
+            <p className="text-xs text-bolt-elements-textSecondary mt-0.5">
+              When a chat fills this much of the model's context window, its oldest messages are replaced by a summary.
+              Pinned messages are always sent in full, and models with an unknown context window are not compacted.
+            </p>
+          </div>
+          <select
+            value={compactionThreshold}
+            onChange={(e) => setCompactionThreshold(Number(e.target.value))}
+            className={classNames(inputClassName, 'min-w-[200px]')}
+          >
+            <option value={0}>Off</option>
+            <option value={0.5}>50% of context</option>
+            <option value={0.6}>60% of context</option>
+            <option value={0.75}>75% of context</option>
+            <option value={0.9}>90% of context</option>
+          </select>
+        </div>
+      </motion.div>
+
+      <CommandApprovalSettings policy={commandApprovalPolicy} onChange={setCommandApprovalPolicy} />
+
+      <ModelFallbackSettings
+        fallbacks={modelFallbacks}
+        providerNames={activeProviders.map((provider) => provider.name)}
+        onChange={setModelFallbacks}
+      />
+
+      <UsageBudgetSettings budgets={usageBudgets} onChange={setUsageBudgets} />
     </div>
   );
 }
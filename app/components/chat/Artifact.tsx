@@ -1,9 +1,9 @@
 import { useStore } from '@nanostores/react';
 import { AnimatePresence, motion } from 'framer-motion';
 import { computed } from 'nanostores';
-import { memo, useEffect, useRef, useState } from 'react';
+import { memo, useEffect, useMemo, useRef, useState } from 'react';
 import { createHighlighter, type BundledLanguage, type BundledTheme, type HighlighterGeneric } from 'shiki';
-import type { ActionState } from '~/lib/runtime/action-runner';
+import type { ActionRunner, ActionState } from '~/lib/runtime/action-runner';
 import { workbenchStore } from '~/lib/stores/workbench';
 import { classNames } from '~/utils/classNames';
 import { cubicEasingFn } from '~/utils/easings';
@@ -33,15 +33,16 @@ export const Artifact = memo(({ messageId }: ArtifactProps) => {
   const artifacts = useStore(workbenchStore.artifacts);
   const artifact = artifacts[messageId];
 
-  const actions = useStore(
+  const actionEntries = useStore(
     computed(artifact.runner.actions, (actions) => {
       // Filter out Supabase actions except for migrations
-      return Object.values(actions).filter((action) => {
+      return Object.entries(actions).filter(([, action]) => {
         // Exclude actions with type 'supabase' or actions that contain 'supabase' in their content
         return action.type !== 'supabase' && !(action.type === 'shell' && action.content?.includes('supabase'));
       });
     }),
   );
+  const actions = useMemo(() => actionEntries.map(([, action]) => action), [actionEntries]);
 
   const toggleActions = () => {
     userToggledActions.current = true;
@@ -146,7 +147,7 @@ export const Artifact = memo(({ messageId }: ArtifactProps) => {
               <div className="bg-bolt-elements-artifacts-borderColor h-[1px]" />
 
               <div className="p-5 text-left bg-bolt-elements-actions-background">
-                <ActionList actions={actions} />
+                <ActionList actions={actionEntries} runner={artifact.runner} />
               </div>
             </motion.div>
           )}
@@ -176,7 +177,8 @@ function ShellCodeBlock({ classsName, code }: ShellCodeBlockProps) {
 }
 
 interface ActionListProps {
-  actions: ActionState[];
+  actions: [actionId: string, action: ActionState][];
+  runner: ActionRunner;
 }
 
 const actionVariants = {
@@ -192,11 +194,107 @@ export function openArtifactInWorkbench(filePath: any) {
   workbenchStore.setSelectedFile(`${WORK_DIR}/${filePath}`);
 }
 
-const ActionList = memo(({ actions }: ActionListProps) => {
+interface CommandApprovalProps {
+  actionId: string;
+  action: ActionState;
+  runner: ActionRunner;
+}
+
+const approvalButtonClassName = classNames(
+  'px-2 py-1 rounded-md text-xs font-medium',
+  'bg-bolt-elements-button-secondary-background',
+  'hover:bg-bolt-elements-button-secondary-backgroundHover',
+  'text-bolt-elements-button-secondary-text',
+);
+
+/**
+ * Approve, edit or skip a command held back by the command approval policy
+ */
+function CommandApproval({ actionId, action, runner }: CommandApprovalProps) {
+  const [editedCommand, setEditedCommand] = useState<string | undefined>(undefined);
+
+  return (
+    <div className="ml-6 mt-1.5 flex flex-col gap-1.5 text-xs">
+      <div className="text-bolt-elements-textSecondary">Waiting for approval: {action.approvalReason}</div>
+      {editedCommand !== undefined && (
+        <textarea
+          value={editedCommand}
+          onChange={(e) => setEditedCommand(e.target.value)}
+          rows={Math.min(editedCommand.split('\n').length, 8)}
+          className="w-full p-2 rounded-md font-mono bg-bolt-elements-background-depth-1 border border-bolt-elements-borderColor text-bolt-elements-textPrimary focus:outline-none resize-y"
+        />
+      )}
+      <div className="flex gap-2">
+        <button
+          onClick={() => runner.approveAction(actionId, editedCommand)}
+          className={classNames(
+            'px-2 py-1 rounded-md text-xs font-medium',
+            'bg-bolt-elements-button-primary-background',
+            'hover:bg-bolt-elements-button-primary-backgroundHover',
+            'text-bolt-elements-button-primary-text',
+          )}
+        >
+          {editedCommand === undefined ? 'Approve' : 'Run Edited Command'}
+        </button>
+        {action.type !== 'build' && editedCommand === undefined && (
+          <button onClick={() => setEditedCommand(action.content)} className={approvalButtonClassName}>
+            Edit
+          </button>
+        )}
+        <button onClick={() => runner.skipAction(actionId)} className={approvalButtonClassName}>
+          Skip
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * The failed tests of a test action, or why no per-test results are shown
+ */
+function TestResultsDetails({ action }: { action: ActionState }) {
+  const { testResults } = action;
+
+  if (!testResults || action.status !== 'failed') {
+    return null;
+  }
+
+  if (!testResults.format) {
+    return (
+      <div className="ml-6 mt-1 text-xs text-bolt-elements-icon-error">
+        {action.error}. No test report was recognized in the output.
+      </div>
+    );
+  }
+
+  const failures = testResults.tests.filter((test) => test.status === 'failed');
+
+  return (
+    <ul className="ml-6 mt-1 flex flex-col gap-1 text-xs">
+      {failures.map((test, index) => (
+        <li key={index}>
+          <div className="flex items-center gap-1 text-bolt-elements-icon-error">
+            <div className="i-ph:x shrink-0" />
+            <span className="truncate" title={test.file}>
+              {test.name}
+            </span>
+          </div>
+          {test.message && (
+            <pre className="ml-4 mt-0.5 max-h-24 overflow-auto whitespace-pre-wrap text-bolt-elements-textSecondary">
+              {test.message}
+            </pre>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+const ActionList = memo(({ actions, runner }: ActionListProps) => {
   return (
     <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} transition={{ duration: 0.15 }}>
       <ul className="list-none space-y-2.5">
-        {actions.map((action, index) => {
+        {actions.map(([actionId, action], index) => {
           const { status, type, content } = action;
           const isLast = index === actions.length - 1;
 
@@ -223,6 +321,8 @@ const ActionList = memo(({ actions }: ActionListProps) => {
                     </>
                   ) : status === 'pending' ? (
                     <div className="i-ph:circle-duotone"></div>
+                  ) : status === 'awaiting-approval' ? (
+                    <div className="i-ph:hand-duotone"></div>
                   ) : status === 'complete' ? (
                     <div className="i-ph:check"></div>
                   ) : status === 'failed' || status === 'aborted' ? (
@@ -239,9 +339,54 @@ const ActionList = memo(({ actions }: ActionListProps) => {
                       {action.filePath}
                     </code>
                   </div>
+                ) : type === 'patch' ? (
+                  <div>
+                    Update{' '}
+                    <code
+                      className="bg-bolt-elements-artifacts-inlineCode-background text-bolt-elements-artifacts-inlineCode-text px-1.5 py-1 rounded-md text-bolt-elements-item-contentAccent hover:underline cursor-pointer"
+                      onClick={() => openArtifactInWorkbench(action.filePath)}
+                    >
+                      {action.filePath}
+                    </code>
+                  </div>
+                ) : type === 'delete' ? (
+                  <div>
+                    Delete{' '}
+                    <code className="bg-bolt-elements-artifacts-inlineCode-background text-bolt-elements-artifacts-inlineCode-text px-1.5 py-1 rounded-md">
+                      {action.filePath}
+                    </code>
+                  </div>
+                ) : type === 'rename' ? (
+                  <div>
+                    Rename{' '}
+                    <code className="bg-bolt-elements-artifacts-inlineCode-background text-bolt-elements-artifacts-inlineCode-text px-1.5 py-1 rounded-md">
+                      {action.filePath}
+                    </code>{' '}
+                    to{' '}
+                    <code
+                      className="bg-bolt-elements-artifacts-inlineCode-background text-bolt-elements-artifacts-inlineCode-text px-1.5 py-1 rounded-md text-bolt-elements-item-contentAccent hover:underline cursor-pointer"
+                      onClick={() => openArtifactInWorkbench(action.newFilePath)}
+                    >
+                      {action.newFilePath}
+                    </code>
+                  </div>
                 ) : type === 'shell' ? (
                   <div className="flex items-center w-full min-h-[28px]">
-                    <span className="flex-1">Run command</span>
+                    <span className="flex-1">Run command{action.skipped && ' (skipped)'}</span>
+                  </div>
+                ) : type === 'build' ? (
+                  <div className="flex items-center w-full min-h-[28px]">
+                    <span className="flex-1">Build Application{action.skipped && ' (skipped)'}</span>
+                  </div>
+                ) : type === 'test' ? (
+                  <div className="flex items-center w-full min-h-[28px]">
+                    <span className="flex-1">Run tests{action.skipped && ' (skipped)'}</span>
+                    {action.testResults?.format && (
+                      <span className="text-xs text-bolt-elements-textSecondary">
+                        {action.testResults.passed} passed, {action.testResults.failed} failed,{' '}
+                        {action.testResults.skipped} skipped
+                      </span>
+                    )}
                   </div>
                 ) : type === 'start' ? (
                   <a
@@ -251,16 +396,23 @@ const ActionList = memo(({ actions }: ActionListProps) => {
                     }}
                     className="flex items-center w-full min-h-[28px]"
                   >
-                    <span className="flex-1">Start Application</span>
+                    <span className="flex-1">Start Application{action.skipped && ' (skipped)'}</span>
                   </a>
                 ) : null}
               </div>
-              {(type === 'shell' || type === 'start') && (
+              {(type === 'delete' || type === 'rename') && action.status === 'failed' && (
+                <div className="ml-6 mt-1 text-xs text-bolt-elements-icon-error">{action.error}</div>
+              )}
+              {type === 'test' && <TestResultsDetails action={action} />}
+              {status === 'awaiting-approval' && (
+                <CommandApproval actionId={actionId} action={action} runner={runner} />
+              )}
+              {(type === 'shell' || type === 'start' || type === 'test') && (
                 <ShellCodeBlock
                   classsName={classNames('mt-1', {
                     'mb-3.5': !isLast,
                   })}
-                  code={content}
+                  code={content.trim() || 'npm test'}
                 />
               )}
             </motion.li>
@@ -276,6 +428,9 @@ function getIconColor(status: ActionState['status']) {
     case 'pending': {
       return 'text-bolt-elements-textTertiary';
     }
+    case 'awaiting-approval': {
+      return 'text-bolt-elements-item-contentAccent';
+    }
     case 'running': {
       return 'text-bolt-elements-loader-progress';
     }
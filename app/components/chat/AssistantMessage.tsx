@@ -14,6 +14,7 @@ interface AssistantMessageProps {
   messageId?: string;
   onRewind?: (messageId: string) => void;
   onFork?: (messageId: string) => void;
+  onRestore?: (messageId: string) => void;
   append?: (message: Message) => void;
   chatMode?: 'discuss' | 'build';
   setChatMode?: (mode: 'discuss' | 'build') => void;
@@ -52,6 +53,7 @@ export const AssistantMessage = memo(
     messageId,
     onRewind,
     onFork,
+    onRestore,
     append,
     chatMode,
     setChatMode,
@@ -130,7 +132,7 @@ export const AssistantMessage = memo(
                   Tokens: {usage.totalTokens} (prompt: {usage.promptTokens}, completion: {usage.completionTokens})
                 </div>
               )}
-              {(onRewind || onFork) && messageId && (
+              {(onRewind || onFork || onRestore) && messageId && (
                 <div className="flex gap-2 flex-col lg:flex-row ml-auto">
                   {onRewind && (
                     <WithTooltip tooltip="Revert to this message">
@@ -141,6 +143,15 @@ export const AssistantMessage = memo(
                       />
                     </WithTooltip>
                   )}
+                  {onRestore && (
+                    <WithTooltip tooltip="Restore project to here">
+                      <button
+                        onClick={() => onRestore(messageId)}
+                        key="i-ph:clock-counter-clockwise"
+                        className="i-ph:clock-counter-clockwise text-xl text-bolt-elements-textSecondary hover:text-bolt-elements-textPrimary transition-colors"
+                      />
+                    </WithTooltip>
+                  )}
                   {onFork && (
                     <WithTooltip tooltip="Fork chat from this message">
                       <button
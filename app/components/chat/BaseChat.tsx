@@ -23,6 +23,8 @@ import type { ActionAlert, SupabaseAlert, DeployAlert } from '~/types/actions';
 import DeployChatAlert from '~/components/deploy/DeployAlert';
 import ChatAlert from './ChatAlert';
 import type { ModelInfo } from '~/lib/modules/llm/types';
+import { acceptsImages } from '~/lib/modules/llm/capabilities';
+import { toast } from 'react-toastify';
 import ProgressCompilation from './ProgressCompilation';
 import type { ProgressAnnotation } from '~/types/context';
 import type { ActionRunner } from '~/lib/runtime/action-runner';
@@ -250,7 +252,19 @@ export const BaseChat = React.forwardRef<HTMLDivElement, BaseChatProps>(
       }
     };
 
+    const selectedModel = modelList.find((m) => m.name === model && m.provider === provider?.name);
+
+    // text-only models would reject the request, so images cannot be attached or sent
+    const imageInputUnsupported = acceptsImages(selectedModel)
+      ? undefined
+      : `${selectedModel?.label ?? model} does not accept images`;
+
     const handleSendMessage = (event: React.UIEvent, messageInput?: string) => {
+      if (imageInputUnsupported && imageDataList.length > 0) {
+        toast.error(`${imageInputUnsupported}: remove the attached images or pick another model`);
+        return;
+      }
+
       if (sendMessage) {
         sendMessage(event, messageInput);
 
@@ -271,6 +285,11 @@ export const BaseChat = React.forwardRef<HTMLDivElement, BaseChatProps>(
     };
 
     const handleFileUpload = () => {
+      if (imageInputUnsupported) {
+        toast.info(imageInputUnsupported);
+        return;
+      }
+
       const input = document.createElement('input');
       input.type = 'file';
       input.accept = 'image/*';
@@ -301,7 +320,7 @@ export const BaseChat = React.forwardRef<HTMLDivElement, BaseChatProps>(
       }
 
       for (const item of items) {
-        if (item.type.startsWith('image/')) {
+        if (item.type.startsWith('image/') && !imageInputUnsupported) {
           e.preventDefault();
 
           const file = item.getAsFile();
@@ -421,6 +440,7 @@ export const BaseChat = React.forwardRef<HTMLDivElement, BaseChatProps>(
                   setUploadedFiles={setUploadedFiles}
                   imageDataList={imageDataList}
                   setImageDataList={setImageDataList}
+                  imageInputUnsupported={imageInputUnsupported}
                   textareaRef={textareaRef}
                   input={input}
                   handleInputChange={handleInputChange}
@@ -9,7 +9,14 @@ import { useAnimate } from 'framer-motion';
 import { memo, useCallback, useEffect, useRef, useState } from 'react';
 import { cssTransition, toast, ToastContainer } from 'react-toastify';
 import { useMessageParser, usePromptEnhancer, useShortcuts } from '~/lib/hooks';
-import { description, useChatHistory } from '~/lib/persistence';
+import {
+  chatCompaction,
+  checkChatBudgets,
+  description,
+  recordCompaction,
+  recordMessageUsage,
+  useChatHistory,
+} from '~/lib/persistence';
 import { chatStore } from '~/lib/stores/chat';
 import { workbenchStore } from '~/lib/stores/workbench';
 import { DEFAULT_MODEL, DEFAULT_PROVIDER, PROMPT_COOKIE_KEY, PROVIDER_LIST } from '~/utils/constants';
@@ -19,6 +26,7 @@ import { BaseChat } from './BaseChat';
 import Cookies from 'js-cookie';
 import { debounce } from '~/utils/debounce';
 import { useSettings } from '~/lib/hooks/useSettings';
+import { contextIndexStore } from '~/lib/stores/contextIndex';
 import type { ProviderInfo } from '~/types/model';
 import { useSearchParams } from '@remix-run/react';
 import { createSampler } from '~/utils/sampler';
@@ -27,6 +35,7 @@ import { logStore } from '~/lib/stores/logs';
 import { streamingState } from '~/lib/stores/streaming';
 import { filesToArtifacts } from '~/utils/fileUtils';
 import { supabaseConnection } from '~/lib/stores/supabase';
+import { autoFixStore, resetAutoFix, startAutoFixAttempt } from '~/lib/stores/autoFix';
 
 const toastAnimation = cssTransition({
   enter: 'animated fadeInRight',
@@ -131,7 +140,18 @@ export const ChatImpl = memo(
       (project) => project.id === supabaseConn.selectedProjectId,
     );
     const supabaseAlert = useStore(workbenchStore.supabaseAlert);
-    const { activeProviders, promptId, autoSelectTemplate, contextOptimizationEnabled } = useSettings();
+    const {
+      activeProviders,
+      promptId,
+      autoSelectTemplate,
+      contextOptimizationEnabled,
+      autoFixErrors,
+      modelFallbacks,
+      usageBudgets,
+      contextStrategy,
+      compactionThreshold,
+    } = useSettings();
+    const isAutoFixMessage = useRef(false);
 
     const [model, setModel] = useState(() => {
       const savedModel = Cookies.get('selectedModel');
@@ -143,6 +163,7 @@ export const ChatImpl = memo(
     });
 
     const { showChat } = useStore(chatStore);
+    const compaction = useStore(chatCompaction);
 
     const [animationScope, animate] = useAnimate();
 
@@ -169,7 +190,11 @@ export const ChatImpl = memo(
         files,
         promptId,
         contextOptimization: contextOptimizationEnabled,
+        contextStrategy,
         chatMode,
+        modelFallbacks,
+        compaction,
+        compactionThreshold,
         supabase: {
           isConnected: supabaseConn.isConnected,
           hasSelectedProject: !!selectedProject,
@@ -207,11 +232,41 @@ export const ChatImpl = memo(
           });
         }
 
+        recordMessageUsage(message, { model, provider: provider.name });
+        recordCompaction(message);
+
         logger.debug('Finished streaming');
       },
       initialMessages,
       initialInput: Cookies.get(PROMPT_COOKIE_KEY) || '',
     });
+
+    /**
+     * Check the usage budgets before any request to the model
+     * @returns Whether the request may be sent
+     */
+    const checkBudgets = async () => {
+      const budgetCheck = await checkChatBudgets(usageBudgets);
+
+      if (budgetCheck?.level === 'block') {
+        toast.error(`${budgetCheck.message}. Raise the budget in Settings > Features to continue.`);
+        return false;
+      }
+
+      if (budgetCheck) {
+        toast.warning(budgetCheck.message);
+      }
+
+      return true;
+    };
+
+    // for requests that do not go through `sendMessage`, like a prompt in the URL or a quick action
+    const appendWithinBudget = async (message: Parameters<typeof append>[0]) => {
+      if (await checkBudgets()) {
+        append(message);
+      }
+    };
+
     useEffect(() => {
       const prompt = searchParams.get('prompt');
 
@@ -220,7 +275,7 @@ export const ChatImpl = memo(
       if (prompt) {
         setSearchParams({});
         runAnimation();
-        append({
+        appendWithinBudget({
           role: 'user',
           content: [
             {
@@ -264,6 +319,10 @@ export const ChatImpl = memo(
       chatStore.setKey('aborted', true);
       workbenchStore.abortAllActions();
 
+      if (autoFixStore.get().attempts.length > 0) {
+        autoFixStore.setKey('stoppedReason', 'You stopped the response.');
+      }
+
       logStore.logProvider('Chat response aborted', {
         component: 'Chat',
         action: 'abort',
@@ -312,6 +371,19 @@ export const ChatImpl = memo(
         return;
       }
 
+      const isAutoFix = isAutoFixMessage.current;
+      isAutoFixMessage.current = false;
+
+      // ahead of every request below, the `reload()` of a new chat included; automatic fixes check before they start
+      if (!isAutoFix && !(await checkBudgets())) {
+        return;
+      }
+
+      // a message from the user takes back control from automatic error fixing
+      if (!isAutoFix) {
+        resetAutoFix();
+      }
+
       // If no locked items, proceed normally with the original message
       const finalMessageContent = messageContent;
 
@@ -422,39 +494,57 @@ export const ChatImpl = memo(
 
       const modifiedFiles = workbenchStore.getModifiedFiles();
 
+      // the latest test results go to the model once, with the message that follows them
+      const testResults = workbenchStore.testResults.get();
+      workbenchStore.clearTestResults();
+
+      // the local strategy ranks files here, where the index is kept up to date, instead of on the server
+      const localContextFiles =
+        contextOptimizationEnabled && contextStrategy === 'local'
+          ? contextIndexStore.rank(finalMessageContent).map(({ path }) => path)
+          : undefined;
+      const requestOptions =
+        testResults || localContextFiles ? { body: { testResults, localContextFiles } } : undefined;
+
       chatStore.setKey('aborted', false);
 
       if (modifiedFiles !== undefined) {
         const userUpdateArtifact = filesToArtifacts(modifiedFiles, `${Date.now()}`);
-        append({
-          role: 'user',
-          content: [
-            {
-              type: 'text',
-              text: `[Model: ${model}]\n\n[Provider: ${provider.name}]\n\n${userUpdateArtifact}${finalMessageContent}`,
-            },
-            ...imageDataList.map((imageData) => ({
-              type: 'image',
-              image: imageData,
-            })),
-          ] as any,
-        });
+        append(
+          {
+            role: 'user',
+            content: [
+              {
+                type: 'text',
+                text: `[Model: ${model}]\n\n[Provider: ${provider.name}]\n\n${userUpdateArtifact}${finalMessageContent}`,
+              },
+              ...imageDataList.map((imageData) => ({
+                type: 'image',
+                image: imageData,
+              })),
+            ] as any,
+          },
+          requestOptions,
+        );
 
         workbenchStore.resetAllFileModifications();
       } else {
-        append({
-          role: 'user',
-          content: [
-            {
-              type: 'text',
-              text: `[Model: ${model}]\n\n[Provider: ${provider.name}]\n\n${finalMessageContent}`,
-            },
-            ...imageDataList.map((imageData) => ({
-              type: 'image',
-              image: imageData,
-            })),
-          ] as any,
-        });
+        append(
+          {
+            role: 'user',
+            content: [
+              {
+                type: 'text',
+                text: `[Model: ${model}]\n\n[Provider: ${provider.name}]\n\n${finalMessageContent}`,
+              },
+              ...imageDataList.map((imageData) => ({
+                type: 'image',
+                image: imageData,
+              })),
+            ] as any,
+          },
+          requestOptions,
+        );
       }
 
       setInput('');
@@ -468,6 +558,33 @@ export const ChatImpl = memo(
       textareaRef.current?.blur();
     };
 
+    useEffect(() => {
+      if (!autoFixErrors || !actionAlert || isLoading || fakeLoading || autoFixStore.get().stoppedReason) {
+        return undefined;
+      }
+
+      let cancelled = false;
+
+      // a blocked budget leaves the alert up and the attempt unused
+      checkBudgets().then((allowed) => {
+        if (cancelled || !allowed) {
+          return;
+        }
+
+        const message = startAutoFixAttempt(actionAlert);
+
+        if (message) {
+          workbenchStore.clearAlert();
+          isAutoFixMessage.current = true;
+          sendMessage({} as any, message);
+        }
+      });
+
+      return () => {
+        cancelled = true;
+      };
+    }, [actionAlert, isLoading, fakeLoading, autoFixErrors]);
+
     /**
      * Handles the change event for the textarea and updates the input state.
      * @param event - The change event from the textarea.
@@ -568,7 +685,7 @@ export const ChatImpl = memo(
         data={chatData}
         chatMode={chatMode}
         setChatMode={setChatMode}
-        append={append}
+        append={appendWithinBudget}
       />
     );
   },
@@ -1,4 +1,6 @@
+import { useStore } from '@nanostores/react';
 import { AnimatePresence, motion } from 'framer-motion';
+import { autoFixStore, createAlertFixPrompt } from '~/lib/stores/autoFix';
 import type { ActionAlert } from '~/types/actions';
 import { classNames } from '~/utils/classNames';
 
@@ -9,13 +11,23 @@ interface Props {
 }
 
 export default function ChatAlert({ alert, clearAlert, postMessage }: Props) {
-  const { description, content, source } = alert;
+  const { description, source } = alert;
+  const { attempts, stoppedReason } = useStore(autoFixStore);
 
   const isPreview = source === 'preview';
-  const title = isPreview ? 'Preview Error' : 'Terminal Error';
-  const message = isPreview
-    ? 'We encountered an error while running the preview. Would you like Bolt to analyze and help resolve this issue?'
-    : 'We encountered an error while running terminal commands. Would you like Bolt to analyze and help resolve this issue?';
+  const isPatch = source === 'patch';
+  const title = stoppedReason
+    ? 'Auto-fix Stopped'
+    : isPatch
+      ? 'Edit Not Applied'
+      : isPreview
+        ? 'Preview Error'
+        : 'Terminal Error';
+  const message = isPatch
+    ? 'An edit from Bolt did not match the current content of the file, so the file was left unchanged. Would you like Bolt to redo the edit against the current file?'
+    : isPreview
+      ? 'We encountered an error while running the preview. Would you like Bolt to analyze and help resolve this issue?'
+      : 'We encountered an error while running terminal commands. Would you like Bolt to analyze and help resolve this issue?';
 
   return (
     <AnimatePresence>
@@ -53,6 +65,21 @@ export default function ChatAlert({ alert, clearAlert, postMessage }: Props) {
               className={`mt-2 text-sm text-bolt-elements-textSecondary`}
             >
               <p>{message}</p>
+              {stoppedReason && (
+                <div className="text-xs text-bolt-elements-textSecondary p-2 bg-bolt-elements-background-depth-3 rounded mt-4">
+                  <p>{stoppedReason} Bolt has stopped fixing errors on its own.</p>
+                  {attempts.length > 0 && (
+                    <ol className="list-decimal ml-4 mt-2">
+                      {attempts.map((attempt, index) => (
+                        <li key={index}>
+                          {attempt.title}
+                          {attempt.description && `: ${attempt.description}`}
+                        </li>
+                      ))}
+                    </ol>
+                  )}
+                </div>
+              )}
               {description && (
                 <div className="text-xs text-bolt-elements-textSecondary p-2 bg-bolt-elements-background-depth-3 rounded mt-4 mb-4">
                   Error: {description}
@@ -69,11 +96,7 @@ export default function ChatAlert({ alert, clearAlert, postMessage }: Props) {
             >
               <div className={classNames(' flex gap-2')}>
                 <button
-                  onClick={() =>
-                    postMessage(
-                      `*Fix this ${isPreview ? 'preview' : 'terminal'} error* \n\`\`\`${isPreview ? 'js' : 'sh'}\n${content}\n\`\`\`\n`,
-                    )
-                  }
+                  onClick={() => postMessage(createAlertFixPrompt(alert))}
                   className={classNames(
                     `px-2 py-1.5 rounded-md text-sm font-medium`,
                     'bg-bolt-elements-button-primary-background',
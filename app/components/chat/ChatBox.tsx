@@ -28,6 +28,9 @@ interface ChatBoxProps {
   onApiKeysChange: (providerName: string, apiKey: string) => void;
   uploadedFiles: File[];
   imageDataList: string[];
+
+  // why images cannot be attached for the selected model, if they cannot
+  imageInputUnsupported?: string;
   textareaRef: React.RefObject<HTMLTextAreaElement> | undefined;
   input: string;
   handlePaste: (e: React.ClipboardEvent) => void;
@@ -133,6 +136,12 @@ export const ChatBox: React.FC<ChatBoxProps> = (props) => {
           props.setImageDataList?.(props.imageDataList.filter((_, i) => i !== index));
         }}
       />
+      {props.imageInputUnsupported && props.imageDataList.length > 0 && (
+        <div className="flex items-center gap-2 mx-4 mb-2 text-xs text-bolt-elements-icon-error">
+          <div className="i-ph:warning" />
+          {props.imageInputUnsupported}: remove the attached images or pick another model
+        </div>
+      )}
       <ClientOnly>
         {() => (
           <ScreenshotStateManager
@@ -170,6 +179,12 @@ export const ChatBox: React.FC<ChatBoxProps> = (props) => {
             e.currentTarget.style.border = '1px solid var(--bolt-elements-borderColor)';
 
             const files = Array.from(e.dataTransfer.files);
+
+            if (props.imageInputUnsupported) {
+              toast.info(props.imageInputUnsupported);
+              return;
+            }
+
             files.forEach((file) => {
               if (file.type.startsWith('image/')) {
                 const reader = new FileReader();
@@ -237,7 +252,12 @@ export const ChatBox: React.FC<ChatBoxProps> = (props) => {
         </ClientOnly>
         <div className="flex justify-between items-center text-sm p-4 pt-2">
           <div className="flex gap-1 items-center">
-            <IconButton title="Upload file" className="transition-all" onClick={() => props.handleFileUpload()}>
+            <IconButton
+              title={props.imageInputUnsupported ?? 'Upload file'}
+              className="transition-all"
+              disabled={!!props.imageInputUnsupported}
+              onClick={() => props.handleFileUpload()}
+            >
               <div className="i-ph:paperclip text-xl"></div>
             </IconButton>
             <IconButton
@@ -6,12 +6,17 @@ import { UserMessage } from './UserMessage';
 import { useLocation } from '@remix-run/react';
 import { db, chatId } from '~/lib/persistence/useChatHistory';
 import { forkChat } from '~/lib/persistence/db';
+import { checkpointMessageIds, getMessageCheckpoint } from '~/lib/persistence/checkpoints';
+import { chatCompaction, togglePinnedMessage } from '~/lib/persistence/compaction';
+import { workbenchStore } from '~/lib/stores/workbench';
+import { extractRelativePath } from '~/utils/diff';
 import { toast } from 'react-toastify';
 import { useStore } from '@nanostores/react';
 import { profileStore } from '~/lib/stores/profile';
 import { forwardRef } from 'react';
 import type { ForwardedRef } from 'react';
 import type { ProviderInfo } from '~/types/model';
+import WithTooltip from '~/components/ui/Tooltip';
 
 interface MessagesProps {
   id?: string;
@@ -30,6 +35,8 @@ export const Messages = forwardRef<HTMLDivElement, MessagesProps>(
     const { id, isStreaming = false, messages = [] } = props;
     const location = useLocation();
     const profile = useStore(profileStore);
+    const checkpoints = useStore(checkpointMessageIds);
+    const compaction = useStore(chatCompaction);
 
     const handleRewind = (messageId: string) => {
       const searchParams = new URLSearchParams(location.search);
@@ -51,6 +58,31 @@ export const Messages = forwardRef<HTMLDivElement, MessagesProps>(
       }
     };
 
+    const handleRestore = async (messageId: string) => {
+      if (!confirm('Restore the project files to how they were after this message? Changes made since will be lost.')) {
+        return;
+      }
+
+      try {
+        const files = await getMessageCheckpoint(messageId);
+
+        if (!files) {
+          toast.error('No checkpoint was recorded for this message');
+          return;
+        }
+
+        const skipped = await workbenchStore.restoreFiles(files);
+
+        if (skipped.length > 0) {
+          toast.warning(`Project restored, except for locked files: ${skipped.map(extractRelativePath).join(', ')}`);
+        } else {
+          toast.success('Project restored');
+        }
+      } catch (error) {
+        toast.error('Failed to restore project: ' + (error as Error).message);
+      }
+    };
+
     return (
       <div id={id} className={props.className} ref={ref}>
         {messages.length > 0
@@ -60,6 +92,10 @@ export const Messages = forwardRef<HTMLDivElement, MessagesProps>(
               const isFirst = index === 0;
               const isLast = index === messages.length - 1;
               const isHidden = annotations?.includes('hidden');
+              const isPinned = compaction.pinnedIds.includes(messageId);
+
+              // compacted messages are only sent as part of the chat's summary, unless pinned
+              const isCompacted = !isPinned && compaction.compactedIds.includes(messageId);
 
               if (isHidden) {
                 return <Fragment key={index} />;
@@ -73,6 +109,7 @@ export const Messages = forwardRef<HTMLDivElement, MessagesProps>(
                     'bg-gradient-to-b from-bolt-elements-messages-background from-30% to-transparent':
                       isStreaming && isLast,
                     'mt-4': !isFirst,
+                    'opacity-60': isCompacted,
                   })}
                 >
                   {isUserMessage && (
@@ -100,6 +137,7 @@ export const Messages = forwardRef<HTMLDivElement, MessagesProps>(
                         messageId={messageId}
                         onRewind={handleRewind}
                         onFork={handleFork}
+                        onRestore={checkpoints.has(messageId) ? handleRestore : undefined}
                         append={props.append}
                         chatMode={props.chatMode}
                         setChatMode={props.setChatMode}
@@ -108,6 +146,28 @@ export const Messages = forwardRef<HTMLDivElement, MessagesProps>(
                       />
                     )}
                   </div>
+                  {!(isStreaming && isLast) && (
+                    <div className="flex flex-col items-center gap-2 shrink-0 self-start">
+                      <WithTooltip
+                        tooltip={isPinned ? 'Unpin message' : 'Pin message so it is never compacted into the summary'}
+                      >
+                        <button
+                          onClick={() => togglePinnedMessage(messageId)}
+                          className={classNames(
+                            'text-lg transition-colors',
+                            isPinned
+                              ? 'i-ph:push-pin-fill text-bolt-elements-item-contentAccent'
+                              : 'i-ph:push-pin text-bolt-elements-textTertiary hover:text-bolt-elements-textPrimary',
+                          )}
+                        />
+                      </WithTooltip>
+                      {isCompacted && (
+                        <WithTooltip tooltip="Compacted: only sent to the model as part of the chat summary">
+                          <div className="i-ph:arrows-in-line-vertical text-lg text-bolt-elements-textTertiary" />
+                        </WithTooltip>
+                      )}
+                    </div>
+                  )}
                 </div>
               );
             })
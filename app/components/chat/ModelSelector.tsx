@@ -3,6 +3,12 @@ import { useEffect, useState, useRef } from 'react';
 import type { KeyboardEvent } from 'react';
 import type { ModelInfo } from '~/lib/modules/llm/types';
 import { classNames } from '~/utils/classNames';
+import {
+  formatModelPricing,
+  hasCapability,
+  MODEL_CAPABILITY_FILTERS,
+  type ModelCapabilityFilter,
+} from '~/lib/modules/llm/capabilities';
 
 interface ModelSelectorProps {
   model?: string;
@@ -27,6 +33,7 @@ export const ModelSelector = ({
   const [modelSearchQuery, setModelSearchQuery] = useState('');
   const [isModelDropdownOpen, setIsModelDropdownOpen] = useState(false);
   const [focusedModelIndex, setFocusedModelIndex] = useState(-1);
+  const [capabilityFilters, setCapabilityFilters] = useState<ModelCapabilityFilter[]>([]);
   const modelSearchInputRef = useRef<HTMLInputElement>(null);
   const modelOptionsRef = useRef<(HTMLDivElement | null)[]>([]);
   const modelDropdownRef = useRef<HTMLDivElement>(null);
@@ -61,7 +68,14 @@ export const ModelSelector = ({
       (model) =>
         model.label.toLowerCase().includes(modelSearchQuery.toLowerCase()) ||
         model.name.toLowerCase().includes(modelSearchQuery.toLowerCase()),
+    )
+    .filter((model) => capabilityFilters.every((capability) => hasCapability(model, capability)));
+
+  const toggleCapabilityFilter = (capability: ModelCapabilityFilter) => {
+    setCapabilityFilters((prev) =>
+      prev.includes(capability) ? prev.filter((c) => c !== capability) : [...prev, capability],
     );
+  };
 
   const filteredProviders = providerList.filter((p) =>
     p.name.toLowerCase().includes(providerSearchQuery.toLowerCase()),
@@ -69,7 +83,7 @@ export const ModelSelector = ({
 
   useEffect(() => {
     setFocusedModelIndex(-1);
-  }, [modelSearchQuery, isModelDropdownOpen]);
+  }, [modelSearchQuery, capabilityFilters, isModelDropdownOpen]);
 
   useEffect(() => {
     setFocusedProviderIndex(-1);
@@ -407,6 +421,27 @@ export const ModelSelector = ({
                   <span className="i-ph:magnifying-glass text-bolt-elements-textTertiary" />
                 </div>
               </div>
+              <div className="flex flex-wrap gap-1 mt-2">
+                {MODEL_CAPABILITY_FILTERS.map((filter) => (
+                  <button
+                    key={filter.id}
+                    aria-pressed={capabilityFilters.includes(filter.id)}
+                    className={classNames(
+                      'flex items-center gap-1 px-2 py-0.5 rounded-full text-xs border border-bolt-elements-borderColor',
+                      capabilityFilters.includes(filter.id)
+                        ? 'bg-bolt-elements-item-backgroundAccent text-bolt-elements-item-contentAccent'
+                        : 'text-bolt-elements-textSecondary hover:bg-bolt-elements-background-depth-3',
+                    )}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      toggleCapabilityFilter(filter.id);
+                    }}
+                  >
+                    <span className={filter.icon} />
+                    {filter.label}
+                  </button>
+                ))}
+              </div>
             </div>
 
             <div
@@ -454,7 +489,27 @@ export const ModelSelector = ({
                     }}
                     tabIndex={focusedModelIndex === index ? 0 : -1}
                   >
-                    {modelOption.label}
+                    <div className="flex items-center gap-2">
+                      <span className="truncate">{modelOption.label}</span>
+                      <span className="flex gap-1 ml-auto text-bolt-elements-textTertiary">
+                        {MODEL_CAPABILITY_FILTERS.filter((filter) => hasCapability(modelOption, filter.id)).map(
+                          (filter) => (
+                            <span key={filter.id} className={filter.icon} title={filter.label} />
+                          ),
+                        )}
+                      </span>
+                    </div>
+                    {(modelOption.pricing || modelOption.maxOutputTokens) && (
+                      <div className="text-xs text-bolt-elements-textTertiary">
+                        {[
+                          formatModelPricing(modelOption),
+                          modelOption.maxOutputTokens &&
+                            `${modelOption.maxOutputTokens.toLocaleString()} max output tokens`,
+                        ]
+                          .filter(Boolean)
+                          .join(' · ')}
+                      </div>
+                    )}
                   </div>
                 ))
               )}
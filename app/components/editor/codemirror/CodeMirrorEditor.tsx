@@ -7,6 +7,8 @@ import {
   drawSelection,
   dropCursor,
   EditorView,
+  gutter,
+  GutterMarker,
   highlightActiveLine,
   highlightActiveLineGutter,
   keymap,
@@ -62,6 +64,15 @@ export interface EditorUpdate {
   content: string;
 }
 
+/**
+ * Who last changed a line, shown in the blame gutter
+ */
+export interface LineBlame {
+  // shown in the gutter; empty for lines that continue the change of the line above
+  label: string;
+  title: string;
+}
+
 export type OnChangeCallback = (update: EditorUpdate) => void;
 export type OnScrollCallback = (position: ScrollPosition) => void;
 export type OnSaveCallback = () => void;
@@ -79,6 +90,9 @@ interface Props {
   onSave?: OnSaveCallback;
   className?: string;
   settings?: EditorSettings;
+
+  // blame of each line of the document; no blame gutter when undefined
+  blame?: LineBlame[];
 }
 
 type EditorStates = Map<string, EditorState>;
@@ -135,6 +149,7 @@ export const CodeMirrorEditor = memo(
     onSave,
     theme,
     settings,
+    blame,
     className = '',
   }: Props) => {
     renderLogger.trace('CodeMirrorEditor');
@@ -144,6 +159,8 @@ export const CodeMirrorEditor = memo(
     // Add a compartment for the env masking extension
     const [envMaskingCompartment] = useState(new Compartment());
 
+    const [blameCompartment] = useState(new Compartment());
+
     const containerRef = useRef<HTMLDivElement | null>(null);
     const viewRef = useRef<EditorView>();
     const themeRef = useRef<Theme>();
@@ -260,6 +277,7 @@ export const CodeMirrorEditor = memo(
         const state = newEditorState('', theme, settings, onScrollRef, debounceScroll, onSaveRef, [
           languageCompartment.of([]),
           envMaskingCompartment.of([]),
+          blameCompartment.of([]),
         ]);
 
         view.setState(state);
@@ -283,6 +301,7 @@ export const CodeMirrorEditor = memo(
         state = newEditorState(doc.value, theme, settings, onScrollRef, debounceScroll, onSaveRef, [
           languageCompartment.of([]),
           envMaskingCompartment.of([createEnvMaskingExtension(() => docRef.current?.filePath)]),
+          blameCompartment.of([]),
         ]);
 
         editorStates.set(doc.filePath, state);
@@ -310,6 +329,13 @@ export const CodeMirrorEditor = memo(
       }
     }, [doc?.value, editable, doc?.filePath, autoFocusOnDocumentChange]);
 
+    useEffect(() => {
+      // the effect above swaps in a stored editor state, so the gutter is set again after it
+      viewRef.current?.dispatch({
+        effects: [blameCompartment.reconfigure(blame ? blameGutter(blame) : [])],
+      });
+    }, [blame, doc?.value, doc?.filePath]);
+
     return (
       <div className={classNames('relative h-full', className)}>
         {doc?.isBinary && <BinaryContent />}
@@ -417,6 +443,51 @@ function newEditorState(
   });
 }
 
+class BlameMarker extends GutterMarker {
+  constructor(readonly blame: LineBlame) {
+    super();
+  }
+
+  eq(other: BlameMarker) {
+    return other.blame.label === this.blame.label && other.blame.title === this.blame.title;
+  }
+
+  toDOM() {
+    const element = document.createElement('div');
+
+    element.textContent = this.blame.label;
+    element.title = this.blame.title;
+
+    return element;
+  }
+}
+
+function blameGutter(blame: LineBlame[]): Extension {
+  return [
+    gutter({
+      class: 'cm-blame-gutter',
+      lineMarker: (view, line) => {
+        const lineBlame = blame[view.state.doc.lineAt(line.from).number - 1];
+        return lineBlame ? new BlameMarker(lineBlame) : null;
+      },
+      lineMarkerChange: () => true,
+    }),
+    EditorView.theme({
+      '.cm-blame-gutter': {
+        width: '10rem',
+        fontSize: '0.75em',
+        opacity: '0.7',
+      },
+      '.cm-blame-gutter .cm-gutterElement': {
+        padding: '0 8px',
+        overflow: 'hidden',
+        textOverflow: 'ellipsis',
+        whiteSpace: 'nowrap',
+      },
+    }),
+  ];
+}
+
 function setNoDocument(view: EditorView) {
   view.dispatch({
     selection: { anchor: 0 },
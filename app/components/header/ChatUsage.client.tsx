@@ -0,0 +1,20 @@
+import { useStore } from '@nanostores/react';
+import { chatUsage, describeChatUsage, formatChatUsage } from '~/lib/persistence';
+
+export function ChatUsage() {
+  const usage = useStore(chatUsage);
+
+  if (!usage) {
+    return null;
+  }
+
+  return (
+    <div
+      className="flex items-center gap-1 mr-3 text-xs text-bolt-elements-textTertiary whitespace-nowrap"
+      title={describeChatUsage(usage)}
+    >
+      <div className="i-ph:coins" />
+      {formatChatUsage(usage)}
+    </div>
+  );
+}
@@ -1,6 +1,8 @@
 import { useParams } from '@remix-run/react';
 import { classNames } from '~/utils/classNames';
-import { type ChatHistoryItem } from '~/lib/persistence';
+import { describeChatUsage, formatChatUsage, type ChatHistoryItem } from '~/lib/persistence';
+import type { ChatUsage } from '~/lib/persistence/types';
+import { formatCost } from '~/utils/usageBudget';
 import WithTooltip from '~/components/ui/Tooltip';
 import { useEditChatDescription } from '~/lib/hooks';
 import { forwardRef, type ForwardedRef, useCallback } from 'react';
@@ -8,6 +10,7 @@ import { Checkbox } from '~/components/ui/Checkbox';
 
 interface HistoryItemProps {
   item: ChatHistoryItem;
+  usage?: ChatUsage;
   onDelete?: (event: React.UIEvent) => void;
   onDuplicate?: (id: string) => void;
   exportChat: (id?: string) => void;
@@ -18,6 +21,7 @@ interface HistoryItemProps {
 
 export function HistoryItem({
   item,
+  usage,
   onDelete,
   onDuplicate,
   exportChat,
@@ -111,6 +115,14 @@ export function HistoryItem({
           <WithTooltip tooltip={currentDescription}>
             <span className="truncate pr-24">{currentDescription}</span>
           </WithTooltip>
+          {usage && (
+            <span
+              className="absolute right-0 top-0 bottom-0 flex items-center px-2 text-xs text-gray-400 dark:text-gray-500 group-hover:opacity-0 transition-opacity"
+              title={`${formatChatUsage(usage)}\n${describeChatUsage(usage)}`}
+            >
+              {formatCost(usage.total.cost)}
+            </span>
+          )}
           <div
             className={classNames(
               'absolute right-0 top-0 bottom-0 flex items-center bg-transparent px-2 transition-colors',
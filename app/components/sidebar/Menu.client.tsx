@@ -6,7 +6,16 @@ import { ThemeSwitch } from '~/components/ui/ThemeSwitch';
 import { ControlPanel } from '~/components/@settings/core/ControlPanel';
 import { SettingsButton } from '~/components/ui/SettingsButton';
 import { Button } from '~/components/ui/Button';
-import { db, deleteById, getAll, chatId, type ChatHistoryItem, useChatHistory } from '~/lib/persistence';
+import {
+  db,
+  deleteById,
+  getAll,
+  getAllChatUsage,
+  chatId,
+  type ChatHistoryItem,
+  useChatHistory,
+} from '~/lib/persistence';
+import type { ChatUsage } from '~/lib/persistence/types';
 import { cubicEasingFn } from '~/utils/easings';
 import { HistoryItem } from './HistoryItem';
 import { binDates } from './date-binning';
@@ -67,6 +76,7 @@ export const Menu = () => {
   const { duplicateCurrentChat, exportChat } = useChatHistory();
   const menuRef = useRef<HTMLDivElement>(null);
   const [list, setList] = useState<ChatHistoryItem[]>([]);
+  const [usageByChat, setUsageByChat] = useState<Map<string, ChatUsage>>(new Map());
   const [open, setOpen] = useState(false);
   const [dialogContent, setDialogContent] = useState<DialogContent>(null);
   const [isSettingsOpen, setIsSettingsOpen] = useState(false);
@@ -85,6 +95,9 @@ export const Menu = () => {
         .then((list) => list.filter((item) => item.urlId && item.description))
         .then(setList)
         .catch((error) => toast.error(error.message));
+      getAllChatUsage(db)
+        .then((usage) => setUsageByChat(new Map(usage.map((entry) => [entry.chatId, entry]))))
+        .catch((error) => console.error('Failed to load chat usage:', error));
     }
   }, []);
 
@@ -430,6 +443,7 @@ export const Menu = () => {
                       <HistoryItem
                         key={item.id}
                         item={item}
+                        usage={usageByChat.get(item.id)}
                         exportChat={exportChat}
                         onDelete={(event) => {
                           event.preventDefault();
@@ -4,10 +4,12 @@ import { classNames } from '~/utils/classNames';
 import { cubicEasingFn } from '~/utils/easings';
 import { genericMemo } from '~/utils/react';
 
+type SliderOption<T> = { value: T; text: string };
+
 export type SliderOptions<T> = {
-  left: { value: T; text: string };
-  middle?: { value: T; text: string };
-  right: { value: T; text: string };
+  left: SliderOption<T>;
+  middle?: SliderOption<T> | Array<SliderOption<T>>;
+  right: SliderOption<T>;
 };
 
 interface SliderProps<T> {
@@ -17,9 +19,9 @@ interface SliderProps<T> {
 }
 
 export const Slider = genericMemo(<T,>({ selected, options, setSelected }: SliderProps<T>) => {
-  const hasMiddle = !!options.middle;
-  const isLeftSelected = hasMiddle ? selected === options.left.value : selected === options.left.value;
-  const isMiddleSelected = hasMiddle && options.middle ? selected === options.middle.value : false;
+  const middleOptions = options.middle ? ([] as Array<SliderOption<T>>).concat(options.middle) : [];
+  const isLeftSelected = selected === options.left.value;
+  const isMiddleSelected = middleOptions.some((option) => selected === option.value);
 
   return (
     <div className="flex items-center flex-wrap shrink-0 gap-1 bg-bolt-elements-background-depth-1 overflow-hidden rounded-full p-1">
@@ -27,11 +29,15 @@ export const Slider = genericMemo(<T,>({ selected, options, setSelected }: Slide
         {options.left.text}
       </SliderButton>
 
-      {options.middle && (
-        <SliderButton selected={isMiddleSelected} setSelected={() => setSelected?.(options.middle!.value)}>
-          {options.middle.text}
+      {middleOptions.map((option) => (
+        <SliderButton
+          key={String(option.value)}
+          selected={selected === option.value}
+          setSelected={() => setSelected?.(option.value)}
+        >
+          {option.text}
         </SliderButton>
-      )}
+      ))}
 
       <SliderButton
         selected={!isLeftSelected && !isMiddleSelected}
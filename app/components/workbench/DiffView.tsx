@@ -8,9 +8,12 @@ import { getHighlighter } from 'shiki';
 import '~/styles/diff-view.css';
 import { diffFiles, extractRelativePath } from '~/utils/diff';
 import { ActionRunner } from '~/lib/runtime/action-runner';
-import type { FileHistory } from '~/types/actions';
+import type { FileHistory, FileVersion } from '~/types/actions';
 import { getLanguageFromExtension } from '~/utils/getLanguageFromExtension';
 import { themeStore } from '~/lib/stores/theme';
+import type { SyncConflict } from '~/lib/stores/folderSync';
+import { toast } from 'react-toastify';
+import { describeFileVersion, restoreFileVersion } from './FileTimeline';
 
 interface CodeComparisonProps {
   beforeCode: string;
@@ -585,7 +588,7 @@ const getSharedHighlighter = async () => {
   return highlighterInstance;
 };
 
-const InlineDiffComparison = memo(({ beforeCode, afterCode, filename, language }: CodeComparisonProps) => {
+export const InlineDiffComparison = memo(({ beforeCode, afterCode, filename, language }: CodeComparisonProps) => {
   const [isFullscreen, setIsFullscreen] = useState(false);
 
   // Use state to hold the shared highlighter instance
@@ -661,6 +664,116 @@ const InlineDiffComparison = memo(({ beforeCode, afterCode, filename, language }
   );
 });
 
+const syncConflictDescriptions: Record<SyncConflict['reason'], (folderName: string) => string> = {
+  'both-changed': (folderName) => `Changed both here and in ${folderName} since the last sync`,
+  locked: (folderName) => `Changed in ${folderName}, but the file is locked here`,
+  unsaved: (folderName) => `Changed in ${folderName} while it has unsaved edits here`,
+};
+
+/**
+ * A file that differs from the linked folder and could not be synced: the diff shows what taking
+ * the folder's version would change
+ */
+const SyncConflictView = memo(
+  ({ filePath, conflict, folderName }: { filePath: string; conflict: SyncConflict; folderName: string }) => {
+    const [isResolving, setIsResolving] = useState(false);
+    const isLocked = conflict.reason === 'locked';
+    const language = getLanguageFromExtension(filePath.split('.').pop() || '');
+
+    const resolve = async (keep: 'local' | 'project') => {
+      setIsResolving(true);
+
+      try {
+        await workbenchStore.resolveSyncConflict(filePath, keep);
+      } catch (error) {
+        console.error('Failed to resolve sync conflict:', error);
+        toast.error(error instanceof Error ? error.message : 'Failed to resolve sync conflict');
+      } finally {
+        setIsResolving(false);
+      }
+    };
+
+    const buttonClassName =
+      'px-2 py-1 rounded-md text-xs font-medium bg-bolt-elements-button-secondary-background hover:bg-bolt-elements-button-secondary-backgroundHover text-bolt-elements-button-secondary-text disabled:opacity-50 disabled:cursor-not-allowed';
+
+    return (
+      <div className="h-full flex flex-col overflow-hidden">
+        <div className="flex items-center gap-2 p-2 text-xs bg-bolt-elements-background-depth-1 border-b border-bolt-elements-borderColor shrink-0">
+          <div className="i-ph:warning text-bolt-elements-icon-error shrink-0" />
+          <span className="text-bolt-elements-textPrimary">
+            {syncConflictDescriptions[conflict.reason](folderName)}
+            {conflict.localContent === undefined && ` (deleted in ${folderName})`}
+            {conflict.projectContent === undefined && ' (deleted here)'}
+          </span>
+          <div className="ml-auto flex gap-2 shrink-0">
+            <button className={buttonClassName} disabled={isResolving} onClick={() => resolve('project')}>
+              Keep This Version
+            </button>
+            <button
+              className={buttonClassName}
+              disabled={isResolving || isLocked}
+              title={isLocked ? 'Unlock the file to take the local version' : undefined}
+              onClick={() => resolve('local')}
+            >
+              Use {folderName} Version
+            </button>
+          </div>
+        </div>
+        <div className="flex-1 overflow-hidden">
+          <InlineDiffComparison
+            beforeCode={conflict.projectContent ?? ''}
+            afterCode={conflict.localContent ?? ''}
+            language={language}
+            filename={filePath}
+            lightTheme="github-light"
+            darkTheme="github-dark"
+          />
+        </div>
+      </div>
+    );
+  },
+);
+
+/**
+ * The file compared with an earlier version picked in the timeline: the diff shows what changed since
+ */
+const FileVersionComparison = memo(
+  ({ filePath, version, currentContent }: { filePath: string; version: FileVersion; currentContent: string }) => {
+    const language = getLanguageFromExtension(filePath.split('.').pop() || '');
+    const { title } = describeFileVersion(version);
+
+    const buttonClassName =
+      'px-2 py-1 rounded-md text-xs font-medium bg-bolt-elements-button-secondary-background hover:bg-bolt-elements-button-secondary-backgroundHover text-bolt-elements-button-secondary-text';
+
+    return (
+      <div className="h-full flex flex-col overflow-hidden">
+        <div className="flex items-center gap-2 p-2 text-xs bg-bolt-elements-background-depth-1 border-b border-bolt-elements-borderColor shrink-0">
+          <div className="i-ph:clock-counter-clockwise text-bolt-elements-textSecondary shrink-0" />
+          <span className="text-bolt-elements-textPrimary truncate">Changes since the version by {title}</span>
+          <div className="ml-auto flex gap-2 shrink-0">
+            <button className={buttonClassName} onClick={() => restoreFileVersion(filePath, version)}>
+              Restore This Version
+            </button>
+            <button className={buttonClassName} onClick={() => workbenchStore.fileHistory.compared.set(undefined)}>
+              Close
+            </button>
+          </div>
+        </div>
+        <div className="flex-1 overflow-hidden">
+          <InlineDiffComparison
+            beforeCode={version.content}
+            afterCode={currentContent}
+            language={language}
+            filename={filePath}
+            lightTheme="github-light"
+            darkTheme="github-dark"
+          />
+        </div>
+      </div>
+    );
+  },
+);
+
 interface DiffViewProps {
   fileHistory: Record<string, FileHistory>;
   setFileHistory: React.Dispatch<React.SetStateAction<Record<string, FileHistory>>>;
@@ -672,6 +785,8 @@ export const DiffView = memo(({ fileHistory, setFileHistory }: DiffViewProps) =>
   const selectedFile = useStore(workbenchStore.selectedFile);
   const currentDocument = useStore(workbenchStore.currentDocument) as EditorDocument;
   const unsavedFiles = useStore(workbenchStore.unsavedFiles);
+  const folderSync = useStore(workbenchStore.folderSync);
+  const comparedVersion = useStore(workbenchStore.fileHistory.compared);
 
   useEffect(() => {
     if (selectedFile && currentDocument) {
@@ -755,6 +870,24 @@ export const DiffView = memo(({ fileHistory, setFileHistory }: DiffViewProps) =>
     }
   }, [selectedFile, currentDocument?.value, files, setFileHistory, unsavedFiles]);
 
+  const syncConflict = selectedFile ? folderSync.conflicts[extractRelativePath(selectedFile)] : undefined;
+
+  if (selectedFile && syncConflict) {
+    return (
+      <SyncConflictView filePath={selectedFile} conflict={syncConflict} folderName={folderSync.folderName ?? ''} />
+    );
+  }
+
+  if (selectedFile && currentDocument && comparedVersion?.filePath === selectedFile) {
+    return (
+      <FileVersionComparison
+        filePath={selectedFile}
+        version={comparedVersion.version}
+        currentContent={currentDocument.value}
+      />
+    );
+  }
+
   if (!selectedFile || !currentDocument) {
     return (
       <div className="flex w-full h-full justify-center items-center bg-bolt-elements-background-depth-1 text-bolt-elements-textPrimary">
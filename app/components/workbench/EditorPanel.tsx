@@ -1,5 +1,5 @@
 import { useStore } from '@nanostores/react';
-import { memo, useMemo } from 'react';
+import { memo, useEffect, useMemo, useState } from 'react';
 import { Panel, PanelGroup, PanelResizeHandle } from 'react-resizable-panels';
 import * as Tabs from '@radix-ui/react-tabs';
 import {
@@ -25,6 +25,7 @@ import { workbenchStore } from '~/lib/stores/workbench';
 import { Search } from './Search'; // <-- Ensure Search is imported
 import { classNames } from '~/utils/classNames'; // <-- Import classNames if not already present
 import { LockManager } from './LockManager'; // <-- Import LockManager
+import { FileTimeline, getLineBlame } from './FileTimeline';
 
 interface EditorPanelProps {
   files?: FileMap;
@@ -62,6 +63,25 @@ export const EditorPanel = memo(
 
     const theme = useStore(themeStore);
     const showTerminal = useStore(workbenchStore.showTerminal);
+    const histories = useStore(workbenchStore.fileHistory.histories);
+    const [showBlame, setShowBlame] = useState(false);
+    const [showTimeline, setShowTimeline] = useState(false);
+
+    const activeFileHistory = editorDocument ? histories[editorDocument.filePath] : undefined;
+
+    useEffect(() => {
+      if (editorDocument?.filePath) {
+        workbenchStore.fileHistory.load(editorDocument.filePath);
+      }
+    }, [editorDocument?.filePath]);
+
+    const blame = useMemo(() => {
+      if (!showBlame || !activeFileHistory || !editorDocument || editorDocument.isBinary) {
+        return undefined;
+      }
+
+      return getLineBlame(activeFileHistory, editorDocument.value);
+    }, [showBlame, activeFileHistory, editorDocument?.value, editorDocument?.isBinary]);
 
     const activeFileSegments = useMemo(() => {
       if (!editorDocument) {
@@ -148,32 +168,56 @@ export const EditorPanel = memo(
                 {activeFileSegments?.length && (
                   <div className="flex items-center flex-1 text-sm">
                     <FileBreadcrumb pathSegments={activeFileSegments} files={files} onFileSelect={onFileSelect} />
-                    {activeFileUnsaved && (
-                      <div className="flex gap-1 ml-auto -mr-1.5">
-                        <PanelHeaderButton onClick={onFileSave}>
-                          <div className="i-ph:floppy-disk-duotone" />
-                          Save
-                        </PanelHeaderButton>
-                        <PanelHeaderButton onClick={onFileReset}>
-                          <div className="i-ph:clock-counter-clockwise-duotone" />
-                          Reset
-                        </PanelHeaderButton>
-                      </div>
-                    )}
+                    <div className="flex gap-1 ml-auto -mr-1.5">
+                      {activeFileUnsaved && (
+                        <>
+                          <PanelHeaderButton onClick={onFileSave}>
+                            <div className="i-ph:floppy-disk-duotone" />
+                            Save
+                          </PanelHeaderButton>
+                          <PanelHeaderButton onClick={onFileReset}>
+                            <div className="i-ph:clock-counter-clockwise-duotone" />
+                            Reset
+                          </PanelHeaderButton>
+                        </>
+                      )}
+                      <PanelHeaderButton
+                        className={showBlame ? 'text-bolt-elements-item-contentAccent' : undefined}
+                        onClick={() => setShowBlame(!showBlame)}
+                      >
+                        <div className="i-ph:user-list" />
+                        Blame
+                      </PanelHeaderButton>
+                      <PanelHeaderButton
+                        className={showTimeline ? 'text-bolt-elements-item-contentAccent' : undefined}
+                        onClick={() => setShowTimeline(!showTimeline)}
+                      >
+                        <div className="i-ph:clock-counter-clockwise" />
+                        Timeline
+                      </PanelHeaderButton>
+                    </div>
                   </div>
                 )}
               </PanelHeader>
-              <div className="h-full flex-1 overflow-hidden modern-scrollbar">
-                <CodeMirrorEditor
-                  theme={theme}
-                  editable={!isStreaming && editorDocument !== undefined}
-                  settings={editorSettings}
-                  doc={editorDocument}
-                  autoFocusOnDocumentChange={!isMobile()}
-                  onScroll={onEditorScroll}
-                  onChange={onEditorChange}
-                  onSave={onFileSave}
-                />
+              <div className="h-full flex-1 flex overflow-hidden">
+                <div className="h-full flex-1 min-w-0 overflow-hidden modern-scrollbar">
+                  <CodeMirrorEditor
+                    theme={theme}
+                    editable={!isStreaming && editorDocument !== undefined}
+                    settings={editorSettings}
+                    doc={editorDocument}
+                    blame={blame}
+                    autoFocusOnDocumentChange={!isMobile()}
+                    onScroll={onEditorScroll}
+                    onChange={onEditorChange}
+                    onSave={onFileSave}
+                  />
+                </div>
+                {showTimeline && editorDocument && (
+                  <div className="w-56 shrink-0 overflow-y-auto border-l border-bolt-elements-borderColor modern-scrollbar">
+                    <FileTimeline filePath={editorDocument.filePath} />
+                  </div>
+                )}
               </div>
             </Panel>
           </PanelGroup>
@@ -0,0 +1,139 @@
+import { useStore } from '@nanostores/react';
+import { formatDistanceToNow } from 'date-fns';
+import { memo } from 'react';
+import { toast } from 'react-toastify';
+import type { LineBlame } from '~/components/editor/codemirror/CodeMirrorEditor';
+import { blameLines } from '~/lib/stores/fileHistory';
+import { workbenchStore } from '~/lib/stores/workbench';
+import type { FileHistory, FileVersion, FileVersionSource } from '~/types/actions';
+import { classNames } from '~/utils/classNames';
+import { extractRelativePath } from '~/utils/diff';
+
+const sourceLabels: Record<FileVersionSource, string> = {
+  user: 'You',
+  assistant: 'Assistant',
+  external: 'External',
+};
+
+const buttonClassName =
+  'px-2 py-0.5 rounded-md text-xs bg-bolt-elements-button-secondary-background hover:bg-bolt-elements-button-secondary-backgroundHover text-bolt-elements-button-secondary-text';
+
+export function describeFileVersion(version: FileVersion) {
+  const label = sourceLabels[version.source ?? 'external'];
+  const message = version.messageId ? ` (message ${version.messageId})` : '';
+
+  return {
+    label,
+    title: `${label}${message}, ${new Date(version.timestamp).toLocaleString()}`,
+  };
+}
+
+/**
+ * Blame of each line of `content`, the file as it is in the editor. Lines not in any recorded version
+ * are unsaved edits.
+ */
+export function getLineBlame(history: FileHistory, content: string): LineBlame[] {
+  const { versions } = history;
+
+  return blameLines([...versions.map((version) => version.content), content]).map((index, line, blame) => {
+    const version = versions[index];
+    const { label, title } = version ? describeFileVersion(version) : { label: 'Unsaved', title: 'Unsaved edit' };
+    const continuesAbove = line > 0 && blame[line - 1] === index;
+
+    return {
+      label: continuesAbove ? '' : version ? `${label}, ${formatDistanceToNow(version.timestamp)} ago` : label,
+      title,
+    };
+  });
+}
+
+/**
+ * Write an earlier version back to the file, after confirming with the user
+ */
+export async function restoreFileVersion(filePath: string, version: FileVersion) {
+  const when = new Date(version.timestamp).toLocaleString();
+
+  if (!confirm(`Restore ${extractRelativePath(filePath)} to the version from ${when}? Unsaved edits are lost.`)) {
+    return;
+  }
+
+  try {
+    await workbenchStore.restoreFileVersion(filePath, version.content);
+    workbenchStore.fileHistory.compared.set(undefined);
+    toast.success(`Restored the version from ${when}`);
+  } catch (error) {
+    console.error('Failed to restore file version:', error);
+    toast.error(error instanceof Error ? error.message : 'Failed to restore file version');
+  }
+}
+
+/**
+ * Every recorded version of a file, newest first, to compare with or restore
+ */
+export const FileTimeline = memo(({ filePath }: { filePath: string }) => {
+  const history = useStore(workbenchStore.fileHistory.histories)[filePath];
+  const compared = useStore(workbenchStore.fileHistory.compared);
+  const versions = history?.versions ?? [];
+
+  const compare = (version: FileVersion) => {
+    workbenchStore.fileHistory.compared.set({ filePath, version });
+    workbenchStore.currentView.set('diff');
+  };
+
+  if (versions.length === 0) {
+    return (
+      <div className="p-3 text-xs text-bolt-elements-textTertiary">
+        No versions yet: they are recorded whenever you or the assistant change this file
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col">
+      {versions
+        .map((version, index) => ({ version, index }))
+        .reverse()
+        .map(({ version, index }) => {
+          const { label, title } = describeFileVersion(version);
+          const isCurrent = index === versions.length - 1;
+          const isCompared = compared?.filePath === filePath && compared.version === version;
+
+          return (
+            <div
+              key={`${version.timestamp}-${index}`}
+              className={classNames(
+                'px-3 py-2 border-b border-bolt-elements-borderColor text-xs',
+                isCompared ? 'bg-bolt-elements-item-backgroundAccent' : undefined,
+              )}
+              title={title}
+            >
+              <div className="flex items-center gap-1 text-bolt-elements-textPrimary">
+                <div
+                  className={
+                    version.source === 'assistant'
+                      ? 'i-ph:robot'
+                      : version.source === 'user'
+                        ? 'i-ph:user'
+                        : 'i-ph:arrow-square-in'
+                  }
+                />
+                <span>{label}</span>
+                {isCurrent && <span className="text-bolt-elements-textTertiary">(current)</span>}
+              </div>
+              <div className="text-bolt-elements-textTertiary mt-0.5">{formatDistanceToNow(version.timestamp)} ago</div>
+              {!isCurrent && (
+                <div className="flex gap-1 mt-1">
+                  <button className={buttonClassName} onClick={() => compare(version)}>
+                    Compare
+                  </button>
+                  <button className={buttonClassName} onClick={() => restoreFileVersion(filePath, version)}>
+                    Restore
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+    </div>
+  );
+});
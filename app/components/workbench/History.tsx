@@ -0,0 +1,227 @@
+import { useStore } from '@nanostores/react';
+import { formatDistanceToNow } from 'date-fns';
+import { memo, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { decodeCommitContent, type CommitFileChange, type ProjectCommit } from '~/lib/stores/projectGit';
+import { workbenchStore } from '~/lib/stores/workbench';
+import { classNames } from '~/utils/classNames';
+import { getLanguageFromExtension } from '~/utils/getLanguageFromExtension';
+import { InlineDiffComparison } from './DiffView';
+
+const buttonClassName =
+  'px-2 py-1 rounded-md text-xs font-medium bg-bolt-elements-button-secondary-background hover:bg-bolt-elements-button-secondary-backgroundHover text-bolt-elements-button-secondary-text disabled:opacity-50 disabled:cursor-not-allowed';
+
+function describeSkippedPaths(locked: string[], changedSince: string[] = []) {
+  return [
+    locked.length > 0 && `${locked.length} locked file(s) were left unchanged`,
+    changedSince.length > 0 && `${changedSince.length} file(s) edited since were left unchanged`,
+  ]
+    .filter(Boolean)
+    .join('; ');
+}
+
+const FileChangeDiff = memo(({ change }: { change: CommitFileChange }) => {
+  const before = decodeCommitContent(change.before);
+  const after = decodeCommitContent(change.after);
+
+  if (before === undefined || after === undefined) {
+    return (
+      <div className="h-full flex items-center justify-center text-sm text-bolt-elements-textTertiary">
+        Diff view is not available for binary files
+      </div>
+    );
+  }
+
+  return (
+    <InlineDiffComparison
+      beforeCode={before}
+      afterCode={after}
+      language={getLanguageFromExtension(change.path.split('.').pop() || '')}
+      filename={change.path}
+      lightTheme="github-light"
+      darkTheme="github-dark"
+    />
+  );
+});
+
+const CommitDetails = memo(({ commit }: { commit: ProjectCommit }) => {
+  const [changes, setChanges] = useState<CommitFileChange[]>();
+  const [selectedPath, setSelectedPath] = useState<string>();
+  const [isBusy, setIsBusy] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setChanges(undefined);
+    workbenchStore.projectGit
+      .getCommitChanges(commit.oid)
+      .then((result) => {
+        if (!cancelled) {
+          setChanges(result);
+          setSelectedPath(result[0]?.path);
+        }
+      })
+      .catch((error) => {
+        console.error('Failed to load commit changes:', error);
+
+        if (!cancelled) {
+          setChanges([]);
+          toast.error('Failed to load the changes of this commit');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [commit.oid]);
+
+  const revert = async () => {
+    if (!confirm(`Undo the changes of "${commit.summary}"? The result is committed as a new version.`)) {
+      return;
+    }
+
+    setIsBusy(true);
+
+    try {
+      const { locked, changedSince } = await workbenchStore.projectGit.revertCommit(commit);
+      const skipped = describeSkippedPaths(locked, changedSince);
+
+      if (skipped) {
+        toast.warning(`Reverted "${commit.summary}"; ${skipped}`);
+      } else {
+        toast.success(`Reverted "${commit.summary}"`);
+      }
+    } catch (error) {
+      console.error('Failed to revert commit:', error);
+      toast.error('Failed to revert commit');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const checkout = async () => {
+    if (!confirm(`Bring every file back to how it was at "${commit.summary}"? Later changes stay in the history.`)) {
+      return;
+    }
+
+    setIsBusy(true);
+
+    try {
+      const locked = await workbenchStore.projectGit.checkoutCommit(commit);
+      const skipped = describeSkippedPaths(locked);
+
+      if (skipped) {
+        toast.warning(`Checked out "${commit.summary}"; ${skipped}`);
+      } else {
+        toast.success(`Checked out "${commit.summary}"`);
+      }
+    } catch (error) {
+      console.error('Failed to check out commit:', error);
+      toast.error('Failed to check out commit');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const selectedChange = changes?.find((change) => change.path === selectedPath);
+
+  return (
+    <div className="h-full flex flex-col overflow-hidden">
+      <div className="flex items-start gap-2 p-2 text-xs bg-bolt-elements-background-depth-1 border-b border-bolt-elements-borderColor shrink-0">
+        <div className="min-w-0">
+          <div className="text-sm text-bolt-elements-textPrimary truncate">{commit.summary}</div>
+          {commit.body && (
+            <div className="mt-1 max-h-24 overflow-y-auto whitespace-pre-wrap text-bolt-elements-textSecondary">
+              {commit.body}
+            </div>
+          )}
+        </div>
+        <div className="ml-auto flex gap-2 shrink-0">
+          <button className={buttonClassName} disabled={isBusy} onClick={revert}>
+            Revert
+          </button>
+          <button className={buttonClassName} disabled={isBusy} onClick={checkout}>
+            Check Out
+          </button>
+        </div>
+      </div>
+      {changes === undefined ? (
+        <div className="flex-1 flex items-center justify-center text-sm text-bolt-elements-textTertiary">
+          Loading changes...
+        </div>
+      ) : changes.length === 0 ? (
+        <div className="flex-1 flex items-center justify-center text-sm text-bolt-elements-textTertiary">
+          No file changes in this commit
+        </div>
+      ) : (
+        <>
+          <div className="flex gap-1 p-1 overflow-x-auto border-b border-bolt-elements-borderColor shrink-0">
+            {changes.map((change) => (
+              <button
+                key={change.path}
+                className={classNames(
+                  'px-2 py-0.5 rounded text-xs whitespace-nowrap',
+                  change.path === selectedPath
+                    ? 'bg-bolt-elements-item-backgroundAccent text-bolt-elements-item-contentAccent'
+                    : 'text-bolt-elements-item-contentDefault hover:bg-bolt-elements-item-backgroundActive',
+                )}
+                onClick={() => setSelectedPath(change.path)}
+              >
+                {change.path}
+                {!change.before && ' (added)'}
+                {!change.after && ' (deleted)'}
+              </button>
+            ))}
+          </div>
+          <div className="flex-1 overflow-hidden">{selectedChange && <FileChangeDiff change={selectedChange} />}</div>
+        </>
+      )}
+    </div>
+  );
+});
+
+/**
+ * The project's git history: one commit per artifact, each with its diff, and revert/checkout
+ */
+export const History = memo(() => {
+  const commits = useStore(workbenchStore.projectGit.commits);
+  const [selectedOid, setSelectedOid] = useState<string>();
+  const selectedCommit = commits.find((commit) => commit.oid === selectedOid) ?? commits[0];
+
+  useEffect(() => {
+    workbenchStore.projectGit.refreshLog().catch((error) => console.error('Failed to load project history:', error));
+  }, []);
+
+  if (commits.length === 0) {
+    return (
+      <div className="flex w-full h-full justify-center items-center bg-bolt-elements-background-depth-1 text-bolt-elements-textSecondary text-sm">
+        No history yet: every completed artifact is committed here
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex h-full bg-bolt-elements-background-depth-1">
+      <div className="w-64 shrink-0 overflow-y-auto border-r border-bolt-elements-borderColor">
+        {commits.map((commit) => (
+          <button
+            key={commit.oid}
+            className={classNames(
+              'w-full text-left px-3 py-2 border-b border-bolt-elements-borderColor',
+              commit.oid === selectedCommit?.oid
+                ? 'bg-bolt-elements-item-backgroundAccent'
+                : 'hover:bg-bolt-elements-item-backgroundActive',
+            )}
+            onClick={() => setSelectedOid(commit.oid)}
+          >
+            <div className="text-sm text-bolt-elements-textPrimary truncate">{commit.summary}</div>
+            <div className="text-xs text-bolt-elements-textTertiary">
+              {commit.oid.slice(0, 7)} · {formatDistanceToNow(new Date(commit.timestamp))} ago
+            </div>
+          </button>
+        ))}
+      </div>
+      <div className="flex-1 min-w-0">{selectedCommit && <CommitDetails commit={selectedCommit} />}</div>
+    </div>
+  );
+});
@@ -1,256 +1,287 @@
+import { useStore } from '@nanostores/react';
 import { useState, useMemo, useCallback, useEffect } from 'react';
-import type { TextSearchOptions, TextSearchOnProgressCallback, WebContainer } from '@webcontainer/api';
+import { toast } from 'react-toastify';
 import { workbenchStore } from '~/lib/stores/workbench';
-import { webcontainer } from '~/lib/webcontainer';
+import { classNames } from '~/utils/classNames';
 import { WORK_DIR } from '~/utils/constants';
 import { debounce } from '~/utils/debounce';
-
-interface DisplayMatch {
-  path: string;
-  lineNumber: number;
-  previewText: string;
-  matchCharStart: number;
-  matchCharEnd: number;
+import { path } from '~/utils/path';
+import {
+  parseGlobList,
+  searchFiles,
+  SearchQueryError,
+  type FileSearchResult,
+  type SearchMatch,
+  type SearchOptions,
+} from '~/utils/searchReplace';
+
+const RESULT_LIMIT = 500;
+
+const inputClassName =
+  'w-full px-2 py-1 rounded-md bg-bolt-elements-background-depth-3 text-bolt-elements-textPrimary placeholder-bolt-elements-textTertiary focus:outline-none transition-all';
+
+const buttonClassName =
+  'px-2 py-0.5 rounded-md text-xs bg-bolt-elements-button-secondary-background hover:bg-bolt-elements-button-secondary-backgroundHover text-bolt-elements-button-secondary-text disabled:opacity-50 disabled:cursor-not-allowed';
+
+interface ToggleProps {
+  active: boolean;
+  title: string;
+  label: string;
+  onToggle: () => void;
 }
 
-async function performTextSearch(
-  instance: WebContainer,
-  query: string,
-  options: Omit<TextSearchOptions, 'folders'>,
-  onProgress: (results: DisplayMatch[]) => void,
-): Promise<void> {
-  if (!instance || typeof instance.internal?.textSearch !== 'function') {
-    console.error('WebContainer instance not available or internal searchText method is missing/not a function.');
-
-    return;
-  }
-
-  const searchOptions: TextSearchOptions = {
-    ...options,
-    folders: [WORK_DIR],
-  };
-
-  const progressCallback: TextSearchOnProgressCallback = (filePath: any, apiMatches: any[]) => {
-    const displayMatches: DisplayMatch[] = [];
-
-    apiMatches.forEach((apiMatch: { preview: { text: string; matches: string | any[] }; ranges: any[] }) => {
-      const previewLines = apiMatch.preview.text.split('\n');
-
-      apiMatch.ranges.forEach((range: { startLineNumber: number; startColumn: any; endColumn: any }) => {
-        let previewLineText = '(Preview line not found)';
-        let lineIndexInPreview = -1;
-
-        if (apiMatch.preview.matches.length > 0) {
-          const previewStartLine = apiMatch.preview.matches[0].startLineNumber;
-          lineIndexInPreview = range.startLineNumber - previewStartLine;
-        }
-
-        if (lineIndexInPreview >= 0 && lineIndexInPreview < previewLines.length) {
-          previewLineText = previewLines[lineIndexInPreview];
-        } else {
-          previewLineText = previewLines[0] ?? '(Preview unavailable)';
-        }
-
-        displayMatches.push({
-          path: filePath,
-          lineNumber: range.startLineNumber,
-          previewText: previewLineText,
-          matchCharStart: range.startColumn,
-          matchCharEnd: range.endColumn,
-        });
-      });
-    });
-
-    if (displayMatches.length > 0) {
-      onProgress(displayMatches);
-    }
-  };
-
-  try {
-    await instance.internal.textSearch(query, searchOptions, progressCallback);
-  } catch (error) {
-    console.error('Error during internal text search:', error);
-  }
+function Toggle({ active, title, label, onToggle }: ToggleProps) {
+  return (
+    <button
+      title={title}
+      aria-pressed={active}
+      className={classNames(
+        'px-1 h-5 rounded text-xs font-mono',
+        active
+          ? 'bg-bolt-elements-item-backgroundAccent text-bolt-elements-item-contentAccent'
+          : 'text-bolt-elements-textTertiary hover:text-bolt-elements-textPrimary',
+      )}
+      onClick={onToggle}
+    >
+      {label}
+    </button>
+  );
 }
 
-function groupResultsByFile(results: DisplayMatch[]): Record<string, DisplayMatch[]> {
-  return results.reduce(
-    (acc, result) => {
-      if (!acc[result.path]) {
-        acc[result.path] = [];
-      }
-
-      acc[result.path].push(result);
+function MatchPreview({ match, showReplacement }: { match: SearchMatch; showReplacement: boolean }) {
+  const contextChars = 7;
+  const isStart = match.start <= contextChars;
+  const previewStart = isStart ? 0 : match.start - contextChars;
+  const matchStart = match.start - previewStart;
+  const matchEnd = match.end - previewStart;
+  const previewText = match.lineText.slice(previewStart);
 
-      return acc;
-    },
-    {} as Record<string, DisplayMatch[]>,
+  return (
+    <pre className="font-mono text-xs text-bolt-elements-textTertiary truncate">
+      {!isStart && <span>...</span>}
+      {previewText.slice(0, matchStart)}
+      <span
+        className={classNames(
+          'bg-bolt-elements-item-backgroundAccent text-bolt-elements-item-contentAccent rounded px-1',
+          showReplacement ? 'line-through' : undefined,
+        )}
+      >
+        {previewText.slice(matchStart, matchEnd)}
+      </span>
+      {showReplacement && (
+        <span className="bg-bolt-elements-item-backgroundAccent text-bolt-elements-textPrimary rounded px-1">
+          {match.replacement}
+        </span>
+      )}
+      {previewText.slice(matchEnd)}
+    </pre>
   );
 }
 
 export function Search() {
   const [searchQuery, setSearchQuery] = useState('');
-  const [searchResults, setSearchResults] = useState<DisplayMatch[]>([]);
-  const [isSearching, setIsSearching] = useState(false);
-  const [expandedFiles, setExpandedFiles] = useState<Record<string, boolean>>({});
-  const [hasSearched, setHasSearched] = useState(false);
-
-  const groupedResults = useMemo(() => groupResultsByFile(searchResults), [searchResults]);
+  const [replacement, setReplacement] = useState('');
+  const [isRegex, setIsRegex] = useState(false);
+  const [caseSensitive, setCaseSensitive] = useState(false);
+  const [wholeWord, setWholeWord] = useState(false);
+  const [includeText, setIncludeText] = useState('');
+  const [excludeText, setExcludeText] = useState('');
+  const [showFilters, setShowFilters] = useState(false);
+  const [searchResults, setSearchResults] = useState<FileSearchResult[]>([]);
+  const [searchError, setSearchError] = useState<string>();
+  const [collapsedFiles, setCollapsedFiles] = useState<Record<string, boolean>>({});
+  const files = useStore(workbenchStore.files);
+  const lastReplace = useStore(workbenchStore.lastReplace);
+
+  const options: SearchOptions = useMemo(
+    () => ({
+      query: searchQuery,
+      isRegex,
+      caseSensitive,
+      wholeWord,
+      include: parseGlobList(includeText),
+      exclude: parseGlobList(excludeText),
+    }),
+    [searchQuery, isRegex, caseSensitive, wholeWord, includeText, excludeText],
+  );
 
-  useEffect(() => {
-    if (searchResults.length > 0) {
-      const allExpanded: Record<string, boolean> = {};
-      Object.keys(groupedResults).forEach((file) => {
-        allExpanded[file] = true;
-      });
-      setExpandedFiles(allExpanded);
-    }
-  }, [groupedResults, searchResults]);
+  const handleSearch = useCallback((options: SearchOptions, replacement: string) => {
+    try {
+      setSearchResults(searchFiles(workbenchStore.getTextFiles(), options, replacement, RESULT_LIMIT));
+      setSearchError(undefined);
+    } catch (error) {
+      if (!(error instanceof SearchQueryError)) {
+        throw error;
+      }
 
-  const handleSearch = useCallback(async (query: string) => {
-    if (!query.trim()) {
       setSearchResults([]);
-      setIsSearching(false);
-      setExpandedFiles({});
-      setHasSearched(false);
-
-      return;
+      setSearchError(error.message);
     }
+  }, []);
 
-    setIsSearching(true);
-    setSearchResults([]);
-    setExpandedFiles({});
-    setHasSearched(true);
+  const debouncedSearch = useCallback(debounce(handleSearch, 300), [handleSearch]);
 
-    const minLoaderTime = 300; // ms
-    const start = Date.now();
+  // search again when the files change, including after a replace or its undo
+  useEffect(() => {
+    debouncedSearch(options, replacement);
+  }, [options, replacement, files, lastReplace, debouncedSearch]);
 
-    try {
-      const instance = await webcontainer;
-      const options: Omit<TextSearchOptions, 'folders'> = {
-        homeDir: WORK_DIR, // Adjust this path as needed
-        includes: ['**/*.*'],
-        excludes: ['**/node_modules/**', '**/package-lock.json', '**/.git/**', '**/dist/**', '**/*.lock'],
-        gitignore: true,
-        requireGit: false,
-        globalIgnoreFiles: true,
-        ignoreSymlinks: false,
-        resultLimit: 500,
-        isRegex: false,
-        caseSensitive: false,
-        isWordMatch: false,
-      };
+  const matchCount = searchResults.reduce((count, result) => count + result.matches.length, 0);
+  const showReplacement = replacement !== '';
 
-      const progressHandler = (batchResults: DisplayMatch[]) => {
-        setSearchResults((prevResults) => [...prevResults, ...batchResults]);
-      };
+  const handleResultClick = (relativePath: string, line: number) => {
+    workbenchStore.setSelectedFile(path.join(WORK_DIR, relativePath));
 
-      await performTextSearch(instance, query, options, progressHandler);
-    } catch (error) {
-      console.error('Failed to initiate search:', error);
-    } finally {
-      const elapsed = Date.now() - start;
+    // search results use 1-based line numbers, CodeMirrorEditor 0-based ones
+    workbenchStore.setCurrentDocumentScrollPosition({ line: Math.max(0, line - 1), column: 0 });
+  };
 
-      if (elapsed < minLoaderTime) {
-        setTimeout(() => setIsSearching(false), minLoaderTime - elapsed);
-      } else {
-        setIsSearching(false);
-      }
+  const replaceAll = () => {
+    // the preview stops at RESULT_LIMIT matches; replacing covers every one of them
+    const results = searchFiles(workbenchStore.getTextFiles(), options, replacement);
+    const total = results.reduce((count, result) => count + result.matches.length, 0);
+
+    if (!confirm(`Replace ${total} match(es) in ${results.length} file(s)?`)) {
+      return;
     }
-  }, []);
 
-  const debouncedSearch = useCallback(debounce(handleSearch, 300), [handleSearch]);
+    const locked = workbenchStore.replaceInFiles(
+      new Map(results.map((result) => [result.path, result.replacedContent])),
+    );
 
-  useEffect(() => {
-    debouncedSearch(searchQuery);
-  }, [searchQuery, debouncedSearch]);
+    if (locked.length > 0) {
+      toast.warning(`Replaced in ${results.length - locked.length} file(s); skipped locked ${locked.join(', ')}`);
+    } else {
+      toast.success(`Replaced ${total} match(es) in ${results.length} file(s)`);
+    }
+  };
 
-  const handleResultClick = (filePath: string, line?: number) => {
-    workbenchStore.setSelectedFile(filePath);
+  const undoReplace = () => {
+    const { changedSince, locked } = workbenchStore.undoReplace();
 
-    /*
-     * Adjust line number to be 0-based if it's defined
-     * The search results use 1-based line numbers, but CodeMirrorEditor expects 0-based
-     */
-    const adjustedLine = typeof line === 'number' ? Math.max(0, line - 1) : undefined;
+    if (changedSince.length > 0 || locked.length > 0) {
+      const left = [
+        changedSince.length > 0 && `${changedSince.join(', ')} as edited since`,
+        locked.length > 0 && `locked ${locked.join(', ')}`,
+      ].filter(Boolean);
 
-    workbenchStore.setCurrentDocumentScrollPosition({ line: adjustedLine, column: 0 });
+      toast.warning(`Undid the replace; left ${left.join(' and ')}`);
+    } else {
+      toast.success('Undid the replace');
+    }
   };
 
   return (
     <div className="flex flex-col h-full bg-bolt-elements-background-depth-2">
-      {/* Search Bar */}
-      <div className="flex items-center py-3 px-3">
-        <div className="relative flex-1">
+      <div className="flex flex-col gap-1.5 py-3 px-3">
+        <div className="relative flex items-center">
           <input
             type="text"
             value={searchQuery}
             onChange={(e) => setSearchQuery(e.target.value)}
             placeholder="Search"
-            className="w-full px-2 py-1 rounded-md bg-bolt-elements-background-depth-3 text-bolt-elements-textPrimary placeholder-bolt-elements-textTertiary focus:outline-none transition-all"
+            className={classNames(inputClassName, 'pr-20')}
           />
+          <div className="absolute right-1 flex gap-0.5">
+            <Toggle
+              active={caseSensitive}
+              title="Match Case"
+              label="Aa"
+              onToggle={() => setCaseSensitive(!caseSensitive)}
+            />
+            <Toggle active={wholeWord} title="Match Whole Word" label="ab" onToggle={() => setWholeWord(!wholeWord)} />
+            <Toggle active={isRegex} title="Use Regular Expression" label=".*" onToggle={() => setIsRegex(!isRegex)} />
+          </div>
         </div>
+        <input
+          type="text"
+          value={replacement}
+          onChange={(e) => setReplacement(e.target.value)}
+          placeholder={isRegex ? 'Replace ($1, $<name> for groups)' : 'Replace'}
+          className={inputClassName}
+        />
+        <button
+          className="self-start text-xs text-bolt-elements-textTertiary hover:text-bolt-elements-textPrimary"
+          onClick={() => setShowFilters(!showFilters)}
+        >
+          {showFilters ? 'Hide file filters' : 'File filters'}
+        </button>
+        {showFilters && (
+          <>
+            <input
+              type="text"
+              value={includeText}
+              onChange={(e) => setIncludeText(e.target.value)}
+              placeholder="Files to include, e.g. src/**, *.ts"
+              className={classNames(inputClassName, 'text-xs')}
+            />
+            <input
+              type="text"
+              value={excludeText}
+              onChange={(e) => setExcludeText(e.target.value)}
+              placeholder="Files to exclude, e.g. *.test.ts"
+              className={classNames(inputClassName, 'text-xs')}
+            />
+          </>
+        )}
+        {(matchCount > 0 || lastReplace) && (
+          <div className="flex items-center gap-2 text-xs text-bolt-elements-textTertiary">
+            {matchCount > 0 && (
+              <span>
+                {matchCount >= RESULT_LIMIT ? `${RESULT_LIMIT}+` : matchCount} result(s) in {searchResults.length}{' '}
+                file(s)
+              </span>
+            )}
+            <div className="ml-auto flex gap-1">
+              {lastReplace && (
+                <button className={buttonClassName} onClick={undoReplace}>
+                  Undo Replace
+                </button>
+              )}
+              {matchCount > 0 && (
+                <button className={buttonClassName} onClick={replaceAll}>
+                  Replace All
+                </button>
+              )}
+            </div>
+          </div>
+        )}
       </div>
 
       {/* Results */}
       <div className="flex-1 overflow-auto py-2">
-        {isSearching && (
-          <div className="flex items-center justify-center h-32 text-bolt-elements-textTertiary">
-            <div className="i-ph:circle-notch animate-spin mr-2" /> Searching...
-          </div>
-        )}
-        {!isSearching && hasSearched && searchResults.length === 0 && searchQuery.trim() !== '' && (
+        {searchError && <div className="px-3 text-xs text-bolt-elements-icon-error">{searchError}</div>}
+        {!searchError && searchQuery !== '' && searchResults.length === 0 && (
           <div className="flex items-center justify-center h-32 text-gray-500">No results found.</div>
         )}
-        {!isSearching &&
-          Object.keys(groupedResults).map((file) => (
-            <div key={file} className="mb-2">
-              <button
-                className="flex gap-2 items-center w-full text-left py-1 px-2 text-bolt-elements-textSecondary bg-transparent hover:bg-bolt-elements-background-depth-3 group"
-                onClick={() => setExpandedFiles((prev) => ({ ...prev, [file]: !prev[file] }))}
-              >
-                <span
-                  className=" i-ph:caret-down-thin w-3 h-3 text-bolt-elements-textSecondary transition-transform"
-                  style={{ transform: expandedFiles[file] ? 'rotate(180deg)' : undefined }}
-                />
-                <span className="font-normal text-sm">{file.split('/').pop()}</span>
-                <span className="h-5.5 w-5.5 flex items-center justify-center text-xs ml-auto bg-bolt-elements-item-backgroundAccent text-bolt-elements-item-contentAccent rounded-full">
-                  {groupedResults[file].length}
-                </span>
-              </button>
-              {expandedFiles[file] && (
-                <div className="">
-                  {groupedResults[file].map((match, idx) => {
-                    const contextChars = 7;
-                    const isStart = match.matchCharStart <= contextChars;
-                    const previewStart = isStart ? 0 : match.matchCharStart - contextChars;
-                    const previewText = match.previewText.slice(previewStart);
-                    const matchStart = isStart ? match.matchCharStart : contextChars;
-                    const matchEnd = isStart
-                      ? match.matchCharEnd
-                      : contextChars + (match.matchCharEnd - match.matchCharStart);
-
-                    return (
-                      <div
-                        key={idx}
-                        className="hover:bg-bolt-elements-background-depth-3 cursor-pointer transition-colors pl-6 py-1"
-                        onClick={() => handleResultClick(match.path, match.lineNumber)}
-                      >
-                        <pre className="font-mono text-xs text-bolt-elements-textTertiary truncate">
-                          {!isStart && <span>...</span>}
-                          {previewText.slice(0, matchStart)}
-                          <span className="bg-bolt-elements-item-backgroundAccent text-bolt-elements-item-contentAccent rounded px-1">
-                            {previewText.slice(matchStart, matchEnd)}
-                          </span>
-                          {previewText.slice(matchEnd)}
-                        </pre>
-                      </div>
-                    );
-                  })}
+        {searchResults.map((result) => (
+          <div key={result.path} className="mb-2">
+            <button
+              className="flex gap-2 items-center w-full text-left py-1 px-2 text-bolt-elements-textSecondary bg-transparent hover:bg-bolt-elements-background-depth-3 group"
+              title={result.path}
+              onClick={() => setCollapsedFiles((prev) => ({ ...prev, [result.path]: !prev[result.path] }))}
+            >
+              <span
+                className=" i-ph:caret-down-thin w-3 h-3 text-bolt-elements-textSecondary transition-transform"
+                style={{ transform: collapsedFiles[result.path] ? undefined : 'rotate(180deg)' }}
+              />
+              <span className="font-normal text-sm">{result.path.split('/').pop()}</span>
+              <span className="h-5.5 w-5.5 flex items-center justify-center text-xs ml-auto bg-bolt-elements-item-backgroundAccent text-bolt-elements-item-contentAccent rounded-full">
+                {result.matches.length}
+              </span>
+            </button>
+            {!collapsedFiles[result.path] &&
+              result.matches.map((match, idx) => (
+                <div
+                  key={idx}
+                  className="hover:bg-bolt-elements-background-depth-3 cursor-pointer transition-colors pl-6 py-1"
+                  onClick={() => handleResultClick(result.path, match.lineNumber)}
+                >
+                  <MatchPreview match={match} showReplacement={showReplacement} />
                 </div>
-              )}
-            </div>
-          ))}
+              ))}
+          </div>
+        ))}
       </div>
     </div>
   );
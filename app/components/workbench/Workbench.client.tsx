@@ -9,6 +9,7 @@ import { ActionRunner } from '~/lib/runtime/action-runner';
 import { getLanguageFromExtension } from '~/utils/getLanguageFromExtension';
 import type { FileHistory } from '~/types/actions';
 import { DiffView } from './DiffView';
+import { History } from './History';
 import {
   type OnChangeCallback as OnEditorChange,
   type OnScrollCallback as OnEditorScroll,
@@ -26,6 +27,9 @@ import useViewport from '~/lib/hooks';
 import { PushToGitHubDialog } from '~/components/@settings/tabs/connections/components/PushToGitHubDialog';
 import * as DropdownMenu from '@radix-ui/react-dropdown-menu';
 import { usePreviewStore } from '~/lib/stores/previews';
+import { isFolderSyncSupported, pickLocalFolder } from '~/utils/localFolder';
+import { WORK_DIR } from '~/utils/constants';
+import { path } from '~/utils/path';
 
 interface WorkspaceProps {
   chatStarted?: boolean;
@@ -44,10 +48,16 @@ const sliderOptions: SliderOptions<WorkbenchViewType> = {
     value: 'code',
     text: 'Code',
   },
-  middle: {
-    value: 'diff',
-    text: 'Diff',
-  },
+  middle: [
+    {
+      value: 'diff',
+      text: 'Diff',
+    },
+    {
+      value: 'history',
+      text: 'History',
+    },
+  ],
   right: {
     value: 'preview',
     text: 'Preview',
@@ -277,11 +287,47 @@ const FileModifiedDropdown = memo(
   },
 );
 
+/**
+ * Shows the linked folder and how many files are in conflict with it; a click opens the first conflict
+ */
+const FolderSyncIndicator = memo(() => {
+  const { status, folderName, conflicts } = useStore(workbenchStore.folderSync);
+  const conflictPaths = Object.keys(conflicts).sort();
+
+  if (status !== 'linked') {
+    return null;
+  }
+
+  return (
+    <button
+      className={classNames(
+        'flex items-center gap-1 mr-1 px-2 py-1 rounded-md text-xs',
+        conflictPaths.length > 0
+          ? 'text-bolt-elements-icon-error hover:bg-bolt-elements-item-backgroundActive'
+          : 'text-bolt-elements-textSecondary cursor-default',
+      )}
+      title={conflictPaths.length > 0 ? conflictPaths.join('\n') : `Changes are synced with ${folderName}`}
+      onClick={() => {
+        if (conflictPaths.length > 0) {
+          workbenchStore.setSelectedFile(path.join(WORK_DIR, conflictPaths[0]));
+          workbenchStore.currentView.set('diff');
+        }
+      }}
+    >
+      <div className={conflictPaths.length > 0 ? 'i-ph:warning' : 'i-ph:link'} />
+      {conflictPaths.length > 0
+        ? `${conflictPaths.length} sync ${conflictPaths.length === 1 ? 'conflict' : 'conflicts'}`
+        : folderName}
+    </button>
+  );
+});
+
 export const Workbench = memo(
   ({ chatStarted, isStreaming, actionRunner, metadata, updateChatMestaData }: WorkspaceProps) => {
     renderLogger.trace('Workbench');
 
     const [isSyncing, setIsSyncing] = useState(false);
+    const folderSync = useStore(workbenchStore.folderSync);
     const [isPushDialogOpen, setIsPushDialogOpen] = useState(false);
     const [fileHistory, setFileHistory] = useState<Record<string, FileHistory>>({});
 
@@ -355,6 +401,31 @@ export const Workbench = memo(
       }
     }, []);
 
+    const handleLinkFolder = useCallback(async () => {
+      try {
+        const folder = await pickLocalFolder();
+
+        if (!folder) {
+          return;
+        }
+
+        await workbenchStore.linkFolder(folder);
+
+        if (workbenchStore.folderSync.get().status === 'linked') {
+          toast.success(`Linked to ${folder.name}; changes on either side are now synced`);
+        }
+      } catch (error) {
+        console.error('Error linking folder:', error);
+        toast.error('Failed to link folder');
+      }
+    }, []);
+
+    useEffect(() => {
+      if (folderSync.status === 'error') {
+        toast.error(`Folder sync stopped: ${folderSync.error}`);
+      }
+    }, [folderSync.status]);
+
     const handleSelectFile = useCallback((filePath: string) => {
       workbenchStore.setSelectedFile(filePath);
       workbenchStore.currentView.set('diff');
@@ -384,6 +455,7 @@ export const Workbench = memo(
                 <div className="flex items-center px-3 py-2 border-b border-bolt-elements-borderColor gap-1">
                   <Slider selected={selectedView} options={sliderOptions} setSelected={setSelectedView} />
                   <div className="ml-auto" />
+                  <FolderSyncIndicator />
                   {selectedView === 'code' && (
                     <div className="flex overflow-y-auto">
                       <PanelHeaderButton
@@ -437,6 +509,25 @@ export const Workbench = memo(
                               <span>{isSyncing ? 'Syncing...' : 'Sync Files'}</span>
                             </div>
                           </DropdownMenu.Item>
+                          {isFolderSyncSupported() && (
+                            <DropdownMenu.Item
+                              className={classNames(
+                                'cursor-pointer flex items-center w-full px-4 py-2 text-sm text-bolt-elements-textPrimary hover:bg-bolt-elements-item-backgroundActive gap-2 rounded-md group relative',
+                              )}
+                              onClick={
+                                folderSync.status === 'linked' ? () => workbenchStore.unlinkFolder() : handleLinkFolder
+                              }
+                            >
+                              <div className="flex items-center gap-2">
+                                <div className={folderSync.status === 'linked' ? 'i-ph:link-break' : 'i-ph:link'} />
+                                <span>
+                                  {folderSync.status === 'linked'
+                                    ? `Unlink ${folderSync.folderName}`
+                                    : 'Link Local Folder'}
+                                </span>
+                              </div>
+                            </DropdownMenu.Item>
+                          )}
                           <DropdownMenu.Item
                             className={classNames(
                               'cursor-pointer flex items-center w-full px-4 py-2 text-sm text-bolt-elements-textPrimary hover:bg-bolt-elements-item-backgroundActive gap-2 rounded-md group relative',
@@ -487,6 +578,19 @@ export const Workbench = memo(
                   >
                     <DiffView fileHistory={fileHistory} setFileHistory={setFileHistory} actionRunner={actionRunner} />
                   </View>
+                  <View
+                    initial={{ x: '100%' }}
+                    animate={{
+                      x:
+                        selectedView === 'history'
+                          ? '0%'
+                          : selectedView === 'code' || selectedView === 'diff'
+                            ? '100%'
+                            : '-100%',
+                    }}
+                  >
+                    <History />
+                  </View>
                   <View initial={{ x: '100%' }} animate={{ x: selectedView === 'preview' ? '0%' : '100%' }}>
                     <Preview />
                   </View>
@@ -0,0 +1,89 @@
+import { generateText, type Message } from 'ai';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import type { BaseProvider } from '~/lib/modules/llm/base-provider';
+import { LLMManager } from '~/lib/modules/llm/manager';
+import type { ModelInfo } from '~/lib/modules/llm/types';
+import { compactMessages } from './compact-messages';
+
+vi.mock('ai', async (importOriginal) => ({ ...(await importOriginal<typeof import('ai')>()), generateText: vi.fn() }));
+
+const model: ModelInfo = { name: 'm', label: 'M', provider: 'P', maxTokenAllowed: 8000, contextWindow: 1000 };
+
+// four messages of about 200 tokens each, which overflow half of the 1000 token window
+const messages: Message[] = ['1', '2', '3', '4'].map((id, index) => ({
+  id,
+  role: index % 2 === 0 ? 'user' : 'assistant',
+  content: `[Model: m]\n\n[Provider: P]\n\n${'x'.repeat(800)}`,
+}));
+
+function mockModel(modelDetails: ModelInfo) {
+  const provider = { getModelInstance: () => ({}) } as unknown as BaseProvider;
+  vi.spyOn(LLMManager.getInstance(), 'resolveModel').mockResolvedValue({ provider, modelDetails });
+}
+
+describe('compactMessages', () => {
+  beforeEach(() => {
+    mockModel(model);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.mocked(generateText).mockReset();
+  });
+
+  it('should leave out messages compacted earlier unless they are pinned', async () => {
+    const result = await compactMessages({
+      messages,
+      compaction: { summary: 'earlier', compactedIds: ['1', '2'], pinnedIds: ['2'] },
+      threshold: 0,
+    });
+
+    expect(result.messages.map((message) => message.id)).toEqual(['2', '3', '4']);
+    expect(result.summary).toBe('earlier');
+    expect(generateText).not.toHaveBeenCalled();
+  });
+
+  it('should fold the oldest unpinned messages into the summary', async () => {
+    vi.mocked(generateText).mockResolvedValue({ text: 'summary' } as Awaited<ReturnType<typeof generateText>>);
+
+    const result = await compactMessages({
+      messages,
+      compaction: { compactedIds: [], pinnedIds: ['1'] },
+      threshold: 0.5,
+    });
+
+    expect(result.messages.map((message) => message.id)).toEqual(['1', '3', '4']);
+    expect(result.summary).toBe('summary');
+    expect(result.compactedIds).toEqual(['2']);
+  });
+
+  it('should send the history in full when the summary fails', async () => {
+    vi.mocked(generateText).mockRejectedValue(new Error('rate limited'));
+
+    const result = await compactMessages({ messages, threshold: 0.5 });
+
+    expect(result.messages).toEqual(messages);
+    expect(result.compactedIds).toBeUndefined();
+  });
+
+  it('should send the history in full when the model cannot be resolved', async () => {
+    vi.spyOn(LLMManager.getInstance(), 'resolveModel').mockRejectedValue(
+      new Error('VS Code LLM Bridge is not running'),
+    );
+
+    const result = await compactMessages({ messages, threshold: 0.5 });
+
+    expect(result.messages).toEqual(messages);
+    expect(result.compactedIds).toBeUndefined();
+    expect(generateText).not.toHaveBeenCalled();
+  });
+
+  it('should not compact for a model whose context window is unknown', async () => {
+    mockModel({ ...model, contextWindow: undefined });
+
+    const result = await compactMessages({ messages, threshold: 0.5 });
+
+    expect(result.messages).toEqual(messages);
+    expect(generateText).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,127 @@
+import { generateText, type CoreTool, type GenerateTextResult, type Message } from 'ai';
+import type { IProviderSetting } from '~/types/model';
+import type { ModelInfo } from '~/lib/modules/llm/types';
+import { estimateMessageTokens, selectMessagesToCompact, type CompactionState } from '~/utils/compaction';
+import { estimateTokens } from '~/utils/projectIndex';
+import { createScopedLogger } from '~/utils/logger';
+import { SUMMARY_SYSTEM_PROMPT } from './create-summary';
+import { LLMManager } from '~/lib/modules/llm/manager';
+import { extractPropertiesFromMessage, simplifyBoltActions } from './utils';
+
+const logger = createScopedLogger('compact-messages');
+
+export interface CompactionResult {
+  // the history to send: what was never compacted, plus pinned messages
+  messages: Message[];
+  summary?: string;
+
+  // every compacted message id, set only when this request compacted more of them
+  compactedIds?: string[];
+}
+
+// plain text of a message, without the model tags of user messages or the file contents of actions
+function extractTextContent(message: Message) {
+  if (message.role === 'assistant') {
+    return simplifyBoltActions(message.content);
+  }
+
+  const { content } = message.role === 'user' ? extractPropertiesFromMessage(message) : message;
+
+  return Array.isArray(content) ? (content as any[]).find((item) => item.type === 'text')?.text || '' : content;
+}
+
+/**
+ * Leave out the messages compacted by earlier requests, then fold more of the oldest ones into the
+ * summary when the history still takes more than `threshold` of the model's context window.
+ * Models without a known context window are never compacted, and a model that cannot be resolved
+ * or a failed summary leaves the history as it is rather than failing the request, so the request
+ * itself can still fall back to another model.
+ */
+export async function compactMessages(props: {
+  messages: Message[];
+  compaction?: CompactionState;
+  threshold: number;
+  env?: Env;
+  apiKeys?: Record<string, string>;
+  providerSettings?: Record<string, IProviderSetting>;
+
+  // called with the result and the model that made it, which prices the call
+  onFinish?: (resp: GenerateTextResult<Record<string, CoreTool<any, any>>, never>, model: ModelInfo) => void;
+}): Promise<CompactionResult> {
+  const { compaction, threshold, env: serverEnv, apiKeys, providerSettings, onFinish } = props;
+  const { summary, compactedIds = [], pinnedIds = [] } = compaction ?? {};
+  const messages = props.messages.filter(
+    (message) => !compactedIds.includes(message.id) || pinnedIds.includes(message.id),
+  );
+  const lastUserMessage = messages.filter((message) => message.role === 'user').pop();
+
+  if (threshold <= 0 || !lastUserMessage) {
+    return { messages, summary };
+  }
+
+  try {
+    const { model, provider: providerName } = extractPropertiesFromMessage(lastUserMessage);
+    const { provider, modelDetails } = await LLMManager.getInstance().resolveModel(providerName, model, {
+      apiKeys,
+      providerSettings,
+      serverEnv,
+    });
+
+    // `maxTokenAllowed` caps the answer, so it says nothing about how much history the model can take
+    if (!modelDetails.contextWindow) {
+      logger.debug(`Not compacting: the context window of ${modelDetails.name} is unknown`);
+      return { messages, summary };
+    }
+
+    const budget = Math.floor(modelDetails.contextWindow * threshold) - estimateTokens(summary ?? '');
+    const foldedIds = selectMessagesToCompact(
+      messages.map((message) => ({ id: message.id, tokens: estimateMessageTokens(message.content) })),
+      budget,
+      pinnedIds,
+    );
+
+    if (foldedIds.length === 0) {
+      return { messages, summary };
+    }
+
+    const folded = messages.filter((message) => foldedIds.includes(message.id));
+
+    logger.info(`Compacting ${folded.length} messages to fit ${budget} tokens of ${modelDetails.name}`);
+
+    const resp = await generateText({
+      system: SUMMARY_SYSTEM_PROMPT,
+      prompt: `
+Here is the previous summary of the chat:
+<old_summary>
+${summary ?? 'None yet, this is the start of the chat.'}
+</old_summary>
+
+Below are the messages that followed it:
+---
+<new_chats>
+${folded.map((message) => `---\n[${message.role}] ${extractTextContent(message)}\n---`).join('\n')}
+</new_chats>
+---
+
+Please provide a summary of the chat till now including the historical summary of the chat.
+`,
+      model: provider.getModelInstance({
+        model: modelDetails.name,
+        serverEnv,
+        apiKeys,
+        providerSettings,
+      }),
+    });
+
+    onFinish?.(resp, modelDetails);
+
+    return {
+      messages: messages.filter((message) => !foldedIds.includes(message.id)),
+      summary: resp.text,
+      compactedIds: [...compactedIds, ...foldedIds],
+    };
+  } catch (error) {
+    logger.error('Failed to compact the conversation, sending it in full', error);
+    return { messages, summary };
+  }
+}
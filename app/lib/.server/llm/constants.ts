@@ -4,6 +4,9 @@ export const MAX_TOKENS = 8000;
 // limits the number of model responses that can be returned in a single request
 export const MAX_RESPONSE_SEGMENTS = 2;
 
+// share of a model's input window that selected context files may use, when the provider can count tokens
+export const CONTEXT_BUFFER_TOKEN_SHARE = 0.5;
+
 export interface File {
   type: 'file';
   content: string;
@@ -1,5 +1,6 @@
 import { generateText, type CoreTool, type GenerateTextResult, type Message } from 'ai';
 import type { IProviderSetting } from '~/types/model';
+import type { ModelInfo } from '~/lib/modules/llm/types';
 import { DEFAULT_MODEL, DEFAULT_PROVIDER, PROVIDER_LIST } from '~/utils/constants';
 import { extractCurrentContext, extractPropertiesFromMessage, simplifyBoltActions } from './utils';
 import { createScopedLogger } from '~/utils/logger';
@@ -7,6 +8,66 @@ import { LLMManager } from '~/lib/modules/llm/manager';
 
 const logger = createScopedLogger('create-summary');
 
+// instructions and format for summarizing a chat, shared with conversation compaction
+export const SUMMARY_SYSTEM_PROMPT = `
+        You are a software engineer. You are working on a project. you need to summarize the work till now and provide a summary of the chat till now.
+
+        Please only use the following format to generate the summary:
+---
+# Project Overview
+- **Project**: {project_name} - {brief_description}
+- **Current Phase**: {phase}
+- **Tech Stack**: {languages}, {frameworks}, {key_dependencies}
+- **Environment**: {critical_env_details}
+
+# Conversation Context
+- **Last Topic**: {main_discussion_point}
+- **Key Decisions**: {important_decisions_made}
+- **User Context**:
+  - Technical Level: {expertise_level}
+  - Preferences: {coding_style_preferences}
+  - Communication: {preferred_explanation_style}
+
+# Implementation Status
+## Current State
+- **Active Feature**: {feature_in_development}
+- **Progress**: {what_works_and_what_doesn't}
+- **Blockers**: {current_challenges}
+
+## Code Evolution
+- **Recent Changes**: {latest_modifications}
+- **Working Patterns**: {successful_approaches}
+- **Failed Approaches**: {attempted_solutions_that_failed}
+
+# Requirements
+- **Implemented**: {completed_features}
+- **In Progress**: {current_focus}
+- **Pending**: {upcoming_features}
+- **Technical Constraints**: {critical_constraints}
+
+# Critical Memory
+- **Must Preserve**: {crucial_technical_context}
+- **User Requirements**: {specific_user_needs}
+- **Known Issues**: {documented_problems}
+
+# Next Actions
+- **Immediate**: {next_steps}
+- **Open Questions**: {unresolved_issues}
+
+---
+Note:
+4. Keep entries concise and focused on information needed for continuity
+
+
+---
+        
+        RULES:
+        * Only provide the whole summary of the chat till now.
+        * Do not provide any new information.
+        * DO not need to think too much just start writing imidiately
+        * do not write any thing other that the summary with with the provided structure
+        `;
+
 export async function createSummary(props: {
   messages: Message[];
   env?: Env;
@@ -14,7 +75,7 @@ export async function createSummary(props: {
   providerSettings?: Record<string, IProviderSetting>;
   promptId?: string;
   contextOptimization?: boolean;
-  onFinish?: (resp: GenerateTextResult<Record<string, CoreTool<any, any>>, never>) => void;
+  onFinish?: (resp: GenerateTextResult<Record<string, CoreTool<any, any>>, never>, model: ModelInfo) => void;
 }) {
   const { messages, env: serverEnv, apiKeys, providerSettings, onFinish } = props;
   let currentModel = DEFAULT_MODEL;
@@ -101,64 +162,7 @@ ${summary.summary}`;
 
   // select files from the list of code file from the project that might be useful for the current request from the user
   const resp = await generateText({
-    system: `
-        You are a software engineer. You are working on a project. you need to summarize the work till now and provide a summary of the chat till now.
-
-        Please only use the following format to generate the summary:
----
-# Project Overview
-- **Project**: {project_name} - {brief_description}
-- **Current Phase**: {phase}
-- **Tech Stack**: {languages}, {frameworks}, {key_dependencies}
-- **Environment**: {critical_env_details}
-
-# Conversation Context
-- **Last Topic**: {main_discussion_point}
-- **Key Decisions**: {important_decisions_made}
-- **User Context**:
-  - Technical Level: {expertise_level}
-  - Preferences: {coding_style_preferences}
-  - Communication: {preferred_explanation_style}
-
-# Implementation Status
-## Current State
-- **Active Feature**: {feature_in_development}
-- **Progress**: {what_works_and_what_doesn't}
-- **Blockers**: {current_challenges}
-
-## Code Evolution
-- **Recent Changes**: {latest_modifications}
-- **Working Patterns**: {successful_approaches}
-- **Failed Approaches**: {attempted_solutions_that_failed}
-
-# Requirements
-- **Implemented**: {completed_features}
-- **In Progress**: {current_focus}
-- **Pending**: {upcoming_features}
-- **Technical Constraints**: {critical_constraints}
-
-# Critical Memory
-- **Must Preserve**: {crucial_technical_context}
-- **User Requirements**: {specific_user_needs}
-- **Known Issues**: {documented_problems}
-
-# Next Actions
-- **Immediate**: {next_steps}
-- **Open Questions**: {unresolved_issues}
-
----
-Note:
-4. Keep entries concise and focused on information needed for continuity
-
-
----
-        
-        RULES:
-        * Only provide the whole summary of the chat till now.
-        * Do not provide any new information.
-        * DO not need to think too much just start writing imidiately
-        * do not write any thing other that the summary with with the provided structure
-        `,
+    system: SUMMARY_SYSTEM_PROMPT,
     prompt: `
 
 Here is the previous summary of the chat:
@@ -190,7 +194,7 @@ Please provide a summary of the chat till now including the hitorical summary of
   const response = resp.text;
 
   if (onFinish) {
-    onFinish(resp);
+    onFinish(resp, modelDetails);
   }
 
   return response;
@@ -1,17 +1,23 @@
 import { generateText, type CoreTool, type GenerateTextResult, type Message } from 'ai';
 import ignore from 'ignore';
 import type { IProviderSetting } from '~/types/model';
-import { IGNORE_PATTERNS, type FileMap } from './constants';
-import { DEFAULT_MODEL, DEFAULT_PROVIDER, PROVIDER_LIST } from '~/utils/constants';
+import { CONTEXT_BUFFER_TOKEN_SHARE, IGNORE_PATTERNS, type FileMap } from './constants';
+import { DEFAULT_MODEL, DEFAULT_PROVIDER } from '~/utils/constants';
 import { createFilesContext, extractCurrentContext, extractPropertiesFromMessage, simplifyBoltActions } from './utils';
 import { createScopedLogger } from '~/utils/logger';
 import { LLMManager } from '~/lib/modules/llm/manager';
+import type { BaseProvider } from '~/lib/modules/llm/base-provider';
+import type { ModelInfo } from '~/lib/modules/llm/types';
+import { estimateTokens, ProjectIndex } from '~/utils/projectIndex';
 
 // Common patterns to ignore, similar to .gitignore
 
 const ig = ignore().add(IGNORE_PATTERNS);
 const logger = createScopedLogger('select-context');
 
+// files counted at once, so counting does not wait on one request per file
+const TOKEN_COUNT_BATCH_SIZE = 8;
+
 export async function selectContext(props: {
   messages: Message[];
   env?: Env;
@@ -21,7 +27,7 @@ export async function selectContext(props: {
   promptId?: string;
   contextOptimization?: boolean;
   summary: string;
-  onFinish?: (resp: GenerateTextResult<Record<string, CoreTool<any, any>>, never>) => void;
+  onFinish?: (resp: GenerateTextResult<Record<string, CoreTool<any, any>>, never>, model: ModelInfo) => void;
 }) {
   const { messages, env: serverEnv, apiKeys, files, providerSettings, summary, onFinish } = props;
   let currentModel = DEFAULT_MODEL;
@@ -47,34 +53,11 @@ export async function selectContext(props: {
     return message;
   });
 
-  const provider = PROVIDER_LIST.find((p) => p.name === currentProvider) || DEFAULT_PROVIDER;
-  const staticModels = LLMManager.getInstance().getStaticModelListFromProvider(provider);
-  let modelDetails = staticModels.find((m) => m.name === currentModel);
-
-  if (!modelDetails) {
-    const modelsList = [
-      ...(provider.staticModels || []),
-      ...(await LLMManager.getInstance().getModelListFromProvider(provider, {
-        apiKeys,
-        providerSettings,
-        serverEnv: serverEnv as any,
-      })),
-    ];
-
-    if (!modelsList.length) {
-      throw new Error(`No models found for provider ${provider.name}`);
-    }
-
-    modelDetails = modelsList.find((m) => m.name === currentModel);
-
-    if (!modelDetails) {
-      // Fallback to first model
-      logger.warn(
-        `MODEL [${currentModel}] not found in provider [${provider.name}]. Falling back to first model. ${modelsList[0].name}`,
-      );
-      modelDetails = modelsList[0];
-    }
-  }
+  const { provider, modelDetails } = await LLMManager.getInstance().resolveModel(currentProvider, currentModel, {
+    apiKeys,
+    providerSettings,
+    serverEnv,
+  });
 
   const { codeContext } = extractCurrentContext(processedMessages);
 
@@ -218,7 +201,12 @@ export async function selectContext(props: {
   });
 
   if (onFinish) {
-    onFinish(resp);
+    onFinish(resp, modelDetails);
+  }
+
+  // providers that can count tokens exactly get the selection trimmed to fit the model's input window
+  if (provider.countTokens) {
+    await fitToTokenBudget(filteredFiles, { provider, modelDetails, apiKeys, providerSettings, serverEnv });
   }
 
   const totalFiles = Object.keys(filteredFiles).length;
@@ -233,6 +221,142 @@ export async function selectContext(props: {
   // generateText({
 }
 
+/**
+ * Pick the context files without a model call: rank them with the project index, or take the
+ * ranking the browser made from its index, then keep the best ones that fit the model's budget
+ */
+export async function selectLocalContext(props: {
+  messages: Message[];
+  env?: Env;
+  apiKeys?: Record<string, string>;
+  files: FileMap;
+  providerSettings?: Record<string, IProviderSetting>;
+  rankedPaths?: string[];
+}) {
+  const { messages, env: serverEnv, apiKeys, files, providerSettings, rankedPaths } = props;
+  const lastUserMessage = messages.filter((message) => message.role === 'user').pop();
+
+  if (!lastUserMessage) {
+    throw new Error('No user message found');
+  }
+
+  const { model, provider: providerName, content } = extractPropertiesFromMessage(lastUserMessage);
+  const { provider, modelDetails } = await LLMManager.getInstance().resolveModel(providerName, model, {
+    apiKeys,
+    providerSettings,
+    serverEnv,
+  });
+  const filePaths = getFilePaths(files);
+  let paths = rankedPaths;
+
+  if (!paths) {
+    const index = new ProjectIndex();
+
+    for (const path of filePaths) {
+      const dirent = files[path];
+
+      if (dirent?.type === 'file' && !dirent.isBinary) {
+        index.updateFile(path.replace('/home/project/', ''), dirent.content);
+      }
+    }
+
+    // image messages keep their content as parts
+    const prompt = Array.isArray(content)
+      ? (content as any[]).find((item) => item.type === 'text')?.text || ''
+      : content;
+
+    paths = index.rank(prompt).map((file) => file.path);
+  }
+
+  const selectedFiles: FileMap = {};
+
+  for (const path of paths) {
+    const fullPath = path.startsWith('/home/project/') ? path : `/home/project/${path}`;
+
+    if (filePaths.includes(fullPath)) {
+      selectedFiles[fullPath] = files[fullPath];
+    }
+  }
+
+  await fitToTokenBudget(selectedFiles, {
+    provider,
+    modelDetails,
+    apiKeys,
+    providerSettings,
+    serverEnv,
+    estimateUncounted: true,
+  });
+
+  logger.info(`Local index selected ${Object.keys(selectedFiles).length} of ${paths.length} ranked files`);
+
+  return selectedFiles;
+}
+
+/**
+ * Drop files, in order, from the first one that would take the context past its share of the model's
+ * input window; the files after it are dropped without being counted. Files the provider cannot
+ * count are kept, or estimated when `estimateUncounted` is set.
+ */
+async function fitToTokenBudget(
+  contextFiles: FileMap,
+  options: {
+    provider: BaseProvider;
+    modelDetails: ModelInfo;
+    apiKeys?: Record<string, string>;
+    providerSettings?: Record<string, IProviderSetting>;
+    serverEnv?: Env;
+    estimateUncounted?: boolean;
+  },
+) {
+  const { provider, modelDetails, apiKeys, providerSettings, serverEnv, estimateUncounted } = options;
+
+  // without a known context window, the response cap is the only size to go by
+  const budget = Math.floor((modelDetails.contextWindow ?? modelDetails.maxTokenAllowed) * CONTEXT_BUFFER_TOKEN_SHARE);
+  const paths = Object.keys(contextFiles);
+  let usedTokens = 0;
+
+  const countFileTokens = async (path: string) => {
+    const text = createFilesContext({ [path]: contextFiles[path] }, true);
+    const tokens = await provider.countTokens?.({
+      model: modelDetails.name,
+      text,
+      serverEnv,
+      apiKeys,
+      providerSettings,
+    });
+
+    return tokens === undefined && estimateUncounted ? estimateTokens(text) : tokens;
+  };
+
+  // files from here on are dropped
+  let cutoff = paths.length;
+
+  for (let start = 0; start < cutoff; start += TOKEN_COUNT_BATCH_SIZE) {
+    const batch = paths.slice(start, start + TOKEN_COUNT_BATCH_SIZE);
+    const counts = await Promise.all(batch.map(countFileTokens));
+
+    for (const [index, tokens] of counts.entries()) {
+      if (tokens === undefined) {
+        continue;
+      }
+
+      if (usedTokens + tokens > budget) {
+        cutoff = start + index;
+        logger.warn(`Dropping ${paths[cutoff]} and later files from context: ${tokens} tokens would exceed ${budget}`);
+        break;
+      }
+
+      usedTokens += tokens;
+    }
+  }
+
+  for (const path of paths.slice(cutoff)) {
+    delete contextFiles[path];
+  }
+
+  logger.info(`Context files use ${usedTokens} of ${budget} budgeted tokens`);
+}
+
 export function getFilePaths(files: FileMap) {
   let filePaths = Object.keys(files);
   filePaths = filePaths.filter((x) => {
@@ -1,13 +1,18 @@
 import { convertToCoreMessages, streamText as _streamText, type Message } from 'ai';
 import { MAX_TOKENS, type FileMap } from './constants';
 import { getSystemPrompt } from '~/lib/common/prompts/prompts';
-import { DEFAULT_MODEL, DEFAULT_PROVIDER, MODIFICATIONS_TAG_NAME, PROVIDER_LIST, WORK_DIR } from '~/utils/constants';
+import { DEFAULT_MODEL, DEFAULT_PROVIDER, MODIFICATIONS_TAG_NAME, WORK_DIR } from '~/utils/constants';
 import type { IProviderSetting } from '~/types/model';
 import { PromptLibrary } from '~/lib/common/prompt-library';
 import { allowedHTMLElements } from '~/utils/markdown';
 import { LLMManager } from '~/lib/modules/llm/manager';
 import { createScopedLogger } from '~/utils/logger';
 import { createFilesContext, extractPropertiesFromMessage } from './utils';
+import type { TestRunResults } from '~/types/actions';
+import { createTestResultsContext } from '~/utils/testResults';
+import type { ModelFallback, ModelInfo } from '~/lib/modules/llm/types';
+import { describeFailoverError, isFailoverError } from '~/lib/modules/llm/failover';
+import { getMaxResponseTokens } from '~/lib/modules/llm/capabilities';
 
 export type Messages = Message[];
 
@@ -22,8 +27,35 @@ export interface StreamingOptions extends Omit<Parameters<typeof _streamText>[0]
   };
 }
 
+/**
+ * A model of the failover chain was skipped and the next one is tried
+ */
+export interface ModelFailover {
+  from: Required<ModelFallback>;
+  to: ModelFallback;
+  reason: string;
+}
+
 const logger = createScopedLogger('stream-text');
 
+/**
+ * Wait for the model's first output
+ * @returns The error the stream starts with, if it fails before answering
+ */
+async function getStartupError(result: ReturnType<typeof _streamText>): Promise<unknown> {
+  for await (const part of result.fullStream) {
+    if (part.type === 'error') {
+      return part.error;
+    }
+
+    if (part.type !== 'step-start') {
+      return undefined;
+    }
+  }
+
+  return undefined;
+}
+
 export async function streamText(props: {
   messages: Omit<Message, 'id'>[];
   env?: Env;
@@ -35,8 +67,19 @@ export async function streamText(props: {
   contextOptimization?: boolean;
   contextFiles?: FileMap;
   summary?: string;
+
+  // rolling summary of the messages compaction left out of `messages`
+  compactedSummary?: string;
   messageSliceId?: number;
   chatMode?: 'discuss' | 'build';
+  testResults?: TestRunResults;
+
+  // models to try in order when the selected one is rate limited, failing or unreachable
+  modelFallbacks?: ModelFallback[];
+  onFailover?: (failover: ModelFailover) => void;
+
+  // called with the model that answers, once it is chosen
+  onModelSelected?: (model: ModelInfo) => void;
 }) {
   const {
     messages,
@@ -49,7 +92,12 @@ export async function streamText(props: {
     contextOptimization,
     contextFiles,
     summary,
+    compactedSummary,
     chatMode,
+    testResults,
+    modelFallbacks,
+    onFailover,
+    onModelSelected,
   } = props;
   let currentModel = DEFAULT_MODEL;
   let currentProvider = DEFAULT_PROVIDER.name;
@@ -80,40 +128,6 @@ export async function streamText(props: {
     return message;
   });
 
-  const provider = PROVIDER_LIST.find((p) => p.name === currentProvider) || DEFAULT_PROVIDER;
-  const staticModels = LLMManager.getInstance().getStaticModelListFromProvider(provider);
-  let modelDetails = staticModels.find((m) => m.name === currentModel);
-
-  if (!modelDetails) {
-    const modelsList = [
-      ...(provider.staticModels || []),
-      ...(await LLMManager.getInstance().getModelListFromProvider(provider, {
-        apiKeys,
-        providerSettings,
-        serverEnv: serverEnv as any,
-      })),
-    ];
-
-    if (!modelsList.length) {
-      throw new Error(`No models found for provider ${provider.name}`);
-    }
-
-    modelDetails = modelsList.find((m) => m.name === currentModel);
-
-    if (!modelDetails) {
-      // Fallback to first model
-      logger.warn(
-        `MODEL [${currentModel}] not found in provider [${provider.name}]. Falling back to first model. ${modelsList[0].name}`,
-      );
-      modelDetails = modelsList[0];
-    }
-  }
-
-  const dynamicMaxTokens = modelDetails && modelDetails.maxTokenAllowed ? modelDetails.maxTokenAllowed : MAX_TOKENS;
-  logger.info(
-    `Max tokens for model ${modelDetails.name} is ${dynamicMaxTokens} based on ${modelDetails.maxTokenAllowed} or ${MAX_TOKENS}`,
-  );
-
   let systemPrompt =
     PromptLibrary.getPropmtFromLibrary(promptId || 'default', {
       cwd: WORK_DIR,
@@ -183,22 +197,104 @@ export async function streamText(props: {
     console.log('No locked files found from any source for prompt.');
   }
 
-  logger.info(`Sending llm call to ${provider.name} with model ${modelDetails.name}`);
+  if (testResults) {
+    systemPrompt = `${systemPrompt}
+
+    LATEST TEST RESULTS (from the test action that ran after your last message; fix failing tests if they relate to the user's request):
+    ---
+    ${createTestResultsContext(testResults)}
+    ---
+    `;
+  }
+
+  let systemMessageForDiscuss = 'You are a helpful assistant.'; // Simplified prompt
+
+  if (compactedSummary) {
+    const compactedContext = `
+
+    The earlier part of this conversation was compacted; below is a summary of it. The messages that follow continue from there.
+    COMPACTED CONVERSATION SUMMARY:
+    ---
+    ${compactedSummary}
+    ---
+    `;
+
+    systemPrompt = `${systemPrompt}${compactedContext}`;
+    systemMessageForDiscuss = `${systemMessageForDiscuss}${compactedContext}`;
+  }
 
   // console.log(systemPrompt, processedMessages);
 
-  const systemMessageForDiscuss = 'You are a helpful assistant.'; // Simplified prompt
-
-  return await _streamText({
-    model: provider.getModelInstance({
-      model: modelDetails.name,
-      serverEnv,
-      apiKeys,
-      providerSettings,
-    }),
-    system: chatMode === 'build' ? systemPrompt : systemMessageForDiscuss, // Use simplified prompt for discuss mode
-    maxTokens: dynamicMaxTokens,
-    messages: convertToCoreMessages(processedMessages as any),
-    ...options,
-  });
+  const chain = LLMManager.getInstance().getFailoverChain(
+    { provider: currentProvider, model: currentModel },
+    modelFallbacks,
+    providerSettings,
+  );
+
+  for (const [index, candidate] of chain.entries()) {
+    const isLastCandidate = index === chain.length - 1;
+    let failure: unknown;
+    let attempted: Required<ModelFallback> = {
+      provider: candidate.provider,
+      model: candidate.model || 'the default model',
+    };
+
+    try {
+      const { provider, modelDetails } = await LLMManager.getInstance().resolveModel(
+        candidate.provider,
+        candidate.model,
+        {
+          apiKeys,
+          providerSettings,
+          serverEnv,
+        },
+      );
+      attempted = { provider: provider.name, model: modelDetails.name };
+
+      const dynamicMaxTokens = getMaxResponseTokens(modelDetails, MAX_TOKENS);
+      logger.info(
+        `Max tokens for model ${modelDetails.name} is ${dynamicMaxTokens} based on ${modelDetails.maxTokenAllowed}, ${modelDetails.maxOutputTokens} or ${MAX_TOKENS}`,
+      );
+
+      logger.info(`Sending llm call to ${provider.name} with model ${modelDetails.name}`);
+
+      const result = _streamText({
+        model: provider.getModelInstance({
+          model: modelDetails.name,
+          serverEnv,
+          apiKeys,
+          providerSettings,
+        }),
+        system: chatMode === 'build' ? systemPrompt : systemMessageForDiscuss, // Use simplified prompt for discuss mode
+        maxTokens: dynamicMaxTokens,
+        messages: convertToCoreMessages(processedMessages as any),
+        ...options,
+      });
+
+      if (isLastCandidate) {
+        onModelSelected?.(modelDetails);
+        return result;
+      }
+
+      // errors only show up in the stream, so wait for the first output before committing to this model
+      failure = await getStartupError(result);
+
+      if (failure === undefined || !isFailoverError(failure)) {
+        onModelSelected?.(modelDetails);
+        return result;
+      }
+    } catch (error) {
+      if (isLastCandidate || !isFailoverError(error)) {
+        throw error;
+      }
+
+      failure = error;
+    }
+
+    logger.warn(`${attempted.model} (${attempted.provider}) failed, trying the next model: ${failure}`);
+    onFailover?.({ from: attempted, to: chain[index + 1], reason: describeFailoverError(failure) });
+  }
+
+  // the chain always holds the selected model, and its last entry returns or throws
+  throw new Error('No model to send the request to');
 }
@@ -45,8 +45,8 @@ export function extractPropertiesFromMessage(message: Omit<Message, 'id'>): {
 }
 
 export function simplifyBoltActions(input: string): string {
-  // Using regex to match boltAction tags that have type="file"
-  const regex = /(<boltAction[^>]*type="file"[^>]*>)([\s\S]*?)(<\/boltAction>)/g;
+  // Using regex to match boltAction tags that have type="file" or type="patch"
+  const regex = /(<boltAction[^>]*type="(?:file|patch)"[^>]*>)([\s\S]*?)(<\/boltAction>)/g;
 
   // Replace each matching occurrence
   return input.replace(regex, (_0, openingTag, _2, closingTag) => {
@@ -280,6 +280,32 @@ The year is 2025.
       - Use the start action type over the shell type ONLY when the command is intended to start the project.
       - IMPORTANT: Always execute the start command after executing a shell command.
 
+    - test: For running the project's tests. The content is the test command (defaults to \`npm test\`).
+
+      - Prefer a machine-readable reporter (e.g. \`npx vitest run --reporter=json\`, JUnit XML or TAP) so that results are reported per test
+      - If the runner writes its report to a file, add a \`reportFile\` attribute with its path
+      - Never start tests in watch mode; the results are shared with you in the next message
+
+    - patch: For small, targeted changes to an EXISTING file without rewriting it. Add a \`filePath\` attribute. The content is one or more search/replace blocks:
+
+      <<<<<<< SEARCH
+      exact lines currently in the file
+      =======
+      lines to put in their place
+      >>>>>>> REPLACE
+
+      - The SEARCH part must match the current file content EXACTLY, including indentation, and be unique in the file
+      - Use several blocks for several changes, in file order; a unified diff with \`@@\` hunks is also accepted
+      - NEVER use patch for new files, \`package.json\`, SQL migrations or when most of the file changes; use a file action instead
+      - If a patch does not match, the file is left unchanged and the user is alerted
+
+    - delete: For deleting a file or folder. Add a \`filePath\` attribute; no content.
+
+    - rename: For moving or renaming a file or folder. Add \`filePath\` (current path) and \`newFilePath\` attributes; no content.
+
+      - ALWAYS use delete and rename actions instead of \`rm\` or \`mv\` shell commands for project files
+      - Locked files and folders cannot be deleted or renamed
+
     - file: For creating new files or updating existing files. Add \`filePath\` and \`contentType\` attributes:
 
       - \`filePath\`: Specifies the file path
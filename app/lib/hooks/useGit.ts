@@ -171,13 +171,18 @@ export function useGit() {
   return { ready, gitClone };
 }
 
-const getFs = (
+/**
+ * A file system client for isomorphic-git on top of the WebContainer file system
+ * @param record Collects the files written, such as those of a clone
+ */
+export const getFs = (
   webcontainer: WebContainer,
-  record: MutableRefObject<Record<string, { data: any; encoding?: string }>>,
+  record?: MutableRefObject<Record<string, { data: any; encoding?: string }>>,
 ) => ({
   promises: {
     readFile: async (path: string, options: any) => {
-      const encoding = options?.encoding;
+      // isomorphic-git passes the encoding on its own when reading ignore files
+      const encoding = typeof options === 'string' ? options : options?.encoding;
       const relativePath = pathUtils.relative(webcontainer.workdir, path);
 
       try {
@@ -191,7 +196,7 @@ const getFs = (
     writeFile: async (path: string, data: any, options: any = {}) => {
       const relativePath = pathUtils.relative(webcontainer.workdir, path);
 
-      if (record.current) {
+      if (record?.current) {
         record.current[relativePath] = { data, encoding: options?.encoding };
       }
 
@@ -298,8 +303,11 @@ const getFs = (
           };
         }
 
-        const resp = await webcontainer.fs.readdir(dirPath, { withFileTypes: true });
-        const fileInfo = resp.find((x) => x.name === fileName);
+        // the project root is not listed in any folder the container can read
+        const fileInfo =
+          relativePath === '.'
+            ? { isFile: () => false, isDirectory: () => true }
+            : (await webcontainer.fs.readdir(dirPath, { withFileTypes: true })).find((x) => x.name === fileName);
 
         if (!fileInfo) {
           const err = new Error(`ENOENT: no such file or directory, stat '${path}'`) as NodeJS.ErrnoException;
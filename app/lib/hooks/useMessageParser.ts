@@ -2,10 +2,14 @@ import type { Message } from 'ai';
 import { useCallback, useState } from 'react';
 import { StreamingMessageParser } from '~/lib/runtime/message-parser';
 import { workbenchStore } from '~/lib/stores/workbench';
+import { MODEL_REGEX, PROVIDER_REGEX } from '~/utils/constants';
 import { createScopedLogger } from '~/utils/logger';
 
 const logger = createScopedLogger('useMessageParser');
 
+// the user message each assistant message answers, by assistant message id, for commit messages
+const prompts = new Map<string, string>();
+
 const messageParser = new StreamingMessageParser({
   callbacks: {
     onArtifactOpen: (data) => {
@@ -18,6 +22,8 @@ const messageParser = new StreamingMessageParser({
       logger.trace('onArtifactClose');
 
       workbenchStore.updateArtifact(data, { closed: true });
+      workbenchStore.checkpointArtifact(data);
+      workbenchStore.commitArtifact(data, prompts.get(data.messageId));
     },
     onActionOpen: (data) => {
       logger.trace('onActionOpen', data.action);
@@ -47,6 +53,13 @@ const extractTextContent = (message: Message) =>
     ? (message.content.find((item) => item.type === 'text')?.text as string) || ''
     : message.content;
 
+const extractPrompt = (message: Message) =>
+  extractTextContent(message)
+    .replace(MODEL_REGEX, '')
+    .replace(PROVIDER_REGEX, '')
+    .replace(/<boltArtifact\s+[^>]*>[\s\S]*?<\/boltArtifact>/gm, '')
+    .trim();
+
 export function useMessageParser() {
   const [parsedMessages, setParsedMessages] = useState<{ [key: number]: string }>({});
 
@@ -59,6 +72,10 @@ export function useMessageParser() {
     }
 
     for (const [index, message] of messages.entries()) {
+      if (message.role === 'assistant' && messages[index - 1]?.role === 'user') {
+        prompts.set(message.id, extractPrompt(messages[index - 1]));
+      }
+
       if (message.role === 'assistant' || message.role === 'user') {
         const newParsedContent = messageParser.parse(message.id, extractTextContent(message));
         setParsedMessages((prevParsed) => ({
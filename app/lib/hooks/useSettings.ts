@@ -7,6 +7,12 @@ import {
   latestBranchStore,
   autoSelectStarterTemplate,
   enableContextOptimizationStore,
+  commandApprovalPolicyStore,
+  autoFixErrorsStore,
+  modelFallbacksStore,
+  usageBudgetsStore,
+  contextStrategyStore,
+  compactionThresholdStore,
   tabConfigurationStore,
   updateTabConfiguration as updateTabConfig,
   resetTabConfiguration as resetTabConfig,
@@ -16,6 +22,12 @@ import {
   updateContextOptimization,
   updateEventLogs,
   updatePromptId,
+  updateCommandApprovalPolicy,
+  updateAutoFixErrors,
+  updateModelFallbacks,
+  updateUsageBudgets,
+  updateContextStrategy,
+  updateCompactionThreshold,
 } from '~/lib/stores/settings';
 import { useCallback, useEffect, useState } from 'react';
 import Cookies from 'js-cookie';
@@ -23,6 +35,10 @@ import type { IProviderSetting, ProviderInfo, IProviderConfig } from '~/types/mo
 import type { TabWindowConfig, TabVisibilityConfig } from '~/components/@settings/core/types';
 import { logStore } from '~/lib/stores/logs';
 import { getLocalStorage, setLocalStorage } from '~/lib/persistence';
+import type { CommandApprovalPolicy } from '~/utils/commandApproval';
+import type { ModelFallback } from '~/lib/modules/llm/types';
+import type { UsageBudgets } from '~/utils/usageBudget';
+import type { ContextStrategy } from '~/types/context';
 
 export interface Settings {
   theme: 'light' | 'dark' | 'system';
@@ -59,6 +75,18 @@ export interface UseSettingsReturn {
   setAutoSelectTemplate: (enabled: boolean) => void;
   contextOptimizationEnabled: boolean;
   enableContextOptimization: (enabled: boolean) => void;
+  contextStrategy: ContextStrategy;
+  setContextStrategy: (strategy: ContextStrategy) => void;
+  compactionThreshold: number;
+  setCompactionThreshold: (threshold: number) => void;
+  autoFixErrors: boolean;
+  enableAutoFixErrors: (enabled: boolean) => void;
+  commandApprovalPolicy: CommandApprovalPolicy;
+  setCommandApprovalPolicy: (policy: CommandApprovalPolicy) => void;
+  modelFallbacks: ModelFallback[];
+  setModelFallbacks: (fallbacks: ModelFallback[]) => void;
+  usageBudgets: UsageBudgets;
+  setUsageBudgets: (budgets: UsageBudgets) => void;
 
   // Tab configuration
   tabConfiguration: TabWindowConfig;
@@ -80,6 +108,12 @@ export function useSettings(): UseSettingsReturn {
   const autoSelectTemplate = useStore(autoSelectStarterTemplate);
   const [activeProviders, setActiveProviders] = useState<ProviderInfo[]>([]);
   const contextOptimizationEnabled = useStore(enableContextOptimizationStore);
+  const autoFixErrors = useStore(autoFixErrorsStore);
+  const modelFallbacks = useStore(modelFallbacksStore);
+  const usageBudgets = useStore(usageBudgetsStore);
+  const contextStrategy = useStore(contextStrategyStore);
+  const compactionThreshold = useStore(compactionThresholdStore);
+  const commandApprovalPolicy = useStore(commandApprovalPolicyStore);
   const tabConfiguration = useStore(tabConfigurationStore);
   const [settings, setSettings] = useState<Settings>(() => {
     const storedSettings = getLocalStorage('settings');
@@ -145,6 +179,40 @@ export function useSettings(): UseSettingsReturn {
     logStore.logSystem(`Context optimization ${enabled ? 'enabled' : 'disabled'}`);
   }, []);
 
+  const setContextStrategy = useCallback((strategy: ContextStrategy) => {
+    updateContextStrategy(strategy);
+    logStore.logSystem(`Context selection strategy set to ${strategy}`);
+  }, []);
+
+  const setCompactionThreshold = useCallback((threshold: number) => {
+    updateCompactionThreshold(threshold);
+    logStore.logSystem(
+      threshold > 0
+        ? `Conversation compaction set to ${Math.round(threshold * 100)}% of the context window`
+        : 'Conversation compaction disabled',
+    );
+  }, []);
+
+  const enableAutoFixErrors = useCallback((enabled: boolean) => {
+    updateAutoFixErrors(enabled);
+    logStore.logSystem(`Automatic error fixing ${enabled ? 'enabled' : 'disabled'}`);
+  }, []);
+
+  const setModelFallbacks = useCallback((fallbacks: ModelFallback[]) => {
+    updateModelFallbacks(fallbacks);
+    logStore.logSystem(`Model failover chain updated to ${fallbacks.length} fallback(s)`);
+  }, []);
+
+  const setUsageBudgets = useCallback((budgets: UsageBudgets) => {
+    updateUsageBudgets(budgets);
+    logStore.logSystem('Usage budgets updated', { ...budgets });
+  }, []);
+
+  const setCommandApprovalPolicy = useCallback((policy: CommandApprovalPolicy) => {
+    updateCommandApprovalPolicy(policy);
+    logStore.logSystem(`Command approval policy updated to ${policy.mode}`);
+  }, []);
+
   const setTheme = useCallback(
     (theme: Settings['theme']) => {
       saveSettings({ theme });
@@ -199,6 +267,18 @@ export function useSettings(): UseSettingsReturn {
     setAutoSelectTemplate,
     contextOptimizationEnabled,
     enableContextOptimization,
+    contextStrategy,
+    setContextStrategy,
+    compactionThreshold,
+    setCompactionThreshold,
+    autoFixErrors,
+    enableAutoFixErrors,
+    commandApprovalPolicy,
+    setCommandApprovalPolicy,
+    modelFallbacks,
+    setModelFallbacks,
+    usageBudgets,
+    setUsageBudgets,
     setTheme,
     setLanguage,
     setNotifications,
@@ -109,6 +109,15 @@ export abstract class BaseProvider implements ProviderInfo {
     serverEnv?: Record<string, string>,
   ): Promise<ModelInfo[]>;
 
+  // Optional: tokens in `text` by the model's own tokenizer, or undefined when the provider cannot count them right now
+  countTokens?(options: {
+    model: string;
+    text: string;
+    serverEnv?: Env;
+    apiKeys?: Record<string, string>;
+    providerSettings?: Record<string, IProviderSetting>;
+  }): Promise<number | undefined>;
+
   abstract getModelInstance(options: {
     model: string;
     serverEnv?: Env;
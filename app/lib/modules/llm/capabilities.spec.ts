@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import { acceptsImages, formatModelPricing, getMaxResponseTokens, hasCapability } from './capabilities';
+import type { ModelInfo } from './types';
+
+const model: ModelInfo = { name: 'm', label: 'M', provider: 'P', maxTokenAllowed: 8000 };
+
+describe('model capabilities', () => {
+  it('should only match filters the model is known to support', () => {
+    expect(hasCapability(model, 'images')).toBe(false);
+    expect(hasCapability({ ...model, capabilities: { images: true } }, 'images')).toBe(true);
+    expect(hasCapability({ ...model, maxOutputTokens: 64000 }, 'longOutput')).toBe(true);
+  });
+
+  it('should only refuse images for models known to be text-only', () => {
+    expect(acceptsImages(model)).toBe(true);
+    expect(acceptsImages(undefined)).toBe(true);
+    expect(acceptsImages({ ...model, capabilities: { images: false } })).toBe(false);
+  });
+
+  it('should format pricing per million tokens', () => {
+    expect(formatModelPricing({ ...model, pricing: { input: 0.15, output: 0.6 } })).toBe('$0.15 / $0.6 per 1M tokens');
+    expect(formatModelPricing(model)).toBeUndefined();
+  });
+
+  it('should keep the response token cap within the model output limit', () => {
+    expect(getMaxResponseTokens(model, 4000)).toBe(8000);
+    expect(getMaxResponseTokens({ ...model, maxOutputTokens: 4096 }, 4000)).toBe(4096);
+    expect(getMaxResponseTokens({ ...model, maxOutputTokens: 16384 }, 4000)).toBe(8000);
+    expect(getMaxResponseTokens({ ...model, maxTokenAllowed: 0 }, 4000)).toBe(4000);
+  });
+});
@@ -0,0 +1,70 @@
+import type { ModelInfo } from './types';
+
+/*
+ * Capabilities the model picker can filter by. Filtering keeps only models known to have the
+ * capability, while gating a feature such as image upload only blocks models known to lack it,
+ * since many dynamic models come without capability metadata.
+ */
+
+export type ModelCapabilityFilter = 'images' | 'tools' | 'reasoning' | 'longOutput';
+
+// answers at least this long count as long output
+export const LONG_OUTPUT_TOKENS = 16000;
+
+export const MODEL_CAPABILITY_FILTERS: Array<{ id: ModelCapabilityFilter; label: string; icon: string }> = [
+  { id: 'images', label: 'Images', icon: 'i-ph:image' },
+  { id: 'tools', label: 'Tools', icon: 'i-ph:wrench' },
+  { id: 'reasoning', label: 'Reasoning', icon: 'i-ph:brain' },
+  { id: 'longOutput', label: 'Long output', icon: 'i-ph:text-align-left' },
+];
+
+export function hasCapability(model: ModelInfo, capability: ModelCapabilityFilter) {
+  if (capability === 'longOutput') {
+    return (model.maxOutputTokens ?? 0) >= LONG_OUTPUT_TOKENS;
+  }
+
+  return model.capabilities?.[capability] === true;
+}
+
+/**
+ * Whether images may be attached for this model: true unless the model is known to be text-only
+ */
+export function acceptsImages(model: ModelInfo | undefined) {
+  return model?.capabilities?.images !== false;
+}
+
+/**
+ * Price of a model for display, e.g. `$3 / $15 per 1M tokens`
+ */
+export function formatModelPricing(model: ModelInfo) {
+  if (!model.pricing) {
+    return undefined;
+  }
+
+  const format = (price: number) => `$${Number(price.toFixed(3))}`;
+
+  return `${format(model.pricing.input)} / ${format(model.pricing.output)} per 1M tokens`;
+}
+
+/**
+ * Most tokens to ask the model to answer with: bolt's cap, within the model's own output limit
+ */
+export function getMaxResponseTokens(model: ModelInfo, fallback: number) {
+  const limit = model.maxTokenAllowed || fallback;
+
+  return model.maxOutputTokens ? Math.min(limit, model.maxOutputTokens) : limit;
+}
+
+/**
+ * Estimated USD cost of a response, or undefined when the model's pricing is unknown
+ */
+export function estimateCost(
+  model: ModelInfo | undefined,
+  usage: { promptTokens: number; completionTokens: number },
+): number | undefined {
+  if (!model?.pricing) {
+    return undefined;
+  }
+
+  return (usage.promptTokens * model.pricing.input + usage.completionTokens * model.pricing.output) / 1_000_000;
+}
@@ -0,0 +1,54 @@
+import { APICallError, RetryError } from 'ai';
+import { describe, expect, it } from 'vitest';
+import { buildFailoverChain, isFailoverError, ModelUnavailableError } from './failover';
+
+function apiCallError(statusCode?: number) {
+  return new APICallError({
+    message: 'request failed',
+    url: 'http://localhost',
+    requestBodyValues: {},
+    statusCode,
+  });
+}
+
+describe('isFailoverError', () => {
+  it('should fail over on rate limits, server errors and unreachable providers', () => {
+    expect(isFailoverError(apiCallError(429))).toBe(true);
+    expect(isFailoverError(apiCallError(503))).toBe(true);
+    expect(isFailoverError(apiCallError())).toBe(true);
+    expect(isFailoverError(new TypeError('fetch failed'))).toBe(true);
+    expect(isFailoverError(new ModelUnavailableError('No models found for provider VS LLM'))).toBe(true);
+    expect(
+      isFailoverError(
+        new RetryError({ message: 'retries', reason: 'maxRetriesExceeded', errors: [apiCallError(500)] }),
+      ),
+    ).toBe(true);
+  });
+
+  it('should not fail over on errors every model would hit', () => {
+    expect(isFailoverError(apiCallError(400))).toBe(false);
+    expect(isFailoverError(apiCallError(401))).toBe(false);
+    expect(isFailoverError(new Error('Missing API key for OpenAI provider'))).toBe(false);
+  });
+});
+
+describe('buildFailoverChain', () => {
+  it('should start with the selected model and skip repeats and unavailable providers', () => {
+    const chain = buildFailoverChain(
+      { provider: 'VS LLM', model: 'gpt-4o' },
+      [
+        { provider: 'VS LLM', model: 'gpt-4o' },
+        { provider: 'Ollama' },
+        { provider: 'Groq' },
+        { provider: 'OpenRouter' },
+      ],
+      (provider) => provider !== 'Groq',
+    );
+
+    expect(chain).toEqual([
+      { provider: 'VS LLM', model: 'gpt-4o' },
+      { provider: 'Ollama' },
+      { provider: 'OpenRouter' },
+    ]);
+  });
+});
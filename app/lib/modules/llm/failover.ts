@@ -0,0 +1,91 @@
+import { APICallError, RetryError } from 'ai';
+import type { ModelFallback } from './types';
+
+/*
+ * When the selected model cannot answer because its provider is rate limited, failing or not running,
+ * a chat request moves on to the next model of the user's failover chain instead of failing.
+ */
+
+/**
+ * The provider has no model to answer with, e.g. because it is not running
+ */
+export class ModelUnavailableError extends Error {}
+
+// Node and undici codes of a provider that is down or unreachable
+const CONNECTION_ERROR_CODES = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ENOTFOUND',
+  'ETIMEDOUT',
+  'EHOSTUNREACH',
+  'UND_ERR_SOCKET',
+];
+
+/**
+ * Whether an error means the next model of the chain should be tried: a 429, a 5xx or no connection.
+ * Other errors, such as a missing API key or a bad request, would fail on every model alike.
+ */
+export function isFailoverError(error: unknown): boolean {
+  if (RetryError.isInstance(error)) {
+    return isFailoverError(error.lastError);
+  }
+
+  if (error instanceof ModelUnavailableError) {
+    return true;
+  }
+
+  if (APICallError.isInstance(error)) {
+    // without a status code the request never got a response
+    return error.statusCode === undefined || error.statusCode === 429 || error.statusCode >= 500;
+  }
+
+  if (!(error instanceof Error)) {
+    return false;
+  }
+
+  const code = (error as { code?: string }).code ?? (error.cause as { code?: string } | undefined)?.code;
+
+  return (
+    (code !== undefined && CONNECTION_ERROR_CODES.includes(code)) ||
+    (error.name === 'TypeError' && /fetch failed|failed to fetch|network/i.test(error.message))
+  );
+}
+
+/**
+ * Short reason shown to the user when a model is skipped
+ */
+export function describeFailoverError(error: unknown) {
+  if (RetryError.isInstance(error)) {
+    return describeFailoverError(error.lastError);
+  }
+
+  if (APICallError.isInstance(error) && error.statusCode !== undefined) {
+    return error.statusCode === 429 ? 'rate limited' : `error ${error.statusCode}`;
+  }
+
+  return error instanceof ModelUnavailableError ? 'unavailable' : 'unreachable';
+}
+
+/**
+ * The models to try in order: the selected one, then each fallback that is not a repeat of an earlier entry
+ * @param isAvailable Whether a provider is registered and enabled
+ */
+export function buildFailoverChain(
+  selected: Required<ModelFallback>,
+  fallbacks: ModelFallback[],
+  isAvailable: (provider: string) => boolean,
+): ModelFallback[] {
+  const chain: ModelFallback[] = [selected];
+
+  for (const fallback of fallbacks) {
+    const isRepeat = chain.some(
+      (entry) => entry.provider === fallback.provider && (entry.model || '') === (fallback.model || ''),
+    );
+
+    if (!isRepeat && isAvailable(fallback.provider)) {
+      chain.push(fallback);
+    }
+  }
+
+  return chain;
+}
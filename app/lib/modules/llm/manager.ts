@@ -1,6 +1,7 @@
 import type { IProviderSetting } from '~/types/model';
 import { BaseProvider } from './base-provider';
-import type { ModelInfo, ProviderInfo } from './types';
+import type { ModelFallback, ModelInfo, ProviderInfo } from './types';
+import { buildFailoverChain, ModelUnavailableError } from './failover';
 import * as providers from './registry';
 import { createScopedLogger } from '~/utils/logger';
 
@@ -187,6 +188,48 @@ export class LLMManager {
 
     return modelList;
   }
+
+  /**
+   * Find a provider and one of its models by name, falling back to the default provider and to
+   * the provider's first model
+   */
+  async resolveModel(
+    providerName: string,
+    modelName: string | undefined,
+    options: { apiKeys?: Record<string, string>; providerSettings?: Record<string, IProviderSetting>; serverEnv?: Env },
+  ): Promise<{ provider: BaseProvider; modelDetails: ModelInfo }> {
+    const { apiKeys, providerSettings, serverEnv } = options;
+    const provider = this.getProvider(providerName) || this.getDefaultProvider();
+    let modelDetails = this.getStaticModelListFromProvider(provider).find((m) => m.name === modelName);
+
+    if (!modelDetails) {
+      const modelsList = [
+        ...(provider.staticModels || []),
+        ...(await this.getModelListFromProvider(provider, {
+          apiKeys,
+          providerSettings,
+          serverEnv: serverEnv as any,
+        })),
+      ];
+
+      if (!modelsList.length) {
+        throw new ModelUnavailableError(`No models found for provider ${provider.name}`);
+      }
+
+      modelDetails = modelsList.find((m) => m.name === modelName);
+
+      if (!modelDetails) {
+        // Fallback to first model
+        logger.warn(
+          `MODEL [${modelName}] not found in provider [${provider.name}]. Falling back to first model. ${modelsList[0].name}`,
+        );
+        modelDetails = modelsList[0];
+      }
+    }
+
+    return { provider, modelDetails };
+  }
+
   getStaticModelListFromProvider(providerArg: BaseProvider) {
     const provider = this._providers.get(providerArg.name);
 
@@ -197,6 +240,22 @@ export class LLMManager {
     return [...(provider.staticModels || [])];
   }
 
+  /**
+   * The models a chat request tries in order: the selected one, then the user's fallbacks whose
+   * provider is registered and not disabled
+   */
+  getFailoverChain(
+    selected: Required<ModelFallback>,
+    fallbacks: ModelFallback[] = [],
+    providerSettings?: Record<string, IProviderSetting>,
+  ): ModelFallback[] {
+    return buildFailoverChain(
+      selected,
+      fallbacks,
+      (name) => this._providers.has(name) && providerSettings?.[name]?.enabled !== false,
+    );
+  }
+
   getDefaultProvider(): BaseProvider {
     const firstProvider = this._providers.values().next().value;
 
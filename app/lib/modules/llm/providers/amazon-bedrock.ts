@@ -19,12 +19,14 @@ export default class AmazonBedrockProvider extends BaseProvider {
     apiTokenKey: 'AWS_BEDROCK_CONFIG',
   };
 
+  // Bedrock pricing differs by region, so these are left without pricing or capability metadata
   staticModels: ModelInfo[] = [
     {
       name: 'anthropic.claude-3-5-sonnet-20241022-v2:0',
       label: 'Claude 3.5 Sonnet v2 (Bedrock)',
       provider: 'AmazonBedrock',
-      maxTokenAllowed: 200000,
+      maxTokenAllowed: 8192,
+      contextWindow: 200000,
     },
     {
       name: 'anthropic.claude-3-5-sonnet-20240620-v1:0',
@@ -18,28 +18,71 @@ export default class AnthropicProvider extends BaseProvider {
       label: 'Claude 3.7 Sonnet',
       provider: 'Anthropic',
       maxTokenAllowed: 128000,
+      maxOutputTokens: 128000,
+      contextWindow: 200000,
+      capabilities: { images: true, tools: true, reasoning: true },
+      pricing: { input: 3, output: 15 },
     },
     {
       name: 'claude-3-5-sonnet-latest',
       label: 'Claude 3.5 Sonnet (new)',
       provider: 'Anthropic',
       maxTokenAllowed: 8000,
+      maxOutputTokens: 8192,
+      contextWindow: 200000,
+      capabilities: { images: true, tools: true },
+      pricing: { input: 3, output: 15 },
     },
     {
       name: 'claude-3-5-sonnet-20240620',
       label: 'Claude 3.5 Sonnet (old)',
       provider: 'Anthropic',
       maxTokenAllowed: 8000,
+      maxOutputTokens: 8192,
+      contextWindow: 200000,
+      capabilities: { images: true, tools: true },
+      pricing: { input: 3, output: 15 },
     },
     {
       name: 'claude-3-5-haiku-latest',
       label: 'Claude 3.5 Haiku (new)',
       provider: 'Anthropic',
       maxTokenAllowed: 8000,
+      maxOutputTokens: 8192,
+      contextWindow: 200000,
+      capabilities: { tools: true },
+      pricing: { input: 0.8, output: 4 },
+    },
+    {
+      name: 'claude-3-opus-latest',
+      label: 'Claude 3 Opus',
+      provider: 'Anthropic',
+      maxTokenAllowed: 8000,
+      maxOutputTokens: 4096,
+      contextWindow: 200000,
+      capabilities: { images: true, tools: true },
+      pricing: { input: 15, output: 75 },
+    },
+    {
+      name: 'claude-3-sonnet-20240229',
+      label: 'Claude 3 Sonnet',
+      provider: 'Anthropic',
+      maxTokenAllowed: 8000,
+      maxOutputTokens: 4096,
+      contextWindow: 200000,
+      capabilities: { images: true, tools: true },
+      pricing: { input: 3, output: 15 },
+    },
+    {
+      name: 'claude-3-haiku-20240307',
+      label: 'Claude 3 Haiku',
+      provider: 'Anthropic',
+      maxTokenAllowed: 8000,
+      maxOutputTokens: 4096,
+      contextWindow: 200000,
+      capabilities: { images: true, tools: true },
+      pricing: { input: 0.25, output: 1.25 },
     },
-    { name: 'claude-3-opus-latest', label: 'Claude 3 Opus', provider: 'Anthropic', maxTokenAllowed: 8000 },
-    { name: 'claude-3-sonnet-20240229', label: 'Claude 3 Sonnet', provider: 'Anthropic', maxTokenAllowed: 8000 },
-    { name: 'claude-3-haiku-20240307', label: 'Claude 3 Haiku', provider: 'Anthropic', maxTokenAllowed: 8000 },
   ];
 
   async getDynamicModels(
@@ -76,6 +119,9 @@ export default class AnthropicProvider extends BaseProvider {
       label: `${m.display_name}`,
       provider: this.name,
       maxTokenAllowed: 32000,
+
+      // every model the API lists is a Claude 3 or later, which all take images and tools
+      capabilities: { images: true, tools: true },
     }));
   }
 
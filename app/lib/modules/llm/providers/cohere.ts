@@ -12,6 +12,7 @@ export default class CohereProvider extends BaseProvider {
     apiTokenKey: 'COHERE_API_KEY',
   };
 
+  // kept by hand without capability or pricing metadata, which the model picker treats as unknown
   staticModels: ModelInfo[] = [
     { name: 'command-r-plus-08-2024', label: 'Command R plus Latest', provider: 'Cohere', maxTokenAllowed: 4096 },
     { name: 'command-r-08-2024', label: 'Command R Latest', provider: 'Cohere', maxTokenAllowed: 4096 },
@@ -13,9 +13,36 @@ export default class DeepseekProvider extends BaseProvider {
   };
 
   staticModels: ModelInfo[] = [
-    { name: 'deepseek-coder', label: 'Deepseek-Coder', provider: 'Deepseek', maxTokenAllowed: 8000 },
-    { name: 'deepseek-chat', label: 'Deepseek-Chat', provider: 'Deepseek', maxTokenAllowed: 8000 },
-    { name: 'deepseek-reasoner', label: 'Deepseek-Reasoner', provider: 'Deepseek', maxTokenAllowed: 8000 },
+    {
+      name: 'deepseek-coder',
+      label: 'Deepseek-Coder',
+      provider: 'Deepseek',
+      maxTokenAllowed: 8000,
+      maxOutputTokens: 8192,
+      contextWindow: 64000,
+      capabilities: { images: false, tools: true },
+      pricing: { input: 0.27, output: 1.1 },
+    },
+    {
+      name: 'deepseek-chat',
+      label: 'Deepseek-Chat',
+      provider: 'Deepseek',
+      maxTokenAllowed: 8000,
+      maxOutputTokens: 8192,
+      contextWindow: 64000,
+      capabilities: { images: false, tools: true },
+      pricing: { input: 0.27, output: 1.1 },
+    },
+    {
+      name: 'deepseek-reasoner',
+      label: 'Deepseek-Reasoner',
+      provider: 'Deepseek',
+      maxTokenAllowed: 8000,
+      maxOutputTokens: 8192,
+      contextWindow: 64000,
+      capabilities: { images: false, tools: false, reasoning: true },
+      pricing: { input: 0.55, output: 2.19 },
+    },
   ];
 
   getModelInstance(options: {
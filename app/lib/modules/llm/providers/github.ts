@@ -14,13 +14,69 @@ export default class GithubProvider extends BaseProvider {
 
   // find more in https://github.com/marketplace?type=models
   staticModels: ModelInfo[] = [
-    { name: 'gpt-4o', label: 'GPT-4o', provider: 'Github', maxTokenAllowed: 8000 },
-    { name: 'o1', label: 'o1-preview', provider: 'Github', maxTokenAllowed: 100000 },
-    { name: 'o1-mini', label: 'o1-mini', provider: 'Github', maxTokenAllowed: 8000 },
-    { name: 'gpt-4o-mini', label: 'GPT-4o Mini', provider: 'Github', maxTokenAllowed: 8000 },
-    { name: 'gpt-4-turbo', label: 'GPT-4 Turbo', provider: 'Github', maxTokenAllowed: 8000 },
-    { name: 'gpt-4', label: 'GPT-4', provider: 'Github', maxTokenAllowed: 8000 },
-    { name: 'gpt-3.5-turbo', label: 'GPT-3.5 Turbo', provider: 'Github', maxTokenAllowed: 8000 },
+    {
+      name: 'gpt-4o',
+      label: 'GPT-4o',
+      provider: 'Github',
+      maxTokenAllowed: 8000,
+      maxOutputTokens: 16384,
+      contextWindow: 128000,
+      capabilities: { images: true, tools: true },
+    },
+    {
+      name: 'o1',
+      label: 'o1-preview',
+      provider: 'Github',
+      maxTokenAllowed: 100000,
+      maxOutputTokens: 100000,
+      contextWindow: 200000,
+      capabilities: { images: true, reasoning: true },
+    },
+    {
+      name: 'o1-mini',
+      label: 'o1-mini',
+      provider: 'Github',
+      maxTokenAllowed: 8000,
+      maxOutputTokens: 65536,
+      contextWindow: 128000,
+      capabilities: { images: false, reasoning: true },
+    },
+    {
+      name: 'gpt-4o-mini',
+      label: 'GPT-4o Mini',
+      provider: 'Github',
+      maxTokenAllowed: 8000,
+      maxOutputTokens: 16384,
+      contextWindow: 128000,
+      capabilities: { images: true, tools: true },
+    },
+    {
+      name: 'gpt-4-turbo',
+      label: 'GPT-4 Turbo',
+      provider: 'Github',
+      maxTokenAllowed: 8000,
+      maxOutputTokens: 4096,
+      contextWindow: 128000,
+      capabilities: { images: true, tools: true },
+    },
+    {
+      name: 'gpt-4',
+      label: 'GPT-4',
+      provider: 'Github',
+      maxTokenAllowed: 8000,
+      maxOutputTokens: 8192,
+      contextWindow: 8192,
+      capabilities: { images: false, tools: true },
+    },
+    {
+      name: 'gpt-3.5-turbo',
+      label: 'GPT-3.5 Turbo',
+      provider: 'Github',
+      maxTokenAllowed: 8000,
+      maxOutputTokens: 4096,
+      contextWindow: 16385,
+      capabilities: { images: false, tools: true },
+    },
   ];
 
   getModelInstance(options: {
@@ -13,19 +13,83 @@ export default class GoogleProvider extends BaseProvider {
   };
 
   staticModels: ModelInfo[] = [
-    { name: 'gemini-1.5-flash-latest', label: 'Gemini 1.5 Flash', provider: 'Google', maxTokenAllowed: 8192 },
+    {
+      name: 'gemini-1.5-flash-latest',
+      label: 'Gemini 1.5 Flash',
+      provider: 'Google',
+      maxTokenAllowed: 8192,
+      maxOutputTokens: 8192,
+      contextWindow: 1048576,
+      capabilities: { images: true, tools: true },
+      pricing: { input: 0.075, output: 0.3 },
+    },
     {
       name: 'gemini-2.0-flash-thinking-exp-01-21',
       label: 'Gemini 2.0 Flash-thinking-exp-01-21',
       provider: 'Google',
       maxTokenAllowed: 65536,
+      maxOutputTokens: 65536,
+      contextWindow: 1048576,
+      capabilities: { images: true, reasoning: true },
+    },
+    {
+      name: 'gemini-2.0-flash-exp',
+      label: 'Gemini 2.0 Flash',
+      provider: 'Google',
+      maxTokenAllowed: 8192,
+      maxOutputTokens: 8192,
+      contextWindow: 1048576,
+      capabilities: { images: true, tools: true },
+    },
+    {
+      name: 'gemini-1.5-flash-002',
+      label: 'Gemini 1.5 Flash-002',
+      provider: 'Google',
+      maxTokenAllowed: 8192,
+      maxOutputTokens: 8192,
+      contextWindow: 1048576,
+      capabilities: { images: true, tools: true },
+      pricing: { input: 0.075, output: 0.3 },
+    },
+    {
+      name: 'gemini-1.5-flash-8b',
+      label: 'Gemini 1.5 Flash-8b',
+      provider: 'Google',
+      maxTokenAllowed: 8192,
+      maxOutputTokens: 8192,
+      contextWindow: 1048576,
+      capabilities: { images: true, tools: true },
+      pricing: { input: 0.0375, output: 0.15 },
+    },
+    {
+      name: 'gemini-1.5-pro-latest',
+      label: 'Gemini 1.5 Pro',
+      provider: 'Google',
+      maxTokenAllowed: 8192,
+      maxOutputTokens: 8192,
+      contextWindow: 2097152,
+      capabilities: { images: true, tools: true },
+      pricing: { input: 1.25, output: 5 },
+    },
+    {
+      name: 'gemini-1.5-pro-002',
+      label: 'Gemini 1.5 Pro-002',
+      provider: 'Google',
+      maxTokenAllowed: 8192,
+      maxOutputTokens: 8192,
+      contextWindow: 2097152,
+      capabilities: { images: true, tools: true },
+      pricing: { input: 1.25, output: 5 },
+    },
+    {
+      name: 'gemini-exp-1206',
+      label: 'Gemini exp-1206',
+      provider: 'Google',
+      maxTokenAllowed: 8192,
+      maxOutputTokens: 8192,
+      contextWindow: 2097152,
+      capabilities: { images: true, tools: true },
     },
-    { name: 'gemini-2.0-flash-exp', label: 'Gemini 2.0 Flash', provider: 'Google', maxTokenAllowed: 8192 },
-    { name: 'gemini-1.5-flash-002', label: 'Gemini 1.5 Flash-002', provider: 'Google', maxTokenAllowed: 8192 },
-    { name: 'gemini-1.5-flash-8b', label: 'Gemini 1.5 Flash-8b', provider: 'Google', maxTokenAllowed: 8192 },
-    { name: 'gemini-1.5-pro-latest', label: 'Gemini 1.5 Pro', provider: 'Google', maxTokenAllowed: 8192 },
-    { name: 'gemini-1.5-pro-002', label: 'Gemini 1.5 Pro-002', provider: 'Google', maxTokenAllowed: 8192 },
-    { name: 'gemini-exp-1206', label: 'Gemini exp-1206', provider: 'Google', maxTokenAllowed: 8192 },
   ];
 
   async getDynamicModels(
@@ -59,7 +123,9 @@ export default class GoogleProvider extends BaseProvider {
       name: m.name.replace('models/', ''),
       label: `${m.displayName} - context ${Math.floor((m.inputTokenLimit + m.outputTokenLimit) / 1000) + 'k'}`,
       provider: this.name,
-      maxTokenAllowed: m.inputTokenLimit + m.outputTokenLimit || 8000,
+      maxTokenAllowed: m.outputTokenLimit || 8000,
+      maxOutputTokens: m.outputTokenLimit,
+      contextWindow: m.inputTokenLimit,
     }));
   }
 
@@ -13,17 +13,69 @@ export default class GroqProvider extends BaseProvider {
   };
 
   staticModels: ModelInfo[] = [
-    { name: 'llama-3.1-8b-instant', label: 'Llama 3.1 8b (Groq)', provider: 'Groq', maxTokenAllowed: 8000 },
-    { name: 'llama-3.2-11b-vision-preview', label: 'Llama 3.2 11b (Groq)', provider: 'Groq', maxTokenAllowed: 8000 },
-    { name: 'llama-3.2-90b-vision-preview', label: 'Llama 3.2 90b (Groq)', provider: 'Groq', maxTokenAllowed: 8000 },
-    { name: 'llama-3.2-3b-preview', label: 'Llama 3.2 3b (Groq)', provider: 'Groq', maxTokenAllowed: 8000 },
-    { name: 'llama-3.2-1b-preview', label: 'Llama 3.2 1b (Groq)', provider: 'Groq', maxTokenAllowed: 8000 },
-    { name: 'llama-3.3-70b-versatile', label: 'Llama 3.3 70b (Groq)', provider: 'Groq', maxTokenAllowed: 8000 },
+    {
+      name: 'llama-3.1-8b-instant',
+      label: 'Llama 3.1 8b (Groq)',
+      provider: 'Groq',
+      maxTokenAllowed: 8000,
+      contextWindow: 131072,
+      capabilities: { images: false, tools: true },
+      pricing: { input: 0.05, output: 0.08 },
+    },
+    {
+      name: 'llama-3.2-11b-vision-preview',
+      label: 'Llama 3.2 11b (Groq)',
+      provider: 'Groq',
+      maxTokenAllowed: 8000,
+      contextWindow: 8192,
+      capabilities: { images: true, tools: true },
+      pricing: { input: 0.18, output: 0.18 },
+    },
+    {
+      name: 'llama-3.2-90b-vision-preview',
+      label: 'Llama 3.2 90b (Groq)',
+      provider: 'Groq',
+      maxTokenAllowed: 8000,
+      contextWindow: 8192,
+      capabilities: { images: true, tools: true },
+      pricing: { input: 0.9, output: 0.9 },
+    },
+    {
+      name: 'llama-3.2-3b-preview',
+      label: 'Llama 3.2 3b (Groq)',
+      provider: 'Groq',
+      maxTokenAllowed: 8000,
+      contextWindow: 8192,
+      capabilities: { images: false, tools: true },
+      pricing: { input: 0.06, output: 0.06 },
+    },
+    {
+      name: 'llama-3.2-1b-preview',
+      label: 'Llama 3.2 1b (Groq)',
+      provider: 'Groq',
+      maxTokenAllowed: 8000,
+      contextWindow: 8192,
+      capabilities: { images: false, tools: true },
+      pricing: { input: 0.04, output: 0.04 },
+    },
+    {
+      name: 'llama-3.3-70b-versatile',
+      label: 'Llama 3.3 70b (Groq)',
+      provider: 'Groq',
+      maxTokenAllowed: 8000,
+      maxOutputTokens: 32768,
+      contextWindow: 131072,
+      capabilities: { images: false, tools: true },
+      pricing: { input: 0.59, output: 0.79 },
+    },
     {
       name: 'deepseek-r1-distill-llama-70b',
       label: 'Deepseek R1 Distill Llama 70b (Groq)',
       provider: 'Groq',
-      maxTokenAllowed: 131072,
+      maxTokenAllowed: 8000,
+      contextWindow: 131072,
+      capabilities: { images: false, reasoning: true },
+      pricing: { input: 0.75, output: 0.99 },
     },
   ];
 
@@ -60,7 +112,9 @@ export default class GroqProvider extends BaseProvider {
       name: m.id,
       label: `${m.id} - context ${m.context_window ? Math.floor(m.context_window / 1000) + 'k' : 'N/A'} [ by ${m.owned_by}]`,
       provider: this.name,
-      maxTokenAllowed: m.context_window || 8000,
+      maxTokenAllowed: 8000,
+      maxOutputTokens: m.max_completion_tokens,
+      contextWindow: m.context_window,
     }));
   }
 
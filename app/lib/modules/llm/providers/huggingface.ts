@@ -12,6 +12,7 @@ export default class HuggingFaceProvider extends BaseProvider {
     apiTokenKey: 'HuggingFace_API_KEY',
   };
 
+  // the Inference API does not report capabilities or pricing, so these are left without metadata
   staticModels: ModelInfo[] = [
     {
       name: 'Qwen/Qwen2.5-Coder-32B-Instruct',
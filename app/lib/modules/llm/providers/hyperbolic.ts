@@ -77,7 +77,8 @@ export default class HyperbolicProvider extends BaseProvider {
       name: m.id,
       label: `${m.id} - context ${m.context_length ? Math.floor(m.context_length / 1000) + 'k' : 'N/A'}`,
       provider: this.name,
-      maxTokenAllowed: m.context_length || 8000,
+      maxTokenAllowed: 8000,
+      contextWindow: m.context_length,
     }));
   }
 
@@ -49,6 +49,7 @@ export default class LMStudioProvider extends BaseProvider {
     const response = await fetch(`${baseUrl}/v1/models`);
     const data = (await response.json()) as { data: Array<{ id: string }> };
 
+    // the OpenAI-compatible list only has ids, so capabilities, limits and pricing stay unknown
     return data.data.map((model) => ({
       name: model.id,
       label: model.id,
@@ -12,6 +12,7 @@ export default class MistralProvider extends BaseProvider {
     apiTokenKey: 'MISTRAL_API_KEY',
   };
 
+  // Mistral's model list is not read, so these carry no capability or pricing metadata
   staticModels: ModelInfo[] = [
     { name: 'open-mistral-7b', label: 'Mistral 7B', provider: 'Mistral', maxTokenAllowed: 8000 },
     { name: 'open-mixtral-8x7b', label: 'Mistral 8x7B', provider: 'Mistral', maxTokenAllowed: 8000 },
@@ -27,6 +27,12 @@ export interface OllamaApiResponse {
   models: OllamaModel[];
 }
 
+// the parts of /api/show used for model metadata; older Ollama versions leave out `capabilities`
+interface OllamaShowResponse {
+  capabilities?: string[];
+  model_info?: Record<string, unknown>;
+}
+
 export default class OllamaProvider extends BaseProvider {
   name = 'Ollama';
   getApiKeyLink = 'https://ollama.com/download';
@@ -92,12 +98,46 @@ export default class OllamaProvider extends BaseProvider {
 
     // console.log({ ollamamodels: data.models });
 
-    return data.models.map((model: OllamaModel) => ({
-      name: model.name,
-      label: `${model.name} (${model.details.parameter_size})`,
-      provider: this.name,
-      maxTokenAllowed: 8000,
-    }));
+    const numCtx = this.getDefaultNumCtx(serverEnv as any);
+
+    return Promise.all(
+      data.models.map(async (model: OllamaModel) => {
+        const details = await this._getModelDetails(baseUrl, model.name);
+        const contextLength = Object.entries(details?.model_info ?? {}).find(([key]) =>
+          key.endsWith('.context_length'),
+        )?.[1];
+
+        return {
+          name: model.name,
+          label: `${model.name} (${model.details.parameter_size})`,
+          provider: this.name,
+          maxTokenAllowed: 8000,
+
+          // bolt runs every model with `numCtx` tokens of context, whatever the model could take
+          contextWindow: typeof contextLength === 'number' ? Math.min(contextLength, numCtx) : numCtx,
+          capabilities: details?.capabilities && {
+            images: details.capabilities.includes('vision'),
+            tools: details.capabilities.includes('tools'),
+            reasoning: details.capabilities.includes('thinking'),
+          },
+        };
+      }),
+    );
+  }
+
+  private async _getModelDetails(baseUrl: string, model: string): Promise<OllamaShowResponse | undefined> {
+    try {
+      const response = await fetch(`${baseUrl}/api/show`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model }),
+      });
+
+      return response.ok ? ((await response.json()) as OllamaShowResponse) : undefined;
+    } catch (error) {
+      logger.warn(`Failed to read details of Ollama model ${model}:`, error);
+      return undefined;
+    }
   }
 
   getModelInstance: (options: {
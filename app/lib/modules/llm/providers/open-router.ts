@@ -8,10 +8,19 @@ interface OpenRouterModel {
   name: string;
   id: string;
   context_length: number;
+
+  // US dollars per token
   pricing: {
     prompt: number;
     completion: number;
   };
+  architecture?: {
+    input_modalities?: string[];
+  };
+  supported_parameters?: string[];
+  top_provider?: {
+    max_completion_tokens?: number | null;
+  };
 }
 
 interface OpenRouterModelsResponse {
@@ -94,6 +103,14 @@ export default class OpenRouterProvider extends BaseProvider {
           label: `${m.name} - in:$${(m.pricing.prompt * 1_000_000).toFixed(2)} out:$${(m.pricing.completion * 1_000_000).toFixed(2)} - context ${Math.floor(m.context_length / 1000)}k`,
           provider: this.name,
           maxTokenAllowed: 8000,
+          maxOutputTokens: m.top_provider?.max_completion_tokens ?? undefined,
+          contextWindow: m.context_length,
+          capabilities: {
+            images: m.architecture?.input_modalities?.includes('image'),
+            tools: m.supported_parameters?.includes('tools'),
+            reasoning: m.supported_parameters?.includes('reasoning'),
+          },
+          pricing: { input: m.pricing.prompt * 1_000_000, output: m.pricing.completion * 1_000_000 },
         }));
     } catch (error) {
       console.error('Error getting OpenRouter models:', error);
@@ -39,6 +39,7 @@ export default class OpenAILikeProvider extends BaseProvider {
 
     const res = (await response.json()) as any;
 
+    // any OpenAI-compatible server; the standard list only has ids, so metadata stays unknown
     return res.data.map((model: any) => ({
       name: model.id,
       label: model.id,
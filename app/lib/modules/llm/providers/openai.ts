@@ -13,11 +13,56 @@ export default class OpenAIProvider extends BaseProvider {
   };
 
   staticModels: ModelInfo[] = [
-    { name: 'gpt-4o', label: 'GPT-4o', provider: 'OpenAI', maxTokenAllowed: 8000 },
-    { name: 'gpt-4o-mini', label: 'GPT-4o Mini', provider: 'OpenAI', maxTokenAllowed: 8000 },
-    { name: 'gpt-4-turbo', label: 'GPT-4 Turbo', provider: 'OpenAI', maxTokenAllowed: 8000 },
-    { name: 'gpt-4', label: 'GPT-4', provider: 'OpenAI', maxTokenAllowed: 8000 },
-    { name: 'gpt-3.5-turbo', label: 'GPT-3.5 Turbo', provider: 'OpenAI', maxTokenAllowed: 8000 },
+    {
+      name: 'gpt-4o',
+      label: 'GPT-4o',
+      provider: 'OpenAI',
+      maxTokenAllowed: 8000,
+      maxOutputTokens: 16384,
+      contextWindow: 128000,
+      capabilities: { images: true, tools: true },
+      pricing: { input: 2.5, output: 10 },
+    },
+    {
+      name: 'gpt-4o-mini',
+      label: 'GPT-4o Mini',
+      provider: 'OpenAI',
+      maxTokenAllowed: 8000,
+      maxOutputTokens: 16384,
+      contextWindow: 128000,
+      capabilities: { images: true, tools: true },
+      pricing: { input: 0.15, output: 0.6 },
+    },
+    {
+      name: 'gpt-4-turbo',
+      label: 'GPT-4 Turbo',
+      provider: 'OpenAI',
+      maxTokenAllowed: 8000,
+      maxOutputTokens: 4096,
+      contextWindow: 128000,
+      capabilities: { images: true, tools: true },
+      pricing: { input: 10, output: 30 },
+    },
+    {
+      name: 'gpt-4',
+      label: 'GPT-4',
+      provider: 'OpenAI',
+      maxTokenAllowed: 8000,
+      maxOutputTokens: 8192,
+      contextWindow: 8192,
+      capabilities: { images: false, tools: true },
+      pricing: { input: 30, output: 60 },
+    },
+    {
+      name: 'gpt-3.5-turbo',
+      label: 'GPT-3.5 Turbo',
+      provider: 'OpenAI',
+      maxTokenAllowed: 8000,
+      maxOutputTokens: 4096,
+      contextWindow: 16385,
+      capabilities: { images: false, tools: true },
+      pricing: { input: 0.5, output: 1.5 },
+    },
   ];
 
   async getDynamicModels(
@@ -57,7 +102,8 @@ export default class OpenAIProvider extends BaseProvider {
       name: m.id,
       label: `${m.id}`,
       provider: this.name,
-      maxTokenAllowed: m.context_window || 32000,
+      maxTokenAllowed: 8000,
+      contextWindow: m.context_window,
     }));
   }
 
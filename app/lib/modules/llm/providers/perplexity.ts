@@ -12,6 +12,7 @@ export default class PerplexityProvider extends BaseProvider {
     apiTokenKey: 'PERPLEXITY_API_KEY',
   };
 
+  // Perplexity has no model list to read capabilities or pricing from, so both stay unknown
   staticModels: ModelInfo[] = [
     {
       name: 'llama-3.1-sonar-small-128k-online',
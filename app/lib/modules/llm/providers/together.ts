@@ -67,6 +67,10 @@ export default class TogetherProvider extends BaseProvider {
       label: `${m.display_name} - in:$${m.pricing.input.toFixed(2)} out:$${m.pricing.output.toFixed(2)} - context ${Math.floor(m.context_length / 1000)}k`,
       provider: this.name,
       maxTokenAllowed: 8000,
+      contextWindow: m.context_length,
+
+      // already in US dollars per million tokens
+      pricing: { input: m.pricing.input, output: m.pricing.output },
     }));
   }
 
@@ -13,11 +13,21 @@ interface VSCodeAPIResponse {
     name: string;
     maxInputTokens?: number;
     countTokens?: boolean;
+
+    // only reported by VS Code builds that expose model capabilities
+    capabilities?: { images?: boolean; tools?: boolean };
   }>;
   count?: number;
   error?: string;
 }
 
+interface VSCodeCountTokensResponse {
+  success: boolean;
+  tokens?: number;
+  maxInputTokens?: number;
+  error?: string;
+}
+
 interface VSCodeChatResponse {
   success: boolean;
   response?: string;
@@ -26,35 +36,251 @@ interface VSCodeChatResponse {
     vendor: string;
     family: string;
     name: string;
-    promptTokens?: number; // Added to capture potential token info
-    completionTokens?: number; // Added to capture potential token info
-    totalTokens?: number; // Added to capture potential token info
   };
+  usage?: VSCodeUsage;
   error?: string;
 }
 
+interface VSCodeUsage {
+  promptTokens?: number;
+  completionTokens?: number;
+  totalTokens?: number;
+}
+
+type VSCodeStreamEvent =
+  | { type: 'text'; text: string }
+  | { type: 'done'; model?: VSCodeChatResponse['model']; usage?: VSCodeUsage }
+  | { type: 'error'; error: string };
+
+const toOpenAIUsage = (usage?: VSCodeUsage) => ({
+  prompt_tokens: Number(usage?.promptTokens) || 0,
+  completion_tokens: Number(usage?.completionTokens) || 0,
+  total_tokens: Number(usage?.totalTokens) || 0,
+});
+
+/**
+ * Re-encodes the bridge's `text/event-stream` events as OpenAI `chat.completion.chunk`s,
+ * forwarding every text part to the AI SDK as soon as the extension emits it.
+ */
+function relayBridgeStream(body: ReadableStream<Uint8Array>, fallbackModel: string): ReadableStream<Uint8Array> {
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+  const id = 'chatcmpl-' + Date.now();
+  let buffer = '';
+
+  const toChunk = (delta: Record<string, string>, finishReason: string | null, extra: Record<string, unknown> = {}) =>
+    encoder.encode(
+      `data: ${JSON.stringify({
+        id,
+        object: 'chat.completion.chunk',
+        created: Math.floor(Date.now() / 1000),
+        model: fallbackModel,
+        choices: [{ index: 0, delta, finish_reason: finishReason }],
+        ...extra,
+      })}\n\n`,
+    );
+
+  /**
+   * Relay one event of the bridge stream
+   * @returns Whether the stream may go on, false once it was failed
+   */
+  const relayEvent = (rawEvent: string, controller: TransformStreamDefaultController<Uint8Array>) => {
+    const data = rawEvent
+      .split('\n')
+      .filter((line) => line.startsWith('data:'))
+      .map((line) => line.slice(5).trim())
+      .join('');
+
+    if (!data) {
+      return true;
+    }
+
+    let event: VSCodeStreamEvent;
+
+    try {
+      event = JSON.parse(data) as VSCodeStreamEvent;
+    } catch {
+      controller.error(new Error(`VS Code LLM Bridge sent a malformed stream event: ${data.slice(0, 200)}`));
+      return false;
+    }
+
+    if (event.type === 'text') {
+      controller.enqueue(toChunk({ content: event.text }, null));
+    } else if (event.type === 'done') {
+      controller.enqueue(toChunk({}, 'stop', { usage: toOpenAIUsage(event.usage) }));
+      controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+    } else if (event.type === 'error') {
+      controller.error(new Error(`VS Code LLM error: ${event.error}`));
+      return false;
+    }
+
+    return true;
+  };
+
+  return body.pipeThrough(
+    new TransformStream<Uint8Array, Uint8Array>({
+      transform(chunk, controller) {
+        buffer += decoder.decode(chunk, { stream: true });
+
+        const events = buffer.split('\n\n');
+        buffer = events.pop() || '';
+
+        for (const rawEvent of events) {
+          if (!relayEvent(rawEvent, controller)) {
+            return;
+          }
+        }
+      },
+
+      // the last event may end the stream without the blank line that closes it
+      flush(controller) {
+        buffer += decoder.decode();
+
+        if (buffer.trim()) {
+          relayEvent(buffer, controller);
+        }
+      },
+    }),
+  );
+}
+
+/**
+ * Send an OpenAI chat completions request through the bridge's own /api/chat, for bridges that
+ * predate its /v1 routes. /api/chat only takes text, so requests with images or tools are refused
+ * rather than sent without them.
+ */
+async function requestLegacyBridge(bridgeUrl: string, apiKey: string, init?: RequestInit): Promise<Response> {
+  const request = JSON.parse((init?.body as string) || '{}');
+  const isStreamingRequest = request.stream === true;
+  const hasImages = request.messages?.some(
+    (message: any) => Array.isArray(message.content) && message.content.some((part: any) => part.type !== 'text'),
+  );
+
+  if (hasImages || request.tools?.length) {
+    return Response.json(
+      {
+        error: {
+          message:
+            'This VS Code LLM Bridge is too old to take images or tools. Update the Bolt DYI extension in VS Code.',
+          type: 'invalid_request_error',
+        },
+      },
+      { status: 400 },
+    );
+  }
+
+  const response = await fetch(`${bridgeUrl}/api/chat`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${apiKey}`,
+    },
+    body: JSON.stringify({
+      messages:
+        request.messages?.map((message: any) => ({
+          role: message.role,
+          content: Array.isArray(message.content)
+            ? message.content.find((part: any) => part.type === 'text')?.text || ''
+            : message.content || '',
+        })) || [],
+      model: request.model ? { id: request.model } : undefined,
+      stream: isStreamingRequest,
+    }),
+    signal: init?.signal,
+  });
+
+  if (!response.ok) {
+    return response;
+  }
+
+  if (isStreamingRequest) {
+    if (!response.body) {
+      throw new Error('VS Code LLM Bridge returned an empty stream');
+    }
+
+    return new Response(relayBridgeStream(response.body, request.model), {
+      status: 200,
+      headers: { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' },
+    });
+  }
+
+  const result = (await response.json()) as VSCodeChatResponse;
+
+  if (!result.success) {
+    throw new Error(`VS Code LLM error: ${result.error}`);
+  }
+
+  return Response.json({
+    id: 'chatcmpl-' + Date.now(),
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: result.model?.id || request.model,
+    choices: [{ index: 0, message: { role: 'assistant', content: result.response || '' }, finish_reason: 'stop' }],
+    usage: toOpenAIUsage(result.usage),
+  });
+}
+
+// Port the extension listens on unless configured otherwise (`bolt-dyi-vsllm.port`)
+const DEFAULT_BRIDGE_URL = 'http://127.0.0.1:41400';
+
+// Written by the extension when its server starts; holds the address it actually bound to
+const DISCOVERY_FILE = ['.bolt-dyi', 'vsllm-bridge.json'];
+
 export default class VSLLMProvider extends BaseProvider {
   name = 'VS LLM';
   getApiKeyLink = undefined;
   labelForGetApiKey = 'VS Code Extension Status';
   icon = 'i-ph:code';
 
-  // Override normal API key requirement
-  needsApiKey = false;
-
+  /*
+   * The bridge requires the bearer token it generates on first start.
+   * Copy it in VS Code with "Bolt DYI: Copy API Token" and paste it as this provider's API key.
+   * The base URL is optional: without it the running bridge is discovered automatically.
+   */
   config = {
-    // No API key is needed - leave both empty
-    apiTokenKey: '',
-    baseUrlKey: '',
+    baseUrlKey: 'VS_LLM_API_BASE_URL',
+    apiTokenKey: 'VS_LLM_API_KEY',
   };
 
   // Static models will be populated from VS Code extension
   staticModels: ModelInfo[] = [];
 
+  /**
+   * Address announced by the extension in ~/.bolt-dyi/vsllm-bridge.json.
+   * Only readable where bolt runs on Node next to VS Code; elsewhere falls back to the default port.
+   */
+  async discoverBridgeUrl(): Promise<string> {
+    if (typeof window !== 'undefined') {
+      return DEFAULT_BRIDGE_URL;
+    }
+
+    try {
+      const { readFile } = await import('node:fs/promises');
+      const { homedir } = await import('node:os');
+      const { join } = await import('node:path');
+      const info = JSON.parse(await readFile(join(homedir(), ...DISCOVERY_FILE), 'utf-8')) as { url?: string };
+
+      if (info.url) {
+        return info.url;
+      }
+    } catch {
+      // No bridge has announced itself
+    }
+
+    return DEFAULT_BRIDGE_URL;
+  }
+
+  /**
+   * Resolve the bridge URL: provider settings or VS_LLM_API_BASE_URL first, then discovery
+   */
+  async getBridgeUrl(configuredBaseUrl?: string): Promise<string> {
+    return configuredBaseUrl || (await this.discoverBridgeUrl());
+  }
+
   // Health check method to verify VS Code extension is running
-  async checkHealth(): Promise<{ isHealthy: boolean; message: string }> {
+  async checkHealth(bridgeUrl: string): Promise<{ isHealthy: boolean; message: string }> {
     try {
-      const response = await fetch('http://localhost:3000/health');
+      const response = await fetch(`${bridgeUrl}/health`);
 
       if (response.ok) {
         const data = (await response.json()) as { timestamp?: string };
@@ -71,19 +297,34 @@ export default class VSLLMProvider extends BaseProvider {
     } catch {
       return {
         isHealthy: false,
-        message: '❌ VS Code LLM Extension is not running on localhost:3000',
+        message: `❌ VS Code LLM Extension is not running on ${bridgeUrl}`,
       };
     }
   }
 
   async getDynamicModels(
-    _apiKeys?: Record<string, string>,
-    _settings?: IProviderSetting,
-    _serverEnv?: Record<string, string>,
+    apiKeys?: Record<string, string>,
+    settings?: IProviderSetting,
+    serverEnv: Record<string, string> = {},
   ): Promise<ModelInfo[]> {
+    const { baseUrl, apiKey } = this.getProviderBaseUrlAndKey({
+      apiKeys,
+      providerSettings: settings,
+      serverEnv,
+      defaultBaseUrlKey: 'VS_LLM_API_BASE_URL',
+      defaultApiTokenKey: 'VS_LLM_API_KEY',
+    });
+
+    if (!apiKey) {
+      console.warn('VS Code LLM Bridge API token is not set; copy it from VS Code with "Bolt DYI: Copy API Token"');
+      return [];
+    }
+
     try {
+      const bridgeUrl = await this.getBridgeUrl(baseUrl);
+
       // First check if server is running
-      const health = await this.checkHealth();
+      const health = await this.checkHealth(bridgeUrl);
 
       if (!health.isHealthy) {
         console.warn('VS Code LLM Bridge server not available:', health.message);
@@ -91,7 +332,16 @@ export default class VSLLMProvider extends BaseProvider {
       }
 
       // Try to fetch models from the VS Code extension local server
-      const response = await fetch('http://localhost:3000/api/models');
+      const response = await fetch(`${bridgeUrl}/api/models`, {
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+        },
+      });
+
+      if (response.status === 401) {
+        console.warn('VS Code LLM Bridge rejected the API token; copy it again with "Bolt DYI: Copy API Token"');
+        return [];
+      }
 
       if (!response.ok) {
         console.warn('VS Code LLM Bridge server returned error for /api/models');
@@ -105,7 +355,9 @@ export default class VSLLMProvider extends BaseProvider {
           name: model.id,
           label: `${model.name} (${model.vendor})`,
           provider: 'VS LLM',
-          maxTokenAllowed: model.maxInputTokens || 8000,
+          maxTokenAllowed: 8000,
+          contextWindow: model.maxInputTokens,
+          capabilities: model.capabilities,
         }));
       }
     } catch (error) {
@@ -115,183 +367,98 @@ export default class VSLLMProvider extends BaseProvider {
     return [];
   }
 
-  getModelInstance(options: {
+  /**
+   * Count tokens with the VS Code model's own tokenizer through the bridge's /api/count-tokens
+   */
+  async countTokens(options: {
     model: string;
-    serverEnv: Env;
+    text: string;
+    serverEnv?: Env;
     apiKeys?: Record<string, string>;
     providerSettings?: Record<string, IProviderSetting>;
-  }): LanguageModelV1 {
-    const { model: modelNameOption } = options; // Renamed to avoid conflict with result.model
+  }): Promise<number | undefined> {
+    const { model, text, serverEnv, apiKeys, providerSettings } = options;
+
+    const { baseUrl, apiKey } = this.getProviderBaseUrlAndKey({
+      apiKeys,
+      providerSettings: providerSettings?.[this.name],
+      serverEnv: serverEnv as any,
+      defaultBaseUrlKey: 'VS_LLM_API_BASE_URL',
+      defaultApiTokenKey: 'VS_LLM_API_KEY',
+    });
 
-    const vsCodeProvider = createOpenAI({
-      baseURL: 'http://localhost:3000', // This will be overridden by fetch
-      apiKey: 'no-key-needed',
-      fetch: async (url, requestOptions) => {
-        try {
-          const originalRequestBody = JSON.parse((requestOptions?.body as string) || '{}');
-          const isStreamingRequest = originalRequestBody.stream === true;
-
-          /*
-           * Fetch the complete response from the VS Code extension server
-           * (This part remains the same, as the extension provides a single response)
-           */
-          const vsCodeExtensionResponse = await fetch('http://localhost:3000/api/chat', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-
-              // Pass through any other relevant headers from requestOptions if necessary
-            },
-
-            // Construct the body for the VS Code extension based on originalRequestBody.messages
-            body: JSON.stringify({
-              messages:
-                originalRequestBody.messages?.map((msg: any) => {
-                  let content;
-
-                  if (typeof msg.content === 'string') {
-                    content = msg.content;
-                  } else if (Array.isArray(msg.content)) {
-                    const textPart = msg.content.find((part: any) => part.type === 'text');
-                    content = textPart?.text || '';
-                  } else {
-                    content = '';
-                  }
-
-                  return { content };
-                }) || [],
-
-              // model and other options for VSCode extension if needed
-            }),
-          });
-
-          if (!vsCodeExtensionResponse.ok) {
-            const errorText = await vsCodeExtensionResponse.text();
-            console.error(`VS Code LLM Bridge error (${vsCodeExtensionResponse.status}): ${errorText}`);
-            throw new Error(`VS Code LLM Bridge error: ${vsCodeExtensionResponse.statusText}`);
-          }
+    if (!apiKey) {
+      return undefined;
+    }
 
-          const result = (await vsCodeExtensionResponse.json()) as VSCodeChatResponse;
+    try {
+      const bridgeUrl = await this.getBridgeUrl(baseUrl);
+      const response = await fetch(`${bridgeUrl}/api/count-tokens`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${apiKey}`,
+        },
+        body: JSON.stringify({ text, model: { id: model } }),
+      });
 
-          if (!result.success) {
-            console.error('VS Code LLM error:', result.error);
-            throw new Error(`VS Code LLM error: ${result.error}`);
-          }
+      if (!response.ok) {
+        return undefined;
+      }
 
-          if (isStreamingRequest) {
-            const encoder = new TextEncoder();
-            const readableStream = new ReadableStream({
-              start(controller) {
-                // Send content chunk
-                const contentChunk = {
-                  id: 'chatcmpl-' + Date.now(),
-                  object: 'chat.completion.chunk',
-                  created: Math.floor(Date.now() / 1000),
-                  model: result.model?.id || modelNameOption,
-                  choices: [
-                    {
-                      index: 0,
-                      delta: { content: result.response || '' },
-                      finish_reason: null,
-                    },
-                  ],
-                };
-                controller.enqueue(encoder.encode(`data: ${JSON.stringify(contentChunk)}\n\n`));
-
-                // Send final chunk with finish_reason and usage
-                const finalChunk = {
-                  id: 'chatcmpl-' + Date.now() + '-final',
-                  object: 'chat.completion.chunk',
-                  created: Math.floor(Date.now() / 1000),
-                  model: result.model?.id || modelNameOption,
-                  choices: [
-                    {
-                      index: 0,
-                      delta: {}, // Empty delta for final chunk
-                      finish_reason: 'stop',
-                    },
-                  ],
-                  usage: {
-                    // Parse token counts properly, fallback to 0 if not available
-                    prompt_tokens:
-                      result.model?.promptTokens && !isNaN(Number(result.model.promptTokens))
-                        ? Number(result.model.promptTokens)
-                        : 0,
-                    completion_tokens:
-                      result.model?.completionTokens && !isNaN(Number(result.model.completionTokens))
-                        ? Number(result.model.completionTokens)
-                        : 0,
-                    total_tokens:
-                      result.model?.totalTokens && !isNaN(Number(result.model.totalTokens))
-                        ? Number(result.model.totalTokens)
-                        : 0,
-                  },
-                };
-                controller.enqueue(encoder.encode(`data: ${JSON.stringify(finalChunk)}\n\n`));
-
-                // Send DONE signal
-                controller.enqueue(encoder.encode('data: [DONE]\n\n'));
-                controller.close();
-              },
-            });
-
-            return new Response(readableStream, {
-              status: 200,
-              headers: {
-                'Content-Type': 'text/event-stream',
-                'Cache-Control': 'no-cache',
-                Connection: 'keep-alive',
-              },
-            });
-          } else {
-            // Original non-streaming response
-            const openAIResponse = {
-              choices: [
-                {
-                  index: 0,
-                  message: {
-                    content: result.response || '',
-                    role: 'assistant',
-                  },
-                  finish_reason: 'stop',
-                },
-              ],
-              model: result.model?.id || modelNameOption,
-              usage: {
-                // Corrected usage calculation here
-                prompt_tokens:
-                  result.model?.promptTokens && !isNaN(Number(result.model.promptTokens))
-                    ? Number(result.model.promptTokens)
-                    : 0,
-                completion_tokens:
-                  result.model?.completionTokens && !isNaN(Number(result.model.completionTokens))
-                    ? Number(result.model.completionTokens)
-                    : 0,
-                total_tokens:
-                  result.model?.totalTokens && !isNaN(Number(result.model.totalTokens))
-                    ? Number(result.model.totalTokens)
-                    : 0,
-              },
-            };
-
-            return new Response(JSON.stringify(openAIResponse), {
-              status: 200,
-              headers: { 'Content-Type': 'application/json' },
-            });
-          }
-        } catch (error) {
-          console.error('Error in VS LLM fetch override:', error);
+      const data = (await response.json()) as VSCodeCountTokensResponse;
 
-          // Ensure a Response object is thrown or returned for the SDK
-          if (error instanceof Response) {
-            throw error;
-          }
+      return data.success ? data.tokens : undefined;
+    } catch (error) {
+      console.warn('Failed to count tokens with VS Code LLM Bridge:', error);
+      return undefined;
+    }
+  }
 
-          throw new Response(JSON.stringify({ error: (error as Error).message }), { status: 500 });
+  getModelInstance(options: {
+    model: string;
+    serverEnv: Env;
+    apiKeys?: Record<string, string>;
+    providerSettings?: Record<string, IProviderSetting>;
+  }): LanguageModelV1 {
+    const { model, serverEnv, apiKeys, providerSettings } = options;
+
+    const { baseUrl, apiKey } = this.getProviderBaseUrlAndKey({
+      apiKeys,
+      providerSettings: providerSettings?.[this.name],
+      serverEnv: serverEnv as any,
+      defaultBaseUrlKey: 'VS_LLM_API_BASE_URL',
+      defaultApiTokenKey: 'VS_LLM_API_KEY',
+    });
+
+    if (!apiKey) {
+      throw new Error(`Missing API key for ${this.name} provider`);
+    }
+
+    /*
+     * The bridge speaks the OpenAI chat completions protocol on /v1, so system prompts,
+     * multi-turn history, streaming, tool calls and usage all pass through unchanged.
+     * Without a configured base URL the bridge address is discovered when the request is made.
+     * Bridges without the /v1 routes answer 404 without JSON and are asked through /api/chat instead.
+     */
+    const vsCodeProvider = createOpenAI({
+      baseURL: `${DEFAULT_BRIDGE_URL}/v1`,
+      apiKey,
+      compatibility: 'strict',
+      fetch: async (input, init) => {
+        const bridgeUrl = await this.getBridgeUrl(baseUrl);
+        const response = await fetch(String(input).replace(DEFAULT_BRIDGE_URL, bridgeUrl), init);
+        const isMissingRoute =
+          response.status === 404 && !response.headers.get('Content-Type')?.includes('application/json');
+
+        if (isMissingRoute && String(input).endsWith('/chat/completions')) {
+          return requestLegacyBridge(bridgeUrl, apiKey, init);
         }
+
+        return response;
       },
     });
 
-    return vsCodeProvider(modelNameOption);
+    return vsCodeProvider(model);
   }
 }
@@ -13,9 +13,33 @@ export default class XAIProvider extends BaseProvider {
   };
 
   staticModels: ModelInfo[] = [
-    { name: 'grok-3-beta', label: 'xAI Grok 3 Beta', provider: 'xAI', maxTokenAllowed: 8000 },
-    { name: 'grok-beta', label: 'xAI Grok Beta', provider: 'xAI', maxTokenAllowed: 8000 },
-    { name: 'grok-2-1212', label: 'xAI Grok2 1212', provider: 'xAI', maxTokenAllowed: 8000 },
+    {
+      name: 'grok-3-beta',
+      label: 'xAI Grok 3 Beta',
+      provider: 'xAI',
+      maxTokenAllowed: 8000,
+      contextWindow: 131072,
+      capabilities: { images: false, tools: true },
+      pricing: { input: 3, output: 15 },
+    },
+    {
+      name: 'grok-beta',
+      label: 'xAI Grok Beta',
+      provider: 'xAI',
+      maxTokenAllowed: 8000,
+      contextWindow: 131072,
+      capabilities: { images: false, tools: true },
+      pricing: { input: 5, output: 15 },
+    },
+    {
+      name: 'grok-2-1212',
+      label: 'xAI Grok2 1212',
+      provider: 'xAI',
+      maxTokenAllowed: 8000,
+      contextWindow: 131072,
+      capabilities: { images: false, tools: true },
+      pricing: { input: 2, output: 10 },
+    },
   ];
 
   getModelInstance(options: {
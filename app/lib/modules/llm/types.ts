@@ -1,11 +1,43 @@
 import type { LanguageModelV1 } from 'ai';
 import type { IProviderSetting } from '~/types/model';
 
+/**
+ * What a model accepts and can do. A flag left out means the provider does not say.
+ */
+export interface ModelCapabilities {
+  // image parts in user messages
+  images?: boolean;
+
+  // tool (function) calls
+  tools?: boolean;
+
+  // a separate reasoning stream before the answer
+  reasoning?: boolean;
+}
+
+/**
+ * Price in US dollars per million tokens
+ */
+export interface ModelPricing {
+  input: number;
+  output: number;
+}
+
 export interface ModelInfo {
   name: string;
   label: string;
   provider: string;
+
+  // most tokens bolt asks the model to answer with in one response, not the size of its context window
   maxTokenAllowed: number;
+
+  // longest answer the model can give in one response, which caps `maxTokenAllowed`
+  maxOutputTokens?: number;
+
+  // tokens the model can take in one request, prompt and answer together; left out when unknown
+  contextWindow?: number;
+  capabilities?: ModelCapabilities;
+  pricing?: ModelPricing;
 }
 
 export interface ProviderInfo {
@@ -22,6 +54,13 @@ export interface ProviderInfo {
     apiKeys?: Record<string, string>;
     providerSettings?: Record<string, IProviderSetting>;
   }) => LanguageModelV1;
+  countTokens?: (options: {
+    model: string;
+    text: string;
+    serverEnv?: Env;
+    apiKeys?: Record<string, string>;
+    providerSettings?: Record<string, IProviderSetting>;
+  }) => Promise<number | undefined>;
   getApiKeyLink?: string;
   labelForGetApiKey?: string;
   icon?: string;
@@ -31,3 +70,11 @@ export interface ProviderConfig {
   baseUrl?: string;
   apiTokenKey?: string;
 }
+
+/**
+ * One entry of the user's failover chain; without a model the provider's first model is used
+ */
+export interface ModelFallback {
+  provider: string;
+  model?: string;
+}
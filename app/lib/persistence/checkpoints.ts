@@ -0,0 +1,78 @@
+import { atom } from 'nanostores';
+import type { FileMap } from '~/lib/stores/files';
+import { createScopedLogger } from '~/utils/logger';
+import { getCheckpoint, getCheckpointMessageIds, setCheckpoint } from './db';
+import { chatId, db } from './useChatHistory';
+
+const logger = createScopedLogger('Checkpoints');
+
+// ids of the messages of the current chat the project can be restored to
+export const checkpointMessageIds = atom<Set<string>>(new Set());
+
+export async function loadCheckpoints(id: string) {
+  if (!db) {
+    return;
+  }
+
+  try {
+    checkpointMessageIds.set(new Set(await getCheckpointMessageIds(db, id)));
+  } catch (error) {
+    logger.error('Failed to load checkpoints', error);
+  }
+}
+
+/**
+ * Store the project files as the checkpoint of `messageId`. A new chat only gets its id once its
+ * first messages are stored, so this waits for it. Never rejects: checkpoints are best effort.
+ */
+export async function recordCheckpoint(messageId: string, files: FileMap) {
+  if (!db) {
+    return;
+  }
+
+  try {
+    const id = await currentChatId();
+
+    await setCheckpoint(db, id, messageId, files);
+
+    if (chatId.get() === id) {
+      checkpointMessageIds.set(new Set([...checkpointMessageIds.get(), messageId]));
+    }
+  } catch (error) {
+    logger.error(`Failed to record checkpoint for message ${messageId}`, error);
+  }
+}
+
+/**
+ * The project files recorded after `messageId` in the current chat
+ */
+export async function getMessageCheckpoint(messageId: string) {
+  const id = chatId.get();
+
+  if (!db || !id) {
+    return undefined;
+  }
+
+  return getCheckpoint(db, id, messageId);
+}
+
+/**
+ * The current chat's id, waiting for a new chat to get one
+ */
+export function currentChatId() {
+  return new Promise<string>((resolve) => {
+    const id = chatId.get();
+
+    if (id) {
+      resolve(id);
+      return;
+    }
+
+    const unsubscribe = chatId.listen((value) => {
+      if (value) {
+        unsubscribe();
+        resolve(value);
+      }
+    });
+  });
+}
@@ -0,0 +1,86 @@
+import type { JSONValue, Message } from 'ai';
+import { atom } from 'nanostores';
+import type { ContextAnnotation } from '~/types/context';
+import { EMPTY_COMPACTION, type CompactionState } from '~/utils/compaction';
+import { createScopedLogger } from '~/utils/logger';
+import { currentChatId } from './checkpoints';
+import { getCompaction, setCompaction } from './db';
+import { chatId, db } from './useChatHistory';
+
+const logger = createScopedLogger('Compaction');
+
+// rolling summary of the current chat and the messages it replaces
+export const chatCompaction = atom<CompactionState>(EMPTY_COMPACTION);
+
+type CompactionAnnotation = Extract<ContextAnnotation, { type: 'compaction' }>;
+
+export async function loadCompaction(id: string) {
+  if (!db) {
+    return;
+  }
+
+  try {
+    const stored = await getCompaction(db, id);
+    chatCompaction.set(
+      stored
+        ? { summary: stored.summary, compactedIds: stored.compactedIds, pinnedIds: stored.pinnedIds }
+        : EMPTY_COMPACTION,
+    );
+  } catch (error) {
+    logger.error('Failed to load compaction', error);
+  }
+}
+
+async function updateCompaction(update: (compaction: CompactionState) => CompactionState) {
+  const id = await currentChatId();
+  const compaction = update(chatCompaction.get());
+
+  if (chatId.get() === id) {
+    chatCompaction.set(compaction);
+  }
+
+  if (db) {
+    await setCompaction(db, { chatId: id, ...compaction });
+  }
+}
+
+/**
+ * Keep the summary a finished assistant message brought when its request compacted the chat.
+ * Never rejects: a lost summary only means the next request compacts again.
+ */
+export async function recordCompaction(message: Message) {
+  const annotation = (message.annotations as JSONValue[] | undefined)?.find(
+    (annotation): annotation is JSONValue & CompactionAnnotation =>
+      !!annotation && typeof annotation === 'object' && (annotation as { type?: string }).type === 'compaction',
+  );
+
+  if (!annotation) {
+    return;
+  }
+
+  try {
+    await updateCompaction((compaction) => ({
+      ...compaction,
+      summary: annotation.summary,
+      compactedIds: annotation.compactedIds,
+    }));
+  } catch (error) {
+    logger.error(`Failed to record compaction of message ${message.id}`, error);
+  }
+}
+
+/**
+ * Pin a message so compaction never folds it, and send it again if it already was; or unpin it
+ */
+export async function togglePinnedMessage(messageId: string) {
+  try {
+    await updateCompaction((compaction) => ({
+      ...compaction,
+      pinnedIds: compaction.pinnedIds.includes(messageId)
+        ? compaction.pinnedIds.filter((id) => id !== messageId)
+        : [...compaction.pinnedIds, messageId],
+    }));
+  } catch (error) {
+    logger.error(`Failed to pin message ${messageId}`, error);
+  }
+}
@@ -1,7 +1,9 @@
 import type { Message } from 'ai';
 import { createScopedLogger } from '~/utils/logger';
 import type { ChatHistoryItem } from './useChatHistory';
-import type { Snapshot } from './types'; // Import Snapshot type
+import type { ChatCompaction, ChatUsage, Checkpoint, DailyUsage, Snapshot } from './types'; // Import Snapshot type
+import type { FileMap } from '~/lib/stores/files';
+import { addUsage, EMPTY_USAGE, usageDay, type UsageTotals } from '~/utils/usageBudget';
 
 export interface IChatMetadata {
   gitUrl: string;
@@ -19,7 +21,7 @@ export async function openDatabase(): Promise<IDBDatabase | undefined> {
   }
 
   return new Promise((resolve) => {
-    const request = indexedDB.open('boltHistory', 2);
+    const request = indexedDB.open('boltHistory', 5);
 
     request.onupgradeneeded = (event: IDBVersionChangeEvent) => {
       const db = (event.target as IDBOpenDBRequest).result;
@@ -38,6 +40,32 @@ export async function openDatabase(): Promise<IDBDatabase | undefined> {
           db.createObjectStore('snapshots', { keyPath: 'chatId' });
         }
       }
+
+      if (oldVersion < 3) {
+        if (!db.objectStoreNames.contains('checkpoints')) {
+          db.createObjectStore('checkpoints', { keyPath: ['chatId', 'messageId'] });
+        }
+
+        if (!db.objectStoreNames.contains('checkpointBlobs')) {
+          db.createObjectStore('checkpointBlobs', { keyPath: 'hash' });
+        }
+      }
+
+      if (oldVersion < 4) {
+        if (!db.objectStoreNames.contains('chatUsage')) {
+          db.createObjectStore('chatUsage', { keyPath: 'chatId' });
+        }
+
+        if (!db.objectStoreNames.contains('dailyUsage')) {
+          db.createObjectStore('dailyUsage', { keyPath: 'date' });
+        }
+      }
+
+      if (oldVersion < 5) {
+        if (!db.objectStoreNames.contains('compactions')) {
+          db.createObjectStore('compactions', { keyPath: 'chatId' });
+        }
+      }
     };
 
     request.onsuccess = (event: Event) => {
@@ -122,6 +150,10 @@ export async function getMessagesById(db: IDBDatabase, id: string): Promise<Chat
 }
 
 export async function deleteById(db: IDBDatabase, id: string): Promise<void> {
+  await deleteCheckpoints(db, id);
+  await deleteChatUsage(db, id);
+  await deleteCompaction(db, id);
+
   return new Promise((resolve, reject) => {
     const transaction = db.transaction(['chats', 'snapshots'], 'readwrite'); // Add snapshots store to transaction
     const chatStore = transaction.objectStore('chats');
@@ -341,3 +373,272 @@ export async function deleteSnapshot(db: IDBDatabase, chatId: string): Promise<v
     };
   });
 }
+
+/**
+ * Key range covering every checkpoint of a chat: arrays sort after strings, so `[chatId, []]`
+ * is above any `[chatId, messageId]`
+ */
+function chatCheckpointsRange(chatId: string) {
+  return IDBKeyRange.bound([chatId], [chatId, []]);
+}
+
+async function hashContent(content: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(content));
+
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Record the project files as they were after `messageId`. Contents are stored once per
+ * SHA-256 hash, so checkpoints of a mostly unchanged project only add the files that changed.
+ */
+export async function setCheckpoint(db: IDBDatabase, chatId: string, messageId: string, files: FileMap): Promise<void> {
+  const checkpoint: Checkpoint = { chatId, messageId, timestamp: new Date().toISOString(), files: {} };
+  const blobs = new Map<string, string>();
+
+  // hash before opening the transaction, which would commit while awaiting anything but its own requests
+  for (const [path, dirent] of Object.entries(files)) {
+    if (dirent?.type === 'folder') {
+      checkpoint.files[path] = { type: 'folder' };
+    } else if (dirent?.type === 'file') {
+      const hash = await hashContent(dirent.content);
+
+      checkpoint.files[path] = { type: 'file', hash, isBinary: dirent.isBinary };
+      blobs.set(hash, dirent.content);
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(['checkpoints', 'checkpointBlobs'], 'readwrite');
+    const blobStore = transaction.objectStore('checkpointBlobs');
+
+    for (const [hash, content] of blobs) {
+      const request = blobStore.getKey(hash);
+
+      request.onsuccess = () => {
+        if (request.result === undefined) {
+          blobStore.put({ hash, content });
+        }
+      };
+    }
+
+    transaction.objectStore('checkpoints').put(checkpoint);
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Ids of the messages of a chat that have a checkpoint
+ */
+export async function getCheckpointMessageIds(db: IDBDatabase, chatId: string): Promise<string[]> {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction('checkpoints', 'readonly');
+    const store = transaction.objectStore('checkpoints');
+    const request = store.getAllKeys(chatCheckpointsRange(chatId));
+
+    request.onsuccess = () => resolve((request.result as [string, string][]).map(([, messageId]) => messageId));
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * The project files recorded after `messageId`, or undefined when no checkpoint was recorded
+ */
+export async function getCheckpoint(db: IDBDatabase, chatId: string, messageId: string): Promise<FileMap | undefined> {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(['checkpoints', 'checkpointBlobs'], 'readonly');
+    const blobStore = transaction.objectStore('checkpointBlobs');
+    const request = transaction.objectStore('checkpoints').get([chatId, messageId]);
+    const files: FileMap = {};
+    const missing: string[] = [];
+
+    request.onsuccess = () => {
+      const checkpoint = request.result as Checkpoint | undefined;
+
+      for (const [path, entry] of Object.entries(checkpoint?.files ?? {})) {
+        if (entry.type === 'folder') {
+          files[path] = { type: 'folder' };
+          continue;
+        }
+
+        const blobRequest = blobStore.get(entry.hash);
+
+        blobRequest.onsuccess = () => {
+          if (blobRequest.result) {
+            files[path] = { type: 'file', content: blobRequest.result.content, isBinary: entry.isBinary };
+          } else {
+            missing.push(path);
+          }
+        };
+      }
+    };
+
+    transaction.oncomplete = () => {
+      if (missing.length > 0) {
+        reject(new Error(`Checkpoint is missing the content of ${missing.join(', ')}`));
+      } else {
+        resolve(request.result ? files : undefined);
+      }
+    };
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Delete the checkpoints of a chat, then the contents no other checkpoint refers to
+ */
+export async function deleteCheckpoints(db: IDBDatabase, chatId: string): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(['checkpoints', 'checkpointBlobs'], 'readwrite');
+    const checkpointStore = transaction.objectStore('checkpoints');
+    const blobStore = transaction.objectStore('checkpointBlobs');
+    const deleteRequest = checkpointStore.delete(chatCheckpointsRange(chatId));
+
+    deleteRequest.onsuccess = () => {
+      const checkpointsRequest = checkpointStore.getAll();
+
+      checkpointsRequest.onsuccess = () => {
+        const referenced = new Set<string>();
+
+        for (const checkpoint of checkpointsRequest.result as Checkpoint[]) {
+          for (const entry of Object.values(checkpoint.files)) {
+            if (entry.type === 'file') {
+              referenced.add(entry.hash);
+            }
+          }
+        }
+
+        const hashesRequest = blobStore.getAllKeys();
+
+        hashesRequest.onsuccess = () => {
+          for (const hash of hashesRequest.result) {
+            if (!referenced.has(hash as string)) {
+              blobStore.delete(hash);
+            }
+          }
+        };
+      };
+    };
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Add the usage of one response to its chat's totals and to the totals of the day
+ */
+export async function addChatUsage(
+  db: IDBDatabase,
+  chatId: string,
+  entry: { provider: string; model: string; usage: UsageTotals },
+  date = usageDay(),
+): Promise<ChatUsage> {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(['chatUsage', 'dailyUsage'], 'readwrite');
+    const chatStore = transaction.objectStore('chatUsage');
+    const dailyStore = transaction.objectStore('dailyUsage');
+    const chatRequest = chatStore.get(chatId);
+    const dailyRequest = dailyStore.get(date);
+    const modelKey = `${entry.provider}/${entry.model}`;
+    let updated: ChatUsage;
+
+    chatRequest.onsuccess = () => {
+      const current = (chatRequest.result as ChatUsage | undefined) ?? { chatId, total: EMPTY_USAGE, models: {} };
+
+      updated = {
+        chatId,
+        total: addUsage(current.total, entry.usage),
+        models: {
+          ...current.models,
+          [modelKey]: {
+            provider: entry.provider,
+            model: entry.model,
+            ...addUsage(current.models[modelKey], entry.usage),
+          },
+        },
+      };
+      chatStore.put(updated);
+    };
+
+    dailyRequest.onsuccess = () => {
+      const current = dailyRequest.result as DailyUsage | undefined;
+      dailyStore.put({ date, total: addUsage(current?.total, entry.usage) } satisfies DailyUsage);
+    };
+
+    transaction.oncomplete = () => resolve(updated);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+export async function getChatUsage(db: IDBDatabase, chatId: string): Promise<ChatUsage | undefined> {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction('chatUsage', 'readonly');
+    const request = transaction.objectStore('chatUsage').get(chatId);
+
+    request.onsuccess = () => resolve(request.result as ChatUsage | undefined);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export async function getAllChatUsage(db: IDBDatabase): Promise<ChatUsage[]> {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction('chatUsage', 'readonly');
+    const request = transaction.objectStore('chatUsage').getAll();
+
+    request.onsuccess = () => resolve(request.result as ChatUsage[]);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export async function getDailyUsage(db: IDBDatabase, date = usageDay()): Promise<UsageTotals> {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction('dailyUsage', 'readonly');
+    const request = transaction.objectStore('dailyUsage').get(date);
+
+    request.onsuccess = () => resolve((request.result as DailyUsage | undefined)?.total ?? EMPTY_USAGE);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export async function deleteChatUsage(db: IDBDatabase, chatId: string): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction('chatUsage', 'readwrite');
+    transaction.objectStore('chatUsage').delete(chatId);
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+export async function getCompaction(db: IDBDatabase, chatId: string): Promise<ChatCompaction | undefined> {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction('compactions', 'readonly');
+    const request = transaction.objectStore('compactions').get(chatId);
+
+    request.onsuccess = () => resolve(request.result as ChatCompaction | undefined);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export async function setCompaction(db: IDBDatabase, compaction: ChatCompaction): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction('compactions', 'readwrite');
+    transaction.objectStore('compactions').put(compaction);
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+export async function deleteCompaction(db: IDBDatabase, chatId: string): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction('compactions', 'readwrite');
+    transaction.objectStore('compactions').delete(chatId);
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
@@ -1,3 +1,6 @@
 export * from './localStorage';
 export * from './db';
 export * from './useChatHistory';
+export * from './checkpoints';
+export * from './usage';
+export * from './compaction';
@@ -1,7 +1,51 @@
 import type { FileMap } from '~/lib/stores/files';
+import type { CompactionState } from '~/utils/compaction';
+import type { UsageTotals } from '~/utils/usageBudget';
 
 export interface Snapshot {
   chatIndex: string;
   files: FileMap;
   summary?: string;
 }
+
+export type CheckpointEntry = { type: 'folder' } | { type: 'file'; hash: string; isBinary: boolean };
+
+/**
+ * The project files as they were after an assistant message's artifact finished.
+ * File contents live in the `checkpointBlobs` store, keyed by the hash referenced here.
+ */
+export interface Checkpoint {
+  chatId: string;
+  messageId: string;
+  timestamp: string;
+  files: Record<string, CheckpointEntry>;
+}
+
+export interface ModelUsage extends UsageTotals {
+  provider: string;
+  model: string;
+}
+
+/**
+ * Tokens and estimated cost a chat has used, in total and per `provider/model`
+ */
+export interface ChatUsage {
+  chatId: string;
+  total: UsageTotals;
+  models: Record<string, ModelUsage>;
+}
+
+/**
+ * What all chats used on one local calendar day; kept when chats are deleted so daily budgets hold
+ */
+export interface DailyUsage {
+  date: string;
+  total: UsageTotals;
+}
+
+/**
+ * Rolling summary of a chat's oldest messages, which requests send in place of those messages
+ */
+export interface ChatCompaction extends CompactionState {
+  chatId: string;
+}
@@ -0,0 +1,113 @@
+import type { JSONValue, Message } from 'ai';
+import { atom } from 'nanostores';
+import { createScopedLogger } from '~/utils/logger';
+import {
+  checkUsageBudgets,
+  formatCost,
+  formatTokenCount,
+  type BudgetCheck,
+  type UsageBudgets,
+} from '~/utils/usageBudget';
+import { currentChatId } from './checkpoints';
+import { addChatUsage, getChatUsage, getDailyUsage } from './db';
+import type { ChatUsage } from './types';
+import { chatId, db } from './useChatHistory';
+
+const logger = createScopedLogger('ChatUsage');
+
+// tokens and estimated cost of the current chat
+export const chatUsage = atom<ChatUsage | undefined>(undefined);
+
+interface UsageAnnotation {
+  type: 'usage';
+  value: {
+    promptTokens: number;
+    completionTokens: number;
+    model?: string | null;
+    provider?: string | null;
+    cost?: number | null;
+  };
+}
+
+export async function loadChatUsage(id: string) {
+  if (!db) {
+    return;
+  }
+
+  try {
+    chatUsage.set(await getChatUsage(db, id));
+  } catch (error) {
+    logger.error('Failed to load chat usage', error);
+  }
+}
+
+/**
+ * Add the usage annotation of a finished assistant message to the current chat's totals.
+ * Never rejects: usage tracking is best effort.
+ */
+export async function recordMessageUsage(message: Message, fallback: { model: string; provider: string }) {
+  const annotation = (message.annotations as JSONValue[] | undefined)?.find(
+    (annotation): annotation is JSONValue & UsageAnnotation =>
+      !!annotation && typeof annotation === 'object' && (annotation as { type?: string }).type === 'usage',
+  );
+
+  if (!db || !annotation) {
+    return;
+  }
+
+  const { promptTokens, completionTokens, model, provider, cost } = annotation.value;
+
+  try {
+    const id = await currentChatId();
+    const usage = await addChatUsage(db, id, {
+      model: model ?? fallback.model,
+      provider: provider ?? fallback.provider,
+      usage: { promptTokens, completionTokens, cost: cost ?? 0 },
+    });
+
+    if (chatId.get() === id) {
+      chatUsage.set(usage);
+    }
+  } catch (error) {
+    logger.error(`Failed to record usage of message ${message.id}`, error);
+  }
+}
+
+/**
+ * Whether the budgets allow another request in the current chat
+ */
+export async function checkChatBudgets(budgets: UsageBudgets): Promise<BudgetCheck | undefined> {
+  if (!db) {
+    return undefined;
+  }
+
+  try {
+    const daily = await getDailyUsage(db);
+
+    return checkUsageBudgets(budgets, { chat: chatUsage.get()?.total.cost ?? 0, daily: daily.cost });
+  } catch (error) {
+    logger.error('Failed to check usage budgets', error);
+    return undefined;
+  }
+}
+
+/**
+ * Tokens and cost of a chat, e.g. `12.4k tokens · $0.05`
+ */
+export function formatChatUsage(usage: ChatUsage) {
+  const { promptTokens, completionTokens, cost } = usage.total;
+
+  return `${formatTokenCount(promptTokens + completionTokens)} tokens · ${formatCost(cost)}`;
+}
+
+/**
+ * Per-model breakdown of a chat's usage, for tooltips
+ */
+export function describeChatUsage(usage: ChatUsage) {
+  return Object.values(usage.models)
+    .map(
+      ({ provider, model, promptTokens, completionTokens, cost }) =>
+        `${model} (${provider}): ${formatTokenCount(promptTokens)} prompt, ${formatTokenCount(completionTokens)} completion, ${formatCost(cost)}`,
+    )
+    .join('\n');
+}
@@ -19,6 +19,9 @@ import {
 } from './db';
 import type { FileMap } from '~/lib/stores/files';
 import type { Snapshot } from './types';
+import { loadCheckpoints } from './checkpoints';
+import { loadChatUsage } from './usage';
+import { loadCompaction } from './compaction';
 import { webcontainer } from '~/lib/webcontainer';
 import { detectProjectCommands, createCommandActionsString } from '~/utils/projectCommands';
 import type { ContextAnnotation } from '~/types/context';
@@ -179,6 +182,9 @@ ${value.content}
             description.set(storedMessages.description);
             chatId.set(storedMessages.id);
             chatMetadata.set(storedMessages.metadata);
+            loadCheckpoints(storedMessages.id);
+            loadChatUsage(storedMessages.id);
+            loadCompaction(storedMessages.id);
           } else {
             navigate('/', { replace: true });
           }
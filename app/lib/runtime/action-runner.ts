@@ -1,21 +1,43 @@
 import type { WebContainer } from '@webcontainer/api';
 import { path as nodePath } from '~/utils/path';
 import { atom, map, type MapStore } from 'nanostores';
-import type { ActionAlert, BoltAction, DeployAlert, FileHistory, SupabaseAction, SupabaseAlert } from '~/types/actions';
+import type {
+  ActionAlert,
+  BoltAction,
+  DeployAlert,
+  FileHistory,
+  SupabaseAction,
+  SupabaseAlert,
+  TestRunResults,
+} from '~/types/actions';
 import { createScopedLogger } from '~/utils/logger';
 import { unreachable } from '~/utils/unreachable';
 import type { ActionCallbackData } from './message-parser';
 import type { BoltShell } from '~/utils/shell';
+import { applyFilePatch, PatchError } from '~/utils/patch';
+import { getApprovalReason } from '~/utils/commandApproval';
+import { commandApprovalPolicyStore } from '~/lib/stores/settings';
+import { readFileHistory, writeFileHistory } from '~/lib/stores/fileHistory';
+import { parseTestReport, summarizeTestRun } from '~/utils/testResults';
 
 const logger = createScopedLogger('ActionRunner');
 
-export type ActionStatus = 'pending' | 'running' | 'complete' | 'aborted' | 'failed';
+export type ActionStatus = 'pending' | 'awaiting-approval' | 'running' | 'complete' | 'aborted' | 'failed';
 
 export type BaseActionState = BoltAction & {
   status: Exclude<ActionStatus, 'failed'>;
   abort: () => void;
   executed: boolean;
   abortSignal: AbortSignal;
+
+  // why a command is waiting for approval, while its status is `awaiting-approval`
+  approvalReason?: string;
+
+  // set when the user skipped a command instead of approving it
+  skipped?: boolean;
+
+  // the parsed outcome of a test action, once it has run
+  testResults?: TestRunResults;
 };
 
 export type FailedActionState = BoltAction &
@@ -26,7 +48,9 @@ export type FailedActionState = BoltAction &
 
 export type ActionState = BaseActionState | FailedActionState;
 
-type BaseActionUpdate = Partial<Pick<BaseActionState, 'status' | 'abort' | 'executed'>>;
+type BaseActionUpdate = Partial<
+  Pick<BaseActionState, 'status' | 'abort' | 'executed' | 'content' | 'approvalReason' | 'skipped' | 'testResults'>
+>;
 
 export type ActionStateUpdate =
   | BaseActionUpdate
@@ -34,6 +58,15 @@ export type ActionStateUpdate =
 
 type ActionsMap = MapStore<Record<string, ActionState>>;
 
+/**
+ * File operations the runner delegates to the workbench, so that delete and rename actions
+ * keep the file tree, editor and lock state in sync. Paths are absolute (inside the workdir).
+ */
+export interface FileOperations {
+  deletePath(filePath: string): Promise<void>;
+  renamePath(filePath: string, newFilePath: string): Promise<void>;
+}
+
 class ActionCommandError extends Error {
   readonly _output: string;
   readonly _header: string;
@@ -63,15 +96,22 @@ class ActionCommandError extends Error {
   }
 }
 
+function getTestCommand(action: BoltAction) {
+  return action.content.trim() || 'npm test';
+}
+
 export class ActionRunner {
   #webcontainer: Promise<WebContainer>;
   #currentExecutionPromise: Promise<void> = Promise.resolve();
   #shellTerminal: () => BoltShell;
+  #fileOperations?: FileOperations;
+  #approvals = new Map<string, (approved: boolean) => void>();
   runnerId = atom<string>(`${Date.now()}`);
   actions: ActionsMap = map({});
   onAlert?: (alert: ActionAlert) => void;
   onSupabaseAlert?: (alert: SupabaseAlert) => void;
   onDeployAlert?: (alert: DeployAlert) => void;
+  onTestResults?: (results: TestRunResults) => void;
   buildOutput?: { path: string; exitCode: number; output: string };
 
   constructor(
@@ -80,12 +120,16 @@ export class ActionRunner {
     onAlert?: (alert: ActionAlert) => void,
     onSupabaseAlert?: (alert: SupabaseAlert) => void,
     onDeployAlert?: (alert: DeployAlert) => void,
+    fileOperations?: FileOperations,
+    onTestResults?: (results: TestRunResults) => void,
   ) {
     this.#webcontainer = webcontainerPromise;
     this.#shellTerminal = getShellTerminal;
     this.onAlert = onAlert;
     this.onSupabaseAlert = onSupabaseAlert;
     this.onDeployAlert = onDeployAlert;
+    this.#fileOperations = fileOperations;
+    this.onTestResults = onTestResults;
   }
 
   addAction(data: ActionCallbackData) {
@@ -148,7 +192,68 @@ export class ActionRunner {
     return;
   }
 
+  /**
+   * Run a command that is waiting for approval, optionally edited by the user first
+   */
+  approveAction(actionId: string, content?: string) {
+    if (content !== undefined) {
+      this.#updateAction(actionId, { content });
+    }
+
+    this.#approvals.get(actionId)?.(true);
+  }
+
+  /**
+   * Leave a command that is waiting for approval unrun and move on to the next action
+   */
+  skipAction(actionId: string) {
+    this.#approvals.get(actionId)?.(false);
+  }
+
+  /**
+   * Hold shell, start, build and test actions that the command approval policy does not let run on
+   * their own until the user approves or skips them. Later actions wait behind them.
+   * @returns Whether the action may run
+   */
+  async #awaitApproval(actionId: string) {
+    const action = this.actions.get()[actionId];
+
+    if (action.type !== 'shell' && action.type !== 'start' && action.type !== 'build' && action.type !== 'test') {
+      return true;
+    }
+
+    // build actions always run `npm run build`, whatever their content
+    const command =
+      action.type === 'build' ? 'npm run build' : action.type === 'test' ? getTestCommand(action) : action.content;
+    const approvalReason = getApprovalReason(command, commandApprovalPolicyStore.get());
+
+    if (!approvalReason) {
+      return true;
+    }
+
+    this.#updateAction(actionId, { status: 'awaiting-approval', approvalReason });
+
+    const approved = await new Promise<boolean>((resolve) => {
+      this.#approvals.set(actionId, resolve);
+      action.abortSignal.addEventListener('abort', () => resolve(false));
+    });
+
+    this.#approvals.delete(actionId);
+    this.#updateAction(actionId, { approvalReason: undefined });
+
+    return approved && !action.abortSignal.aborted;
+  }
+
   async #executeAction(actionId: string, isStreaming: boolean = false) {
+    if (!(await this.#awaitApproval(actionId))) {
+      if (!this.actions.get()[actionId].abortSignal.aborted) {
+        this.#updateAction(actionId, { status: 'aborted', skipped: true });
+      }
+
+      return;
+    }
+
+    // read after approval, which may have edited the command
     const action = this.actions.get()[actionId];
 
     this.#updateAction(actionId, { status: 'running' });
@@ -163,6 +268,26 @@ export class ActionRunner {
           await this.#runFileAction(action);
           break;
         }
+        case 'patch': {
+          await this.#runPatchAction(action);
+          break;
+        }
+        case 'delete':
+        case 'rename': {
+          try {
+            await this.#runFileOperationAction(action);
+          } catch (error: any) {
+            // e.g. the path is locked; keep the reason so the artifact can show it
+            this.#updateAction(actionId, {
+              status: 'failed',
+              error: error instanceof Error ? error.message : `${action.type} action failed`,
+            });
+            logger.warn(`[${action.type}]:Action failed`, error);
+
+            return;
+          }
+          break;
+        }
         case 'supabase': {
           try {
             await this.handleSupabaseAction(action as SupabaseAction);
@@ -178,6 +303,30 @@ export class ActionRunner {
           }
           break;
         }
+        case 'test': {
+          const testResults = await this.#runTestAction(action);
+
+          if (action.abortSignal.aborted) {
+            break;
+          }
+
+          this.#updateAction(actionId, { testResults });
+          this.onTestResults?.(testResults);
+
+          // failing tests are reported in the artifact and to the model rather than as an alert
+          if (testResults.exitCode !== 0) {
+            this.#updateAction(actionId, {
+              status: 'failed',
+              error: testResults.failed
+                ? `${testResults.failed} ${testResults.failed === 1 ? 'test' : 'tests'} failed`
+                : `Tests exited with code ${testResults.exitCode}`,
+            });
+
+            return;
+          }
+
+          break;
+        }
         case 'build': {
           const buildOutput = await this.#runBuildAction(action);
 
@@ -329,39 +478,168 @@ export class ActionRunner {
     }
   }
 
+  async #runPatchAction(action: ActionState) {
+    if (action.type !== 'patch') {
+      unreachable('Expected patch action');
+    }
+
+    const webcontainer = await this.#webcontainer;
+    const relativePath = nodePath.relative(webcontainer.workdir, action.filePath);
+
+    try {
+      let original: string;
+
+      try {
+        original = await webcontainer.fs.readFile(relativePath, 'utf-8');
+      } catch {
+        throw new PatchError('The file does not exist; create it with a file action instead');
+      }
+
+      await webcontainer.fs.writeFile(relativePath, applyFilePatch(original, action.content));
+      logger.debug(`File patched ${relativePath}`);
+    } catch (error) {
+      if (!(error instanceof PatchError)) {
+        throw error;
+      }
+
+      // leave the file untouched and let the user ask the model for a corrected edit
+      this.onAlert?.({
+        type: 'error',
+        title: 'Patch Failed',
+        description: `Could not apply the edit to ${relativePath}: ${error.message}`,
+        content: error.detail ? `${relativePath}\n\n${error.detail}` : relativePath,
+        source: 'patch',
+      });
+
+      throw error;
+    }
+  }
+
+  async #runFileOperationAction(action: ActionState) {
+    if (action.type !== 'delete' && action.type !== 'rename') {
+      unreachable('Expected delete or rename action');
+    }
+
+    if (!this.#fileOperations) {
+      unreachable('File operations not available');
+    }
+
+    const webcontainer = await this.#webcontainer;
+    const toWorkdirPath = (filePath: string) =>
+      filePath.startsWith(`${webcontainer.workdir}/`) ? filePath : nodePath.join(webcontainer.workdir, filePath);
+
+    if (!action.filePath) {
+      throw new Error(`No filePath given for ${action.type} action`);
+    }
+
+    if (action.type === 'delete') {
+      await this.#fileOperations.deletePath(toWorkdirPath(action.filePath));
+      return;
+    }
+
+    if (!action.newFilePath) {
+      throw new Error('No newFilePath given for rename action');
+    }
+
+    await this.#fileOperations.renamePath(toWorkdirPath(action.filePath), toWorkdirPath(action.newFilePath));
+  }
+
   #updateAction(id: string, newState: ActionStateUpdate) {
     const actions = this.actions.get();
 
     this.actions.setKey(id, { ...actions[id], ...newState });
   }
 
-  async getFileHistory(filePath: string): Promise<FileHistory | null> {
-    try {
-      const webcontainer = await this.#webcontainer;
-      const historyPath = this.#getHistoryPath(filePath);
-      const content = await webcontainer.fs.readFile(historyPath, 'utf-8');
+  /**
+   * Content of the files this runner's actions wrote, keyed by absolute path, read from the WebContainer.
+   * The files store only sees these writes once its watcher flushes, which can be after the actions finish.
+   */
+  async readWrittenFiles(): Promise<Record<string, string>> {
+    const webcontainer = await this.#webcontainer;
+    const written: Record<string, string> = {};
+
+    for (const action of Object.values(this.actions.get())) {
+      const filePath =
+        action.type === 'file' || action.type === 'patch'
+          ? action.filePath
+          : action.type === 'rename'
+            ? action.newFilePath
+            : undefined;
+
+      if (!filePath) {
+        continue;
+      }
 
-      return JSON.parse(content);
-    } catch (error) {
-      logger.error('Failed to get file history:', error);
-      return null;
+      const relativePath = nodePath.relative(webcontainer.workdir, filePath);
+
+      try {
+        written[nodePath.join(webcontainer.workdir, relativePath)] = await webcontainer.fs.readFile(
+          relativePath,
+          'utf-8',
+        );
+      } catch {
+        // deleted or moved by a later action, or a folder
+      }
     }
+
+    return written;
+  }
+
+  async getFileHistory(filePath: string): Promise<FileHistory | null> {
+    return readFileHistory(await this.#webcontainer, filePath);
   }
 
   async saveFileHistory(filePath: string, history: FileHistory) {
-    // const webcontainer = await this.#webcontainer;
-    const historyPath = this.#getHistoryPath(filePath);
-
-    await this.#runFileAction({
-      type: 'file',
-      filePath: historyPath,
-      content: JSON.stringify(history),
-      changeSource: 'auto-save',
-    } as any);
+    await writeFileHistory(await this.#webcontainer, filePath, history);
   }
 
-  #getHistoryPath(filePath: string) {
-    return nodePath.join('.history', filePath);
+  /**
+   * Run the test command in its own process, without colors and in CI mode so that runners do not
+   * start in watch mode, then parse the report from the output or from `reportFile`
+   */
+  async #runTestAction(action: ActionState): Promise<TestRunResults> {
+    if (action.type !== 'test') {
+      unreachable('Expected test action');
+    }
+
+    const webcontainer = await this.#webcontainer;
+    const command = getTestCommand(action);
+
+    const testProcess = await webcontainer.spawn('jsh', ['-c', command], {
+      env: { CI: 'true', FORCE_COLOR: '0', NO_COLOR: '1' },
+    });
+    action.abortSignal.addEventListener('abort', () => testProcess.kill());
+
+    let output = '';
+    const piped = testProcess.output.pipeTo(
+      new WritableStream({
+        write(data) {
+          output += data;
+        },
+      }),
+    );
+
+    const exitCode = await testProcess.exit;
+
+    // the reporter's last lines (a TAP plan, a JSON summary) can still be in the stream after the exit
+    await piped.catch((error) => logger.warn('Test output stream failed', error));
+
+    let report = parseTestReport(output);
+
+    if (action.reportFile) {
+      try {
+        const relativePath = action.reportFile.startsWith(`${webcontainer.workdir}/`)
+          ? nodePath.relative(webcontainer.workdir, action.reportFile)
+          : action.reportFile;
+        report = parseTestReport(await webcontainer.fs.readFile(relativePath, 'utf-8')) ?? report;
+      } catch (error) {
+        logger.warn(`Test report ${action.reportFile} could not be read`, error);
+      }
+    }
+
+    logger.debug(`Test Response: [exit code:${exitCode}] [format:${report?.format ?? 'unknown'}]`);
+
+    return summarizeTestRun(command, exitCode, output, report);
   }
 
   async #runBuildAction(action: ActionState) {
@@ -152,6 +152,13 @@ describe('StreamingMessageParser', () => {
           callbacks: { onArtifactOpen: 1, onArtifactClose: 1, onActionOpen: 2, onActionClose: 2 },
         },
       ],
+      [
+        'Before <boltArtifact title="Some title" id="artifact_1"><boltAction type="rename" filePath="src/a.js" newFilePath="src/b.js"></boltAction><boltAction type="delete" filePath="src/old.js"></boltAction></boltArtifact> After',
+        {
+          output: 'Before  After',
+          callbacks: { onArtifactOpen: 1, onArtifactClose: 1, onActionOpen: 2, onActionClose: 2 },
+        },
+      ],
     ])('should correctly parse chunks and strip out bolt artifacts (%#)', (input, expected) => {
       runTest(input, expected);
     });
@@ -1,4 +1,15 @@
-import type { ActionType, BoltAction, BoltActionData, FileAction, ShellAction, SupabaseAction } from '~/types/actions';
+import type {
+  ActionType,
+  BoltAction,
+  BoltActionData,
+  DeleteAction,
+  FileAction,
+  PatchAction,
+  RenameAction,
+  ShellAction,
+  SupabaseAction,
+  TestAction,
+} from '~/types/actions';
 import type { BoltArtifactData } from '~/types/artifact';
 import { createScopedLogger } from '~/utils/logger';
 import { unreachable } from '~/utils/unreachable';
@@ -153,6 +164,9 @@ export class StreamingMessageParser {
               }
 
               content += '\n';
+            } else if ('type' in currentAction && currentAction.type === 'patch') {
+              content = cleanoutMarkdownSyntax(content);
+              content = cleanEscapedTags(content);
             }
 
             currentAction.content = content;
@@ -348,19 +362,43 @@ export class StreamingMessageParser {
 
         (actionAttributes as SupabaseAction).filePath = filePath;
       }
-    } else if (actionType === 'file') {
+    } else if (actionType === 'file' || actionType === 'patch') {
       const filePath = this.#extractAttribute(actionTag, 'filePath') as string;
 
       if (!filePath) {
         logger.debug('File path not specified');
       }
 
-      (actionAttributes as FileAction).filePath = filePath;
+      (actionAttributes as FileAction | PatchAction).filePath = filePath;
+    } else if (actionType === 'delete' || actionType === 'rename') {
+      const filePath = this.#extractAttribute(actionTag, 'filePath') as string;
+
+      if (!filePath) {
+        logger.warn(`${actionType} action requires a filePath`);
+      }
+
+      (actionAttributes as DeleteAction | RenameAction).filePath = filePath;
+
+      if (actionType === 'rename') {
+        const newFilePath = this.#extractAttribute(actionTag, 'newFilePath') as string;
+
+        if (!newFilePath) {
+          logger.warn('Rename action requires a newFilePath');
+        }
+
+        (actionAttributes as RenameAction).newFilePath = newFilePath;
+      }
+    } else if (actionType === 'test') {
+      const reportFile = this.#extractAttribute(actionTag, 'reportFile');
+
+      if (reportFile) {
+        (actionAttributes as TestAction).reportFile = reportFile;
+      }
     } else if (!['shell', 'start'].includes(actionType)) {
       logger.warn(`Unknown action type '${actionType}'`);
     }
 
-    return actionAttributes as FileAction | ShellAction;
+    return actionAttributes as FileAction | PatchAction | DeleteAction | RenameAction | ShellAction | TestAction;
   }
 
   #extractAttribute(tag: string, attributeName: string): string | undefined {
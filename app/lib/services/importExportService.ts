@@ -100,9 +100,27 @@ export class ImportExportService {
           // Context optimization
           contextOptimizationEnabled: this._safeGetItem('contextOptimizationEnabled'),
 
+          // How context optimization picks files: ask the model or rank them locally
+          contextStrategy: this._safeGetItem('contextStrategy'),
+
+          // Share of the context window a chat may fill before its oldest messages are summarized
+          compactionThreshold: this._safeGetItem('compactionThreshold'),
+
           // Auto-select template
           autoSelectTemplate: this._safeGetItem('autoSelectTemplate'),
 
+          // Which shell, start and build commands need approval before they run
+          commandApprovalPolicy: this._safeGetItem('commandApprovalPolicy'),
+
+          // Automatic error fixing
+          autoFixErrors: this._safeGetItem('autoFixErrors'),
+
+          // Models tried in order when the selected one fails
+          modelFallbacks: this._safeGetItem('modelFallbacks'),
+
+          // Soft and hard spending limits per chat and per day
+          usageBudgets: this._safeGetItem('usageBudgets'),
+
           // Latest branch
           isLatestBranch: this._safeGetItem('isLatestBranch'),
 
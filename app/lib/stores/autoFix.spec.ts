@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import type { ActionAlert } from '~/types/actions';
+import { getErrorSignature, planAutoFix, type AutoFixAttempt } from './autoFix';
+
+const alert = (content: string): ActionAlert => ({
+  type: 'error',
+  title: 'Dev Server Failed',
+  description: 'Failed To Start Application',
+  content,
+  source: 'terminal',
+});
+
+const attempted = (...alerts: ActionAlert[]): AutoFixAttempt[] =>
+  alerts.map((item) => ({ title: item.title, description: item.description, signature: getErrorSignature(item) }));
+
+describe('planAutoFix', () => {
+  it('should attempt a fix while the budget lasts', () => {
+    expect(planAutoFix([], alert('Cannot find module "react"'), 3)).toEqual({ type: 'attempt', attempt: 1 });
+    expect(planAutoFix(attempted(alert('a')), alert('b'), 3)).toEqual({ type: 'attempt', attempt: 2 });
+  });
+
+  it('should stop when the budget is spent', () => {
+    const decision = planAutoFix(attempted(alert('a'), alert('b'), alert('c')), alert('d'), 3);
+
+    expect(decision.type).toBe('stop');
+  });
+
+  it('should stop when the same error keeps coming back, ignoring line numbers and ports', () => {
+    const first = alert('src/App.tsx:12:5 error on port 5173');
+    const again = alert('src/App.tsx:14:5 error on port 5174');
+
+    expect(planAutoFix(attempted(first), again, 5)).toEqual({ type: 'attempt', attempt: 2 });
+    expect(planAutoFix(attempted(first, first), again, 5).type).toBe('stop');
+  });
+});
@@ -0,0 +1,112 @@
+import { map } from 'nanostores';
+import type { ActionAlert } from '~/types/actions';
+
+/*
+ * Automatic error fixing: when enabled in settings, terminal and preview alerts are sent back to
+ * the model without the user clicking "Ask Bolt". A run of attempts ends when the user sends a
+ * message themselves, when the retry budget is spent, or when the same error keeps coming back.
+ */
+
+export const AUTO_FIX_MAX_ATTEMPTS = 3;
+
+// how many times the same error may be sent to the model before the loop is considered stuck
+const AUTO_FIX_REPEAT_LIMIT = 2;
+
+export interface AutoFixAttempt {
+  title: string;
+  description: string;
+  signature: string;
+}
+
+export interface AutoFixState {
+  attempts: AutoFixAttempt[];
+
+  // set when auto-fix gave up and handed control back to the user
+  stoppedReason?: string;
+}
+
+export const autoFixStore = map<AutoFixState>({ attempts: [] });
+
+export type AutoFixDecision = { type: 'attempt'; attempt: number } | { type: 'stop'; reason: string };
+
+/**
+ * The message asking the model to fix an alert, as sent by "Ask Bolt"
+ */
+export function createAlertFixPrompt(alert: ActionAlert) {
+  const { description, content, source } = alert;
+
+  if (source === 'patch') {
+    return `*This edit could not be applied: ${description}* \nThe lines it expected were not found:\n\`\`\`\n${content}\n\`\`\`\nRedo the change against the current file content.\n`;
+  }
+
+  const isPreview = source === 'preview';
+
+  return `*Fix this ${isPreview ? 'preview' : 'terminal'} error* \n\`\`\`${isPreview ? 'js' : 'sh'}\n${content}\n\`\`\`\n`;
+}
+
+/**
+ * Identify an error regardless of details that change between runs: ports, line numbers,
+ * timestamps, hashes and terminal colors
+ */
+export function getErrorSignature(alert: ActionAlert) {
+  return [alert.source, alert.description, alert.content.slice(0, 1000)]
+    .join('\n')
+    .replace(/\u001b\[[0-9;]*m/g, '')
+    .replace(/\b(0x)?[0-9a-f]*\d[0-9a-f]*\b/gi, '#')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Whether another attempt may be made for `alert`, given the attempts made so far
+ */
+export function planAutoFix(attempts: AutoFixAttempt[], alert: ActionAlert, maxAttempts: number): AutoFixDecision {
+  const signature = getErrorSignature(alert);
+  const repeats = attempts.filter((attempt) => attempt.signature === signature).length;
+
+  if (repeats >= AUTO_FIX_REPEAT_LIMIT) {
+    return {
+      type: 'stop',
+      reason: `The same error came back after ${repeats} attempts to fix it.`,
+    };
+  }
+
+  if (attempts.length >= maxAttempts) {
+    return {
+      type: 'stop',
+      reason: `Errors kept occurring after ${attempts.length} ${attempts.length === 1 ? 'attempt' : 'attempts'}.`,
+    };
+  }
+
+  return { type: 'attempt', attempt: attempts.length + 1 };
+}
+
+/**
+ * Record the next attempt for `alert` and return the message to send, or stop the run and
+ * return undefined when the budget is spent or the error repeats
+ */
+export function startAutoFixAttempt(alert: ActionAlert, maxAttempts = AUTO_FIX_MAX_ATTEMPTS) {
+  const { attempts, stoppedReason } = autoFixStore.get();
+
+  if (stoppedReason) {
+    return undefined;
+  }
+
+  const decision = planAutoFix(attempts, alert, maxAttempts);
+
+  if (decision.type === 'stop') {
+    autoFixStore.setKey('stoppedReason', decision.reason);
+    return undefined;
+  }
+
+  autoFixStore.setKey('attempts', [
+    ...attempts,
+    { title: alert.title, description: alert.description, signature: getErrorSignature(alert) },
+  ]);
+
+  return `**Auto-fix attempt ${decision.attempt} of ${maxAttempts}**\n\n${createAlertFixPrompt(alert)}`;
+}
+
+export function resetAutoFix() {
+  autoFixStore.set({ attempts: [] });
+}
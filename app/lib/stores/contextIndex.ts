@@ -0,0 +1,52 @@
+import { extractRelativePath } from '~/utils/diff';
+import { ProjectIndex, type RankedFile } from '~/utils/projectIndex';
+import type { FileMap } from './files';
+import { workbenchStore } from './workbench';
+
+// ranked files sent with a request; the server keeps those that fit the model's token budget
+export const LOCAL_CONTEXT_FILE_LIMIT = 20;
+
+/**
+ * The project index behind the `local` context strategy. It catches up with the files store when
+ * asked to rank, re-indexing only files whose content changed since.
+ */
+class ContextIndexStore {
+  #index = new ProjectIndex();
+  #indexedContent = new Map<string, string>();
+
+  sync(files: FileMap) {
+    const seen = new Set<string>();
+
+    for (const [filePath, dirent] of Object.entries(files)) {
+      if (dirent?.type !== 'file' || dirent.isBinary) {
+        continue;
+      }
+
+      const path = extractRelativePath(filePath);
+      seen.add(path);
+
+      if (this.#indexedContent.get(path) !== dirent.content) {
+        this.#index.updateFile(path, dirent.content);
+        this.#indexedContent.set(path, dirent.content);
+      }
+    }
+
+    for (const path of this.#indexedContent.keys()) {
+      if (!seen.has(path)) {
+        this.#index.removeFile(path);
+        this.#indexedContent.delete(path);
+      }
+    }
+  }
+
+  /**
+   * Project files relevant to `prompt`, best first, as paths relative to the project root
+   */
+  rank(prompt: string): RankedFile[] {
+    this.sync(workbenchStore.files.get());
+
+    return this.#index.rank(prompt, { limit: LOCAL_CONTEXT_FILE_LIMIT });
+  }
+}
+
+export const contextIndexStore = new ContextIndexStore();
@@ -0,0 +1,15 @@
+import { describe, expect, it } from 'vitest';
+import { blameLines } from './fileHistory';
+
+describe('blameLines', () => {
+  it('should attribute each line to the version that last changed it', () => {
+    const contents = ['a\nb\nc\n', 'a\nB\nc\n', 'a\nB\nc\nd\n', 'x\na\nB\nd\n'];
+
+    expect(blameLines(contents)).toEqual([3, 0, 1, 2]);
+  });
+
+  it('should return no lines for an empty history', () => {
+    expect(blameLines([])).toEqual([]);
+    expect(blameLines([''])).toEqual([]);
+  });
+});
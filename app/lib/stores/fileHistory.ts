@@ -0,0 +1,165 @@
+import type { WebContainer } from '@webcontainer/api';
+import { diffLines } from 'diff';
+import { atom, map, type MapStore } from 'nanostores';
+import type { FileHistory, FileVersion, FileVersionSource } from '~/types/actions';
+import { extractRelativePath } from '~/utils/diff';
+import { createScopedLogger } from '~/utils/logger';
+import { path } from '~/utils/path';
+
+/*
+ * Versions of each file, kept as `FileHistory` JSON under `.history/` in the WebContainer with
+ * the same relative path as the file. A version is recorded whenever the user saves, an artifact
+ * writes or patches the file, or it is replaced from elsewhere, so every line can be traced back
+ * to who last changed it.
+ */
+
+const logger = createScopedLogger('FileHistory');
+
+const HISTORY_DIR = '.history';
+
+// older versions are dropped; the first kept one becomes the origin of its lines
+const MAX_VERSIONS = 50;
+
+function getFileHistoryPath(filePath: string) {
+  return path.join(HISTORY_DIR, extractRelativePath(filePath));
+}
+
+export async function readFileHistory(webcontainer: WebContainer, filePath: string): Promise<FileHistory | null> {
+  try {
+    return JSON.parse(await webcontainer.fs.readFile(getFileHistoryPath(filePath), 'utf-8'));
+  } catch {
+    // no versions recorded yet
+    return null;
+  }
+}
+
+export async function writeFileHistory(webcontainer: WebContainer, filePath: string, history: FileHistory) {
+  const historyPath = getFileHistoryPath(filePath);
+
+  await webcontainer.fs.mkdir(path.dirname(historyPath), { recursive: true });
+  await webcontainer.fs.writeFile(historyPath, JSON.stringify(history));
+}
+
+/**
+ * Which version last changed each line of the newest content, like `git blame`
+ * @param contents File contents from oldest to newest
+ * @returns The index in `contents` of the version that introduced each line of the last content
+ */
+export function blameLines(contents: string[]): number[] {
+  let blame: number[] = [];
+
+  contents.forEach((content, index) => {
+    if (index === 0) {
+      blame = diffLines('', content).flatMap((change) => new Array<number>(change.count ?? 0).fill(0));
+      return;
+    }
+
+    const next: number[] = [];
+    let line = 0;
+
+    for (const change of diffLines(contents[index - 1], content)) {
+      const count = change.count ?? 0;
+
+      if (change.added) {
+        next.push(...new Array<number>(count).fill(index));
+      } else if (change.removed) {
+        line += count;
+      } else {
+        next.push(...blame.slice(line, line + count));
+        line += count;
+      }
+    }
+
+    blame = next;
+  });
+
+  return blame;
+}
+
+export class FileHistoryStore {
+  #webcontainer: Promise<WebContainer>;
+  #queue: Promise<unknown> = Promise.resolve();
+
+  /**
+   * Histories loaded so far, by absolute file path
+   */
+  histories: MapStore<Record<string, FileHistory | undefined>> = map({});
+
+  // an earlier version the diff view compares the file with, picked in the timeline
+  compared = atom<{ filePath: string; version: FileVersion } | undefined>();
+
+  constructor(webcontainerPromise: Promise<WebContainer>) {
+    this.#webcontainer = webcontainerPromise;
+  }
+
+  /**
+   * Read a file's history into `histories`, unless it is loaded already
+   */
+  load(filePath: string) {
+    return this.#enqueue(() => this.#load(filePath));
+  }
+
+  /**
+   * Record the content a file now has. Failures are logged, not thrown, so that history never
+   * gets in the way of editing.
+   * @param previousContent What the file held before, kept as its first version when the file has no
+   * history yet
+   */
+  recordVersion(
+    filePath: string,
+    content: string,
+    source: FileVersionSource,
+    { messageId, previousContent }: { messageId?: string; previousContent?: string } = {},
+  ) {
+    return this.#enqueue(async () => {
+      try {
+        const timestamp = Date.now();
+        const history = await this.#load(filePath);
+        const versions = [...(history?.versions ?? [])];
+
+        if (versions.length === 0 && previousContent !== undefined && previousContent !== content) {
+          versions.push({ timestamp, content: previousContent, source: 'external' });
+        }
+
+        const lastContent = versions[versions.length - 1]?.content;
+
+        if (lastContent === content) {
+          return;
+        }
+
+        versions.push({ timestamp, content, source, messageId });
+
+        const kept = versions.slice(-MAX_VERSIONS);
+        const updated: FileHistory = {
+          originalContent: kept[0].content,
+          lastModified: timestamp,
+          changes: diffLines(lastContent ?? '', content),
+          versions: kept,
+        };
+
+        await writeFileHistory(await this.#webcontainer, filePath, updated);
+        this.histories.setKey(filePath, updated);
+      } catch (error) {
+        logger.error(`Failed to record a version of ${filePath}`, error);
+      }
+    });
+  }
+
+  #enqueue<T>(task: () => Promise<T>): Promise<T> {
+    const result = this.#queue.then(task);
+    this.#queue = result.catch(() => undefined);
+
+    return result;
+  }
+
+  async #load(filePath: string) {
+    if (filePath in this.histories.get()) {
+      return this.histories.get()[filePath];
+    }
+
+    const history = (await readFileHistory(await this.#webcontainer, filePath)) ?? undefined;
+    this.histories.setKey(filePath, history);
+
+    return history;
+  }
+}
@@ -597,7 +597,11 @@ export class FilesStore {
 
     // Set up file watcher
     webcontainer.internal.watchPaths(
-      { include: [`${WORK_DIR}/**`], exclude: ['**/node_modules', '.git'], includeContent: true },
+      {
+        include: [`${WORK_DIR}/**`],
+        exclude: ['**/node_modules', '**/.git', `${WORK_DIR}/.history`],
+        includeContent: true,
+      },
       bufferWatchEvents(100, this.#processEventBuffer.bind(this)),
     );
 
@@ -916,6 +920,64 @@ export class FilesStore {
     }
   }
 
+  /**
+   * Move a file or folder, updating the store right away instead of waiting for the watcher
+   */
+  async renamePath(oldPath: string, newPath: string) {
+    const webcontainer = await this.#webcontainer;
+
+    try {
+      const oldRelativePath = path.relative(webcontainer.workdir, oldPath);
+      const newRelativePath = path.relative(webcontainer.workdir, newPath);
+
+      if (!oldRelativePath || !newRelativePath) {
+        throw new Error(`EINVAL: invalid path, rename '${oldRelativePath}' -> '${newRelativePath}'`);
+      }
+
+      const dirPath = path.dirname(newRelativePath);
+
+      if (dirPath !== '.') {
+        await webcontainer.fs.mkdir(dirPath, { recursive: true });
+      }
+
+      await webcontainer.fs.rename(oldRelativePath, newRelativePath);
+
+      const allFiles = this.files.get();
+      const updates: FileMap = {};
+
+      for (const [direntPath, dirent] of Object.entries(allFiles)) {
+        if (direntPath !== oldPath && !direntPath.startsWith(oldPath + '/')) {
+          continue;
+        }
+
+        const movedPath = newPath + direntPath.slice(oldPath.length);
+
+        updates[direntPath] = undefined;
+        updates[movedPath] = dirent;
+
+        this.#deletedPaths.add(direntPath);
+        this.#deletedPaths.delete(movedPath);
+
+        const originalContent = this.#modifiedFiles.get(direntPath);
+
+        if (originalContent !== undefined) {
+          this.#modifiedFiles.delete(direntPath);
+          this.#modifiedFiles.set(movedPath, originalContent);
+        }
+      }
+
+      this.files.set({ ...allFiles, ...updates });
+      this.#persistDeletedPaths();
+
+      logger.info(`Renamed: ${oldPath} -> ${newPath}`);
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to rename\n\n', error);
+      throw error;
+    }
+  }
+
   // method to persist deleted paths to localStorage
   #persistDeletedPaths() {
     try {
@@ -0,0 +1,106 @@
+import { describe, expect, it } from 'vitest';
+import { createFolderSyncState, FolderSync, type LocalFolder, type SyncedProject } from './folderSync';
+
+function createFolder(files: Record<string, string>): LocalFolder & { files: Map<string, string> } {
+  const folder = new Map(Object.entries(files));
+
+  return {
+    name: 'project',
+    files: folder,
+    readFiles: async () => new Map(folder),
+    writeFile: async (relativePath, content) => void folder.set(relativePath, content),
+    deleteFile: async (relativePath) => void folder.delete(relativePath),
+    watch: () => () => undefined,
+  };
+}
+
+function createProject(
+  files: Record<string, string>,
+  locked: string[] = [],
+): SyncedProject & { files: Map<string, string> } {
+  const project = new Map(Object.entries(files));
+
+  return {
+    files: project,
+    getFiles: () => new Map(project),
+    writeFile: async (relativePath, content) => void project.set(relativePath, content),
+    deleteFile: async (relativePath) => void project.delete(relativePath),
+    isLocked: (relativePath) => locked.includes(relativePath),
+    hasUnsavedChanges: () => false,
+    subscribe: () => () => undefined,
+  };
+}
+
+describe('FolderSync', () => {
+  it('should merge both sides when linking and report files that differ', async () => {
+    const folder = createFolder({ 'README.md': 'local', 'src/local.ts': 'a', 'node_modules/x/index.js': 'x' });
+    const project = createProject({ 'README.md': 'project', 'src/App.tsx': 'app' });
+    const state = createFolderSyncState();
+
+    await new FolderSync(folder, project, state).start();
+
+    expect(Object.fromEntries(folder.files)).toEqual({
+      'README.md': 'local',
+      'src/local.ts': 'a',
+      'src/App.tsx': 'app',
+      'node_modules/x/index.js': 'x',
+    });
+    expect(Object.fromEntries(project.files)).toEqual({
+      'README.md': 'project',
+      'src/App.tsx': 'app',
+      'src/local.ts': 'a',
+    });
+    expect(state.get().conflicts).toEqual({
+      'README.md': { reason: 'both-changed', localContent: 'local', projectContent: 'project' },
+    });
+  });
+
+  it('should copy edits and deletions made on one side to the other', async () => {
+    const folder = createFolder({ 'a.ts': '1', 'b.ts': '1' });
+    const project = createProject({ 'a.ts': '1', 'b.ts': '1' });
+    const sync = new FolderSync(folder, project, createFolderSyncState());
+    await sync.start();
+
+    folder.files.set('a.ts', '2');
+    project.files.delete('b.ts');
+    await sync.sync();
+
+    expect(Object.fromEntries(project.files)).toEqual({ 'a.ts': '2' });
+    expect(Object.fromEntries(folder.files)).toEqual({ 'a.ts': '2' });
+  });
+
+  it('should not pull local changes into locked files until they are unlocked', async () => {
+    const locked = ['a.ts'];
+    const folder = createFolder({ 'a.ts': '1' });
+    const project = createProject({ 'a.ts': '1' }, locked);
+    const state = createFolderSyncState();
+    const sync = new FolderSync(folder, project, state);
+    await sync.start();
+
+    folder.files.set('a.ts', '2');
+    await sync.sync();
+
+    expect(project.files.get('a.ts')).toBe('1');
+    expect(state.get().conflicts['a.ts']?.reason).toBe('locked');
+    await expect(sync.resolveConflict('a.ts', 'local')).rejects.toThrow('a.ts is locked');
+
+    locked.pop();
+    await sync.sync();
+
+    expect(project.files.get('a.ts')).toBe('2');
+    expect(state.get().conflicts).toEqual({});
+  });
+
+  it('should resolve a conflict with the chosen side', async () => {
+    const folder = createFolder({ 'a.ts': 'local' });
+    const project = createProject({ 'a.ts': 'project' });
+    const state = createFolderSyncState();
+    const sync = new FolderSync(folder, project, state);
+    await sync.start();
+
+    await sync.resolveConflict('a.ts', 'project');
+
+    expect(folder.files.get('a.ts')).toBe('project');
+    expect(state.get().conflicts).toEqual({});
+  });
+});
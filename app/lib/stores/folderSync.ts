@@ -0,0 +1,268 @@
+import { map, type MapStore } from 'nanostores';
+import { MAX_FILES } from '~/utils/fileUtils';
+import { createScopedLogger } from '~/utils/logger';
+import { isSyncIgnored } from '~/utils/syncIgnore';
+
+/*
+ * Live two-way sync between the project and a folder on the user's machine. Both sides are
+ * compared with the content they last agreed on (the base): a file changed on one side only is
+ * copied to the other, a file changed on both sides becomes a conflict for the user to resolve.
+ * Only text files are synced; paths are relative to the project root.
+ */
+
+const logger = createScopedLogger('FolderSync');
+
+// wait for a burst of changes (e.g. the model writing several files) to settle before syncing
+const SYNC_DEBOUNCE_MS = 300;
+
+/**
+ * A folder on the user's machine, backed by the File System Access API or by Electron
+ */
+export interface LocalFolder {
+  name: string;
+
+  /**
+   * Text files in the folder by relative path
+   */
+  readFiles(): Promise<Map<string, string>>;
+  writeFile(relativePath: string, content: string): Promise<void>;
+  deleteFile(relativePath: string): Promise<void>;
+
+  /**
+   * Call `onChange` whenever files in the folder may have changed
+   * @returns A function that stops watching
+   */
+  watch(onChange: () => void): () => void;
+}
+
+/**
+ * The project side of the sync, implemented by the workbench
+ */
+export interface SyncedProject {
+  /**
+   * Text files in the project by relative path
+   */
+  getFiles(): Map<string, string>;
+  writeFile(relativePath: string, content: string): Promise<void>;
+  deleteFile(relativePath: string): Promise<void>;
+  isLocked(relativePath: string): boolean;
+  hasUnsavedChanges(relativePath: string): boolean;
+  subscribe(onChange: () => void): () => void;
+}
+
+/**
+ * - `both-changed`: the file was edited on both sides since the last sync
+ * - `locked`: the file changed locally but is locked in the project
+ * - `unsaved`: the file changed locally while it has unsaved edits in the editor
+ */
+export type SyncConflictReason = 'both-changed' | 'locked' | 'unsaved';
+
+export interface SyncConflict {
+  reason: SyncConflictReason;
+
+  // undefined when the file was deleted on that side
+  localContent?: string;
+  projectContent?: string;
+}
+
+export interface FolderSyncState {
+  status: 'unlinked' | 'linked' | 'error';
+  folderName?: string;
+  error?: string;
+  lastSyncedAt?: number;
+  conflicts: Record<string, SyncConflict>;
+}
+
+export function createFolderSyncState(): MapStore<FolderSyncState> {
+  return map<FolderSyncState>({ status: 'unlinked', conflicts: {} });
+}
+
+export class FolderSync {
+  #folder: LocalFolder;
+  #project: SyncedProject;
+  #state: MapStore<FolderSyncState>;
+
+  /**
+   * Content both sides had after the last sync, by relative path
+   */
+  #base = new Map<string, string>();
+
+  #running?: Promise<void>;
+  #rerun = false;
+  #debounceTimer?: ReturnType<typeof setTimeout>;
+  #unsubscribers: Array<() => void> = [];
+
+  constructor(folder: LocalFolder, project: SyncedProject, state: MapStore<FolderSyncState>) {
+    this.#folder = folder;
+    this.#project = project;
+    this.#state = state;
+  }
+
+  /**
+   * Merge the folder with the project and keep them in sync until `stop` is called
+   */
+  async start() {
+    this.#state.set({ status: 'linked', folderName: this.#folder.name, conflicts: {} });
+
+    await this.sync();
+
+    if (this.#state.get().status !== 'linked') {
+      return;
+    }
+
+    this.#unsubscribers.push(
+      this.#project.subscribe(() => this.#scheduleSync()),
+      this.#folder.watch(() => this.#scheduleSync()),
+    );
+  }
+
+  stop() {
+    clearTimeout(this.#debounceTimer);
+    this.#unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.#unsubscribers = [];
+  }
+
+  /**
+   * Sync both sides now. Calls made while a sync is running are folded into one more run.
+   */
+  sync(): Promise<void> {
+    if (this.#running) {
+      this.#rerun = true;
+      return this.#running;
+    }
+
+    this.#running = (async () => {
+      try {
+        do {
+          this.#rerun = false;
+          await this.#syncOnce();
+        } while (this.#rerun);
+      } catch (error) {
+        logger.error('Folder sync failed', error);
+        this.stop();
+        this.#state.setKey('status', 'error');
+        this.#state.setKey('error', error instanceof Error ? error.message : 'Folder sync failed');
+      } finally {
+        this.#running = undefined;
+      }
+    })();
+
+    return this.#running;
+  }
+
+  /**
+   * Settle a conflict by copying one side over the other
+   * @param keep `local` to take the folder's version, `project` to keep the project's
+   */
+  async resolveConflict(relativePath: string, keep: 'local' | 'project') {
+    const conflict = this.#state.get().conflicts[relativePath];
+
+    if (!conflict) {
+      return;
+    }
+
+    if (keep === 'local') {
+      if (this.#project.isLocked(relativePath)) {
+        throw new Error(`${relativePath} is locked`);
+      }
+
+      await this.#applyToProject(relativePath, conflict.localContent);
+      this.#setBase(relativePath, conflict.localContent);
+    } else {
+      await this.#applyToFolder(relativePath, conflict.projectContent);
+      this.#setBase(relativePath, conflict.projectContent);
+    }
+
+    const { [relativePath]: _resolved, ...conflicts } = this.#state.get().conflicts;
+    this.#state.setKey('conflicts', conflicts);
+
+    // a sync that read the files before the conflict was resolved would bring it back
+    await this.sync();
+  }
+
+  #scheduleSync() {
+    clearTimeout(this.#debounceTimer);
+    this.#debounceTimer = setTimeout(() => this.sync(), SYNC_DEBOUNCE_MS);
+  }
+
+  async #syncOnce() {
+    const localFiles = await this.#folder.readFiles();
+    const syncedCount = [...localFiles.keys()].filter((relativePath) => !isSyncIgnored(relativePath)).length;
+
+    // most likely the wrong folder was picked; refuse it like a folder import would
+    if (syncedCount > MAX_FILES) {
+      throw new Error(`${this.#folder.name} has more than ${MAX_FILES} files`);
+    }
+
+    const projectFiles = this.#project.getFiles();
+    const conflicts = { ...this.#state.get().conflicts };
+    const paths = new Set([...this.#base.keys(), ...localFiles.keys(), ...projectFiles.keys()]);
+
+    for (const relativePath of paths) {
+      if (isSyncIgnored(relativePath)) {
+        continue;
+      }
+
+      const base = this.#base.get(relativePath);
+      const localContent = localFiles.get(relativePath);
+      const projectContent = projectFiles.get(relativePath);
+
+      // conflicts are decided again on every sync, so one clears once its file is unlocked or saved
+      delete conflicts[relativePath];
+
+      if (localContent === projectContent) {
+        // in sync, possibly because the user made both sides match by hand
+        this.#setBase(relativePath, localContent);
+        continue;
+      }
+
+      const localChanged = localContent !== base;
+      const projectChanged = projectContent !== base;
+
+      if (!localChanged) {
+        await this.#applyToFolder(relativePath, projectContent);
+        this.#setBase(relativePath, projectContent);
+        continue;
+      }
+
+      const reason: SyncConflictReason | undefined = projectChanged
+        ? 'both-changed'
+        : this.#project.isLocked(relativePath)
+          ? 'locked'
+          : this.#project.hasUnsavedChanges(relativePath)
+            ? 'unsaved'
+            : undefined;
+
+      if (reason) {
+        conflicts[relativePath] = { reason, localContent, projectContent };
+        continue;
+      }
+
+      await this.#applyToProject(relativePath, localContent);
+      this.#setBase(relativePath, localContent);
+    }
+
+    this.#state.setKey('conflicts', conflicts);
+    this.#state.setKey('lastSyncedAt', Date.now());
+  }
+
+  #applyToFolder(relativePath: string, content?: string) {
+    return content === undefined
+      ? this.#folder.deleteFile(relativePath)
+      : this.#folder.writeFile(relativePath, content);
+  }
+
+  #applyToProject(relativePath: string, content?: string) {
+    return content === undefined
+      ? this.#project.deleteFile(relativePath)
+      : this.#project.writeFile(relativePath, content);
+  }
+
+  #setBase(relativePath: string, content?: string) {
+    if (content === undefined) {
+      this.#base.delete(relativePath);
+    } else {
+      this.#base.set(relativePath, content);
+    }
+  }
+}
@@ -0,0 +1,309 @@
+import type { WebContainer } from '@webcontainer/api';
+import git from 'isomorphic-git';
+import { atom } from 'nanostores';
+import { getFs } from '~/lib/hooks/useGit';
+import { createScopedLogger } from '~/utils/logger';
+
+/*
+ * A git repository kept in the project's WebContainer. Each completed artifact is committed, and
+ * commits can be reverted or checked out. Reverting or checking out never moves HEAD back: the
+ * files are changed through the workbench, so locks apply, and the result is committed on top.
+ */
+
+const logger = createScopedLogger('ProjectGit');
+
+const AUTHOR = { name: 'bolt', email: 'bolt@localhost' };
+const MESSAGE_ID_TRAILER = 'Bolt-Message-Id';
+const LOG_DEPTH = 200;
+
+// never committed: dependencies and the editor's own file history
+const EXCLUDED_PATHS = ['node_modules', '.history'];
+
+const utf8TextDecoder = new TextDecoder('utf8', { fatal: true });
+
+export interface ProjectCommit {
+  oid: string;
+  summary: string;
+  message: string;
+
+  // the message without its summary line and trailer, such as the prompt
+  body: string;
+  timestamp: number;
+
+  // the assistant message whose artifact was committed
+  messageId?: string;
+}
+
+export interface CommitFileChange {
+  // relative to the project root
+  path: string;
+
+  // undefined when the file did not exist on that side
+  before?: Uint8Array;
+  after?: Uint8Array;
+}
+
+/**
+ * File contents to write, by path relative to the project root; undefined deletes the file
+ * @returns Paths that were left unchanged because they are locked
+ */
+export type ApplyFileChanges = (changes: Map<string, Uint8Array | undefined>) => Promise<string[]>;
+
+export interface RevertResult {
+  // paths left unchanged because they are locked
+  locked: string[];
+
+  // paths left unchanged because they were edited again after the commit
+  changedSince: string[];
+}
+
+/**
+ * Decode file content for display, or undefined for binary content
+ */
+export function decodeCommitContent(content?: Uint8Array) {
+  if (!content) {
+    return '';
+  }
+
+  try {
+    return utf8TextDecoder.decode(content);
+  } catch {
+    return undefined;
+  }
+}
+
+function sameContent(a?: Uint8Array, b?: Uint8Array) {
+  if (!a || !b) {
+    return a === b;
+  }
+
+  return a.length === b.length && a.every((byte, index) => byte === b[index]);
+}
+
+export class ProjectGitStore {
+  #webcontainer: Promise<WebContainer>;
+  #applyFileChanges: ApplyFileChanges;
+  #queue: Promise<unknown> = Promise.resolve();
+
+  commits = atom<ProjectCommit[]>([]);
+
+  constructor(webcontainerPromise: Promise<WebContainer>, applyFileChanges: ApplyFileChanges) {
+    this.#webcontainer = webcontainerPromise;
+    this.#applyFileChanges = applyFileChanges;
+  }
+
+  /**
+   * Commit the project as it is after an artifact's actions ran. Failures are logged, not thrown,
+   * so that history never gets in the way of the chat.
+   */
+  commitArtifact(messageId: string, title: string, prompt?: string) {
+    const body = prompt?.trim() ? `Prompt:\n${prompt.trim()}\n\n` : '';
+
+    return this.#enqueue(async () => {
+      try {
+        await this.#commitAll(`${title}\n\n${body}${MESSAGE_ID_TRAILER}: ${messageId}`);
+      } catch (error) {
+        logger.error('Failed to commit artifact', error);
+      }
+    });
+  }
+
+  refreshLog() {
+    return this.#enqueue(() => this.#refreshLog());
+  }
+
+  /**
+   * Files changed by a commit, compared with its parent
+   */
+  getCommitChanges(oid: string) {
+    return this.#enqueue(() => this.#getChanges(oid));
+  }
+
+  /**
+   * Undo the changes of one commit and commit the result. Files edited again since are left alone.
+   */
+  revertCommit(commit: ProjectCommit) {
+    return this.#enqueue(async (): Promise<RevertResult> => {
+      const { fs, dir } = await this.#repo();
+
+      await this.#commitAll(`Save changes before reverting "${commit.summary}"`);
+
+      const changes = await this.#getChanges(commit.oid);
+      const head = await git.resolveRef({ fs, dir, ref: 'HEAD' });
+      const current = new Map((await this.#getChanges(head, commit.oid)).map((change) => [change.path, change]));
+      const changedSince = changes.filter((change) => current.has(change.path)).map((change) => change.path);
+
+      const locked = await this.#applyFileChanges(
+        new Map(
+          changes.filter((change) => !current.has(change.path)).map((change) => [change.path, change.before] as const),
+        ),
+      );
+
+      await this.#commitAll(`Revert "${commit.summary}"\n\nThis reverts commit ${commit.oid}.`);
+
+      return { locked, changedSince };
+    });
+  }
+
+  /**
+   * Bring every file back to how it was at a commit and commit the result
+   * @returns Paths left unchanged because they are locked
+   */
+  checkoutCommit(commit: ProjectCommit) {
+    return this.#enqueue(async () => {
+      const { fs, dir } = await this.#repo();
+
+      await this.#commitAll(`Save changes before checking out "${commit.summary}"`);
+
+      const head = await git.resolveRef({ fs, dir, ref: 'HEAD' });
+      const changes = await this.#getChanges(commit.oid, head);
+      const locked = await this.#applyFileChanges(
+        new Map(changes.map((change) => [change.path, change.after] as const)),
+      );
+
+      await this.#commitAll(`Check out "${commit.summary}"\n\nRestores the files of commit ${commit.oid}.`);
+
+      return locked;
+    });
+  }
+
+  #enqueue<T>(task: () => Promise<T>): Promise<T> {
+    const result = this.#queue.then(task);
+    this.#queue = result.catch(() => undefined);
+
+    return result;
+  }
+
+  async #repo() {
+    const webcontainer = await this.#webcontainer;
+    const fs = getFs(webcontainer);
+    const dir = webcontainer.workdir;
+
+    try {
+      await webcontainer.fs.readdir('.git');
+    } catch {
+      await git.init({ fs, dir, defaultBranch: 'main' });
+      await webcontainer.fs.mkdir('.git/info', { recursive: true });
+      await webcontainer.fs.writeFile('.git/info/exclude', `${EXCLUDED_PATHS.join('\n')}\n`);
+    }
+
+    return { fs, dir };
+  }
+
+  /**
+   * Stage every change in the project and commit it, unless nothing changed
+   */
+  async #commitAll(message: string) {
+    const { fs, dir } = await this.#repo();
+    const webcontainer = await this.#webcontainer;
+
+    /*
+     * The container reports made-up file stats (no size, modified now), so the index cannot tell
+     * whether a file changed within the same second. Start from an empty index instead, which makes
+     * git hash every file, and stage the project again from scratch.
+     */
+    await webcontainer.fs.rm('.git/index', { force: true });
+
+    // [path, head, workdir, stage]: with an empty index, head and workdir differ only for changes
+    const matrix = await git.statusMatrix({ fs, dir });
+    const files = matrix.filter(([, , workdir]) => workdir !== 0).map(([filepath]) => filepath);
+
+    if (files.length > 0) {
+      await git.add({ fs, dir, filepath: files });
+    }
+
+    if (matrix.every(([, head, workdir]) => head === workdir)) {
+      return undefined;
+    }
+
+    const oid = await git.commit({ fs, dir, message, author: AUTHOR });
+    await this.#refreshLog();
+
+    return oid;
+  }
+
+  async #refreshLog() {
+    const { fs, dir } = await this.#repo();
+    let entries: Awaited<ReturnType<typeof git.log>>;
+
+    try {
+      entries = await git.log({ fs, dir, depth: LOG_DEPTH });
+    } catch {
+      // no commits yet
+      entries = [];
+    }
+
+    this.commits.set(
+      entries.map(({ oid, commit }) => {
+        const [summary, ...lines] = commit.message.split('\n');
+        const trailer = `${MESSAGE_ID_TRAILER}: `;
+
+        return {
+          oid,
+          summary,
+          message: commit.message,
+          body: lines
+            .filter((line) => !line.startsWith(trailer))
+            .join('\n')
+            .trim(),
+          timestamp: commit.author.timestamp * 1000,
+          messageId: lines.find((line) => line.startsWith(trailer))?.slice(trailer.length),
+        };
+      }),
+    );
+  }
+
+  /**
+   * Files that differ between two commits, with their content in each
+   * @param base Commit to compare with; defaults to the first parent of `oid`
+   */
+  async #getChanges(oid: string, base?: string): Promise<CommitFileChange[]> {
+    const { fs, dir } = await this.#repo();
+
+    if (base === undefined) {
+      const { commit } = await git.readCommit({ fs, dir, oid });
+      base = commit.parent[0];
+    }
+
+    const trees = base ? [git.TREE({ ref: base }), git.TREE({ ref: oid })] : [git.TREE({ ref: oid })];
+
+    const changes: Array<CommitFileChange | undefined> = await git.walk({
+      fs,
+      dir,
+      trees,
+      map: async (filepath, entries) => {
+        const [before, after] = base ? entries : [null, entries[0]];
+
+        if (filepath === '.') {
+          return undefined;
+        }
+
+        const [beforeType, afterType] = await Promise.all([before?.type(), after?.type()]);
+
+        if (beforeType !== 'blob' && afterType !== 'blob') {
+          // keep walking into folders
+          return undefined;
+        }
+
+        if (beforeType === 'blob' && afterType === 'blob' && (await before!.oid()) === (await after!.oid())) {
+          return undefined;
+        }
+
+        const [beforeContent, afterContent] = await Promise.all([
+          beforeType === 'blob' ? before!.content() : undefined,
+          afterType === 'blob' ? after!.content() : undefined,
+        ]);
+
+        return {
+          path: filepath,
+          before: beforeContent || undefined,
+          after: afterContent || undefined,
+        };
+      },
+    });
+
+    return changes.filter(
+      (change): change is CommitFileChange => !!change && !sameContent(change.before, change.after),
+    );
+  }
+}
@@ -11,6 +11,11 @@ import { DEFAULT_TAB_CONFIG } from '~/components/@settings/core/constants';
 import Cookies from 'js-cookie';
 import { toggleTheme } from './theme';
 import { create } from 'zustand';
+import { DEFAULT_COMMAND_APPROVAL_POLICY, type CommandApprovalPolicy } from '~/utils/commandApproval';
+import type { ModelFallback } from '~/lib/modules/llm/types';
+import type { UsageBudgets } from '~/utils/usageBudget';
+import type { ContextStrategy } from '~/types/context';
+import { DEFAULT_COMPACTION_THRESHOLD } from '~/utils/compaction';
 
 export interface Shortcut {
   key: string;
@@ -29,7 +34,7 @@ export interface Shortcuts {
   toggleTerminal: Shortcut;
 }
 
-export const URL_CONFIGURABLE_PROVIDERS = ['Ollama', 'LMStudio', 'OpenAILike'];
+export const URL_CONFIGURABLE_PROVIDERS = ['Ollama', 'LMStudio', 'OpenAILike', 'VS LLM'];
 export const LOCAL_PROVIDERS = ['OpenAILike', 'LMStudio', 'Ollama'];
 
 export type ProviderSetting = Record<string, IProviderConfig>;
@@ -131,6 +136,12 @@ const SETTINGS_KEYS = {
   EVENT_LOGS: 'isEventLogsEnabled',
   PROMPT_ID: 'promptId',
   DEVELOPER_MODE: 'isDeveloperMode',
+  COMMAND_APPROVAL: 'commandApprovalPolicy',
+  AUTO_FIX_ERRORS: 'autoFixErrors',
+  MODEL_FALLBACKS: 'modelFallbacks',
+  USAGE_BUDGETS: 'usageBudgets',
+  CONTEXT_STRATEGY: 'contextStrategy',
+  COMPACTION_THRESHOLD: 'compactionThreshold',
 } as const;
 
 // Initialize settings from localStorage or defaults
@@ -153,6 +164,72 @@ const getInitialSettings = () => {
     }
   };
 
+  const getStoredApprovalPolicy = (): CommandApprovalPolicy => {
+    if (!isBrowser) {
+      return DEFAULT_COMMAND_APPROVAL_POLICY;
+    }
+
+    try {
+      const stored = localStorage.getItem(SETTINGS_KEYS.COMMAND_APPROVAL);
+
+      return stored ? { ...DEFAULT_COMMAND_APPROVAL_POLICY, ...JSON.parse(stored) } : DEFAULT_COMMAND_APPROVAL_POLICY;
+    } catch {
+      return DEFAULT_COMMAND_APPROVAL_POLICY;
+    }
+  };
+
+  const getStoredModelFallbacks = (): ModelFallback[] => {
+    if (!isBrowser) {
+      return [];
+    }
+
+    try {
+      const stored = localStorage.getItem(SETTINGS_KEYS.MODEL_FALLBACKS);
+
+      return stored ? JSON.parse(stored) : [];
+    } catch {
+      return [];
+    }
+  };
+
+  const getStoredUsageBudgets = (): UsageBudgets => {
+    if (!isBrowser) {
+      return {};
+    }
+
+    try {
+      const stored = localStorage.getItem(SETTINGS_KEYS.USAGE_BUDGETS);
+
+      return stored ? JSON.parse(stored) : {};
+    } catch {
+      return {};
+    }
+  };
+
+  const getStoredContextStrategy = (): ContextStrategy => {
+    if (!isBrowser) {
+      return 'llm';
+    }
+
+    try {
+      const stored = localStorage.getItem(SETTINGS_KEYS.CONTEXT_STRATEGY);
+
+      return stored && JSON.parse(stored) === 'local' ? 'local' : 'llm';
+    } catch {
+      return 'llm';
+    }
+  };
+
+  const getStoredCompactionThreshold = (): number => {
+    if (!isBrowser) {
+      return DEFAULT_COMPACTION_THRESHOLD;
+    }
+
+    const stored = Number(localStorage.getItem(SETTINGS_KEYS.COMPACTION_THRESHOLD) ?? NaN);
+
+    return stored >= 0 && stored < 1 ? stored : DEFAULT_COMPACTION_THRESHOLD;
+  };
+
   return {
     latestBranch: getStoredBoolean(SETTINGS_KEYS.LATEST_BRANCH, false),
     autoSelectTemplate: getStoredBoolean(SETTINGS_KEYS.AUTO_SELECT_TEMPLATE, true),
@@ -160,6 +237,12 @@ const getInitialSettings = () => {
     eventLogs: getStoredBoolean(SETTINGS_KEYS.EVENT_LOGS, true),
     promptId: isBrowser ? localStorage.getItem(SETTINGS_KEYS.PROMPT_ID) || 'default' : 'default',
     developerMode: getStoredBoolean(SETTINGS_KEYS.DEVELOPER_MODE, false),
+    commandApprovalPolicy: getStoredApprovalPolicy(),
+    autoFixErrors: getStoredBoolean(SETTINGS_KEYS.AUTO_FIX_ERRORS, false),
+    modelFallbacks: getStoredModelFallbacks(),
+    usageBudgets: getStoredUsageBudgets(),
+    contextStrategy: getStoredContextStrategy(),
+    compactionThreshold: getStoredCompactionThreshold(),
   };
 };
 
@@ -171,6 +254,12 @@ export const autoSelectStarterTemplate = atom<boolean>(initialSettings.autoSelec
 export const enableContextOptimizationStore = atom<boolean>(initialSettings.contextOptimization);
 export const isEventLogsEnabled = atom<boolean>(initialSettings.eventLogs);
 export const promptStore = atom<string>(initialSettings.promptId);
+export const commandApprovalPolicyStore = atom<CommandApprovalPolicy>(initialSettings.commandApprovalPolicy);
+export const autoFixErrorsStore = atom<boolean>(initialSettings.autoFixErrors);
+export const modelFallbacksStore = atom<ModelFallback[]>(initialSettings.modelFallbacks);
+export const usageBudgetsStore = atom<UsageBudgets>(initialSettings.usageBudgets);
+export const contextStrategyStore = atom<ContextStrategy>(initialSettings.contextStrategy);
+export const compactionThresholdStore = atom<number>(initialSettings.compactionThreshold);
 
 // Helper functions to update settings with persistence
 export const updateLatestBranch = (enabled: boolean) => {
@@ -198,6 +287,36 @@ export const updatePromptId = (id: string) => {
   localStorage.setItem(SETTINGS_KEYS.PROMPT_ID, id);
 };
 
+export const updateAutoFixErrors = (enabled: boolean) => {
+  autoFixErrorsStore.set(enabled);
+  localStorage.setItem(SETTINGS_KEYS.AUTO_FIX_ERRORS, JSON.stringify(enabled));
+};
+
+export const updateModelFallbacks = (fallbacks: ModelFallback[]) => {
+  modelFallbacksStore.set(fallbacks);
+  localStorage.setItem(SETTINGS_KEYS.MODEL_FALLBACKS, JSON.stringify(fallbacks));
+};
+
+export const updateContextStrategy = (strategy: ContextStrategy) => {
+  contextStrategyStore.set(strategy);
+  localStorage.setItem(SETTINGS_KEYS.CONTEXT_STRATEGY, JSON.stringify(strategy));
+};
+
+export const updateCompactionThreshold = (threshold: number) => {
+  compactionThresholdStore.set(threshold);
+  localStorage.setItem(SETTINGS_KEYS.COMPACTION_THRESHOLD, JSON.stringify(threshold));
+};
+
+export const updateUsageBudgets = (budgets: UsageBudgets) => {
+  usageBudgetsStore.set(budgets);
+  localStorage.setItem(SETTINGS_KEYS.USAGE_BUDGETS, JSON.stringify(budgets));
+};
+
+export const updateCommandApprovalPolicy = (policy: CommandApprovalPolicy) => {
+  commandApprovalPolicyStore.set(policy);
+  localStorage.setItem(SETTINGS_KEYS.COMMAND_APPROVAL, JSON.stringify(policy));
+};
+
 // Initialize tab configuration from localStorage or defaults
 const getInitialTabConfiguration = (): TabWindowConfig => {
   const defaultConfig: TabWindowConfig = {
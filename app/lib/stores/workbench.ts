@@ -9,15 +9,23 @@ import { EditorStore } from './editor';
 import { FilesStore, type FileMap } from './files';
 import { PreviewsStore } from './previews';
 import { TerminalStore } from './terminal';
+import { createFolderSyncState, FolderSync, type LocalFolder, type SyncedProject } from './folderSync';
+import { decodeCommitContent, ProjectGitStore } from './projectGit';
+import { FileHistoryStore } from './fileHistory';
+import { Buffer } from 'node:buffer';
 import JSZip from 'jszip';
 import fileSaver from 'file-saver';
 import { Octokit, type RestEndpointMethodTypes } from '@octokit/rest';
 import { path } from '~/utils/path';
+import { WORK_DIR } from '~/utils/constants';
 import { extractRelativePath } from '~/utils/diff';
-import { description } from '~/lib/persistence';
+import { getPathLock } from '~/utils/fileLocks';
+import { planCheckpointRestore } from '~/utils/checkpointRestore';
+import { planReplaceUndo, type ReplacedFile } from '~/utils/searchReplace';
+import { description, recordCheckpoint } from '~/lib/persistence';
 import Cookies from 'js-cookie';
 import { createSampler } from '~/utils/sampler';
-import type { ActionAlert, DeployAlert, SupabaseAlert } from '~/types/actions';
+import type { ActionAlert, DeployAlert, FileVersionSource, SupabaseAlert, TestRunResults } from '~/types/actions';
 
 const { saveAs } = fileSaver;
 
@@ -33,7 +41,14 @@ export type ArtifactUpdateState = Pick<ArtifactState, 'title' | 'closed'>;
 
 type Artifacts = MapStore<Record<string, ArtifactState>>;
 
-export type WorkbenchViewType = 'code' | 'diff' | 'preview';
+/**
+ * Files changed by one replace-all in the search panel, to undo it
+ */
+export interface ReplaceBatch {
+  changes: ReplacedFile[];
+}
+
+export type WorkbenchViewType = 'code' | 'diff' | 'history' | 'preview';
 
 export class WorkbenchStore {
   #previewsStore = new PreviewsStore(webcontainer);
@@ -43,6 +58,10 @@ export class WorkbenchStore {
 
   #reloadedMessages = new Set<string>();
 
+  // text of each file before the file action writing it started streaming, by action id
+  #contentBeforeActions = new Map<string, string | undefined>();
+  #folderSync?: FolderSync;
+
   artifacts: Artifacts = import.meta.hot?.data.artifacts ?? map({});
 
   showWorkbench: WritableAtom<boolean> = import.meta.hot?.data.showWorkbench ?? atom(false);
@@ -54,6 +73,22 @@ export class WorkbenchStore {
     import.meta.hot?.data.supabaseAlert ?? atom<SupabaseAlert | undefined>(undefined);
   deployAlert: WritableAtom<DeployAlert | undefined> =
     import.meta.hot?.data.deployAlert ?? atom<DeployAlert | undefined>(undefined);
+
+  // the latest replace-all, until it is undone
+  lastReplace: WritableAtom<ReplaceBatch | undefined> = atom<ReplaceBatch | undefined>(undefined);
+
+  // results of the latest test action, sent to the model with the next message
+  testResults: WritableAtom<TestRunResults | undefined> =
+    import.meta.hot?.data.testResults ?? atom<TestRunResults | undefined>(undefined);
+
+  // state of the live link with a local folder, see `linkFolder`
+  folderSync = createFolderSyncState();
+
+  // git history of the project, one commit per artifact
+  projectGit = new ProjectGitStore(webcontainer, (changes) => this.#applyFileChanges(changes));
+
+  // versions of each file with who wrote them, for the timeline and blame
+  fileHistory = new FileHistoryStore(webcontainer);
   modifiedFiles = new Set<string>();
   artifactIdList: string[] = [];
   #globalExecutionQueue = Promise.resolve();
@@ -66,6 +101,7 @@ export class WorkbenchStore {
       import.meta.hot.data.actionAlert = this.actionAlert;
       import.meta.hot.data.supabaseAlert = this.supabaseAlert;
       import.meta.hot.data.deployAlert = this.deployAlert;
+      import.meta.hot.data.testResults = this.testResults;
 
       // Ensure binary files are properly preserved across hot reloads
       const filesMap = this.files.get();
@@ -136,6 +172,10 @@ export class WorkbenchStore {
     this.deployAlert.set(undefined);
   }
 
+  clearTestResults() {
+    this.testResults.set(undefined);
+  }
+
   toggleTerminal(value?: boolean) {
     this.#terminalStore.toggleTerminal(value);
   }
@@ -176,30 +216,101 @@ export class WorkbenchStore {
       return;
     }
 
+    this.#setDocumentContent(filePath, newContent);
+  }
+
+  #setDocumentContent(filePath: string, newContent: string) {
     const originalContent = this.#filesStore.getFile(filePath)?.content;
     const unsavedChanges = originalContent !== undefined && originalContent !== newContent;
 
     this.#editorStore.updateFile(filePath, newContent);
 
-    const currentDocument = this.currentDocument.get();
+    const previousUnsavedFiles = this.unsavedFiles.get();
+
+    if (unsavedChanges && previousUnsavedFiles.has(filePath)) {
+      return;
+    }
+
+    const newUnsavedFiles = new Set(previousUnsavedFiles);
+
+    if (unsavedChanges) {
+      newUnsavedFiles.add(filePath);
+    } else {
+      newUnsavedFiles.delete(filePath);
+    }
 
-    if (currentDocument) {
-      const previousUnsavedFiles = this.unsavedFiles.get();
+    this.unsavedFiles.set(newUnsavedFiles);
+  }
 
-      if (unsavedChanges && previousUnsavedFiles.has(currentDocument.filePath)) {
-        return;
+  /**
+   * Text of every file as the editor holds it, unsaved edits included, by path relative to the project root
+   */
+  getTextFiles() {
+    const documents = this.#editorStore.documents.get();
+    const textFiles = new Map<string, string>();
+
+    for (const [filePath, dirent] of Object.entries(this.files.get())) {
+      if (dirent?.type === 'file' && !dirent.isBinary) {
+        textFiles.set(extractRelativePath(filePath), documents[filePath]?.value ?? dirent.content);
       }
+    }
 
-      const newUnsavedFiles = new Set(previousUnsavedFiles);
+    return textFiles;
+  }
 
-      if (unsavedChanges) {
-        newUnsavedFiles.add(currentDocument.filePath);
-      } else {
-        newUnsavedFiles.delete(currentDocument.filePath);
+  /**
+   * Change the content of several files in the editor, leaving them unsaved, as one batch that
+   * `undoReplace` can take back. Locked files are left as they are.
+   * @param contents New content by path relative to the project root
+   * @returns Relative paths that were left unchanged because they are locked
+   */
+  replaceInFiles(contents: Map<string, string>) {
+    const documents = this.#editorStore.documents.get();
+    const changes: ReplaceBatch['changes'] = [];
+    const skipped: string[] = [];
+
+    for (const [relativePath, content] of contents) {
+      const filePath = path.join(WORK_DIR, relativePath);
+      const before = documents[filePath]?.value;
+
+      if (before === undefined || before === content) {
+        continue;
+      }
+
+      if (this.isFileLocked(filePath).locked) {
+        skipped.push(relativePath);
+        continue;
       }
 
-      this.unsavedFiles.set(newUnsavedFiles);
+      this.#setDocumentContent(filePath, content);
+      changes.push({ filePath, before, after: content });
     }
+
+    this.lastReplace.set(changes.length > 0 ? { changes } : undefined);
+
+    return skipped;
+  }
+
+  /**
+   * Take back the last `replaceInFiles` batch. Files edited or locked since are left as they are.
+   * @returns Relative paths that were left unchanged because they were edited or locked since
+   */
+  undoReplace() {
+    const batch = this.lastReplace.get();
+    const documents = this.#editorStore.documents.get();
+    const { undo, changedSince, locked } = planReplaceUndo(
+      batch?.changes ?? [],
+      (filePath) => documents[filePath]?.value,
+      (filePath) => this.isFileLocked(filePath).locked,
+    );
+
+    for (const { filePath, before } of undo) {
+      this.#setDocumentContent(filePath, before);
+    }
+
+    this.lastReplace.set(undefined);
+
+    return { changedSince: changedSince.map(extractRelativePath), locked: locked.map(extractRelativePath) };
   }
 
   setCurrentDocumentScrollPosition(position: ScrollPosition) {
@@ -219,11 +330,24 @@ export class WorkbenchStore {
   }
 
   async saveFile(filePath: string) {
+    const previousContent = this.#getTextContent(filePath);
+    const content = await this.#saveDocument(filePath);
+
+    if (content !== undefined) {
+      this.#recordFileVersion(filePath, content, 'user', { previousContent });
+    }
+  }
+
+  /**
+   * Write an editor document to its file
+   * @returns The content written, or undefined when there is no such document
+   */
+  async #saveDocument(filePath: string) {
     const documents = this.#editorStore.documents.get();
     const document = documents[filePath];
 
     if (document === undefined) {
-      return;
+      return undefined;
     }
 
     /*
@@ -238,6 +362,44 @@ export class WorkbenchStore {
     newUnsavedFiles.delete(filePath);
 
     this.unsavedFiles.set(newUnsavedFiles);
+
+    return document.value;
+  }
+
+  /**
+   * Bring a file back to an earlier version from its history and record that as a new version
+   */
+  async restoreFileVersion(filePath: string, content: string) {
+    this.#assertUnlocked(filePath);
+
+    const previousContent = this.#getTextContent(filePath);
+
+    if (this.files.get()[filePath]?.type === 'file') {
+      await this.#filesStore.saveFile(filePath, content);
+    } else {
+      await this.#filesStore.createFile(filePath, content);
+    }
+
+    const newUnsavedFiles = new Set(this.unsavedFiles.get());
+    newUnsavedFiles.delete(filePath);
+    this.unsavedFiles.set(newUnsavedFiles);
+
+    this.#recordFileVersion(filePath, content, 'user', { previousContent });
+  }
+
+  #getTextContent(filePath: string) {
+    const dirent = this.files.get()[filePath];
+    return dirent?.type === 'file' && !dirent.isBinary ? dirent.content : undefined;
+  }
+
+  #recordFileVersion(
+    filePath: string,
+    content: string,
+    source: FileVersionSource,
+    options?: { messageId?: string; previousContent?: string },
+  ) {
+    // not awaited: the history is written in the background and never fails the change itself
+    this.fileHistory.recordVersion(filePath, content, source, options);
   }
 
   async saveCurrentDocument() {
@@ -453,6 +615,198 @@ export class WorkbenchStore {
     }
   }
 
+  /**
+   * Delete a file or folder for a `delete` action, refusing locked paths
+   * @param filePath Absolute path of the file or folder
+   */
+  async deletePath(filePath: string) {
+    const dirent = this.files.get()[filePath];
+
+    if (!dirent) {
+      throw new Error(`${extractRelativePath(filePath)} does not exist`);
+    }
+
+    this.#assertUnlocked(filePath);
+
+    if (dirent.type === 'folder') {
+      await this.deleteFolder(filePath);
+    } else {
+      await this.deleteFile(filePath);
+    }
+  }
+
+  /**
+   * Move a file or folder for a `rename` action, refusing locked paths and existing targets
+   * @param filePath Absolute path of the file or folder to move
+   * @param newFilePath Absolute path it should be moved to
+   */
+  async renamePath(filePath: string, newFilePath: string) {
+    const files = this.files.get();
+
+    if (!files[filePath]) {
+      throw new Error(`${extractRelativePath(filePath)} does not exist`);
+    }
+
+    if (files[newFilePath]) {
+      throw new Error(`${extractRelativePath(newFilePath)} already exists`);
+    }
+
+    this.#assertUnlocked(filePath);
+
+    // nothing may be moved onto a locked path or into a locked folder
+    const destinationLock = getPathLock(newFilePath);
+
+    if (destinationLock.locked) {
+      throw new Error(`${extractRelativePath(destinationLock.lockedBy ?? newFilePath)} is locked`);
+    }
+
+    await this.#filesStore.renamePath(filePath, newFilePath);
+
+    const unsavedFiles = this.unsavedFiles.get();
+    const newUnsavedFiles = new Set<string>();
+
+    for (const file of unsavedFiles) {
+      const isMoved = file === filePath || file.startsWith(filePath + '/');
+      newUnsavedFiles.add(isMoved ? newFilePath + file.slice(filePath.length) : file);
+    }
+
+    this.unsavedFiles.set(newUnsavedFiles);
+
+    const selectedFile = this.selectedFile.get();
+
+    if (selectedFile && (selectedFile === filePath || selectedFile.startsWith(filePath + '/'))) {
+      this.setSelectedFile(newFilePath + selectedFile.slice(filePath.length));
+    }
+  }
+
+  /**
+   * Throw if a path, or anything inside it when it is a folder, is locked
+   */
+  #assertUnlocked(filePath: string) {
+    const dirent = this.files.get()[filePath];
+
+    if (dirent?.type === 'folder') {
+      if (this.isFolderLocked(filePath).isLocked) {
+        throw new Error(`${extractRelativePath(filePath)} is locked`);
+      }
+
+      for (const [path, child] of Object.entries(this.files.get())) {
+        if (child?.type === 'file' && path.startsWith(filePath + '/') && this.isFileLocked(path).locked) {
+          throw new Error(`${extractRelativePath(path)} is locked`);
+        }
+      }
+
+      return;
+    }
+
+    if (this.isFileLocked(filePath).locked) {
+      throw new Error(`${extractRelativePath(filePath)} is locked`);
+    }
+  }
+
+  /**
+   * Rewrite the project to match `files`, such as a checkpoint: paths missing from it are deleted,
+   * the others created or overwritten. Locked paths are left as they are.
+   * @returns Paths that were left unchanged because they are locked
+   */
+  async restoreFiles(files: FileMap) {
+    const current = this.files.get();
+    const { deletions, writes, skipped } = planCheckpointRestore(current, files, (filePath) => {
+      try {
+        this.#assertUnlocked(filePath);
+        return false;
+      } catch {
+        return true;
+      }
+    });
+
+    for (const filePath of deletions) {
+      if (current[filePath]?.type === 'folder') {
+        await this.deleteFolder(filePath);
+      } else {
+        await this.deleteFile(filePath);
+      }
+    }
+
+    const restoredFiles = new Set<string>();
+
+    for (const filePath of writes) {
+      const dirent = files[filePath]!;
+      const existing = current[filePath];
+
+      if (dirent.type === 'folder') {
+        await this.#filesStore.createFolder(filePath);
+        continue;
+      }
+
+      await this.#filesStore.createFile(
+        filePath,
+        dirent.isBinary ? Buffer.from(dirent.content, 'base64') : dirent.content,
+      );
+      restoredFiles.add(filePath);
+
+      if (!dirent.isBinary) {
+        this.#recordFileVersion(filePath, dirent.content, 'external', {
+          previousContent: existing?.type === 'file' && !existing.isBinary ? existing.content : undefined,
+        });
+      }
+    }
+
+    const unsavedFiles = this.unsavedFiles.get();
+    this.unsavedFiles.set(new Set([...unsavedFiles].filter((filePath) => !restoredFiles.has(filePath))));
+
+    return skipped;
+  }
+
+  /**
+   * Write file contents from the git history into the project. Locked files are left as they are.
+   * @param changes Contents by path relative to the project root; undefined deletes the file
+   * @returns Relative paths that were left unchanged because they are locked
+   */
+  async #applyFileChanges(changes: Map<string, Uint8Array | undefined>) {
+    const skipped: string[] = [];
+    const restoredFiles = new Set<string>();
+
+    for (const [relativePath, content] of changes) {
+      const filePath = path.join(WORK_DIR, relativePath);
+      const existing = this.files.get()[filePath];
+
+      if (this.isFileLocked(filePath).locked) {
+        skipped.push(relativePath);
+        continue;
+      }
+
+      if (!content) {
+        if (existing) {
+          await this.deleteFile(filePath);
+        }
+
+        continue;
+      }
+
+      const text = decodeCommitContent(content);
+      const previousContent = this.#getTextContent(filePath);
+
+      // saving an existing file records the change, so the model hears about it with the next message
+      if (text !== undefined && existing?.type === 'file' && !existing.isBinary) {
+        await this.#filesStore.saveFile(filePath, text);
+      } else {
+        await this.#filesStore.createFile(filePath, text ?? content);
+      }
+
+      restoredFiles.add(filePath);
+
+      if (text !== undefined) {
+        this.#recordFileVersion(filePath, text, 'external', { previousContent });
+      }
+    }
+
+    const unsavedFiles = this.unsavedFiles.get();
+    this.unsavedFiles.set(new Set([...unsavedFiles].filter((filePath) => !restoredFiles.has(filePath))));
+
+    return skipped;
+  }
+
   abortAllActions() {
     // TODO: what do we wanna do and how do we wanna recover from this?
   }
@@ -501,6 +855,17 @@ export class WorkbenchStore {
 
           this.deployAlert.set(alert);
         },
+        {
+          deletePath: (filePath) => this.deletePath(filePath),
+          renamePath: (filePath, newFilePath) => this.renamePath(filePath, newFilePath),
+        },
+        (results) => {
+          if (this.#reloadedMessages.has(messageId)) {
+            return;
+          }
+
+          this.testResults.set(results);
+        },
       ),
     });
   }
@@ -514,6 +879,50 @@ export class WorkbenchStore {
 
     this.artifacts.setKey(messageId, { ...artifact, ...state });
   }
+
+  /**
+   * Record a checkpoint of the project once the actions of a closed artifact have run.
+   * Artifacts replayed when a chat is loaded already have theirs.
+   */
+  checkpointArtifact({ messageId }: ArtifactCallbackData) {
+    if (this.#reloadedMessages.has(messageId)) {
+      return;
+    }
+
+    const artifact = this.#getArtifact(messageId);
+
+    this.addToExecutionQueue(async () => {
+      const files = { ...this.files.get() };
+
+      // the store may not have caught up with the last writes yet, so take those from the WebContainer
+      for (const [filePath, content] of Object.entries((await artifact?.runner.readWrittenFiles()) ?? {})) {
+        const dirent = files[filePath];
+        files[filePath] = { ...(dirent?.type === 'file' ? dirent : {}), type: 'file', content, isBinary: false };
+
+        for (let folder = path.dirname(filePath); folder.startsWith(`${WORK_DIR}/`); folder = path.dirname(folder)) {
+          files[folder] ??= { type: 'folder' };
+        }
+      }
+
+      // not awaited: a new chat may not have an id yet, and later actions should not wait for it
+      recordCheckpoint(messageId, files);
+    });
+  }
+
+  /**
+   * Commit the project to its git history once the actions of a closed artifact have run
+   * @param prompt The user message the artifact answers
+   */
+  commitArtifact({ messageId, title }: ArtifactCallbackData, prompt?: string) {
+    if (this.#reloadedMessages.has(messageId)) {
+      return;
+    }
+
+    this.addToExecutionQueue(async () => {
+      // not awaited: committing reads the whole project, and later actions should not wait for it
+      this.projectGit.commitArtifact(messageId, title, prompt);
+    });
+  }
   addAction(data: ActionCallbackData) {
     // this._addAction(data);
 
@@ -557,6 +966,11 @@ export class WorkbenchStore {
       const wc = await webcontainer;
       const fullPath = path.join(wc.workdir, data.action.filePath);
 
+      // streaming may already have written part of a new file, so keep what it held at the start
+      if (!this.#contentBeforeActions.has(data.actionId)) {
+        this.#contentBeforeActions.set(data.actionId, this.#getTextContent(fullPath));
+      }
+
       /*
        * For scoped locks, we would need to implement diff checking here
        * to determine if the AI is modifying existing code or just adding new code
@@ -580,12 +994,40 @@ export class WorkbenchStore {
       this.#editorStore.updateFile(fullPath, data.action.content);
 
       if (!isStreaming && data.action.content) {
-        await this.saveFile(fullPath);
+        await this.#saveDocument(fullPath);
       }
 
       if (!isStreaming) {
         await artifact.runner.runAction(data);
         this.resetAllFileModifications();
+        this.#recordFileVersion(fullPath, data.action.content, 'assistant', {
+          messageId,
+          previousContent: this.#contentBeforeActions.get(data.actionId),
+        });
+        this.#contentBeforeActions.delete(data.actionId);
+      }
+    } else if (data.action.type === 'patch') {
+      const wc = await webcontainer;
+      const fullPath = path.join(wc.workdir, data.action.filePath);
+
+      if (this.selectedFile.value !== fullPath) {
+        this.setSelectedFile(fullPath);
+      }
+
+      if (this.currentView.value !== 'code') {
+        this.currentView.set('code');
+      }
+
+      const previousContent = this.#getTextContent(fullPath);
+
+      // the runner edits the file in the WebContainer; the file watcher brings the result into the editor
+      await artifact.runner.runAction(data);
+
+      if (artifact.runner.actions.get()[data.actionId]?.status === 'complete') {
+        this.#recordFileVersion(fullPath, await wc.fs.readFile(extractRelativePath(fullPath), 'utf-8'), 'assistant', {
+          messageId,
+          previousContent,
+        });
       }
     } else {
       await artifact.runner.runAction(data);
@@ -639,6 +1081,72 @@ export class WorkbenchStore {
     saveAs(content, `${uniqueProjectName}.zip`);
   }
 
+  /**
+   * Keep the project in sync with a folder on the user's machine until `unlinkFolder` is called.
+   * Replaces any folder linked before.
+   */
+  async linkFolder(folder: LocalFolder) {
+    this.unlinkFolder();
+
+    this.#folderSync = new FolderSync(folder, this.#createSyncedProject(), this.folderSync);
+    await this.#folderSync.start();
+  }
+
+  unlinkFolder() {
+    this.#folderSync?.stop();
+    this.#folderSync = undefined;
+    this.folderSync.set({ status: 'unlinked', conflicts: {} });
+  }
+
+  /**
+   * Settle a sync conflict by keeping the linked folder's or the project's version of a file
+   * @param filePath Absolute path of the file
+   */
+  async resolveSyncConflict(filePath: string, keep: 'local' | 'project') {
+    await this.#folderSync?.resolveConflict(extractRelativePath(filePath), keep);
+  }
+
+  #createSyncedProject(): SyncedProject {
+    const toWorkdirPath = (relativePath: string) => path.join(WORK_DIR, relativePath);
+
+    return {
+      getFiles: () => {
+        const files = new Map<string, string>();
+
+        for (const [filePath, dirent] of Object.entries(this.files.get())) {
+          if (dirent?.type === 'file' && !dirent.isBinary) {
+            files.set(extractRelativePath(filePath), dirent.content);
+          }
+        }
+
+        return files;
+      },
+      writeFile: async (relativePath, content) => {
+        const filePath = toWorkdirPath(relativePath);
+        const previousContent = this.#getTextContent(filePath);
+
+        // saving an existing file records the change, so the model hears about it with the next message
+        if (this.files.get()[filePath]?.type === 'file') {
+          await this.#filesStore.saveFile(filePath, content);
+        } else {
+          await this.#filesStore.createFile(filePath, content);
+        }
+
+        this.#recordFileVersion(filePath, content, 'external', { previousContent });
+      },
+      deleteFile: async (relativePath) => {
+        const filePath = toWorkdirPath(relativePath);
+
+        if (this.files.get()[filePath]) {
+          await this.deleteFile(filePath);
+        }
+      },
+      isLocked: (relativePath) => this.isFileLocked(toWorkdirPath(relativePath)).locked,
+      hasUnsavedChanges: (relativePath) => this.unsavedFiles.get().has(toWorkdirPath(relativePath)),
+      subscribe: (onChange) => this.files.listen(onChange),
+    };
+  }
+
   async syncFiles(targetHandle: FileSystemDirectoryHandle) {
     const files = this.files.get();
     const syncedFiles = [];
@@ -2,14 +2,19 @@ import { type ActionFunctionArgs } from '@remix-run/cloudflare';
 import { createDataStream, generateId } from 'ai';
 import { MAX_RESPONSE_SEGMENTS, MAX_TOKENS, type FileMap } from '~/lib/.server/llm/constants';
 import { CONTINUE_PROMPT } from '~/lib/common/prompts/prompts';
-import { streamText, type Messages, type StreamingOptions } from '~/lib/.server/llm/stream-text';
+import { streamText, type Messages, type ModelFailover, type StreamingOptions } from '~/lib/.server/llm/stream-text';
 import SwitchableStream from '~/lib/.server/llm/switchable-stream';
 import type { IProviderSetting } from '~/types/model';
+import type { TestRunResults } from '~/types/actions';
+import type { ModelFallback, ModelInfo } from '~/lib/modules/llm/types';
+import { estimateCost } from '~/lib/modules/llm/capabilities';
 import { createScopedLogger } from '~/utils/logger';
-import { getFilePaths, selectContext } from '~/lib/.server/llm/select-context';
-import type { ContextAnnotation, ProgressAnnotation } from '~/types/context';
+import { getFilePaths, selectContext, selectLocalContext } from '~/lib/.server/llm/select-context';
+import type { ContextAnnotation, ContextStrategy, ProgressAnnotation } from '~/types/context';
 import { WORK_DIR } from '~/utils/constants';
 import { createSummary } from '~/lib/.server/llm/create-summary';
+import { compactMessages } from '~/lib/.server/llm/compact-messages';
+import { DEFAULT_COMPACTION_THRESHOLD, type CompactionState } from '~/utils/compaction';
 import { extractPropertiesFromMessage } from '~/lib/.server/llm/utils';
 
 export async function action(args: ActionFunctionArgs) {
@@ -37,11 +42,28 @@ function parseCookies(cookieHeader: string): Record<string, string> {
 }
 
 async function chatAction({ context, request }: ActionFunctionArgs) {
-  const { messages, files, promptId, contextOptimization, supabase, chatMode } = await request.json<{
+  const {
+    messages,
+    files,
+    promptId,
+    contextOptimization,
+    contextStrategy,
+    localContextFiles,
+    supabase,
+    chatMode,
+    testResults,
+    modelFallbacks,
+    compaction,
+    compactionThreshold = DEFAULT_COMPACTION_THRESHOLD,
+  } = await request.json<{
     messages: Messages;
     files: any;
     promptId?: string;
     contextOptimization: boolean;
+    contextStrategy?: ContextStrategy;
+
+    // files ranked by the browser's project index, best first, for the `local` strategy
+    localContextFiles?: string[];
     chatMode: 'discuss' | 'build';
     supabase?: {
       isConnected: boolean;
@@ -51,6 +73,12 @@ async function chatAction({ context, request }: ActionFunctionArgs) {
         supabaseUrl?: string;
       };
     };
+    testResults?: TestRunResults;
+    modelFallbacks?: ModelFallback[];
+
+    // the chat's rolling summary and the messages it replaces, and when to fold in more of them
+    compaction?: CompactionState;
+    compactionThreshold?: number;
   }>();
 
   const cookieHeader = request.headers.get('Cookie');
@@ -66,6 +94,23 @@ async function chatAction({ context, request }: ActionFunctionArgs) {
     promptTokens: 0,
     totalTokens: 0,
   };
+
+  // every call is priced with the model that made it, and the total is unknown once one call's price is
+  let cumulativeCost: number | undefined = 0;
+
+  const recordUsage = (
+    usage: { promptTokens: number; completionTokens: number; totalTokens: number },
+    model: ModelInfo | undefined,
+  ) => {
+    const completionTokens = usage.completionTokens || 0;
+    const promptTokens = usage.promptTokens || 0;
+    cumulativeUsage.completionTokens += completionTokens;
+    cumulativeUsage.promptTokens += promptTokens;
+    cumulativeUsage.totalTokens += usage.totalTokens || 0;
+
+    const cost = estimateCost(model, { completionTokens, promptTokens });
+    cumulativeCost = cumulativeCost === undefined || cost === undefined ? undefined : cumulativeCost + cost;
+  };
   const encoder: TextEncoder = new TextEncoder();
   let progressCounter: number = 1;
 
@@ -82,6 +127,40 @@ async function chatAction({ context, request }: ActionFunctionArgs) {
         let summary: string | undefined = undefined;
         let messageSliceId = 0;
 
+        const compacted = await compactMessages({
+          messages,
+          compaction,
+          threshold: compactionThreshold,
+          env: context.cloudflare?.env,
+          apiKeys,
+          providerSettings,
+          onFinish(resp, model) {
+            if (resp.usage) {
+              logger.debug('compactMessages token usage', JSON.stringify(resp.usage));
+              recordUsage(resp.usage, model);
+            }
+          },
+        });
+        const compactedSummary = compacted.summary;
+
+        if (compacted.compactedIds && compacted.summary) {
+          dataStream.writeData({
+            type: 'progress',
+            label: 'compaction',
+            status: 'complete',
+            order: progressCounter++,
+            message: 'Compacted Earlier Messages',
+          } satisfies ProgressAnnotation);
+          dataStream.writeMessageAnnotation({
+            type: 'compaction',
+            summary: compacted.summary,
+            compactedIds: compacted.compactedIds,
+          } as ContextAnnotation);
+        }
+
+        // later steps, continuations included, only see what compaction kept
+        messages.splice(0, messages.length, ...compacted.messages);
+
         if (messages.length > 3) {
           messageSliceId = messages.length - 3;
         }
@@ -106,12 +185,10 @@ async function chatAction({ context, request }: ActionFunctionArgs) {
             providerSettings,
             promptId,
             contextOptimization,
-            onFinish(resp) {
+            onFinish(resp, model) {
               if (resp.usage) {
                 logger.debug('createSummary token usage', JSON.stringify(resp.usage));
-                cumulativeUsage.completionTokens += resp.usage.completionTokens || 0;
-                cumulativeUsage.promptTokens += resp.usage.promptTokens || 0;
-                cumulativeUsage.totalTokens += resp.usage.totalTokens || 0;
+                recordUsage(resp.usage, model);
               }
             },
           });
@@ -141,24 +218,32 @@ async function chatAction({ context, request }: ActionFunctionArgs) {
 
           // Select context files
           console.log(`Messages count: ${messages.length}`);
-          filteredFiles = await selectContext({
-            messages: [...messages],
-            env: context.cloudflare?.env,
-            apiKeys,
-            files,
-            providerSettings,
-            promptId,
-            contextOptimization,
-            summary,
-            onFinish(resp) {
-              if (resp.usage) {
-                logger.debug('selectContext token usage', JSON.stringify(resp.usage));
-                cumulativeUsage.completionTokens += resp.usage.completionTokens || 0;
-                cumulativeUsage.promptTokens += resp.usage.promptTokens || 0;
-                cumulativeUsage.totalTokens += resp.usage.totalTokens || 0;
-              }
-            },
-          });
+          filteredFiles =
+            contextStrategy === 'local'
+              ? await selectLocalContext({
+                  messages: [...messages],
+                  env: context.cloudflare?.env,
+                  apiKeys,
+                  files,
+                  providerSettings,
+                  rankedPaths: localContextFiles,
+                })
+              : await selectContext({
+                  messages: [...messages],
+                  env: context.cloudflare?.env,
+                  apiKeys,
+                  files,
+                  providerSettings,
+                  promptId,
+                  contextOptimization,
+                  summary,
+                  onFinish(resp, model) {
+                    if (resp.usage) {
+                      logger.debug('selectContext token usage', JSON.stringify(resp.usage));
+                      recordUsage(resp.usage, model);
+                    }
+                  },
+                });
 
           if (filteredFiles) {
             logger.debug(`files in context : ${JSON.stringify(Object.keys(filteredFiles))}`);
@@ -188,9 +273,35 @@ async function chatAction({ context, request }: ActionFunctionArgs) {
           // logger.debug('Code Files Selected');
         }
 
+        // the model that took over when the selected one failed, so continuations keep using it
+        let lastFailover: ModelFailover | undefined = undefined;
+
+        // the model answering the latest segment, whose pricing estimates the response's cost
+        let respondingModel: ModelInfo | undefined = undefined;
+
+        const onModelSelected = (model: ModelInfo) => {
+          respondingModel = model;
+        };
+
+        const onFailover = (failover: ModelFailover) => {
+          lastFailover = failover;
+
+          const { from, to, reason } = failover;
+          dataStream.writeData({
+            type: 'progress',
+            label: `failover-${progressCounter}`,
+            status: 'complete',
+            order: progressCounter++,
+            message: `${from.model} (${from.provider}) ${reason}, switching to ${to.model || 'the default model'} (${to.provider})`,
+          } satisfies ProgressAnnotation);
+        };
+
         const options: StreamingOptions = {
           supabaseConnection: supabase,
           toolChoice: 'none',
+
+          // Stop the upstream model call when the browser aborts the chat request
+          abortSignal: request.signal,
           onFinish: async ({ text: content, finishReason, usage }) => {
             logger.debug('usage', JSON.stringify(usage));
 
@@ -207,9 +318,7 @@ async function chatAction({ context, request }: ActionFunctionArgs) {
               const totalTokens =
                 typeof usage.totalTokens === 'number' && !isNaN(usage.totalTokens) ? usage.totalTokens : 0;
 
-              cumulativeUsage.completionTokens += completionTokens;
-              cumulativeUsage.promptTokens += promptTokens;
-              cumulativeUsage.totalTokens += totalTokens;
+              recordUsage({ completionTokens, promptTokens, totalTokens }, respondingModel);
             }
 
             if (finishReason !== 'length') {
@@ -219,6 +328,9 @@ async function chatAction({ context, request }: ActionFunctionArgs) {
                   completionTokens: cumulativeUsage.completionTokens,
                   promptTokens: cumulativeUsage.promptTokens,
                   totalTokens: cumulativeUsage.totalTokens,
+                  model: respondingModel?.name ?? null,
+                  provider: respondingModel?.provider ?? null,
+                  cost: cumulativeCost ?? null,
                 },
               });
               dataStream.writeData({
@@ -226,7 +338,10 @@ async function chatAction({ context, request }: ActionFunctionArgs) {
                 label: 'response',
                 status: 'complete',
                 order: progressCounter++,
-                message: 'Response Generated',
+                message:
+                  lastFailover && respondingModel
+                    ? `Response Generated by ${respondingModel.name}`
+                    : 'Response Generated',
               } satisfies ProgressAnnotation);
               await new Promise((resolve) => setTimeout(resolve, 0));
 
@@ -243,7 +358,12 @@ async function chatAction({ context, request }: ActionFunctionArgs) {
             logger.info(`Reached max token limit (${MAX_TOKENS}): Continuing message (${switchesLeft} switches left)`);
 
             const lastUserMessage = messages.filter((x) => x.role == 'user').slice(-1)[0];
-            const { model, provider } = extractPropertiesFromMessage(lastUserMessage);
+
+            // after a failover, continue with the model that took over, by its name in bolt
+            const { model, provider } =
+              lastFailover && respondingModel
+                ? { model: respondingModel.name, provider: respondingModel.provider }
+                : extractPropertiesFromMessage(lastUserMessage);
             messages.push({ id: generateId(), role: 'assistant', content });
             messages.push({
               id: generateId(),
@@ -263,7 +383,12 @@ async function chatAction({ context, request }: ActionFunctionArgs) {
               contextFiles: filteredFiles,
               chatMode,
               summary,
+              compactedSummary,
               messageSliceId,
+              testResults,
+              modelFallbacks,
+              onFailover,
+              onModelSelected,
             });
 
             result.mergeIntoDataStream(dataStream);
@@ -303,7 +428,12 @@ async function chatAction({ context, request }: ActionFunctionArgs) {
           contextFiles: filteredFiles,
           chatMode,
           summary,
+          compactedSummary,
           messageSliceId,
+          testResults,
+          modelFallbacks,
+          onFailover,
+          onModelSelected,
         });
 
         (async () => {
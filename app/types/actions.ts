@@ -1,6 +1,6 @@
 import type { Change } from 'diff';
 
-export type ActionType = 'file' | 'shell' | 'supabase';
+export type ActionType = 'file' | 'patch' | 'delete' | 'rename' | 'shell' | 'test' | 'supabase';
 
 export interface BaseAction {
   content: string;
@@ -11,6 +11,25 @@ export interface FileAction extends BaseAction {
   filePath: string;
 }
 
+// edits an existing file with search/replace blocks or a unified diff instead of rewriting it
+export interface PatchAction extends BaseAction {
+  type: 'patch';
+  filePath: string;
+}
+
+// removes a file or folder; has no content
+export interface DeleteAction extends BaseAction {
+  type: 'delete';
+  filePath: string;
+}
+
+// moves a file or folder to `newFilePath`; has no content
+export interface RenameAction extends BaseAction {
+  type: 'rename';
+  filePath: string;
+  newFilePath: string;
+}
+
 export interface ShellAction extends BaseAction {
   type: 'shell';
 }
@@ -23,6 +42,14 @@ export interface BuildAction extends BaseAction {
   type: 'build';
 }
 
+// runs the project's tests; content is the command (defaults to `npm test`)
+export interface TestAction extends BaseAction {
+  type: 'test';
+
+  // report written by the test runner (e.g. JUnit XML), read instead of the command output
+  reportFile?: string;
+}
+
 export interface SupabaseAction extends BaseAction {
   type: 'supabase';
   operation: 'migration' | 'query';
@@ -30,16 +57,52 @@ export interface SupabaseAction extends BaseAction {
   projectId?: string;
 }
 
-export type BoltAction = FileAction | ShellAction | StartAction | BuildAction | SupabaseAction;
+export type BoltAction =
+  | FileAction
+  | PatchAction
+  | DeleteAction
+  | RenameAction
+  | ShellAction
+  | StartAction
+  | BuildAction
+  | TestAction
+  | SupabaseAction;
 
 export type BoltActionData = BoltAction | BaseAction;
 
+export type TestStatus = 'passed' | 'failed' | 'skipped';
+
+export interface TestCaseResult {
+  name: string;
+  status: TestStatus;
+  file?: string;
+  durationMs?: number;
+  message?: string;
+}
+
+export type TestReportFormat = 'json' | 'junit' | 'tap';
+
+export interface TestRunResults {
+  command: string;
+  exitCode: number;
+
+  // reporter the results were parsed from; undefined when the output was not recognized
+  format?: TestReportFormat;
+  tests: TestCaseResult[];
+  passed: number;
+  failed: number;
+  skipped: number;
+
+  // end of the raw output, for runs whose report could not be parsed
+  outputTail: string;
+}
+
 export interface ActionAlert {
   type: string;
   title: string;
   description: string;
   content: string;
-  source?: 'terminal' | 'preview'; // Add source to differentiate between terminal and preview errors
+  source?: 'terminal' | 'preview' | 'patch'; // Add source to differentiate between terminal, preview and patch errors
 }
 
 export interface SupabaseAlert {
@@ -62,14 +125,28 @@ export interface DeployAlert {
   source?: 'vercel' | 'netlify' | 'github';
 }
 
+/**
+ * Who wrote a version of a file:
+ * - `user`: saved from the editor, or restored from an earlier version
+ * - `assistant`: written by an artifact's file or patch action
+ * - `external`: imported, synced from a linked folder, or restored from a checkpoint or commit
+ */
+export type FileVersionSource = 'user' | 'assistant' | 'external';
+
+export interface FileVersion {
+  timestamp: number;
+  content: string;
+  source?: FileVersionSource;
+
+  // the assistant message whose artifact wrote this version
+  messageId?: string;
+}
+
 export interface FileHistory {
   originalContent: string;
   lastModified: number;
   changes: Change[];
-  versions: {
-    timestamp: number;
-    content: string;
-  }[];
+  versions: FileVersion[];
 
   // Novo campo para rastrear a origem das mudanças
   changeSource?: 'user' | 'auto-save' | 'external';
@@ -1,3 +1,10 @@
+/**
+ * How context optimization picks the files sent with a request:
+ * - `llm`: ask the chat's model to choose from the project's file list
+ * - `local`: rank files with the offline project index, without a model call
+ */
+export type ContextStrategy = 'llm' | 'local';
+
 export type ContextAnnotation =
   | {
       type: 'codeContext';
@@ -7,6 +14,12 @@ export type ContextAnnotation =
       type: 'chatSummary';
       summary: string;
       chatId: string;
+    }
+  | {
+      // older messages were folded into `summary`; `compactedIds` lists every message it replaces
+      type: 'compaction';
+      summary: string;
+      compactedIds: string[];
     };
 
 export type ProgressAnnotation = {
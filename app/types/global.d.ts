@@ -1,5 +1,5 @@
 interface Window {
-  showDirectoryPicker(): Promise<FileSystemDirectoryHandle>;
+  showDirectoryPicker(options?: { mode?: 'read' | 'readwrite' }): Promise<FileSystemDirectoryHandle>;
   webkitSpeechRecognition: typeof SpeechRecognition;
   SpeechRecognition: typeof SpeechRecognition;
 }
@@ -11,3 +11,7 @@ interface Performance {
     usedJSHeapSize: number;
   };
 }
+
+interface FileSystemDirectoryHandle {
+  values(): AsyncIterableIterator<FileSystemDirectoryHandle | FileSystemFileHandle>;
+}
@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import type { FileMap } from '~/lib/stores/files';
+import { planCheckpointRestore } from './checkpointRestore';
+
+const file = (content: string) => ({ type: 'file' as const, content, isBinary: false });
+const folder = { type: 'folder' as const };
+
+const checkpoint: FileMap = {
+  '/home/project/src': folder,
+  '/home/project/src/App.tsx': file('app'),
+  '/home/project/src/main.tsx': file('main'),
+};
+
+describe('planCheckpointRestore', () => {
+  it('should recreate deleted files, overwrite changed ones and delete new ones', () => {
+    const current: FileMap = {
+      '/home/project/src': folder,
+      '/home/project/src/App.tsx': file('app changed'),
+      '/home/project/src/new.ts': file('new'),
+    };
+
+    expect(planCheckpointRestore(current, checkpoint, () => false)).toEqual({
+      deletions: ['/home/project/src/new.ts'],
+      writes: ['/home/project/src/App.tsx', '/home/project/src/main.tsx'],
+      skipped: [],
+    });
+  });
+
+  it('should delete a folder at once, leaving out what it holds', () => {
+    const current: FileMap = {
+      ...checkpoint,
+      '/home/project/dist': folder,
+      '/home/project/dist/index.js': file('built'),
+    };
+
+    expect(planCheckpointRestore(current, checkpoint, () => false).deletions).toEqual(['/home/project/dist']);
+  });
+
+  it('should leave locked files alone, whether deleted, changed or new since the checkpoint', () => {
+    const current: FileMap = {
+      '/home/project/src': folder,
+      '/home/project/src/App.tsx': file('app changed'),
+      '/home/project/src/new.ts': file('new'),
+    };
+    const locked = ['/home/project/src/App.tsx', '/home/project/src/main.tsx', '/home/project/src/new.ts'];
+
+    expect(planCheckpointRestore(current, checkpoint, (filePath) => locked.includes(filePath))).toEqual({
+      deletions: [],
+      writes: [],
+      skipped: ['/home/project/src/new.ts', '/home/project/src/App.tsx', '/home/project/src/main.tsx'],
+    });
+  });
+
+  it('should delete the unlocked contents of a folder that holds a locked file', () => {
+    const current: FileMap = {
+      ...checkpoint,
+      '/home/project/docs': folder,
+      '/home/project/docs/notes.md': file('notes'),
+      '/home/project/docs/locked.md': file('locked'),
+    };
+    const isLocked = (filePath: string) => ['/home/project/docs', '/home/project/docs/locked.md'].includes(filePath);
+
+    expect(planCheckpointRestore(current, checkpoint, isLocked)).toEqual({
+      deletions: ['/home/project/docs/notes.md'],
+      writes: [],
+      skipped: ['/home/project/docs', '/home/project/docs/locked.md'],
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import type { FileMap } from '~/lib/stores/files';
+
+export interface CheckpointRestorePlan {
+  // paths missing from the checkpoint, in path order, leaving out what a deleted folder takes with it
+  deletions: string[];
+
+  // folders to create and files to create or overwrite, in path order so that folders come first
+  writes: string[];
+
+  // locked paths that are left as they are
+  skipped: string[];
+}
+
+/**
+ * What restoring the project to a checkpoint changes. Files whose content already matches are
+ * left alone, and so is every locked path, whether it would be deleted, created or overwritten.
+ * @param isLocked Whether a path, or for a folder anything inside it, is locked
+ */
+export function planCheckpointRestore(
+  current: FileMap,
+  checkpoint: FileMap,
+  isLocked: (filePath: string) => boolean,
+): CheckpointRestorePlan {
+  const plan: CheckpointRestorePlan = { deletions: [], writes: [], skipped: [] };
+  const deletedFolders: string[] = [];
+
+  const removedPaths = Object.keys(current)
+    .filter((filePath) => current[filePath] && !checkpoint[filePath])
+    .sort();
+
+  for (const filePath of removedPaths) {
+    if (deletedFolders.some((folderPath) => filePath.startsWith(folderPath + '/'))) {
+      continue;
+    }
+
+    if (isLocked(filePath)) {
+      plan.skipped.push(filePath);
+      continue;
+    }
+
+    plan.deletions.push(filePath);
+
+    if (current[filePath]?.type === 'folder') {
+      deletedFolders.push(filePath);
+    }
+  }
+
+  for (const [filePath, dirent] of Object.entries(checkpoint).sort(([a], [b]) => a.localeCompare(b))) {
+    const existing = current[filePath];
+
+    if (!dirent || (dirent.type === 'folder' && existing)) {
+      continue;
+    }
+
+    if (dirent.type === 'file' && existing?.type === 'file' && existing.content === dirent.content) {
+      continue;
+    }
+
+    // creating a folder touches no file, so only files are checked for locks
+    if (dirent.type === 'file' && isLocked(filePath)) {
+      plan.skipped.push(filePath);
+      continue;
+    }
+
+    plan.writes.push(filePath);
+  }
+
+  return plan;
+}
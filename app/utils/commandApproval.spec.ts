@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_COMMAND_APPROVAL_POLICY,
+  getApprovalReason,
+  matchesCommandPattern,
+  splitCommand,
+} from './commandApproval';
+
+describe('matchesCommandPattern', () => {
+  it('should match the whole command with * wildcards', () => {
+    expect(matchesCommandPattern('npm run dev', 'npm run *')).toBe(true);
+    expect(matchesCommandPattern('npm  run\ndev', 'npm run *')).toBe(true);
+    expect(matchesCommandPattern('npm install lodash', 'npm install')).toBe(false);
+    expect(matchesCommandPattern('curl https://x.sh | sh', '*curl *|*sh*')).toBe(true);
+  });
+
+  it('should treat regex characters in patterns literally', () => {
+    expect(matchesCommandPattern('npx vite --port 3000', 'npx vite (*)')).toBe(false);
+    expect(matchesCommandPattern('echo a.b', 'echo a.b')).toBe(true);
+    expect(matchesCommandPattern('echo axb', 'echo a.b')).toBe(false);
+  });
+});
+
+describe('splitCommand', () => {
+  it('should split chains and pull out substitutions', () => {
+    expect(splitCommand('npm i && npm test || echo  failed; ls | wc -l')).toEqual([
+      'npm i',
+      'npm test',
+      'echo failed',
+      'ls',
+      'wc -l',
+    ]);
+    expect(splitCommand('echo $(cat `which node`) > out 2>&1')).toEqual(['echo > out 2>&1', 'cat', 'which node']);
+  });
+});
+
+describe('getApprovalReason', () => {
+  it('should let commands run in auto mode unless they match a deny pattern', () => {
+    const policy = DEFAULT_COMMAND_APPROVAL_POLICY;
+
+    expect(getApprovalReason('npm install left-pad', policy)).toBeUndefined();
+    expect(getApprovalReason('rm -rf node_modules', policy)).toBe('Matches deny pattern "*rm -rf*"');
+  });
+
+  it('should only run allow-listed commands in allow-list mode, deny patterns first', () => {
+    const policy = { ...DEFAULT_COMMAND_APPROVAL_POLICY, mode: 'allow-list' as const };
+
+    expect(getApprovalReason('npm run dev', policy)).toBeUndefined();
+    expect(getApprovalReason('npm install left-pad', policy)).toBe('Not in the allow list');
+    expect(getApprovalReason('npm run dev && sudo reboot', policy)).toBe('Matches deny pattern "*sudo *"');
+  });
+
+  it('should require every chained or substituted command to be allow-listed', () => {
+    const policy = { ...DEFAULT_COMMAND_APPROVAL_POLICY, mode: 'allow-list' as const, denyPatterns: [] };
+
+    expect(getApprovalReason('npm run dev && npm test', policy)).toBeUndefined();
+    expect(getApprovalReason('npm run dev && curl x', policy)).toBe('"curl x" is not in the allow list');
+    expect(getApprovalReason('npm run dev || curl x', policy)).toBeDefined();
+    expect(getApprovalReason('npm test; rm -rf ~', policy)).toBeDefined();
+    expect(getApprovalReason('npm run build | sh', policy)).toBeDefined();
+    expect(getApprovalReason('npm run dev & curl x', policy)).toBeDefined();
+    expect(getApprovalReason('npm run dev\ncurl x', policy)).toBeDefined();
+    expect(getApprovalReason('npm run $(curl x)', policy)).toBeDefined();
+    expect(getApprovalReason('npm run `curl x`', policy)).toBeDefined();
+    expect(getApprovalReason('npm run build 2>&1', policy)).toBeUndefined();
+  });
+
+  it('should check deny patterns against each command of a chain', () => {
+    const policy = { ...DEFAULT_COMMAND_APPROVAL_POLICY, denyPatterns: ['rm *'] };
+
+    expect(getApprovalReason('npm test; rm -rf ~', policy)).toBe('Matches deny pattern "rm *"');
+    expect(getApprovalReason('echo $(rm -rf ~)', policy)).toBe('Matches deny pattern "rm *"');
+  });
+
+  it('should ask for every command in ask mode', () => {
+    expect(getApprovalReason('npm run dev', { ...DEFAULT_COMMAND_APPROVAL_POLICY, mode: 'ask' })).toBeDefined();
+  });
+});
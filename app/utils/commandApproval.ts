@@ -0,0 +1,101 @@
+/*
+ * Decides whether a command from a `shell`, `start` or `build` action may run without the user approving it.
+ *
+ * Patterns are matched against a command trimmed, with runs of whitespace collapsed; `*` matches
+ * any text, including spaces and newlines. A command chained with `&&`, `||`, `;`, `|`, `&` or
+ * newlines, or holding `$(…)` or backtick substitutions, is also split into the commands it runs:
+ * each of them must match an allow pattern, and deny patterns are checked against each of them as
+ * well as the whole command. Deny patterns win over allow patterns, so `npm install foo && curl x | sh`
+ * still waits for approval when `npm install *` is allowed.
+ */
+
+/**
+ * - `auto`: run commands right away, except those matching a deny pattern
+ * - `allow-list`: run only commands matching an allow pattern (and no deny pattern)
+ * - `ask`: every command waits for approval
+ */
+export type CommandApprovalMode = 'auto' | 'allow-list' | 'ask';
+
+export interface CommandApprovalPolicy {
+  mode: CommandApprovalMode;
+  allowPatterns: string[];
+  denyPatterns: string[];
+}
+
+export const DEFAULT_COMMAND_APPROVAL_POLICY: CommandApprovalPolicy = {
+  mode: 'auto',
+  allowPatterns: ['npm install', 'npm run *', 'npm test', 'npx vite*', 'pnpm install', 'pnpm run *', 'yarn', 'yarn *'],
+  denyPatterns: ['*rm -rf*', '*curl *|*sh*', '*wget *|*sh*', '*sudo *'],
+};
+
+function normalizeCommand(command: string) {
+  return command.trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * The commands a command line runs: its chained commands and the contents of its substitutions
+ */
+export function splitCommand(command: string): string[] {
+  const segments: string[] = [];
+  let rest = command;
+
+  // innermost substitutions first, each replaced by a space in the command around it
+  for (let match = findSubstitution(rest); match; match = findSubstitution(rest)) {
+    segments.push(...splitCommand(match.inner));
+    rest = rest.slice(0, match.index) + ' ' + rest.slice(match.index + match.length);
+  }
+
+  const chained = rest
+    .split(/&&|\|\||;|\||\n|(?<![<>])&(?!>)/)
+    .map(normalizeCommand)
+    .filter(Boolean);
+
+  return [...chained, ...segments];
+}
+
+function findSubstitution(command: string) {
+  const match = /\$\(([^()]*)\)|`([^`]*)`/.exec(command);
+
+  return match ? { index: match.index, length: match[0].length, inner: match[1] ?? match[2] } : undefined;
+}
+
+export function matchesCommandPattern(command: string, pattern: string) {
+  const source = normalizeCommand(pattern)
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${source}$`, 's').test(normalizeCommand(command));
+}
+
+/**
+ * The pattern that keeps `command` from running on its own, or undefined when it may run
+ */
+export function getApprovalReason(command: string, policy: CommandApprovalPolicy): string | undefined {
+  if (policy.mode === 'ask') {
+    return 'Every command needs approval';
+  }
+
+  const commands = splitCommand(command);
+  const deniedBy = policy.denyPatterns.find(
+    (pattern) => pattern.trim() && [command, ...commands].some((segment) => matchesCommandPattern(segment, pattern)),
+  );
+
+  if (deniedBy) {
+    return `Matches deny pattern "${deniedBy}"`;
+  }
+
+  if (policy.mode !== 'allow-list') {
+    return undefined;
+  }
+
+  const notAllowed = commands.find(
+    (segment) => !policy.allowPatterns.some((pattern) => matchesCommandPattern(segment, pattern)),
+  );
+
+  if (notAllowed !== undefined || commands.length === 0) {
+    return commands.length > 1 ? `"${notAllowed}" is not in the allow list` : 'Not in the allow list';
+  }
+
+  return undefined;
+}
@@ -0,0 +1,22 @@
+import { describe, expect, it } from 'vitest';
+import { estimateMessageTokens, selectMessagesToCompact } from './compaction';
+
+const history = ['a', 'b', 'c', 'd', 'e', 'f'].map((id) => ({ id, tokens: 100 }));
+
+describe('selectMessagesToCompact', () => {
+  it('should compact nothing while the history fits the budget', () => {
+    expect(selectMessagesToCompact(history, 600)).toEqual([]);
+  });
+
+  it('should fold the oldest messages down to half the budget, skipping pinned and recent ones', () => {
+    expect(selectMessagesToCompact(history, 500)).toEqual(['a', 'b', 'c', 'd']);
+    expect(selectMessagesToCompact(history, 500, ['b'])).toEqual(['a', 'c', 'd']);
+  });
+});
+
+describe('estimateMessageTokens', () => {
+  it('should count text parts and a fixed cost per image', () => {
+    expect(estimateMessageTokens('12345678')).toBe(2);
+    expect(estimateMessageTokens([{ type: 'text', text: '1234' }, { type: 'image' }])).toBe(1001);
+  });
+});
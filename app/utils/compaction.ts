@@ -0,0 +1,72 @@
+import { estimateTokens } from './projectIndex';
+
+/*
+ * Rolling compaction of long chats. Once the history sent with a request passes a share of the
+ * model's context window, its oldest messages are folded into a summary that is sent in their
+ * place from then on. Pinned messages and the latest exchange are never folded.
+ */
+
+export interface CompactionState {
+  // summary of every compacted message, rewritten each time more are folded in
+  summary?: string;
+  compactedIds: string[];
+  pinnedIds: string[];
+}
+
+export const EMPTY_COMPACTION: CompactionState = { compactedIds: [], pinnedIds: [] };
+
+// share of the context window the history may fill before it is compacted; 0 turns compaction off
+export const DEFAULT_COMPACTION_THRESHOLD = 0.75;
+
+// the latest request and the answer before it always go out as they are
+export const KEEP_RECENT_MESSAGES = 2;
+
+// compaction folds messages until the history is down to this share of its budget, so it does not run every turn
+const COMPACTION_TARGET_SHARE = 0.5;
+
+// rough cost of an attached image, which has no text to estimate from
+const IMAGE_TOKENS = 1000;
+
+export function estimateMessageTokens(content: string | Array<{ type: string; text?: string }>) {
+  if (typeof content === 'string') {
+    return estimateTokens(content);
+  }
+
+  return content.reduce(
+    (tokens, part) => tokens + (part.type === 'text' ? estimateTokens(part.text ?? '') : IMAGE_TOKENS),
+    0,
+  );
+}
+
+/**
+ * Ids of the oldest messages to fold into the summary, or none while the history fits `budget` tokens
+ */
+export function selectMessagesToCompact(
+  messages: Array<{ id: string; tokens: number }>,
+  budget: number,
+  pinnedIds: string[] = [],
+): string[] {
+  let total = messages.reduce((tokens, message) => tokens + message.tokens, 0);
+
+  if (total <= budget) {
+    return [];
+  }
+
+  const target = budget * COMPACTION_TARGET_SHARE;
+  const compacted: string[] = [];
+
+  for (const message of messages.slice(0, -KEEP_RECENT_MESSAGES)) {
+    if (total <= target) {
+      break;
+    }
+
+    if (pinnedIds.includes(message.id)) {
+      continue;
+    }
+
+    compacted.push(message.id);
+    total -= message.tokens;
+  }
+
+  return compacted;
+}
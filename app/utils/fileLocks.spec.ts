@@ -0,0 +1,23 @@
+import { describe, expect, it } from 'vitest';
+import { addLockedItem } from '~/lib/persistence/lockedFiles';
+import { getPathLock } from './fileLocks';
+
+describe('getPathLock', () => {
+  it('should cover new paths inside a locked folder and locked paths themselves', () => {
+    addLockedItem('chat', '/home/project/src/locked', true);
+    addLockedItem('chat', '/home/project/README.md');
+
+    expect(getPathLock('/home/project/src/locked/new/App.tsx', 'chat')).toEqual({
+      locked: true,
+      lockedBy: '/home/project/src/locked',
+    });
+    expect(getPathLock('/home/project/README.md', 'chat').locked).toBe(true);
+  });
+
+  it('should not cover siblings with a similar name or other chats', () => {
+    addLockedItem('chat', '/home/project/lib', true);
+
+    expect(getPathLock('/home/project/library/index.ts', 'chat').locked).toBe(false);
+    expect(getPathLock('/home/project/lib/index.ts', 'other').locked).toBe(false);
+  });
+});
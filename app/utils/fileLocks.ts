@@ -2,6 +2,7 @@ import {
   getLockedItems,
   isFileLocked as isFileLockedInternal,
   isFolderLocked as isFolderLockedInternal,
+  isPathDirectlyLocked,
   isPathInLockedFolder,
 } from '~/lib/persistence/lockedFiles';
 import { createScopedLogger } from './logger';
@@ -60,6 +61,28 @@ export function isFileLocked(filePath: string, chatId?: string): { locked: boole
   }
 }
 
+/**
+ * Check if a path that may not exist yet is covered by a lock, on the path itself or any folder above it
+ * @param path The absolute path to check
+ * @param chatId Optional chat ID (will be extracted from URL if not provided)
+ */
+export function getPathLock(path: string, chatId?: string): { locked: boolean; lockedBy?: string } {
+  try {
+    const currentChatId = chatId || getCurrentChatId();
+
+    for (let current = path; current; current = current.slice(0, current.lastIndexOf('/'))) {
+      if (isPathDirectlyLocked(currentChatId, current).locked) {
+        return { locked: true, lockedBy: current };
+      }
+    }
+
+    return { locked: false };
+  } catch (error) {
+    logger.error('Failed to check if path is locked', error);
+    return { locked: false };
+  }
+}
+
 /**
  * Check if a folder is locked directly from localStorage
  * This avoids circular dependencies between components and stores
@@ -0,0 +1,158 @@
+import type { LocalFolder } from '~/lib/stores/folderSync';
+import { isSyncIgnored, isSyncIgnoredFolder } from '~/utils/syncIgnore';
+
+/*
+ * Folders on the user's machine for folder sync: in the browser through the File System Access
+ * API, which has no change events and is polled, and in the desktop app through the bridge the
+ * Electron preload script exposes, which watches the folder with Node's `fs.watch`.
+ */
+
+const POLL_INTERVAL_MS = 2000;
+
+const utf8TextDecoder = new TextDecoder('utf8', { fatal: true });
+
+/**
+ * File operations of the Electron main process, limited to folders the user picked
+ */
+export interface ElectronFolderSync {
+  pickFolder(): Promise<string | undefined>;
+  readFiles(root: string): Promise<Record<string, string>>;
+  writeFile(root: string, relativePath: string, content: string): Promise<void>;
+  deleteFile(root: string, relativePath: string): Promise<void>;
+  watch(root: string, onChange: () => void): () => void;
+}
+
+declare global {
+  interface Window {
+    electronFolderSync?: ElectronFolderSync;
+  }
+}
+
+export function isFolderSyncSupported() {
+  return typeof window !== 'undefined' && (!!window.electronFolderSync || 'showDirectoryPicker' in window);
+}
+
+/**
+ * Ask the user for a folder to link
+ * @returns The folder, or undefined when the user cancelled
+ */
+export async function pickLocalFolder(): Promise<LocalFolder | undefined> {
+  const electron = window.electronFolderSync;
+
+  if (electron) {
+    const root = await electron.pickFolder();
+    return root ? createElectronFolder(electron, root) : undefined;
+  }
+
+  try {
+    return createBrowserFolder(await window.showDirectoryPicker({ mode: 'readwrite' }));
+  } catch (error) {
+    if (error instanceof DOMException && error.name === 'AbortError') {
+      return undefined;
+    }
+
+    throw error;
+  }
+}
+
+function createElectronFolder(electron: ElectronFolderSync, root: string): LocalFolder {
+  return {
+    name: root.split(/[\\/]/).filter(Boolean).pop() ?? root,
+    readFiles: async () => new Map(Object.entries(await electron.readFiles(root))),
+    writeFile: (relativePath, content) => electron.writeFile(root, relativePath, content),
+    deleteFile: (relativePath) => electron.deleteFile(root, relativePath),
+    watch: (onChange) => electron.watch(root, onChange),
+  };
+}
+
+export function createBrowserFolder(handle: FileSystemDirectoryHandle): LocalFolder {
+  // decoded files by path, reused while their size and modification time stay the same; null for binary files
+  const cache = new Map<string, { lastModified: number; size: number; content: string | null }>();
+
+  const readFile = async (relativePath: string, fileHandle: FileSystemFileHandle) => {
+    const file = await fileHandle.getFile();
+    const cached = cache.get(relativePath);
+
+    if (cached && cached.lastModified === file.lastModified && cached.size === file.size) {
+      return cached.content;
+    }
+
+    let content: string | null;
+
+    try {
+      content = utf8TextDecoder.decode(await file.arrayBuffer());
+    } catch {
+      content = null;
+    }
+
+    cache.set(relativePath, { lastModified: file.lastModified, size: file.size, content });
+
+    return content;
+  };
+
+  const readFolder = async (folder: FileSystemDirectoryHandle, prefix: string, files: Map<string, string>) => {
+    for await (const entry of folder.values()) {
+      const relativePath = `${prefix}${entry.name}`;
+
+      if (entry.kind === 'directory') {
+        if (!isSyncIgnoredFolder(relativePath)) {
+          await readFolder(entry, `${relativePath}/`, files);
+        }
+
+        continue;
+      }
+
+      if (isSyncIgnored(relativePath)) {
+        continue;
+      }
+
+      const content = await readFile(relativePath, entry);
+
+      if (content !== null) {
+        files.set(relativePath, content);
+      }
+    }
+  };
+
+  const getParentFolder = async (relativePath: string, create: boolean) => {
+    const segments = relativePath.split('/');
+    let folder = handle;
+
+    for (const segment of segments.slice(0, -1)) {
+      folder = await folder.getDirectoryHandle(segment, { create });
+    }
+
+    return { folder, name: segments[segments.length - 1] };
+  };
+
+  return {
+    name: handle.name,
+    async readFiles() {
+      const files = new Map<string, string>();
+      await readFolder(handle, '', files);
+
+      return files;
+    },
+    async writeFile(relativePath, content) {
+      const { folder, name } = await getParentFolder(relativePath, true);
+      const writable = await (await folder.getFileHandle(name, { create: true })).createWritable();
+      await writable.write(content);
+      await writable.close();
+    },
+    async deleteFile(relativePath) {
+      try {
+        const { folder, name } = await getParentFolder(relativePath, false);
+        await folder.removeEntry(name);
+      } catch (error) {
+        // already gone
+        if (!(error instanceof DOMException && error.name === 'NotFoundError')) {
+          throw error;
+        }
+      }
+    },
+    watch(onChange) {
+      const interval = setInterval(onChange, POLL_INTERVAL_MS);
+      return () => clearInterval(interval);
+    },
+  };
+}
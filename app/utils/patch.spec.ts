@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest';
+import { applyFilePatch, PatchError } from './patch';
+
+const source = ['import React from "react";', '', 'export function App() {', '  return <h1>Hello</h1>;', '}', ''].join(
+  '\n',
+);
+
+describe('applyFilePatch', () => {
+  it('should apply search/replace blocks', () => {
+    const patch = [
+      '<<<<<<< SEARCH',
+      '  return <h1>Hello</h1>;',
+      '=======',
+      '  return <h1>Hi</h1>;',
+      '>>>>>>> REPLACE',
+    ].join('\n');
+
+    expect(applyFilePatch(source, patch)).toBe(source.replace('Hello', 'Hi'));
+  });
+
+  it('should apply unified diff hunks regardless of their line numbers', () => {
+    const patch = [
+      '--- a/src/App.tsx',
+      '+++ b/src/App.tsx',
+      '@@ -40,3 +40,4 @@',
+      ' export function App() {',
+      '-  return <h1>Hello</h1>;',
+      '+  const name = "bolt";',
+      '+  return <h1>Hello {name}</h1>;',
+      ' }',
+    ].join('\n');
+
+    expect(applyFilePatch(source, patch)).toBe(
+      source.replace('  return <h1>Hello</h1>;', '  const name = "bolt";\n  return <h1>Hello {name}</h1>;'),
+    );
+  });
+
+  it('should keep a removed line that looks like a file header inside a hunk', () => {
+    const sql = ['-- create the users table', 'CREATE TABLE users (id INT);', ''].join('\n');
+    const patch = [
+      '--- a/schema.sql',
+      '+++ b/schema.sql',
+      '@@ -1,2 +1,2 @@',
+      '--- create the users table',
+      '+-- users of the app',
+      ' CREATE TABLE users (id INT);',
+    ].join('\n');
+
+    expect(applyFilePatch(sql, patch)).toBe(sql.replace('create the users table', 'users of the app'));
+  });
+
+  it('should skip edits that were already applied', () => {
+    const patch = [
+      '<<<<<<< SEARCH',
+      '  return <h1>Hello</h1>;',
+      '=======',
+      '  return <h1>Hi</h1>;',
+      '>>>>>>> REPLACE',
+    ].join('\n');
+    const patched = applyFilePatch(source, patch);
+
+    expect(applyFilePatch(patched, patch)).toBe(patched);
+  });
+
+  it('should reject a mismatched edit whose replacement appears elsewhere in the file', () => {
+    const stray = ['<<<<<<< SEARCH', '  return 2;', '=======', '}', '>>>>>>> REPLACE'].join('\n');
+    const beforeNextEdit = [
+      '<<<<<<< SEARCH',
+      'const b = 1;',
+      '=======',
+      'const b = 2;',
+      '>>>>>>> REPLACE',
+      '<<<<<<< SEARCH',
+      'log(a);',
+      '=======',
+      'log(a, b);',
+      '>>>>>>> REPLACE',
+    ].join('\n');
+
+    expect(() => applyFilePatch(source, stray)).toThrow(PatchError);
+    expect(() => applyFilePatch('const a = 1;\nlog(a);\nconst b = 2;\nlog(a);', beforeNextEdit)).toThrow(PatchError);
+  });
+
+  it('should reject edits that do not match the file', () => {
+    const patch = ['<<<<<<< SEARCH', '  return <h2>Missing</h2>;', '=======', '  return null;', '>>>>>>> REPLACE'].join(
+      '\n',
+    );
+
+    expect(() => applyFilePatch(source, patch)).toThrow(PatchError);
+  });
+});
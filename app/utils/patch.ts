@@ -0,0 +1,230 @@
+/*
+ * Applies the body of a `patch` action to a file's current content.
+ *
+ * Two formats are accepted:
+ *
+ * - search/replace blocks:
+ *     <<<<<<< SEARCH
+ *     lines to find
+ *     =======
+ *     lines to put in their place
+ *     >>>>>>> REPLACE
+ *
+ * - unified diffs (`@@` hunks, with or without `---`/`+++` headers)
+ *
+ * Both are reduced to a list of edits. Each edit is located by its text rather than by line
+ * numbers, which models often get wrong, and is searched for after the previous edit.
+ */
+
+const SEARCH_MARKER = /^<{5,9} SEARCH\s*$/;
+const DIVIDER_MARKER = /^={5,9}\s*$/;
+const REPLACE_MARKER = /^>{5,9} REPLACE\s*$/;
+
+// `@@ -12,4 +12,5 @@`, where a count left out means 1; models also write a bare `@@` without numbers
+const HUNK_HEADER = /^@@ -\d+(?:,(\d+))? \+\d+(?:,(\d+))? @@/;
+
+export interface PatchEdit {
+  search: string[];
+  replace: string[];
+}
+
+export class PatchError extends Error {
+  readonly detail: string;
+
+  constructor(message: string, detail = '') {
+    super(message);
+    this.name = 'PatchError';
+    this.detail = detail;
+  }
+}
+
+export function isSearchReplacePatch(patch: string) {
+  return patch.split('\n').some((line) => SEARCH_MARKER.test(line));
+}
+
+export function parseFilePatch(patch: string): PatchEdit[] {
+  const lines = patch.replace(/\r\n/g, '\n').split('\n');
+  const edits = isSearchReplacePatch(patch) ? parseSearchReplaceBlocks(lines) : parseUnifiedDiff(lines);
+
+  if (edits.length === 0) {
+    throw new PatchError('Patch contains no search/replace blocks or diff hunks', patch);
+  }
+
+  return edits;
+}
+
+/**
+ * Apply a patch to `content`, throwing a PatchError when an edit does not match.
+ * An edit whose search text is missing is skipped as already applied when its replacement sits
+ * where the search text belongs, so replaying a chat does not apply the same patch twice.
+ */
+export function applyFilePatch(content: string, patch: string): string {
+  const edits = parseFilePatch(patch);
+  const lines = content.split('\n');
+  let cursor = 0;
+
+  edits.forEach((edit, index) => {
+    const position = edit.search.length > 0 ? findLines(lines, edit.search, cursor) : -1;
+
+    if (position === -1) {
+      const appliedAt = findAppliedEdit(lines, edit, cursor, findAnchor(lines, edits[index + 1], cursor));
+
+      if (appliedAt !== -1) {
+        cursor = appliedAt + edit.replace.length;
+        return;
+      }
+
+      throw new PatchError(
+        `Edit ${index + 1} of ${edits.length} does not match the current file content`,
+        edit.search.join('\n'),
+      );
+    }
+
+    lines.splice(position, edit.search.length, ...edit.replace);
+    cursor = position + edit.replace.length;
+  });
+
+  return lines.join('\n');
+}
+
+function parseSearchReplaceBlocks(lines: string[]): PatchEdit[] {
+  const edits: PatchEdit[] = [];
+  let current: PatchEdit | undefined;
+  let section: 'search' | 'replace' | undefined;
+
+  for (const line of lines) {
+    if (SEARCH_MARKER.test(line)) {
+      current = { search: [], replace: [] };
+      section = 'search';
+    } else if (section === 'search' && DIVIDER_MARKER.test(line)) {
+      section = 'replace';
+    } else if (section === 'replace' && REPLACE_MARKER.test(line)) {
+      edits.push(current!);
+      current = undefined;
+      section = undefined;
+    } else if (section) {
+      current![section].push(line);
+    }
+  }
+
+  if (section) {
+    throw new PatchError('Search/replace block is not terminated with >>>>>>> REPLACE', current!.search.join('\n'));
+  }
+
+  return edits;
+}
+
+function parseUnifiedDiff(lines: string[]): PatchEdit[] {
+  const edits: PatchEdit[] = [];
+  let current: PatchEdit | undefined;
+
+  // lines still to come in the current hunk by its header, so that a removed `-- comment` is not taken for a file header
+  let remaining = { search: 0, replace: 0 };
+
+  for (const line of lines) {
+    const inCountedHunk = current && (remaining.search > 0 || remaining.replace > 0);
+
+    if (!inCountedHunk) {
+      if (line.startsWith('@@')) {
+        const counts = HUNK_HEADER.exec(line);
+        current = { search: [], replace: [] };
+        remaining = counts
+          ? { search: Number(counts[1] ?? 1), replace: Number(counts[2] ?? 1) }
+          : { search: 0, replace: 0 };
+        edits.push(current);
+        continue;
+      }
+
+      if (line.startsWith('--- ') || line.startsWith('+++ ') || line.startsWith('diff ')) {
+        current = undefined;
+        continue;
+      }
+    }
+
+    if (!current || line.startsWith('\\')) {
+      // file headers before the first hunk, and "\ No newline at end of file" markers
+      continue;
+    }
+
+    const operation = line[0];
+    const text = line.slice(1);
+
+    if (operation === '-') {
+      current.search.push(text);
+      remaining.search--;
+    } else if (operation === '+') {
+      current.replace.push(text);
+      remaining.replace--;
+    } else {
+      // context line; models sometimes drop the leading space on blank lines
+      current.search.push(operation === ' ' ? text : line);
+      current.replace.push(operation === ' ' ? text : line);
+      remaining.search--;
+      remaining.replace--;
+    }
+  }
+
+  return edits.map(trimTrailingBlankContext);
+}
+
+/**
+ * Drop blank context lines that end both sides of a hunk, usually the trailing newline of the diff itself
+ */
+function trimTrailingBlankContext(edit: PatchEdit): PatchEdit {
+  const search = [...edit.search];
+  const replace = [...edit.replace];
+
+  while (search.length > 0 && replace.length > 0 && search.at(-1) === '' && replace.at(-1) === '') {
+    search.pop();
+    replace.pop();
+  }
+
+  return { search, replace };
+}
+
+/**
+ * Where `edit` starts in `lines`, or where it was applied when its search text is gone: the end of the file without one
+ */
+function findAnchor(lines: string[], edit: PatchEdit | undefined, from: number) {
+  const position = edit ? findLines(lines, edit.search, from) : -1;
+  const appliedAt = edit && position === -1 ? findLines(lines, edit.replace, from) : -1;
+
+  return [position, appliedAt].find((index) => index !== -1) ?? lines.length;
+}
+
+/**
+ * Start of the replacement of an edit that was already applied, or -1. The replacement must appear
+ * once between the previous edit and the next one, and hold a line with more than punctuation,
+ * since a lone `}` or blank line says nothing about whether the edit was made.
+ */
+function findAppliedEdit(lines: string[], edit: PatchEdit, from: number, to: number) {
+  if (!edit.replace.some((line) => /\w/.test(line))) {
+    return -1;
+  }
+
+  const window = lines.slice(0, to);
+  const appliedAt = findLines(window, edit.replace, from);
+
+  if (appliedAt === -1 || findLines(window, edit.replace, appliedAt + 1) !== -1) {
+    return -1;
+  }
+
+  return appliedAt;
+}
+
+/**
+ * Index of the first occurrence of `block` in `lines` at or after `from`, ignoring trailing whitespace
+ */
+function findLines(lines: string[], block: string[], from: number) {
+  if (block.length === 0) {
+    return -1;
+  }
+
+  for (let start = from; start + block.length <= lines.length; start++) {
+    if (block.every((line, offset) => lines[start + offset].trimEnd() === line.trimEnd())) {
+      return start;
+    }
+  }
+
+  return -1;
+}
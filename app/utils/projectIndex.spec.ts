@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import { ProjectIndex, tokenize } from './projectIndex';
+
+function createIndex() {
+  const index = new ProjectIndex();
+
+  index.updateFile('src/cart/CartSummary.tsx', "import { formatPrice } from '../utils/price';\n<div>Cart total</div>");
+  index.updateFile(
+    'src/utils/price.ts',
+    'export function formatPrice(amount: number) {\n  return amount.toFixed(2);\n}',
+  );
+  index.updateFile('src/auth/login.ts', 'export async function login(user: string, password: string) {}');
+  index.updateFile('node_modules/react/index.js', 'cart cart cart');
+
+  return index;
+}
+
+describe('ProjectIndex', () => {
+  it('should split identifiers into search terms', () => {
+    expect(tokenize('useChatHistory snake_case')).toEqual([
+      'usechathistory',
+      'chat',
+      'history',
+      'snake_case',
+      'snake',
+      'case',
+    ]);
+  });
+
+  it('should rank matching files first and pull in their imports', () => {
+    const ranked = createIndex().rank('Show the cart total with a discount');
+
+    expect(ranked.map((file) => file.path)).toEqual(['src/cart/CartSummary.tsx', 'src/utils/price.ts']);
+  });
+
+  it('should boost exported symbols and forget removed files', () => {
+    const index = createIndex();
+
+    expect(index.rank('fix formatPrice rounding')[0].path).toBe('src/utils/price.ts');
+
+    index.removeFile('src/utils/price.ts');
+
+    expect(index.rank('fix formatPrice rounding').map((file) => file.path)).toEqual(['src/cart/CartSummary.tsx']);
+  });
+
+  it('should stay within the token budget', () => {
+    const index = createIndex();
+    index.updateFile('src/cart/cart.ts', `export const cart = [];\n${'// cart\n'.repeat(400)}`);
+
+    const ranked = index.rank('cart', { tokenBudget: 100 });
+
+    expect(ranked.reduce((tokens, file) => tokens + file.tokens, 0)).toBeLessThanOrEqual(100);
+    expect(ranked.map((file) => file.path)).not.toContain('src/cart/cart.ts');
+  });
+});
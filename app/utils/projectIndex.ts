@@ -0,0 +1,364 @@
+import ignore from 'ignore';
+
+/*
+ * Offline index of the project's text files for picking the context of a chat request without
+ * asking a model. Files are split into chunks of lines and ranked with BM25; a file scores by its
+ * best chunk, plus boosts for query terms that name one of its exported symbols or appear in its
+ * path, plus a share of the score of files it imports or is imported by.
+ *
+ * The index is updated one file at a time, so keeping it in sync with the project only costs
+ * re-indexing what changed.
+ */
+
+export interface RankedFile {
+  path: string;
+  score: number;
+
+  // estimated tokens the whole file takes in a prompt
+  tokens: number;
+}
+
+export interface RankOptions {
+  // at most this many files
+  limit?: number;
+
+  // files are taken in rank order, skipping those that would exceed this many tokens in total
+  tokenBudget?: number;
+}
+
+interface Chunk {
+  terms: Map<string, number>;
+  length: number;
+}
+
+interface IndexedFile {
+  chunks: Chunk[];
+  symbols: Set<string>;
+  pathTerms: Set<string>;
+  imports: string[];
+  tokens: number;
+}
+
+const CHUNK_LINES = 40;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const SYMBOL_BOOST = 2;
+const PATH_BOOST = 1;
+const IMPORT_SHARE = 0.25;
+const RESOLVED_EXTENSIONS = ['', '.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.vue', '.svelte', '.json'];
+
+const EXCLUDED = ignore().add(['node_modules/', 'dist/', 'build/', '.git/', '*.lock', '*lock.json', '*lock.yaml']);
+
+const STOP_WORDS = new Set(
+  [
+    'the an and or of to in on at for is are be it this that with as by from into can should would please',
+    'add make use get set let const var function return import export default new class if else do not',
+    'we you me my our file files code',
+  ]
+    .join(' ')
+    .split(' '),
+);
+
+const EXPORT_PATTERNS = [
+  /export\s+(?:default\s+)?(?:async\s+)?(?:function\*?|class|const|let|var|interface|type|enum)\s+([A-Za-z_$][\w$]*)/g,
+  /^(?:async\s+)?(?:def|class|func|fn|pub\s+fn)\s+([A-Za-z_]\w*)/gm,
+];
+
+const IMPORT_PATTERNS = [
+  /(?:import|export)\s[^'"`;]*?from\s*['"]([^'"]+)['"]/g,
+  /import\s*\(?\s*['"]([^'"]+)['"]/g,
+  /require\(\s*['"]([^'"]+)['"]\s*\)/g,
+];
+
+/**
+ * Lowercased search terms of a text: each identifier, plus its camelCase and snake_case parts
+ */
+export function tokenize(text: string): string[] {
+  const terms: string[] = [];
+
+  for (const [identifier] of text.matchAll(/[A-Za-z_$][\w$]*|\d+/g)) {
+    const parts = identifier
+      .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .split(/[\s_$]+/)
+      .filter(Boolean);
+
+    for (const term of parts.length > 1 ? [identifier, ...parts] : parts) {
+      const lower = term.toLowerCase();
+
+      if (lower.length > 1 && !STOP_WORDS.has(lower)) {
+        terms.push(lower);
+      }
+    }
+  }
+
+  return terms;
+}
+
+export function estimateTokens(content: string) {
+  return Math.ceil(content.length / 4);
+}
+
+function countTerms(terms: string[]) {
+  const counts = new Map<string, number>();
+
+  for (const term of terms) {
+    counts.set(term, (counts.get(term) ?? 0) + 1);
+  }
+
+  return counts;
+}
+
+function extractExports(content: string) {
+  const symbols = new Set<string>();
+
+  for (const pattern of EXPORT_PATTERNS) {
+    for (const [, name] of content.matchAll(pattern)) {
+      symbols.add(name.toLowerCase());
+    }
+  }
+
+  for (const [, list] of content.matchAll(/export\s*\{([^}]*)\}/g)) {
+    for (const entry of list.split(',')) {
+      const name = entry
+        .trim()
+        .split(/\s+as\s+/)
+        .pop();
+
+      if (name) {
+        symbols.add(name.toLowerCase());
+      }
+    }
+  }
+
+  return symbols;
+}
+
+function extractImports(content: string) {
+  const specifiers = new Set<string>();
+
+  for (const pattern of IMPORT_PATTERNS) {
+    for (const [, specifier] of content.matchAll(pattern)) {
+      if (specifier.startsWith('.')) {
+        specifiers.add(specifier);
+      }
+    }
+  }
+
+  return [...specifiers];
+}
+
+function joinPath(from: string, specifier: string) {
+  const segments = from.split('/').slice(0, -1);
+
+  for (const segment of specifier.split('/')) {
+    if (segment === '..') {
+      segments.pop();
+    } else if (segment !== '.' && segment !== '') {
+      segments.push(segment);
+    }
+  }
+
+  return segments.join('/');
+}
+
+export class ProjectIndex {
+  #files = new Map<string, IndexedFile>();
+
+  // number of chunks each term appears in
+  #documentFrequency = new Map<string, number>();
+  #chunkCount = 0;
+  #totalChunkLength = 0;
+
+  get size() {
+    return this.#files.size;
+  }
+
+  has(path: string) {
+    return this.#files.has(path);
+  }
+
+  /**
+   * Index a file, replacing what was indexed for it before. Paths are relative to the project root.
+   */
+  updateFile(path: string, content: string) {
+    this.removeFile(path);
+
+    if (EXCLUDED.ignores(path)) {
+      return;
+    }
+
+    const lines = content.split('\n');
+    const chunks: Chunk[] = [];
+
+    for (let start = 0; start < lines.length; start += CHUNK_LINES) {
+      const terms = tokenize(lines.slice(start, start + CHUNK_LINES).join('\n'));
+
+      if (terms.length === 0) {
+        continue;
+      }
+
+      const chunk = { terms: countTerms(terms), length: terms.length };
+
+      for (const term of chunk.terms.keys()) {
+        this.#documentFrequency.set(term, (this.#documentFrequency.get(term) ?? 0) + 1);
+      }
+
+      this.#chunkCount++;
+      this.#totalChunkLength += chunk.length;
+      chunks.push(chunk);
+    }
+
+    this.#files.set(path, {
+      chunks,
+      symbols: extractExports(content),
+      pathTerms: new Set(tokenize(path)),
+      imports: extractImports(content),
+      tokens: estimateTokens(content),
+    });
+  }
+
+  removeFile(path: string) {
+    const file = this.#files.get(path);
+
+    if (!file) {
+      return;
+    }
+
+    for (const chunk of file.chunks) {
+      for (const term of chunk.terms.keys()) {
+        const frequency = (this.#documentFrequency.get(term) ?? 1) - 1;
+
+        if (frequency > 0) {
+          this.#documentFrequency.set(term, frequency);
+        } else {
+          this.#documentFrequency.delete(term);
+        }
+      }
+
+      this.#chunkCount--;
+      this.#totalChunkLength -= chunk.length;
+    }
+
+    this.#files.delete(path);
+  }
+
+  /**
+   * Files relevant to `query`, best first. Files that match nothing are left out.
+   */
+  rank(query: string, options: RankOptions = {}): RankedFile[] {
+    const queryTerms = [...new Set(tokenize(query))];
+    const scores = new Map<string, number>();
+
+    for (const [path, file] of this.#files) {
+      const score = this.#scoreFile(file, queryTerms);
+
+      if (score > 0) {
+        scores.set(path, score);
+      }
+    }
+
+    // a file shares relevance with the files it imports and the files importing it
+    const boosted = new Map(scores);
+
+    for (const [path, score] of scores) {
+      for (const imported of this.#resolveImports(path)) {
+        boosted.set(imported, (boosted.get(imported) ?? 0) + score * IMPORT_SHARE);
+      }
+    }
+
+    for (const path of this.#files.keys()) {
+      for (const imported of this.#resolveImports(path)) {
+        const score = scores.get(imported);
+
+        if (score !== undefined) {
+          boosted.set(path, (boosted.get(path) ?? 0) + score * IMPORT_SHARE);
+        }
+      }
+    }
+
+    const ranked = [...boosted]
+      .map(([path, score]) => ({ path, score, tokens: this.#files.get(path)!.tokens }))
+      .sort((a, b) => b.score - a.score || a.path.localeCompare(b.path));
+
+    const { limit = Infinity, tokenBudget = Infinity } = options;
+    const selected: RankedFile[] = [];
+    let usedTokens = 0;
+
+    for (const file of ranked) {
+      if (selected.length >= limit) {
+        break;
+      }
+
+      if (usedTokens + file.tokens > tokenBudget) {
+        continue;
+      }
+
+      usedTokens += file.tokens;
+      selected.push(file);
+    }
+
+    return selected;
+  }
+
+  #scoreFile(file: IndexedFile, queryTerms: string[]) {
+    const averageLength = this.#chunkCount > 0 ? this.#totalChunkLength / this.#chunkCount : 0;
+    let best = 0;
+    let total = 0;
+
+    for (const chunk of file.chunks) {
+      let score = 0;
+
+      for (const term of queryTerms) {
+        const frequency = chunk.terms.get(term);
+
+        if (!frequency) {
+          continue;
+        }
+
+        const documentFrequency = this.#documentFrequency.get(term) ?? 0;
+        const idf = Math.log(1 + (this.#chunkCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        const norm = BM25_K1 * (1 - BM25_B + (BM25_B * chunk.length) / averageLength);
+
+        score += (idf * frequency * (BM25_K1 + 1)) / (frequency + norm);
+      }
+
+      best = Math.max(best, score);
+      total += score;
+    }
+
+    // the best chunk decides, other matching chunks only break ties
+    let score = best + 0.1 * (total - best);
+
+    for (const term of queryTerms) {
+      if (file.symbols.has(term)) {
+        score += SYMBOL_BOOST;
+      }
+
+      if (file.pathTerms.has(term)) {
+        score += PATH_BOOST;
+      }
+    }
+
+    return score;
+  }
+
+  #resolveImports(path: string) {
+    const resolved: string[] = [];
+
+    for (const specifier of this.#files.get(path)?.imports ?? []) {
+      const base = joinPath(path, specifier);
+      const candidates = [
+        ...RESOLVED_EXTENSIONS.map((extension) => base + extension),
+        ...RESOLVED_EXTENSIONS.slice(1).map((extension) => `${base}/index${extension}`),
+      ];
+      const target = candidates.find((candidate) => candidate !== path && this.#files.has(candidate));
+
+      if (target) {
+        resolved.push(target);
+      }
+    }
+
+    return resolved;
+  }
+}
@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest';
+import { planReplaceUndo, searchFiles, SearchQueryError, type SearchOptions } from './searchReplace';
+
+const options: SearchOptions = {
+  query: '',
+  isRegex: false,
+  caseSensitive: false,
+  wholeWord: false,
+  include: [],
+  exclude: [],
+};
+
+describe('searchFiles', () => {
+  it('should replace regex matches with their groups and report line positions', () => {
+    const files = new Map([['src/a.ts', 'const a = 1;\nlet b = 2;\nlet c = 3;']]);
+    const [result] = searchFiles(files, { ...options, query: 'let (\\w+)', isRegex: true }, 'var $1');
+
+    expect(result.matches.map(({ lineNumber, start, end }) => ({ lineNumber, start, end }))).toEqual([
+      { lineNumber: 2, start: 0, end: 5 },
+      { lineNumber: 3, start: 0, end: 5 },
+    ]);
+    expect(result.replacedContent).toBe('const a = 1;\nvar b = 2;\nvar c = 3;');
+  });
+
+  it('should honour case, whole word and file globs', () => {
+    const files = new Map([
+      ['src/a.ts', 'Item items item'],
+      ['src/a.test.ts', 'item'],
+      ['package-lock.json', 'item'],
+    ]);
+
+    const results = searchFiles(
+      files,
+      { ...options, query: 'item', caseSensitive: true, wholeWord: true, include: ['src/'], exclude: ['*.test.ts'] },
+      'entry',
+    );
+
+    expect(results.map((result) => result.path)).toEqual(['src/a.ts']);
+    expect(results[0].replacedContent).toBe('Item items entry');
+  });
+
+  it('should throw a SearchQueryError for an invalid regular expression', () => {
+    expect(() => searchFiles(new Map(), { ...options, query: '(', isRegex: true })).toThrow(SearchQueryError);
+  });
+});
+
+describe('planReplaceUndo', () => {
+  const changes = [
+    { filePath: '/home/project/a.ts', before: 'let a', after: 'var a' },
+    { filePath: '/home/project/b.ts', before: 'let b', after: 'var b' },
+    { filePath: '/home/project/c.ts', before: 'let c', after: 'var c' },
+    { filePath: '/home/project/d.ts', before: 'let d', after: 'var d' },
+  ];
+
+  it('should undo only files that still hold what the replace wrote', () => {
+    const contents: Record<string, string> = {
+      '/home/project/a.ts': 'var a',
+      '/home/project/b.ts': 'var b;',
+      '/home/project/d.ts': 'var d',
+    };
+
+    expect(
+      planReplaceUndo(
+        changes,
+        (filePath) => contents[filePath],
+        () => false,
+      ),
+    ).toEqual({
+      undo: [changes[0], changes[3]],
+      changedSince: ['/home/project/b.ts', '/home/project/c.ts'],
+      locked: [],
+    });
+  });
+
+  it('should leave files locked since the replace as they are', () => {
+    const plan = planReplaceUndo(
+      changes,
+      (filePath) => changes.find((change) => change.filePath === filePath)?.after,
+      (filePath) => filePath === '/home/project/a.ts',
+    );
+
+    expect(plan.undo.map((change) => change.filePath)).toEqual([
+      '/home/project/b.ts',
+      '/home/project/c.ts',
+      '/home/project/d.ts',
+    ]);
+    expect(plan.locked).toEqual(['/home/project/a.ts']);
+    expect(plan.changedSince).toEqual([]);
+  });
+});
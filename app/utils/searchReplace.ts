@@ -0,0 +1,224 @@
+import ignore from 'ignore';
+
+/*
+ * Project-wide search and replace over file contents. Matching runs on the contents the editor holds,
+ * so the preview shows exactly what replacing would write.
+ */
+
+export interface SearchOptions {
+  query: string;
+  isRegex: boolean;
+  caseSensitive: boolean;
+  wholeWord: boolean;
+
+  // gitignore-style patterns; a file must match one of `include` (when given) and none of `exclude`
+  include: string[];
+  exclude: string[];
+}
+
+export interface SearchMatch {
+  // 1-based
+  lineNumber: number;
+  lineText: string;
+
+  // offsets of the match in `lineText`; a match spanning lines is cut off at the end of the line
+  start: number;
+  end: number;
+
+  // the text the match would be replaced with
+  replacement: string;
+}
+
+export interface FileSearchResult {
+  // relative to the project root
+  path: string;
+  matches: SearchMatch[];
+
+  // the content after replacing every match
+  replacedContent: string;
+}
+
+export class SearchQueryError extends Error {}
+
+const DEFAULT_EXCLUDES = ['package-lock.json', '*.lock', 'dist/'];
+
+function escapeRegExp(text: string) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * @throws {SearchQueryError} When the query is not a valid regular expression
+ */
+export function createSearchRegExp({ query, isRegex, caseSensitive, wholeWord }: SearchOptions) {
+  const source = isRegex ? query : escapeRegExp(query);
+
+  try {
+    return new RegExp(wholeWord ? `\\b(?:${source})\\b` : source, `gm${caseSensitive ? '' : 'i'}`);
+  } catch (error) {
+    throw new SearchQueryError(error instanceof Error ? error.message : 'Invalid regular expression');
+  }
+}
+
+/**
+ * Expand `$&`, `$1` and `$<name>` in a regex replacement, like `String.prototype.replace` does
+ */
+function expandReplacement(replacement: string, match: RegExpExecArray) {
+  return replacement.replace(/\$(\$|&|\d{1,2}|<([^>]+)>)/g, (token, reference: string, name?: string) => {
+    if (reference === '$') {
+      return '$';
+    }
+
+    if (reference === '&') {
+      return match[0];
+    }
+
+    if (name !== undefined) {
+      return match.groups?.[name] ?? '';
+    }
+
+    const group = Number(reference);
+
+    return group > 0 && group < match.length ? (match[group] ?? '') : token;
+  });
+}
+
+function createPathFilter(include: string[], exclude: string[]) {
+  const included = include.length > 0 ? ignore().add(include) : undefined;
+  const excluded = ignore().add([...DEFAULT_EXCLUDES, ...exclude]);
+
+  return (path: string) => (!included || included.ignores(path)) && !excluded.ignores(path);
+}
+
+/**
+ * Parse a comma-separated list of glob patterns as typed in the search panel
+ */
+export function parseGlobList(text: string) {
+  return text
+    .split(',')
+    .map((pattern) => pattern.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Find every match in the files and what replacing them would produce
+ * @param files Text content by path relative to the project root
+ * @param replacement Replacement text; in regex mode it may refer to groups with `$1` or `$<name>`
+ * @param limit Stop after this many matches in total; the last file's `replacedContent` then only
+ * replaces the matches returned
+ * @throws {SearchQueryError} When the query is not a valid regular expression
+ */
+export function searchFiles(
+  files: Map<string, string>,
+  options: SearchOptions,
+  replacement = '',
+  limit = Infinity,
+): FileSearchResult[] {
+  if (!options.query) {
+    return [];
+  }
+
+  const regExp = createSearchRegExp(options);
+  const isIncluded = createPathFilter(options.include, options.exclude);
+  const results: FileSearchResult[] = [];
+  let total = 0;
+
+  for (const [path, content] of [...files].sort(([a], [b]) => a.localeCompare(b))) {
+    if (total >= limit) {
+      break;
+    }
+
+    if (!isIncluded(path)) {
+      continue;
+    }
+
+    const matches: SearchMatch[] = [];
+    let replacedContent = '';
+    let lastIndex = 0;
+    let lineNumber = 1;
+    let countedUpTo = 0;
+
+    regExp.lastIndex = 0;
+
+    for (let match = regExp.exec(content); match; match = regExp.exec(content)) {
+      if (match[0] === '') {
+        // an empty match would never advance
+        regExp.lastIndex++;
+        continue;
+      }
+
+      for (; countedUpTo < match.index; countedUpTo++) {
+        if (content[countedUpTo] === '\n') {
+          lineNumber++;
+        }
+      }
+
+      const text = options.isRegex ? expandReplacement(replacement, match) : replacement;
+      const lineStart = content.lastIndexOf('\n', match.index - 1) + 1;
+      const lineEnd = content.indexOf('\n', match.index);
+      const lineText = content.slice(lineStart, lineEnd === -1 ? undefined : lineEnd);
+
+      matches.push({
+        lineNumber,
+        lineText,
+        start: match.index - lineStart,
+        end: Math.min(match.index - lineStart + match[0].length, lineText.length),
+        replacement: text,
+      });
+
+      replacedContent += content.slice(lastIndex, match.index) + text;
+      lastIndex = match.index + match[0].length;
+
+      if (++total >= limit) {
+        break;
+      }
+    }
+
+    if (matches.length > 0) {
+      results.push({ path, matches, replacedContent: replacedContent + content.slice(lastIndex) });
+    }
+  }
+
+  return results;
+}
+
+export interface ReplacedFile {
+  filePath: string;
+  before: string;
+  after: string;
+}
+
+export interface ReplaceUndoPlan {
+  // files to set back to their content from before the replace
+  undo: ReplacedFile[];
+
+  // files edited, closed or deleted since the replace
+  changedSince: string[];
+
+  // files locked since the replace
+  locked: string[];
+}
+
+/**
+ * Which files of a replace-all can be set back. Only files that still hold exactly what the replace
+ * wrote are undone, so later edits are never lost.
+ * @param getContent Content of a file in the editor, or undefined when it is no longer open
+ */
+export function planReplaceUndo(
+  changes: ReplacedFile[],
+  getContent: (filePath: string) => string | undefined,
+  isLocked: (filePath: string) => boolean,
+): ReplaceUndoPlan {
+  const plan: ReplaceUndoPlan = { undo: [], changedSince: [], locked: [] };
+
+  for (const change of changes) {
+    if (getContent(change.filePath) !== change.after) {
+      plan.changedSince.push(change.filePath);
+    } else if (isLocked(change.filePath)) {
+      plan.locked.push(change.filePath);
+    } else {
+      plan.undo.push(change);
+    }
+  }
+
+  return plan;
+}
@@ -0,0 +1,24 @@
+// imported relatively so that the Electron main process, which has no `~` alias, can share it
+import { shouldIncludeFile } from './fileUtils';
+
+// folders that are never synced at any depth, on top of the patterns ignored by folder imports
+const SYNC_IGNORED_FOLDERS = ['node_modules', '.git', '.history'];
+
+/**
+ * Whether a path is left out of the folder sync. Both sides must skip the same paths, or a file
+ * skipped on one side would look deleted there.
+ */
+export function isSyncIgnored(relativePath: string) {
+  return (
+    relativePath.split('/').some((segment) => SYNC_IGNORED_FOLDERS.includes(segment)) ||
+    !shouldIncludeFile(relativePath)
+  );
+}
+
+/**
+ * Whether everything inside a folder is ignored, so that it need not be read at all
+ */
+export function isSyncIgnoredFolder(relativePath: string) {
+  // the ignore patterns are file patterns (`dist/**`), so probe with a file inside the folder
+  return isSyncIgnored(`${relativePath}/file`);
+}
@@ -0,0 +1,199 @@
+import { describe, expect, it } from 'vitest';
+import { createTestResultsContext, parseTestReport, summarizeTestRun } from './testResults';
+
+describe('parseTestReport', () => {
+  it('should parse vitest and jest JSON reports surrounded by other output', () => {
+    const report = {
+      numTotalTests: 2,
+      testResults: [
+        {
+          name: '/home/project/src/sum.test.ts',
+          status: 'failed',
+          assertionResults: [
+            { fullName: 'sum adds', title: 'adds', status: 'passed', duration: 3, failureMessages: [] },
+            {
+              fullName: 'sum subtracts',
+              title: 'subtracts',
+              status: 'failed',
+              failureMessages: ['expected 1 to be 2'],
+            },
+          ],
+        },
+        { name: '/home/project/src/broken.test.ts', status: 'failed', message: 'SyntaxError', assertionResults: [] },
+      ],
+    };
+    const output = `> project@0.0.0 test\n> vitest run --reporter=json\n\n${JSON.stringify(report, null, 2)}\n`;
+
+    expect(parseTestReport(output)).toEqual({
+      format: 'json',
+      tests: [
+        {
+          name: 'sum adds',
+          status: 'passed',
+          file: '/home/project/src/sum.test.ts',
+          durationMs: 3,
+          message: undefined,
+        },
+        {
+          name: 'sum subtracts',
+          status: 'failed',
+          file: '/home/project/src/sum.test.ts',
+          durationMs: undefined,
+          message: 'expected 1 to be 2',
+        },
+        {
+          name: '/home/project/src/broken.test.ts',
+          status: 'failed',
+          file: '/home/project/src/broken.test.ts',
+          message: 'SyntaxError',
+        },
+      ],
+    });
+  });
+
+  it('should parse JUnit XML reports', () => {
+    const output = [
+      '<?xml version="1.0" encoding="UTF-8" ?>',
+      '<testsuites>',
+      '  <testsuite name="sum" tests="3">',
+      '    <testcase classname="sum" name="adds" time="0.004"/>',
+      '    <testcase classname="sum" name="subtracts &amp; rounds" time="0.001">',
+      '      <failure message="expected 1 to be 2"><![CDATA[AssertionError: expected 1 to be 2]]></failure>',
+      '    </testcase>',
+      '    <testcase classname="sum" name="divides"><skipped/></testcase>',
+      '  </testsuite>',
+      '</testsuites>',
+    ].join('\n');
+
+    expect(parseTestReport(output)?.tests).toEqual([
+      { name: 'sum > adds', status: 'passed', file: undefined, durationMs: 4, message: undefined },
+      {
+        name: 'sum > subtracts & rounds',
+        status: 'failed',
+        file: undefined,
+        durationMs: 1,
+        message: 'AssertionError: expected 1 to be 2',
+      },
+      { name: 'sum > divides', status: 'skipped', file: undefined, durationMs: undefined, message: undefined },
+    ]);
+  });
+
+  it('should parse TAP and count subtests once', () => {
+    const output = [
+      'TAP version 13',
+      '# Subtest: sum',
+      '    ok 1 - adds',
+      '    not ok 2 - subtracts',
+      '      ---',
+      "      error: 'expected 1 to be 2'",
+      '      ...',
+      '    1..2',
+      'not ok 1 - sum',
+      'ok 2 - divides # SKIP not implemented',
+      '1..2',
+    ].join('\n');
+
+    expect(parseTestReport(output)).toEqual({
+      format: 'tap',
+      tests: [
+        { name: 'adds', status: 'passed', message: undefined },
+        { name: 'subtracts', status: 'failed', message: "error: 'expected 1 to be 2'" },
+        { name: 'divides', status: 'skipped', message: undefined },
+      ],
+    });
+  });
+
+  it('should return undefined for output without a known report', () => {
+    expect(parseTestReport('Error: no test specified')).toBeUndefined();
+    expect(parseTestReport('ok, starting server\nnot ok to retry\ndone')).toBeUndefined();
+  });
+
+  it('should take the message of a JUnit error without a body and strip colors from TAP output', () => {
+    const junit =
+      '<testsuite><testcase name="loads" classname="db"><error message="ECONNREFUSED &lt;db&gt;"/></testcase></testsuite>';
+
+    expect(parseTestReport(junit)?.tests).toEqual([
+      { name: 'db > loads', status: 'failed', file: undefined, durationMs: undefined, message: 'ECONNREFUSED <db>' },
+    ]);
+
+    const tap = '\u001b[32mTAP version 13\u001b[39m\r\n\u001b[31mnot ok 1 - adds\u001b[39m\r\n1..1\r\n';
+
+    expect(parseTestReport(tap)?.tests).toEqual([{ name: 'adds', status: 'failed', message: undefined }]);
+  });
+});
+
+describe('summarizeTestRun', () => {
+  it('should count failed tests and keep the end of the output', () => {
+    const output = `${'x'.repeat(3000)}\nnot ok 1 - subtracts\n1..2`;
+    const results = summarizeTestRun('npm test', 1, output, {
+      format: 'tap',
+      tests: [
+        { name: 'adds', status: 'passed' },
+        { name: 'subtracts', status: 'failed' },
+        { name: 'divides', status: 'skipped' },
+      ],
+    });
+
+    expect(results).toMatchObject({ exitCode: 1, format: 'tap', passed: 1, failed: 1, skipped: 1 });
+    expect(results.outputTail).toHaveLength(2000);
+    expect(results.outputTail.endsWith('not ok 1 - subtracts\n1..2')).toBe(true);
+  });
+
+  it('should report no tests for output without a report', () => {
+    expect(summarizeTestRun('npm test', 1, 'Error: no test specified')).toEqual({
+      command: 'npm test',
+      exitCode: 1,
+      format: undefined,
+      tests: [],
+      passed: 0,
+      failed: 0,
+      skipped: 0,
+      outputTail: 'Error: no test specified',
+    });
+  });
+});
+
+describe('createTestResultsContext', () => {
+  it('should list failed tests with their file and a shortened message', () => {
+    const context = createTestResultsContext(
+      summarizeTestRun('npm test', 1, '', {
+        format: 'json',
+        tests: [
+          { name: 'sum adds', status: 'passed', file: 'src/sum.test.ts' },
+          { name: 'sum subtracts', status: 'failed', file: 'src/sum.test.ts', message: 'e'.repeat(600) },
+        ],
+      }),
+    );
+
+    expect(context).toBe(
+      [
+        'Command: npm test',
+        'Exit code: 1',
+        '1 passed, 1 failed, 0 skipped',
+        `- FAILED src/sum.test.ts > sum subtracts\n  ${'e'.repeat(500)}`,
+      ].join('\n'),
+    );
+  });
+
+  it('should list at most 20 failed tests and count the rest', () => {
+    const tests = Array.from({ length: 25 }, (_, index) => ({ name: `test ${index + 1}`, status: 'failed' as const }));
+    const lines = createTestResultsContext(summarizeTestRun('npm test', 1, '', { format: 'tap', tests })).split('\n');
+
+    expect(lines.filter((line) => line.startsWith('- FAILED'))).toHaveLength(20);
+    expect(lines.at(-2)).toBe('- FAILED test 20');
+    expect(lines.at(-1)).toBe('- ... and 5 more failed tests');
+  });
+
+  it('should pass on the output when no report was recognized', () => {
+    const context = createTestResultsContext(summarizeTestRun('npm test', 127, 'sh: 1: vitest: not found'));
+
+    expect(context).toBe(
+      [
+        'Command: npm test',
+        'Exit code: 127',
+        'No test report was recognized in the output. Output (tail):',
+        'sh: 1: vitest: not found',
+      ].join('\n'),
+    );
+  });
+});
@@ -0,0 +1,230 @@
+/*
+ * Parses the output of test runners into per-test results. Recognized reporters:
+ *
+ * - Vitest and Jest JSON (`vitest run --reporter=json`, `jest --json`)
+ * - JUnit XML (`--reporter=junit`, `jest-junit`, ...)
+ * - TAP (`node --test --test-reporter=tap`, `tap`, `tape`)
+ *
+ * The report may be surrounded by other output, such as npm's script banner or console logs.
+ */
+import type { TestCaseResult, TestReportFormat, TestRunResults, TestStatus } from '~/types/actions';
+
+const OUTPUT_TAIL_LENGTH = 2000;
+
+export interface TestReport {
+  format: TestReportFormat;
+  tests: TestCaseResult[];
+}
+
+export function parseTestReport(output: string): TestReport | undefined {
+  const text = output.replace(/\u001b\[[0-9;]*m/g, '').replace(/\r\n/g, '\n');
+
+  const json = parseJsonReport(text);
+
+  if (json) {
+    return { format: 'json', tests: json };
+  }
+
+  if (/<testsuites?[\s>]/.test(text)) {
+    return { format: 'junit', tests: parseJUnitReport(text) };
+  }
+
+  // a `TAP version` header or a `1..N` plan, so log lines that happen to start with "ok" are not taken for TAP
+  if (/^\s*TAP version \d+\s*$/m.test(text) || /^\s*1\.\.\d+\b/m.test(text)) {
+    return { format: 'tap', tests: parseTapReport(text) };
+  }
+
+  return undefined;
+}
+
+export function summarizeTestRun(
+  command: string,
+  exitCode: number,
+  output: string,
+  report?: TestReport,
+): TestRunResults {
+  const tests = report?.tests ?? [];
+  const count = (status: TestStatus) => tests.filter((test) => test.status === status).length;
+
+  return {
+    command,
+    exitCode,
+    format: report?.format,
+    tests,
+    passed: count('passed'),
+    failed: count('failed'),
+    skipped: count('skipped'),
+    outputTail: output.slice(-OUTPUT_TAIL_LENGTH),
+  };
+}
+
+/**
+ * Find the JSON report in the output: the first line opening an object that parses, up to the last `}`
+ */
+function parseJsonReport(text: string): TestCaseResult[] | undefined {
+  const end = text.lastIndexOf('}');
+
+  for (const match of text.matchAll(/^\s*\{/gm)) {
+    let report: any;
+
+    try {
+      report = JSON.parse(text.slice(match.index, end + 1));
+    } catch {
+      continue;
+    }
+
+    if (!Array.isArray(report?.testResults)) {
+      continue;
+    }
+
+    return report.testResults.flatMap((suite: any): TestCaseResult[] => {
+      const assertions: any[] = suite.assertionResults ?? [];
+
+      // a file that failed before running its tests, e.g. on a syntax error
+      if (assertions.length === 0 && suite.status === 'failed') {
+        return [{ name: suite.name, status: 'failed', file: suite.name, message: suite.message || undefined }];
+      }
+
+      return assertions.map((assertion) => ({
+        name: assertion.fullName || assertion.title,
+        status: toTestStatus(assertion.status),
+        file: suite.name,
+        durationMs: typeof assertion.duration === 'number' ? assertion.duration : undefined,
+        message: assertion.failureMessages?.length ? assertion.failureMessages.join('\n') : undefined,
+      }));
+    });
+  }
+
+  return undefined;
+}
+
+function parseJUnitReport(text: string): TestCaseResult[] {
+  const tests: TestCaseResult[] = [];
+  const testCasePattern = /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+
+  for (const [, attributes, body = ''] of text.matchAll(testCasePattern)) {
+    const name = getXmlAttribute(attributes, 'name') ?? 'unnamed test';
+    const className = getXmlAttribute(attributes, 'classname');
+    const time = getXmlAttribute(attributes, 'time');
+    const failure = body.match(/<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/);
+
+    tests.push({
+      name: className && className !== name ? `${className} > ${name}` : name,
+      status: failure ? 'failed' : /<skipped\b/.test(body) ? 'skipped' : 'passed',
+      file: getXmlAttribute(attributes, 'file'),
+      durationMs: time ? Math.round(parseFloat(time) * 1000) : undefined,
+      message: failure
+        ? decodeXmlEntities((failure[3] ?? '').replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1').trim()) ||
+          getXmlAttribute(failure[2], 'message')
+        : undefined,
+    });
+  }
+
+  return tests;
+}
+
+/**
+ * TAP lines look like `ok 1 - name`, `not ok 2 - name` or `ok 3 - name # SKIP reason`. Subtests are
+ * indented under their parent, whose own line comes after them; parents are left out so that each
+ * test is counted once.
+ */
+function parseTapReport(text: string): TestCaseResult[] {
+  const tests: TestCaseResult[] = [];
+  const lines = text.split('\n');
+  let previousIndent = -1;
+
+  lines.forEach((line, index) => {
+    const match = line.match(/^(\s*)(not )?ok\b(?:\s+\d+)?(?:\s*-)?\s*(.*?)(?:\s+#\s*(SKIP|TODO)\b.*)?$/i);
+
+    if (!match) {
+      return;
+    }
+
+    const [, indent, notOk, name, directive] = match;
+    const isParent = indent.length < previousIndent;
+    previousIndent = indent.length;
+
+    if (isParent) {
+      return;
+    }
+
+    tests.push({
+      name: name || `test ${tests.length + 1}`,
+      status: directive ? 'skipped' : notOk ? 'failed' : 'passed',
+      message: notOk ? readTapDiagnostics(lines, index + 1) : undefined,
+    });
+  });
+
+  return tests;
+}
+
+/**
+ * The YAML block (`---` ... `...`) following a failed TAP test, if any
+ */
+function readTapDiagnostics(lines: string[], start: number) {
+  if (lines[start]?.trim() !== '---') {
+    return undefined;
+  }
+
+  const end = lines.findIndex((line, index) => index > start && line.trim() === '...');
+
+  return lines
+    .slice(start + 1, end === -1 ? undefined : end)
+    .map((line) => line.trim())
+    .join('\n');
+}
+
+function toTestStatus(status: string): TestStatus {
+  if (status === 'passed' || status === 'failed') {
+    return status;
+  }
+
+  // jest and vitest report skipped tests as `pending`, `skipped`, `todo` or `disabled`
+  return 'skipped';
+}
+
+function getXmlAttribute(attributes: string, name: string) {
+  const match = attributes.match(new RegExp(`\\b${name}="([^"]*)"`));
+  return match ? decodeXmlEntities(match[1]) : undefined;
+}
+
+function decodeXmlEntities(value: string) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+const MAX_REPORTED_FAILURES = 20;
+const MAX_FAILURE_MESSAGE_LENGTH = 500;
+
+/**
+ * Describe a test run for the model: the counts, the failed tests with their messages, and the
+ * output itself when no report could be parsed from it
+ */
+export function createTestResultsContext(results: TestRunResults) {
+  const lines = [`Command: ${results.command}`, `Exit code: ${results.exitCode}`];
+
+  if (!results.format) {
+    lines.push('No test report was recognized in the output. Output (tail):', results.outputTail);
+    return lines.join('\n');
+  }
+
+  lines.push(`${results.passed} passed, ${results.failed} failed, ${results.skipped} skipped`);
+
+  const failures = results.tests.filter((test) => test.status === 'failed');
+
+  for (const test of failures.slice(0, MAX_REPORTED_FAILURES)) {
+    const message = test.message?.slice(0, MAX_FAILURE_MESSAGE_LENGTH);
+    lines.push(`- FAILED ${test.file ? `${test.file} > ` : ''}${test.name}${message ? `\n  ${message}` : ''}`);
+  }
+
+  if (failures.length > MAX_REPORTED_FAILURES) {
+    lines.push(`- ... and ${failures.length - MAX_REPORTED_FAILURES} more failed tests`);
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest';
+import { addUsage, checkUsageBudgets, formatTokenCount } from './usageBudget';
+
+describe('checkUsageBudgets', () => {
+  it('should block on a hard budget before warning on a soft one', () => {
+    const check = checkUsageBudgets({ chatSoft: 1, dailyHard: 5 }, { chat: 2, daily: 5 });
+
+    expect(check?.level).toBe('block');
+    expect(check?.message).toBe('$5.00 spent reaches the hard daily budget of $5.00');
+  });
+
+  it('should warn on a soft budget and ignore unset ones', () => {
+    expect(checkUsageBudgets({ chatSoft: 1 }, { chat: 1.5, daily: 10 })?.level).toBe('warn');
+    expect(checkUsageBudgets({}, { chat: 100, daily: 100 })).toBeUndefined();
+  });
+});
+
+describe('usage totals', () => {
+  it('should add usage and format token counts', () => {
+    const total = addUsage(undefined, { promptTokens: 1200, completionTokens: 300, cost: 0.01 });
+
+    expect(addUsage(total, total)).toEqual({ promptTokens: 2400, completionTokens: 600, cost: 0.02 });
+    expect(formatTokenCount(total.promptTokens)).toBe('1.2k');
+  });
+});
@@ -0,0 +1,86 @@
+/*
+ * Spending limits for chat requests, in estimated USD.
+ *
+ * A soft budget only warns before the next request, a hard one blocks it. Budgets apply to the
+ * current chat and to all chats of the current day; a limit left empty is not checked.
+ */
+
+export interface UsageBudgets {
+  chatSoft?: number;
+  chatHard?: number;
+  dailySoft?: number;
+  dailyHard?: number;
+}
+
+export interface UsageTotals {
+  promptTokens: number;
+  completionTokens: number;
+
+  // estimated USD; models without known pricing add nothing
+  cost: number;
+}
+
+export interface BudgetCheck {
+  level: 'warn' | 'block';
+  message: string;
+}
+
+export const EMPTY_USAGE: UsageTotals = { promptTokens: 0, completionTokens: 0, cost: 0 };
+
+export function addUsage(totals: UsageTotals | undefined, usage: UsageTotals): UsageTotals {
+  return {
+    promptTokens: (totals?.promptTokens ?? 0) + usage.promptTokens,
+    completionTokens: (totals?.completionTokens ?? 0) + usage.completionTokens,
+    cost: (totals?.cost ?? 0) + usage.cost,
+  };
+}
+
+/**
+ * Local calendar day of `date`, e.g. `2025-03-14`, used to key daily totals
+ */
+export function usageDay(date = new Date()) {
+  const pad = (value: number) => String(value).padStart(2, '0');
+
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function formatCost(cost: number) {
+  return cost > 0 && cost < 0.01 ? '<$0.01' : `$${cost.toFixed(2)}`;
+}
+
+export function formatTokenCount(tokens: number) {
+  if (tokens >= 1_000_000) {
+    return `${Number((tokens / 1_000_000).toFixed(1))}M`;
+  }
+
+  return tokens >= 1000 ? `${Number((tokens / 1000).toFixed(1))}k` : String(tokens);
+}
+
+/**
+ * Whether the next request should be blocked or warned about, given what the chat and the day
+ * have cost so far. Hard budgets are checked first, so a block wins over a warning.
+ */
+export function checkUsageBudgets(
+  budgets: UsageBudgets,
+  spent: { chat: number; daily: number },
+): BudgetCheck | undefined {
+  const limits = [
+    { level: 'block', limit: budgets.chatHard, spent: spent.chat, scope: 'chat', kind: 'hard' },
+    { level: 'block', limit: budgets.dailyHard, spent: spent.daily, scope: 'daily', kind: 'hard' },
+    { level: 'warn', limit: budgets.chatSoft, spent: spent.chat, scope: 'chat', kind: 'soft' },
+    { level: 'warn', limit: budgets.dailySoft, spent: spent.daily, scope: 'daily', kind: 'soft' },
+  ] as const;
+
+  const exceeded = limits.find(({ limit, spent }) => limit !== undefined && limit > 0 && spent >= limit);
+
+  if (!exceeded) {
+    return undefined;
+  }
+
+  const { level, limit, spent: amount, scope, kind } = exceeded;
+
+  return {
+    level,
+    message: `${formatCost(amount)} spent reaches the ${kind} ${scope} budget of ${formatCost(limit!)}`,
+  };
+}
@@ -12,6 +12,7 @@ import { createWindow } from './ui/window';
 import { initCookies, storeCookies } from './utils/cookie';
 import { loadServerBuild, serveAsset } from './utils/serve';
 import { reloadOnChange } from './utils/reload';
+import { setupFolderSync } from './utils/folder-sync';
 
 Object.assign(console, log.functions);
 
@@ -199,3 +200,4 @@ app.on('window-all-closed', () => {
 
 reloadOnChange();
 setupAutoUpdater();
+setupFolderSync();
@@ -0,0 +1,128 @@
+import { BrowserWindow, dialog, ipcMain, type WebContents } from 'electron';
+import { watch, type FSWatcher, promises as fs } from 'node:fs';
+import path from 'node:path';
+import { isSyncIgnored, isSyncIgnoredFolder } from '../../../app/utils/syncIgnore';
+
+/*
+ * File access for folder sync in the renderer. Only folders the user picked in the dialog can be
+ * read or written, and relative paths may not leave them.
+ */
+
+// let a burst of file system events (e.g. a branch checkout) settle before notifying the renderer
+const WATCH_DEBOUNCE_MS = 200;
+
+const pickedFolders = new Set<string>();
+const watchers = new Map<number, FSWatcher>();
+let nextWatchId = 1;
+
+const utf8TextDecoder = new TextDecoder('utf8', { fatal: true });
+
+function resolveInFolder(root: string, relativePath = '') {
+  if (!pickedFolders.has(root)) {
+    throw new Error(`Folder ${root} was not picked for syncing`);
+  }
+
+  const resolved = path.resolve(root, relativePath);
+
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+    throw new Error(`Path ${relativePath} is outside of the synced folder`);
+  }
+
+  return resolved;
+}
+
+function toRelativePath(root: string, absolutePath: string) {
+  return path.relative(root, absolutePath).split(path.sep).join('/');
+}
+
+async function readFolder(root: string, folder: string, files: Record<string, string>) {
+  for (const entry of await fs.readdir(folder, { withFileTypes: true })) {
+    const absolutePath = path.join(folder, entry.name);
+    const relativePath = toRelativePath(root, absolutePath);
+
+    // skip what the renderer would not sync anyway, so that it does not count against the file limit
+    if (entry.isDirectory()) {
+      if (!isSyncIgnoredFolder(relativePath)) {
+        await readFolder(root, absolutePath, files);
+      }
+
+      continue;
+    }
+
+    if (!entry.isFile() || isSyncIgnored(relativePath)) {
+      continue;
+    }
+
+    try {
+      files[relativePath] = utf8TextDecoder.decode(await fs.readFile(absolutePath));
+    } catch {
+      // binary or unreadable files are not synced
+    }
+  }
+}
+
+function unwatch(watchId: number) {
+  watchers.get(watchId)?.close();
+  watchers.delete(watchId);
+}
+
+function startWatching(sender: WebContents, root: string) {
+  const watchId = nextWatchId++;
+  let timer: ReturnType<typeof setTimeout> | undefined;
+
+  const watcher = watch(resolveInFolder(root), { recursive: true }, (_event, filename) => {
+    if (filename && isSyncIgnored(filename.split(/[\\/]/).join('/'))) {
+      return;
+    }
+
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      if (!sender.isDestroyed()) {
+        sender.send('folder-sync:changed', watchId);
+      }
+    }, WATCH_DEBOUNCE_MS);
+  });
+
+  watcher.on('error', (error) => console.log('Folder sync watcher failed:', error));
+  watchers.set(watchId, watcher);
+  sender.once('destroyed', () => unwatch(watchId));
+
+  return watchId;
+}
+
+export function setupFolderSync() {
+  ipcMain.handle('folder-sync:pick', async (event) => {
+    const win = BrowserWindow.fromWebContents(event.sender);
+    const options: Electron.OpenDialogOptions = { properties: ['openDirectory', 'createDirectory'] };
+    const result = win ? await dialog.showOpenDialog(win, options) : await dialog.showOpenDialog(options);
+
+    if (result.canceled || !result.filePaths[0]) {
+      return undefined;
+    }
+
+    const root = path.resolve(result.filePaths[0]);
+    pickedFolders.add(root);
+
+    return root;
+  });
+
+  ipcMain.handle('folder-sync:read-files', async (_event, root: string) => {
+    const files: Record<string, string> = {};
+    await readFolder(root, resolveInFolder(root), files);
+
+    return files;
+  });
+
+  ipcMain.handle('folder-sync:write-file', async (_event, root: string, relativePath: string, content: string) => {
+    const filePath = resolveInFolder(root, relativePath);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+  });
+
+  ipcMain.handle('folder-sync:delete-file', async (_event, root: string, relativePath: string) => {
+    await fs.rm(resolveInFolder(root, relativePath), { force: true });
+  });
+
+  ipcMain.handle('folder-sync:watch', (event, root: string) => startWatching(event.sender, root));
+  ipcMain.handle('folder-sync:unwatch', (_event, watchId: number) => unwatch(watchId));
+}
@@ -20,3 +20,36 @@ const ipc = {
 };
 
 contextBridge.exposeInMainWorld('ipc', ipc);
+
+// file access for folder sync; see `ElectronFolderSync` in app/utils/localFolder.ts
+const electronFolderSync = {
+  pickFolder(): Promise<string | undefined> {
+    return ipcRenderer.invoke('folder-sync:pick');
+  },
+  readFiles(root: string): Promise<Record<string, string>> {
+    return ipcRenderer.invoke('folder-sync:read-files', root);
+  },
+  writeFile(root: string, relativePath: string, content: string): Promise<void> {
+    return ipcRenderer.invoke('folder-sync:write-file', root, relativePath, content);
+  },
+  deleteFile(root: string, relativePath: string): Promise<void> {
+    return ipcRenderer.invoke('folder-sync:delete-file', root, relativePath);
+  },
+  watch(root: string, onChange: () => void) {
+    const watchIdPromise: Promise<number> = ipcRenderer.invoke('folder-sync:watch', root);
+    const listener = async (_event: IpcRendererEvent, watchId: number) => {
+      if (watchId === (await watchIdPromise)) {
+        onChange();
+      }
+    };
+
+    ipcRenderer.on('folder-sync:changed', listener);
+
+    return () => {
+      ipcRenderer.removeListener('folder-sync:changed', listener);
+      watchIdPromise.then((watchId) => ipcRenderer.invoke('folder-sync:unwatch', watchId));
+    };
+  },
+};
+
+contextBridge.exposeInMainWorld('electronFolderSync', electronFolderSync);
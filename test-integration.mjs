@@ -1,5 +1,12 @@
 // VS LLM Integration Test - End to End
 // This test verifies the complete integration from bolt.diy to VS Code extension
+import { readDiscoveredUrl } from './vs_extension/bolt-dyi-vsllm/discovery.js';
+
+// Bridge address: VS_LLM_API_BASE_URL, else what the extension announced in its discovery file
+const bridgeUrl = process.env.VS_LLM_API_BASE_URL || readDiscoveredUrl() || 'http://127.0.0.1:41400';
+
+// The bridge requires its API token (VS Code: "Bolt DYI: Copy API Token")
+const bridgeHeaders = { Authorization: `Bearer ${process.env.VS_LLM_API_KEY}` };
 
 const testFullIntegration = async () => {
   console.log('🚀 VS LLM Integration Test - Full End-to-End');
@@ -8,7 +15,7 @@ const testFullIntegration = async () => {
   try {
     // 1. Health Check
     console.log('1. 🏥 Health Check - VS Code Extension');
-    const healthResponse = await fetch('http://localhost:3000/health');
+    const healthResponse = await fetch(`${bridgeUrl}/health`);
     const health = await healthResponse.json();
     console.log(`   ✅ Extension Status: ${health.status}`);
     console.log(`   📅 Timestamp: ${health.timestamp}`);
@@ -16,7 +23,7 @@ const testFullIntegration = async () => {
 
     // 2. Models Check
     console.log('\n2. 🤖 Available Models');
-    const modelsResponse = await fetch('http://localhost:3000/api/models');
+    const modelsResponse = await fetch(`${bridgeUrl}/api/models`, { headers: bridgeHeaders });
     const models = await modelsResponse.json();
     console.log(`   ✅ Total Models: ${models.count}`);
     console.log(`   🎯 First Model: ${models.models?.[0]?.name} (${models.models?.[0]?.vendor})`);
@@ -24,9 +31,9 @@ const testFullIntegration = async () => {
 
     // 3. Direct VS Code Extension Test
     console.log('\n3. 🎯 Direct Extension Test');
-    const directResponse = await fetch('http://localhost:3000/api/chat', {
+    const directResponse = await fetch(`${bridgeUrl}/api/chat`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...bridgeHeaders },
       body: JSON.stringify({
         messages: [{ content: 'Hello! Can you tell me what TypeScript is in one sentence?' }]
       })
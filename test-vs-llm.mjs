@@ -1,5 +1,12 @@
 // Simple test script for the VS LLM provider in ESM format
 import fetch from 'node-fetch';
+import { readDiscoveredUrl } from './vs_extension/bolt-dyi-vsllm/discovery.js';
+
+// Bridge address: VS_LLM_API_BASE_URL, else what the extension announced in its discovery file
+const bridgeUrl = process.env.VS_LLM_API_BASE_URL || readDiscoveredUrl() || 'http://127.0.0.1:41400';
+
+// The bridge requires its API token (VS Code: "Bolt DYI: Copy API Token")
+const bridgeHeaders = { Authorization: `Bearer ${process.env.VS_LLM_API_KEY}` };
 
 const testVSLLM = async () => {
   try {
@@ -7,13 +14,13 @@ const testVSLLM = async () => {
     
     // First, check if the VS LLM server is running
     console.log('1. Checking VS Code extension health...');
-    const healthResponse = await fetch('http://localhost:3000/health');
+    const healthResponse = await fetch(`${bridgeUrl}/health`);
     const health = await healthResponse.json();
     console.log(`   Server health: ${JSON.stringify(health)}`);
     
     // Get available models
     console.log('\\n2. Fetching available models...');
-    const modelsResponse = await fetch('http://localhost:3000/api/models');
+    const modelsResponse = await fetch(`${bridgeUrl}/api/models`, { headers: bridgeHeaders });
     const models = await modelsResponse.json();
     console.log(`   Found ${models.count} models`);
     console.log(`   First model: ${models.models?.[0]?.name} (${models.models?.[0]?.vendor})`);
@@ -31,9 +38,9 @@ const testVSLLM = async () => {
       }
     };
     
-    const chatResponse = await fetch('http://localhost:3000/api/chat', {
+    const chatResponse = await fetch(`${bridgeUrl}/api/chat`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...bridgeHeaders },
       body: JSON.stringify(chatPayload)
     });
     
@@ -0,0 +1,128 @@
+// Access control for the LLM Bridge server: a shared-secret bearer token and an origin allow-list
+const crypto = require('crypto');
+const vscode = require('vscode');
+
+const TOKEN_SECRET_KEY = 'bolt-dyi-vsllm.apiToken';
+
+// Matches the `bolt-dyi-vsllm.allowedOrigins` default: bolt's dev server
+const DEFAULT_ALLOWED_ORIGINS = ['http://localhost:5173', 'http://127.0.0.1:5173'];
+
+// Paths that stay reachable without a token so clients can probe whether the bridge is up
+const PUBLIC_PATHS = ['/health'];
+
+/**
+ * Read the bearer token from SecretStorage, generating and storing one on first use
+ */
+async function getApiToken(secrets) {
+	const existing = await secrets.get(TOKEN_SECRET_KEY);
+
+	if (existing) {
+		return existing;
+	}
+
+	return regenerateApiToken(secrets);
+}
+
+/**
+ * Replace the stored bearer token with a freshly generated one
+ */
+async function regenerateApiToken(secrets) {
+	const token = crypto.randomBytes(32).toString('hex');
+	await secrets.store(TOKEN_SECRET_KEY, token);
+
+	return token;
+}
+
+/**
+ * Origins allowed to call the bridge from a browser, from the `bolt-dyi-vsllm.allowedOrigins` setting
+ */
+function getAllowedOrigins() {
+	return vscode.workspace.getConfiguration('bolt-dyi-vsllm').get('allowedOrigins', DEFAULT_ALLOWED_ORIGINS);
+}
+
+function isOriginAllowed(origin) {
+	// Requests from non-browser clients carry no Origin header
+	if (!origin) {
+		return true;
+	}
+
+	const allowedOrigins = getAllowedOrigins();
+
+	return allowedOrigins.includes('*') || allowedOrigins.includes(origin);
+}
+
+/**
+ * Options for the `cors` middleware: only reflect allow-listed origins
+ */
+function getCorsOptions() {
+	return {
+		origin: (origin, callback) => callback(null, isOriginAllowed(origin)),
+		allowedHeaders: ['Content-Type', 'Authorization']
+	};
+}
+
+/**
+ * Express middleware rejecting requests from origins outside the allow-list.
+ * CORS alone only hides responses from the page; this stops the request from running at all.
+ */
+function originGuard(req, res, next) {
+	const origin = req.headers.origin;
+
+	if (!isOriginAllowed(origin)) {
+		return sendAuthError(req, res, 403, `Origin ${origin} is not allowed to use the LLM Bridge`);
+	}
+
+	next();
+}
+
+/**
+ * Express middleware requiring `Authorization: Bearer <token>` on every non-public route
+ */
+function createAuthMiddleware(getToken) {
+	return (req, res, next) => {
+		if (req.method === 'OPTIONS' || PUBLIC_PATHS.includes(req.path)) {
+			return next();
+		}
+
+		const header = req.headers.authorization || '';
+		const provided = header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : '';
+
+		if (!tokensMatch(getToken(), provided)) {
+			return sendAuthError(req, res, 401, 'Missing or invalid API token. Copy it with "Bolt DYI: Copy API Token" in VS Code.');
+		}
+
+		next();
+	};
+}
+
+function tokensMatch(expected, provided) {
+	if (!expected || !provided) {
+		return false;
+	}
+
+	const expectedBuffer = Buffer.from(expected);
+	const providedBuffer = Buffer.from(provided);
+
+	return expectedBuffer.length === providedBuffer.length && crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+}
+
+/**
+ * Reply in the error shape of the API family the client called
+ */
+function sendAuthError(req, res, status, message) {
+	if (req.path.startsWith('/v1/')) {
+		return res.status(status).json({
+			error: { message, type: 'authentication_error', param: null, code: null }
+		});
+	}
+
+	res.status(status).json({ success: false, error: message });
+}
+
+module.exports = {
+	getApiToken,
+	regenerateApiToken,
+	getCorsOptions,
+	originGuard,
+	createAuthMiddleware
+};
@@ -0,0 +1,64 @@
+// Cancellation of language model requests driven by the HTTP exchange that started them
+const vscode = require('vscode');
+const { RequestError } = require('./messages');
+
+/**
+ * Create a cancellation token for one HTTP request.
+ *
+ * The token is cancelled when the client disconnects before the response has been
+ * fully written (e.g. the user pressed stop in bolt), or when the
+ * `bolt-dyi-vsllm.requestTimeout` setting elapses. Call `throwIfCancelled()` after
+ * reading the model stream, and map caught errors through `errorFor()` so a timeout
+ * is reported to the client as a 504.
+ */
+function createRequestCancellation(res) {
+	const source = new vscode.CancellationTokenSource();
+	const timeoutSeconds = vscode.workspace.getConfiguration('bolt-dyi-vsllm').get('requestTimeout', 300);
+	let timedOut = false;
+
+	const timer = timeoutSeconds > 0 ? setTimeout(() => {
+		timedOut = true;
+		source.cancel();
+	}, timeoutSeconds * 1000) : null;
+
+	res.on('close', () => {
+		clearTimeout(timer);
+
+		if (!res.writableFinished) {
+			console.log('Client disconnected, cancelling language model request');
+			source.cancel();
+		}
+
+		source.dispose();
+	});
+
+	const timeoutError = () => new RequestError(`Language model request timed out after ${timeoutSeconds} seconds`, 504);
+
+	return {
+		token: source.token,
+		throwIfCancelled() {
+			if (timedOut) {
+				throw timeoutError();
+			}
+
+			if (source.token.isCancellationRequested) {
+				throw new Error('Request cancelled by client');
+			}
+		},
+		errorFor(error) {
+			return timedOut ? timeoutError() : error;
+		}
+	};
+}
+
+/**
+ * Whether the response can still be written to (the client has not gone away)
+ */
+function isWritable(res) {
+	return !res.destroyed && !res.writableEnded;
+}
+
+module.exports = {
+	createRequestCancellation,
+	isWritable
+};
@@ -4,19 +4,37 @@ Sample Python client for VS Code LLM Bridge API
 This demonstrates how to call the LLM API from an external process.
 """
 
+import os
 import requests
 import json
 import sys
 from typing import Dict, Any, List, Optional
 
+DISCOVERY_FILE = os.path.join(os.path.expanduser("~"), ".bolt-dyi", "vsllm-bridge.json")
+
+
+def discover_base_url() -> str:
+    """VS_LLM_API_BASE_URL, else the address the running bridge announced in its discovery file."""
+    if os.environ.get("VS_LLM_API_BASE_URL"):
+        return os.environ["VS_LLM_API_BASE_URL"]
+    try:
+        with open(DISCOVERY_FILE) as f:
+            return json.load(f)["url"]
+    except (OSError, ValueError, KeyError):
+        return "http://127.0.0.1:41400"
+
+
 class VSCodeLLMClient:
-    def __init__(self, base_url: str = "http://localhost:3000"):
-        self.base_url = base_url.rstrip('/')
+    def __init__(self, base_url: Optional[str] = None, api_token: Optional[str] = None):
+        self.base_url = (base_url or discover_base_url()).rstrip('/')
+        # Copy the token in VS Code with "Bolt DYI: Copy API Token"
+        self.session = requests.Session()
+        self.session.headers["Authorization"] = f"Bearer {api_token or os.environ.get('VS_LLM_API_KEY', '')}"
         
     def health_check(self) -> Dict[str, Any]:
         """Check if the API server is running."""
         try:
-            response = requests.get(f"{self.base_url}/health")
+            response = self.session.get(f"{self.base_url}/health")
             response.raise_for_status()
             return {"success": True, "data": response.json()}
         except Exception as e:
@@ -25,7 +43,7 @@ class VSCodeLLMClient:
     def get_models(self) -> Dict[str, Any]:
         """Get list of available language models."""
         try:
-            response = requests.get(f"{self.base_url}/api/models")
+            response = self.session.get(f"{self.base_url}/api/models")
             response.raise_for_status()
             return {"success": True, "data": response.json()}
         except Exception as e:
@@ -38,7 +56,7 @@ class VSCodeLLMClient:
             if model:
                 payload["model"] = model
                 
-            response = requests.post(
+            response = self.session.post(
                 f"{self.base_url}/api/chat",
                 json=payload,
                 headers={"Content-Type": "application/json"}
@@ -51,7 +69,7 @@ class VSCodeLLMClient:
     def get_docs(self) -> Dict[str, Any]:
         """Get API documentation."""
         try:
-            response = requests.get(f"{self.base_url}/api/docs")
+            response = self.session.get(f"{self.base_url}/api/docs")
             response.raise_for_status()
             return {"success": True, "data": response.json()}
         except Exception as e:
@@ -0,0 +1,70 @@
+// Endpoint discovery: the running bridge announces its address in a well-known file
+// (~/.bolt-dyi/vsllm-bridge.json) so bolt and other local clients can find it without configuration
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DISCOVERY_FILE = path.join(os.homedir(), '.bolt-dyi', 'vsllm-bridge.json');
+
+/**
+ * URL clients should use for a server bound to host:port
+ */
+function getServerUrl(host, port) {
+	// A wildcard bind address is reachable on loopback
+	const clientHost = host === '0.0.0.0' || host === '::' ? '127.0.0.1' : host;
+	const formattedHost = clientHost.includes(':') ? `[${clientHost}]` : clientHost;
+
+	return `http://${formattedHost}:${port}`;
+}
+
+/**
+ * Record the address of this bridge instance in the discovery file
+ */
+function writeDiscoveryFile(host, port) {
+	try {
+		fs.mkdirSync(path.dirname(DISCOVERY_FILE), { recursive: true });
+		fs.writeFileSync(DISCOVERY_FILE, JSON.stringify({
+			url: getServerUrl(host, port),
+			host,
+			port,
+			pid: process.pid,
+			startedAt: new Date().toISOString()
+		}, null, 2), { mode: 0o600 });
+	} catch (error) {
+		console.warn('Unable to write bridge discovery file:', error.message);
+	}
+}
+
+/**
+ * Remove the discovery file, unless another VS Code window has since taken it over
+ */
+function removeDiscoveryFile() {
+	try {
+		const info = JSON.parse(fs.readFileSync(DISCOVERY_FILE, 'utf-8'));
+
+		if (info.pid === process.pid) {
+			fs.unlinkSync(DISCOVERY_FILE);
+		}
+	} catch {
+		// Nothing to clean up
+	}
+}
+
+/**
+ * URL of the running bridge as announced in the discovery file, or undefined when none is running
+ */
+function readDiscoveredUrl() {
+	try {
+		return JSON.parse(fs.readFileSync(DISCOVERY_FILE, 'utf-8')).url;
+	} catch {
+		return undefined;
+	}
+}
+
+module.exports = {
+	DISCOVERY_FILE,
+	getServerUrl,
+	writeDiscoveryFile,
+	removeDiscoveryFile,
+	readDiscoveredUrl
+};
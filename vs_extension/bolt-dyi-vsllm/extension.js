@@ -3,12 +3,41 @@
 const vscode = require('vscode');
 const express = require('express');
 const cors = require('cors');
+const { registerOpenAIRoutes } = require('./openai-compat');
+const { RequestError, toChatMessages, containsImages, supportsImages, describeCapabilities } = require('./messages');
+const { createRequestCancellation, isWritable } = require('./cancellation');
+const { countPromptTokens, countUsage } = require('./tokens');
+const { getApiToken, regenerateApiToken, getCorsOptions, originGuard, createAuthMiddleware } = require('./auth');
+const { DISCOVERY_FILE, getServerUrl, writeDiscoveryFile, removeDiscoveryFile } = require('./discovery');
+const { RequestLog } = require('./request-log');
+const { RateLimiter } = require('./rate-limit');
+
+// Default port for the bridge; 3000 is avoided because bolt's own dev servers commonly use it
+const DEFAULT_PORT = 41400;
+const PORT_FALLBACK_ATTEMPTS = 10;
 
 let server = null;
-let serverPort = 3000;
+let serverPort = DEFAULT_PORT;
+let serverHost = '127.0.0.1';
+let apiToken = null;
 let selectedModel = null;
 let availableModels = [];
 
+// Routes the bridge serves, listed in the Server Control view and by GET /api/docs
+const API_ENDPOINTS = {
+	'GET /health': 'Health check (no token required)',
+	'GET /api/models': 'Get available language models',
+	'POST /api/chat': 'Send chat completion request; responses include usage ({ promptTokens, completionTokens, totalTokens })',
+	'POST /api/count-tokens': 'Count tokens of { text } or { messages } for an optional { model }, with the model\'s maxInputTokens',
+	'GET /v1/models': 'OpenAI-compatible model list',
+	'POST /v1/chat/completions': 'OpenAI-compatible chat completion (supports stream, stream_options.include_usage, tools and tool_choice)',
+	'GET /api/docs': 'This documentation'
+};
+
+// Kept across server restarts so the log and limits survive a host/port change
+const requestLog = new RequestLog();
+const rateLimiter = new RateLimiter();
+
 /**
  * Tree data provider for the Bolt DYI view
  */
@@ -33,7 +62,7 @@ class BoltTreeDataProvider {
 			return [
 				new BoltTreeItem(
 					this.serverRunning ? 'Server Running' : 'Server Stopped', 
-					this.serverRunning ? `LLM Bridge Server running on port ${serverPort}` : 'LLM Bridge Server is not running',
+					this.serverRunning ? `LLM Bridge Server running on ${serverHost}:${serverPort}` : 'LLM Bridge Server is not running',
 					vscode.TreeItemCollapsibleState.None,
 					{
 						command: this.serverRunning ? 'bolt-dyi-vsllm.stopServer' : 'bolt-dyi-vsllm.startServer',
@@ -49,13 +78,84 @@ class BoltTreeDataProvider {
 					command: 'bolt-dyi-vsllm.selectModel',
 					title: 'Select Model'
 				}, 'settings-gear'),
-				new BoltTreeItem('API Documentation', 'View available API endpoints', vscode.TreeItemCollapsibleState.None),
-				new BoltTreeItem('Server Info', `Port: ${serverPort}`, vscode.TreeItemCollapsibleState.None, null, 'info')
+				new BoltTreeItem('Copy API Token', 'Copy the bearer token clients must send to the bridge', vscode.TreeItemCollapsibleState.None, {
+					command: 'bolt-dyi-vsllm.copyApiToken',
+					title: 'Copy API Token'
+				}, 'key'),
+				this.createGroupItem('endpoints', 'API Documentation', 'Endpoints the bridge serves; all but /health need the API token', 'book'),
+				new BoltTreeItem('Server Info', `Address: ${getServerUrl(serverHost, serverPort)} (announced in ${DISCOVERY_FILE})`, vscode.TreeItemCollapsibleState.None, null, 'info'),
+				this.createRateLimitsItem(),
+				this.createGroupItem('usage', 'Usage by Model', 'Requests, tokens and average latency per model over the request log', 'graph'),
+				this.createGroupItem('requestLog', 'Request Log', 'Most recent requests to the bridge, newest first', 'history')
 			];
 		}
+
+		if (element.group === 'endpoints') {
+			return Object.entries(API_ENDPOINTS).map(([route, description]) => {
+				const item = new BoltTreeItem(route, description, vscode.TreeItemCollapsibleState.None, null, 'symbol-method');
+				item.description = description;
+				return item;
+			});
+		}
+
+		if (element.group === 'usage') {
+			return requestLog.getTotals().map(total => {
+				const item = new BoltTreeItem(
+					total.model,
+					`${total.requests} requests, ${total.errors} failed\n${total.promptTokens} prompt + ${total.completionTokens} completion tokens\nAverage latency ${total.averageLatencyMs} ms`,
+					vscode.TreeItemCollapsibleState.None,
+					null,
+					'symbol-misc'
+				);
+				item.description = `${total.requests} req · ${total.promptTokens + total.completionTokens} tokens · ${total.averageLatencyMs} ms avg`;
+				return item;
+			});
+		}
+
+		if (element.group === 'requestLog') {
+			return requestLog.entries.map(entry => {
+				const failed = !!entry.error || (entry.status !== null && entry.status >= 400);
+				const item = new BoltTreeItem(
+					`${new Date(entry.time).toLocaleTimeString()} ${entry.method} ${entry.path}`,
+					[
+						`Caller: ${entry.caller}`,
+						`Model: ${entry.model || '-'}`,
+						`Status: ${entry.status === null ? 'aborted' : entry.status}`,
+						`Latency: ${entry.latencyMs} ms`,
+						`Tokens: ${entry.promptTokens} prompt + ${entry.completionTokens} completion`,
+						entry.error ? `Error: ${entry.error}` : null
+					].filter(Boolean).join('\n'),
+					vscode.TreeItemCollapsibleState.None,
+					null,
+					failed ? 'error' : 'pass'
+				);
+				item.description = [entry.model, entry.status, `${entry.latencyMs} ms`].filter(Boolean).join(' · ');
+				return item;
+			});
+		}
+
 		return [];
 	}
 
+	createGroupItem(group, label, tooltip, iconName) {
+		const item = new BoltTreeItem(label, tooltip, vscode.TreeItemCollapsibleState.Collapsed, null, iconName);
+		item.group = group;
+		return item;
+	}
+
+	createRateLimitsItem() {
+		const { maxConcurrentRequests, requestsPerMinute } = rateLimiter.getLimits();
+		const item = new BoltTreeItem(
+			'Rate Limits',
+			'Requests over these limits get 429 responses. Change them with the bolt-dyi-vsllm.maxConcurrentRequests and bolt-dyi-vsllm.requestsPerMinute settings (0 = unlimited).',
+			vscode.TreeItemCollapsibleState.None,
+			null,
+			'dashboard'
+		);
+		item.description = `${maxConcurrentRequests || '∞'} concurrent · ${requestsPerMinute || '∞'}/min`;
+		return item;
+	}
+
 	setServerRunning(running) {
 		this.serverRunning = running;
 		this.refresh();
@@ -75,15 +175,43 @@ class BoltTreeItem extends vscode.TreeItem {
 	}
 }
 
+/**
+ * Write a single server-sent event carrying a JSON payload
+ */
+function writeEvent(res, payload) {
+	res.write(`data: ${JSON.stringify(payload)}\n\n`);
+}
+
+/**
+ * Select the model described by a request's `model` field ({ id, vendor, family }), or any model when none is given
+ */
+async function selectRequestedModel(requestedModel) {
+	const models = requestedModel
+		? await vscode.lm.selectChatModels({
+			id: requestedModel.id,
+			vendor: requestedModel.vendor,
+			family: requestedModel.family
+		})
+		: await vscode.lm.selectChatModels();
+
+	return models[0] || null;
+}
+
 /**
  * Create and configure the Express server
  */
 function createServer() {
 	const app = express();
 	
-	// Middleware
-	app.use(cors());
+	// Middleware: log every request, reject unknown browser origins, then require the bearer token
+	app.use(requestLog.middleware());
+	app.use(originGuard);
+	app.use(cors(getCorsOptions()));
+	app.use(createAuthMiddleware(() => apiToken));
 	app.use(express.json({ limit: '10mb' }));
+
+	// Only requests that reach a language model count against the rate limits
+	app.use(['/api/chat', '/v1/chat/completions'], rateLimiter.middleware());
 	
 	// Health check endpoint
 	app.get('/health', (req, res) => {
@@ -104,7 +232,8 @@ function createServer() {
 				family: model.family,
 				name: model.name,
 				maxInputTokens: model.maxInputTokens,
-				countTokens: !!model.countTokens
+				countTokens: !!model.countTokens,
+				capabilities: describeCapabilities(model)
 			}));
 			
 			res.json({
@@ -123,8 +252,10 @@ function createServer() {
 
 	// Chat completion endpoint
 	app.post('/api/chat', async (req, res) => {
+		const cancellation = createRequestCancellation(res);
+
 		try {
-			const { messages, model: requestedModel, options = {} } = req.body;
+			const { messages, model: requestedModel, options = {}, stream = false } = req.body;
 			
 			if (!messages || !Array.isArray(messages)) {
 				return res.status(400).json({
@@ -133,92 +264,180 @@ function createServer() {
 				});
 			}
 
-			// Select model
-			let models;
-			if (requestedModel) {
-				// Try to select specific model
-				models = await vscode.lm.selectChatModels({ 
-					id: requestedModel.id,
-					vendor: requestedModel.vendor,
-					family: requestedModel.family 
-				});
-			} else {
-				// Get any available model
-				models = await vscode.lm.selectChatModels();
-			}
+			const model = await selectRequestedModel(requestedModel);
 
-			if (models.length === 0) {
+			if (!model) {
 				return res.status(404).json({
 					success: false,
 					error: 'No language models available'
 				});
 			}
 
-			const model = models[0];
+			const modelInfo = {
+				id: model.id,
+				vendor: model.vendor,
+				family: model.family,
+				name: model.name
+			};
+			res.locals.model = model.id;
 			
-			// Convert messages to VS Code format
-			const chatMessages = messages.map(msg => {
-				return vscode.LanguageModelChatMessage.User(msg.content);
-			});
+			if (containsImages(messages) && !supportsImages(model)) {
+				return res.status(400).json({
+					success: false,
+					error: `Model ${model.name} does not support image input`
+				});
+			}
 
-			// Create cancellation token
-			const source = new vscode.CancellationTokenSource();
-			const token = source.token;
+			// Convert messages to VS Code format, keeping system and assistant roles
+			const chatMessages = toChatMessages(messages);
+
+			// Cancelled when the client disconnects or the request times out
+			const token = cancellation.token;
 
 			// Send request
 			const response = await model.sendRequest(chatMessages, options, token);
+
+			if (stream) {
+				// Forward each text part as a server-sent event as soon as the model produces it
+				res.writeHead(200, {
+					'Content-Type': 'text/event-stream',
+					'Cache-Control': 'no-cache',
+					Connection: 'keep-alive'
+				});
+
+				let streamed = '';
+
+				for await (const part of response.stream) {
+					if (token.isCancellationRequested) {
+						break;
+					}
+
+					if (part instanceof vscode.LanguageModelTextPart) {
+						streamed += part.value;
+						writeEvent(res, { type: 'text', text: part.value });
+					}
+				}
+
+				cancellation.throwIfCancelled();
+				res.locals.usage = await countUsage(model, chatMessages, streamed);
+				writeEvent(res, { type: 'done', model: modelInfo, usage: res.locals.usage });
+				res.end();
+				return;
+			}
 			
 			// Collect response
 			let fullResponse = '';
 			for await (const part of response.stream) {
+				if (token.isCancellationRequested) {
+					break;
+				}
+
 				if (part instanceof vscode.LanguageModelTextPart) {
 					fullResponse += part.value;
 				}
 			}
 
+			cancellation.throwIfCancelled();
+			res.locals.usage = await countUsage(model, chatMessages, fullResponse);
+
 			res.json({
 				success: true,
 				response: fullResponse,
+				model: modelInfo,
+				usage: res.locals.usage
+			});
+
+		} catch (caught) {
+			// Nobody is listening any more once the client has disconnected
+			if (!isWritable(res)) {
+				return;
+			}
+
+			const error = cancellation.errorFor(caught);
+			console.error('Error in chat completion:', error);
+			res.locals.error = error.message;
+
+			// Once streaming has started the status line is gone, so report the failure in-band
+			if (res.headersSent) {
+				writeEvent(res, { type: 'error', error: error.message });
+				return res.end();
+			}
+
+			res.status(error instanceof RequestError ? error.status : 500).json({
+				success: false,
+				error: error.message
+			});
+		}
+	});
+
+	// Token counting with the model's own tokenizer, for budgeting prompts before sending them
+	app.post('/api/count-tokens', async (req, res) => {
+		try {
+			const { text, messages, model: requestedModel } = req.body;
+
+			if (typeof text !== 'string' && !Array.isArray(messages)) {
+				return res.status(400).json({
+					success: false,
+					error: 'Either text (a string) or messages (an array) is required'
+				});
+			}
+
+			const model = await selectRequestedModel(requestedModel);
+
+			if (!model) {
+				return res.status(404).json({
+					success: false,
+					error: 'No language models available'
+				});
+			}
+
+			res.locals.model = model.id;
+			const tokens = await countPromptTokens(model, typeof text === 'string' ? text : toChatMessages(messages));
+
+			res.json({
+				success: true,
 				model: {
 					id: model.id,
 					vendor: model.vendor,
 					family: model.family,
 					name: model.name
-				}
+				},
+				tokens,
+				maxInputTokens: model.maxInputTokens
 			});
-
 		} catch (error) {
-			console.error('Error in chat completion:', error);
-			res.status(500).json({
+			console.error('Error counting tokens:', error);
+			res.status(error instanceof RequestError ? error.status : 500).json({
 				success: false,
 				error: error.message
 			});
 		}
 	});
 
+	// OpenAI-compatible endpoints
+	registerOpenAIRoutes(app);
+
 	// API documentation endpoint
 	app.get('/api/docs', (req, res) => {
 		res.json({
 			name: 'VS Code LLM Bridge API',
 			version: '1.0.0',
-			endpoints: {
-				'GET /health': 'Health check',
-				'GET /api/models': 'Get available language models',
-				'POST /api/chat': 'Send chat completion request',
-				'GET /api/docs': 'This documentation'
-			},
+			authentication: 'Send "Authorization: Bearer <token>"; copy the token with the "Copy API Token" command',
+			rateLimits: 'POST /api/chat and /v1/chat/completions answer 429 with Retry-After when the concurrency or requests-per-minute limit is reached',
+			endpoints: API_ENDPOINTS,
 			chatEndpoint: {
 				url: 'POST /api/chat',
 				body: {
 					messages: [
-						{ content: 'Your message here' }
+						{ role: 'optional role - system | user | assistant (defaults to user)', content: 'Your message here' }
 					],
 					model: {
 						id: 'optional-model-id',
 						vendor: 'optional-vendor',
 						family: 'optional-family'
 					},
-					options: {}
+					options: {},
+					stream: 'optional boolean - stream text/event-stream events ({ type: "text" | "done" | "error" })'
 				}
 			}
 		});
@@ -227,42 +446,57 @@ function createServer() {
 	return app;
 }
 
+/**
+ * Listen on the first free port starting at `port`. After PORT_FALLBACK_ATTEMPTS busy
+ * ports, let the OS pick one; the discovery file tells clients where the server ended up.
+ */
+function listen(app, host, port, attempt = 0) {
+	return new Promise((resolve, reject) => {
+		const httpServer = app.listen(port, host);
+		httpServer.once('listening', () => resolve(httpServer));
+		httpServer.once('error', reject);
+	}).catch(error => {
+		if (error.code !== 'EADDRINUSE' || port === 0) {
+			throw error;
+		}
+
+		const nextPort = attempt + 1 < PORT_FALLBACK_ATTEMPTS ? port + 1 : 0;
+		console.log(`Port ${port} is busy, trying ${nextPort || 'a free port'}`);
+
+		return listen(app, host, nextPort, attempt + 1);
+	});
+}
+
 /**
  * Start the HTTP server
  */
-async function startServer(treeDataProvider) {
+async function startServer(context, treeDataProvider) {
 	if (server) {
 		vscode.window.showWarningMessage('Server is already running!');
 		return;
 	}
 
 	try {
+		const config = vscode.workspace.getConfiguration('bolt-dyi-vsllm');
+		apiToken = await getApiToken(context.secrets);
+		serverHost = config.get('host', '127.0.0.1');
+
 		const app = createServer();
-		
-		server = app.listen(serverPort, 'localhost', () => {
-			const message = `LLM Bridge Server started on http://localhost:${serverPort}`;
-			console.log(message);
-			vscode.window.showInformationMessage(message);
-			treeDataProvider.setServerRunning(true);
-		});
+
+		server = await listen(app, serverHost, config.get('port', DEFAULT_PORT));
+		serverPort = server.address().port;
 
 		server.on('error', (error) => {
-			if (error.code === 'EADDRINUSE') {
-				serverPort = serverPort + 1;
-				console.log(`Port ${serverPort - 1} is busy, trying ${serverPort}`);
-				server = app.listen(serverPort, 'localhost', () => {
-					const message = `LLM Bridge Server started on http://localhost:${serverPort}`;
-					console.log(message);
-					vscode.window.showInformationMessage(message);
-					treeDataProvider.setServerRunning(true);
-				});
-			} else {
-				console.error('Server error:', error);
-				vscode.window.showErrorMessage(`Failed to start server: ${error.message}`);
-				server = null;
-			}
+			console.error('Server error:', error);
+			vscode.window.showErrorMessage(`LLM Bridge Server error: ${error.message}`);
 		});
 
+		writeDiscoveryFile(serverHost, serverPort);
+
+		const message = `LLM Bridge Server started on ${getServerUrl(serverHost, serverPort)}`;
+		console.log(message);
+		vscode.window.showInformationMessage(message);
+		treeDataProvider.setServerRunning(true);
 	} catch (error) {
 		console.error('Error starting server:', error);
 		vscode.window.showErrorMessage(`Failed to start server: ${error.message}`);
@@ -273,15 +507,25 @@ async function startServer(treeDataProvider) {
 /**
  * Stop the HTTP server
  */
-function stopServer(treeDataProvider) {
+function stopServer(treeDataProvider, onStopped) {
 	if (server) {
+		removeDiscoveryFile();
 		server.close(() => {
 			const message = 'LLM Bridge Server stopped';
 			console.log(message);
 			vscode.window.showInformationMessage(message);
 			server = null;
 			treeDataProvider.setServerRunning(false);
+
+			if (onStopped) {
+				onStopped();
+			}
 		});
+
+		// Don't let idle keep-alive connections hold the port open
+		if (server.closeIdleConnections) {
+			server.closeIdleConnections();
+		}
 	} else {
 		vscode.window.showWarningMessage('Server is not running!');
 	}
@@ -306,7 +550,7 @@ function activate(context) {
 
 	// Register start server command
 	const startServerCommand = vscode.commands.registerCommand('bolt-dyi-vsllm.startServer', () => {
-		startServer(treeDataProvider);
+		startServer(context, treeDataProvider);
 	});
 
 	// Register stop server command
@@ -320,12 +564,48 @@ function activate(context) {
 		vscode.window.showInformationMessage('Bolt DYI view refreshed!');
 	});
 
+	// Keep the request log and usage totals in the tree current
+	context.subscriptions.push(requestLog.onDidChange(() => treeDataProvider.refresh()));
+
+	const clearRequestLogCommand = vscode.commands.registerCommand('bolt-dyi-vsllm.clearRequestLog', () => {
+		requestLog.clear();
+	});
+
+	// Register API token commands
+	const copyApiTokenCommand = vscode.commands.registerCommand('bolt-dyi-vsllm.copyApiToken', async () => {
+		const token = await getApiToken(context.secrets);
+		await vscode.env.clipboard.writeText(token);
+		vscode.window.showInformationMessage('LLM Bridge API token copied. Paste it as the VS LLM API key in bolt.');
+	});
+
+	const regenerateApiTokenCommand = vscode.commands.registerCommand('bolt-dyi-vsllm.regenerateApiToken', async () => {
+		apiToken = await regenerateApiToken(context.secrets);
+		await vscode.env.clipboard.writeText(apiToken);
+		vscode.window.showInformationMessage('LLM Bridge API token regenerated and copied. Existing clients must use the new token.');
+	});
+
 	context.subscriptions.push(startServerCommand);
 	context.subscriptions.push(stopServerCommand);
 	context.subscriptions.push(refreshCommand);
+	context.subscriptions.push(copyApiTokenCommand);
+	context.subscriptions.push(regenerateApiTokenCommand);
+	context.subscriptions.push(clearRequestLogCommand);
+
+	// Restart on address changes so the new host/port take effect
+	context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(event => {
+		const addressChanged = event.affectsConfiguration('bolt-dyi-vsllm.host') || event.affectsConfiguration('bolt-dyi-vsllm.port');
+
+		if (addressChanged && server) {
+			stopServer(treeDataProvider, () => startServer(context, treeDataProvider));
+		}
+
+		if (event.affectsConfiguration('bolt-dyi-vsllm.maxConcurrentRequests') || event.affectsConfiguration('bolt-dyi-vsllm.requestsPerMinute')) {
+			treeDataProvider.refresh();
+		}
+	}));
 
 	// Auto-start server on activation
-	startServer(treeDataProvider);
+	startServer(context, treeDataProvider);
 
 	// Register chat webview provider
 	const chatWebviewProvider = new ChatWebviewProvider(context);
@@ -394,6 +674,7 @@ function activate(context) {
 // This method is called when your extension is deactivated
 function deactivate() {
 	if (server) {
+		removeDiscoveryFile();
 		server.close();
 		server = null;
 	}
@@ -0,0 +1,219 @@
+// Conversion from chat-style messages ({ role, content }) to VS Code LanguageModelChatMessages
+const vscode = require('vscode');
+
+/**
+ * An error caused by the request itself, reported to the client with `status`
+ */
+class RequestError extends Error {
+	constructor(message, status = 400) {
+		super(message);
+		this.name = 'RequestError';
+		this.status = status;
+	}
+}
+
+/**
+ * Convert an array of { role, content } messages to VS Code chat messages.
+ *
+ * VS Code's language model API has no system role, so all system messages are
+ * merged into a single leading User message that precedes the conversation.
+ * Messages without a role are treated as user messages.
+ *
+ * OpenAI-style tool calls on assistant messages become LanguageModelToolCallParts,
+ * and consecutive `tool` messages are grouped into one User message of
+ * LanguageModelToolResultParts, which is how VS Code expects tool results back.
+ *
+ * Image parts in user messages become LanguageModelDataParts; check
+ * supportsImages() for the target model before sending them.
+ */
+function toChatMessages(messages) {
+	const systemPrompt = messages
+		.filter(msg => msg.role === 'system' || msg.role === 'developer')
+		.map(msg => getTextContent(msg.content))
+		.filter(Boolean)
+		.join('\n\n');
+
+	const chatMessages = [];
+	let toolResults = [];
+
+	if (systemPrompt) {
+		chatMessages.push(vscode.LanguageModelChatMessage.User(systemPrompt));
+	}
+
+	for (const msg of messages) {
+		if (msg.role !== 'tool' && toolResults.length > 0) {
+			chatMessages.push(vscode.LanguageModelChatMessage.User(toolResults));
+			toolResults = [];
+		}
+
+		switch (msg.role) {
+			case 'system':
+			case 'developer':
+				break;
+			case 'assistant':
+				chatMessages.push(vscode.LanguageModelChatMessage.Assistant(toAssistantContent(msg)));
+				break;
+			case 'tool':
+				toolResults.push(new vscode.LanguageModelToolResultPart(msg.tool_call_id, [
+					new vscode.LanguageModelTextPart(getTextContent(msg.content))
+				]));
+				break;
+			default:
+				chatMessages.push(vscode.LanguageModelChatMessage.User(toUserContent(msg.content)));
+		}
+	}
+
+	if (toolResults.length > 0) {
+		chatMessages.push(vscode.LanguageModelChatMessage.User(toolResults));
+	}
+
+	return chatMessages;
+}
+
+/**
+ * Build the content of a user turn, keeping image parts alongside the text
+ */
+function toUserContent(content) {
+	if (!Array.isArray(content) || !content.some(isImagePart)) {
+		return getTextContent(content);
+	}
+
+	return content
+		.map(part => {
+			if (part.type === 'text') {
+				return new vscode.LanguageModelTextPart(part.text);
+			}
+
+			if (isImagePart(part)) {
+				const { data, mimeType } = parseDataUrl(part.image_url.url || part.image_url);
+				return vscode.LanguageModelDataPart.image(data, mimeType);
+			}
+
+			return null;
+		})
+		.filter(Boolean);
+}
+
+function isImagePart(part) {
+	return part && part.type === 'image_url' && !!part.image_url;
+}
+
+/**
+ * Decode a base64 `data:` URL into bytes. Remote image URLs are not fetched by the bridge.
+ */
+function parseDataUrl(url) {
+	const match = /^data:([^;,]+)(;base64)?,(.*)$/s.exec(url || '');
+
+	if (!match || !match[2]) {
+		throw new RequestError('Images must be sent as base64 data: URLs');
+	}
+
+	return {
+		mimeType: match[1],
+		data: Buffer.from(match[3], 'base64')
+	};
+}
+
+/**
+ * Whether any message carries image content
+ */
+function containsImages(messages) {
+	return messages.some(msg => Array.isArray(msg.content) && msg.content.some(isImagePart));
+}
+
+/**
+ * Whether images can be sent to this model. Needs a VS Code build with LanguageModelDataPart;
+ * models that report their capabilities must also declare image input.
+ */
+function supportsImages(model) {
+	if (typeof vscode.LanguageModelDataPart !== 'function') {
+		return false;
+	}
+
+	const capabilities = model.capabilities;
+
+	if (!capabilities) {
+		return true;
+	}
+
+	return !!(capabilities.supportsImageToText || capabilities.imageInput);
+}
+
+/**
+ * Capabilities listed by /api/models, or undefined when this VS Code build does not report them
+ */
+function describeCapabilities(model) {
+	if (!model.capabilities) {
+		return undefined;
+	}
+
+	return {
+		images: supportsImages(model),
+		tools: !!(model.capabilities.supportsToolCalling || model.capabilities.toolCalling)
+	};
+}
+
+/**
+ * Build the content of an assistant turn: its text plus any tool calls it made
+ */
+function toAssistantContent(msg) {
+	const text = getTextContent(msg.content);
+
+	if (!msg.tool_calls || msg.tool_calls.length === 0) {
+		return text;
+	}
+
+	const parts = text ? [new vscode.LanguageModelTextPart(text)] : [];
+
+	for (const toolCall of msg.tool_calls) {
+		parts.push(new vscode.LanguageModelToolCallPart(
+			toolCall.id,
+			toolCall.function.name,
+			parseToolArguments(toolCall.function.arguments)
+		));
+	}
+
+	return parts;
+}
+
+/**
+ * OpenAI sends tool arguments as a JSON string, VS Code wants an object
+ */
+function parseToolArguments(args) {
+	if (!args) {
+		return {};
+	}
+
+	if (typeof args !== 'string') {
+		return args;
+	}
+
+	try {
+		return JSON.parse(args);
+	} catch {
+		return {};
+	}
+}
+
+/**
+ * Flatten message content (a string or an array of parts) to plain text
+ */
+function getTextContent(content) {
+	if (typeof content === 'string') {
+		return content;
+	}
+
+	if (Array.isArray(content)) {
+		return content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+	}
+
+	return '';
+}
+
+module.exports = {
+	RequestError,
+	toChatMessages,
+	containsImages,
+	supportsImages,
+	describeCapabilities
+};
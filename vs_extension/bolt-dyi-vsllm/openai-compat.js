@@ -0,0 +1,285 @@
+// OpenAI-compatible routes for the LLM Bridge server
+// Lets OpenAI SDK clients (including bolt's OpenAILike provider) talk to VS Code language models directly
+const vscode = require('vscode');
+const { RequestError, toChatMessages, containsImages, supportsImages } = require('./messages');
+const { createRequestCancellation, isWritable } = require('./cancellation');
+const { countUsage } = require('./tokens');
+
+/**
+ * Register /v1/models and /v1/chat/completions on the Express app
+ */
+function registerOpenAIRoutes(app) {
+	// List models in the OpenAI format
+	app.get('/v1/models', async (req, res) => {
+		try {
+			const models = await vscode.lm.selectChatModels();
+
+			res.json({
+				object: 'list',
+				data: models.map(model => ({
+					id: model.id,
+					object: 'model',
+					created: 0,
+					owned_by: model.vendor,
+					name: model.name,
+					family: model.family,
+					max_input_tokens: model.maxInputTokens
+				}))
+			});
+		} catch (error) {
+			console.error('Error getting models:', error);
+			sendError(res, 500, error.message, 'server_error');
+		}
+	});
+
+	// Chat completions in the OpenAI format, streaming and non-streaming
+	app.post('/v1/chat/completions', async (req, res) => {
+		const cancellation = createRequestCancellation(res);
+
+		try {
+			const { model: modelId, messages, stream = false, stream_options: streamOptions = {} } = req.body;
+
+			if (!messages || !Array.isArray(messages) || messages.length === 0) {
+				return sendError(res, 400, 'messages must be a non-empty array', 'invalid_request_error');
+			}
+
+			const model = await selectModel(modelId);
+
+			if (!model) {
+				return sendError(res, 404, `The model '${modelId}' does not exist`, 'invalid_request_error', 'model_not_found');
+			}
+
+			if (containsImages(messages) && !supportsImages(model)) {
+				return sendError(res, 400, `The model '${model.id}' does not support image input`, 'invalid_request_error', 'image_input_not_supported');
+			}
+
+			res.locals.model = model.id;
+			const chatMessages = toChatMessages(messages);
+
+			const { token } = cancellation;
+			const response = await model.sendRequest(chatMessages, {
+				modelOptions: getModelOptions(req.body),
+				...getToolOptions(req.body)
+			}, token);
+
+			const id = `chatcmpl-${Date.now()}`;
+			const created = Math.floor(Date.now() / 1000);
+			const toolCalls = [];
+			const toolCallParts = [];
+			let completion = '';
+
+			if (stream) {
+				res.writeHead(200, {
+					'Content-Type': 'text/event-stream',
+					'Cache-Control': 'no-cache',
+					Connection: 'keep-alive'
+				});
+
+				const writeChunk = (delta, finishReason = null) => {
+					writeData(res, {
+						id,
+						object: 'chat.completion.chunk',
+						created,
+						model: model.id,
+						choices: [{ index: 0, delta, finish_reason: finishReason }]
+					});
+				};
+
+				writeChunk({ role: 'assistant', content: '' });
+
+				for await (const part of response.stream) {
+					if (token.isCancellationRequested) {
+						break;
+					}
+
+					if (part instanceof vscode.LanguageModelTextPart) {
+						completion += part.value;
+						writeChunk({ content: part.value });
+					} else if (part instanceof vscode.LanguageModelToolCallPart) {
+						const toolCall = toOpenAIToolCall(part);
+						writeChunk({ tool_calls: [{ index: toolCalls.length, ...toolCall }] });
+						toolCalls.push(toolCall);
+						toolCallParts.push(part);
+					}
+				}
+
+				cancellation.throwIfCancelled();
+				writeChunk({}, toolCalls.length > 0 ? 'tool_calls' : 'stop');
+
+				res.locals.usage = await countUsage(model, chatMessages, completion, toolCallParts);
+
+				if (streamOptions.include_usage) {
+					writeData(res, {
+						id,
+						object: 'chat.completion.chunk',
+						created,
+						model: model.id,
+						choices: [],
+						usage: toOpenAIUsage(res.locals.usage)
+					});
+				}
+
+				res.write('data: [DONE]\n\n');
+				return res.end();
+			}
+
+			for await (const part of response.stream) {
+				if (token.isCancellationRequested) {
+					break;
+				}
+
+				if (part instanceof vscode.LanguageModelTextPart) {
+					completion += part.value;
+				} else if (part instanceof vscode.LanguageModelToolCallPart) {
+					toolCalls.push(toOpenAIToolCall(part));
+					toolCallParts.push(part);
+				}
+			}
+
+			cancellation.throwIfCancelled();
+
+			const message = { role: 'assistant', content: completion || (toolCalls.length > 0 ? null : '') };
+
+			if (toolCalls.length > 0) {
+				message.tool_calls = toolCalls;
+			}
+
+			res.locals.usage = await countUsage(model, chatMessages, completion, toolCallParts);
+
+			res.json({
+				id,
+				object: 'chat.completion',
+				created,
+				model: model.id,
+				choices: [{
+					index: 0,
+					message,
+					finish_reason: toolCalls.length > 0 ? 'tool_calls' : 'stop'
+				}],
+				usage: toOpenAIUsage(res.locals.usage)
+			});
+		} catch (caught) {
+			// Nobody is listening any more once the client has disconnected
+			if (!isWritable(res)) {
+				return;
+			}
+
+			const error = cancellation.errorFor(caught);
+			console.error('Error in OpenAI chat completion:', error);
+			res.locals.error = error.message;
+
+			if (res.headersSent) {
+				writeData(res, { error: { message: error.message, type: 'server_error' } });
+				return res.end();
+			}
+
+			if (error instanceof RequestError) {
+				return sendError(res, error.status, error.message, error.status === 504 ? 'timeout' : 'invalid_request_error');
+			}
+
+			sendError(res, 500, error.message, 'server_error');
+		}
+	});
+}
+
+/**
+ * Pick the model named by an OpenAI `model` field: exact id, then family, then any model when none was given
+ */
+async function selectModel(modelId) {
+	const models = await vscode.lm.selectChatModels();
+
+	if (!modelId) {
+		return models[0] || null;
+	}
+
+	return models.find(model => model.id === modelId) || models.find(model => model.family === modelId) || null;
+}
+
+/**
+ * Forward the sampling parameters VS Code models understand as modelOptions
+ */
+function getModelOptions(body) {
+	const modelOptions = {};
+
+	for (const key of ['temperature', 'top_p', 'max_tokens', 'stop']) {
+		if (body[key] !== undefined && body[key] !== null) {
+			modelOptions[key] = body[key];
+		}
+	}
+
+	return modelOptions;
+}
+
+/**
+ * Translate OpenAI `tools` / `tool_choice` into the tools and toolMode of LanguageModelChatRequestOptions
+ */
+function getToolOptions(body) {
+	const { tools, tool_choice: toolChoice } = body;
+
+	if (!Array.isArray(tools) || tools.length === 0 || toolChoice === 'none') {
+		return {};
+	}
+
+	let chatTools = tools
+		.filter(tool => tool.type === 'function' && tool.function)
+		.map(tool => ({
+			name: tool.function.name,
+			description: tool.function.description || '',
+			inputSchema: tool.function.parameters
+		}));
+
+	// A specific function was requested: offer only that one and require it to be called
+	if (toolChoice && typeof toolChoice === 'object' && toolChoice.function) {
+		chatTools = chatTools.filter(tool => tool.name === toolChoice.function.name);
+
+		if (chatTools.length === 0) {
+			throw new RequestError(`tool_choice names the function '${toolChoice.function.name}', which is not in tools`);
+		}
+	}
+
+	const required = toolChoice === 'required' || (toolChoice && typeof toolChoice === 'object');
+
+	return {
+		tools: chatTools,
+		toolMode: required ? vscode.LanguageModelChatToolMode.Required : vscode.LanguageModelChatToolMode.Auto
+	};
+}
+
+/**
+ * Convert a streamed LanguageModelToolCallPart to an OpenAI tool call
+ */
+function toOpenAIToolCall(part) {
+	return {
+		id: part.callId,
+		type: 'function',
+		function: {
+			name: part.name,
+			arguments: JSON.stringify(part.input || {})
+		}
+	};
+}
+
+/**
+ * Convert token counts to an OpenAI usage object
+ */
+function toOpenAIUsage(usage) {
+	return {
+		prompt_tokens: usage.promptTokens,
+		completion_tokens: usage.completionTokens,
+		total_tokens: usage.totalTokens
+	};
+}
+
+function writeData(res, payload) {
+	res.write(`data: ${JSON.stringify(payload)}\n\n`);
+}
+
+function sendError(res, status, message, type, code = null) {
+	res.status(status).json({
+		error: { message, type, param: null, code }
+	});
+}
+
+module.exports = {
+	registerOpenAIRoutes
+};
@@ -0,0 +1,76 @@
+// Rate limiting for language model requests, so a runaway client cannot exhaust the user's model quota
+const vscode = require('vscode');
+
+const WINDOW_MS = 60 * 1000;
+
+/**
+ * Enforces the `bolt-dyi-vsllm.maxConcurrentRequests` and `bolt-dyi-vsllm.requestsPerMinute`
+ * settings (0 disables either limit). Requests over a limit are rejected with 429 and a
+ * Retry-After header instead of being queued.
+ */
+class RateLimiter {
+	constructor() {
+		this.active = 0;
+		this.recent = [];
+	}
+
+	getLimits() {
+		const config = vscode.workspace.getConfiguration('bolt-dyi-vsllm');
+
+		return {
+			maxConcurrentRequests: config.get('maxConcurrentRequests', 4),
+			requestsPerMinute: config.get('requestsPerMinute', 60)
+		};
+	}
+
+	/**
+	 * Express middleware admitting a request or rejecting it with 429
+	 */
+	middleware() {
+		return (req, res, next) => {
+			const { maxConcurrentRequests, requestsPerMinute } = this.getLimits();
+			const now = Date.now();
+
+			while (this.recent.length > 0 && this.recent[0] <= now - WINDOW_MS) {
+				this.recent.shift();
+			}
+
+			if (maxConcurrentRequests > 0 && this.active >= maxConcurrentRequests) {
+				return sendRateLimitError(req, res, 1, `Too many concurrent requests: the LLM Bridge allows ${maxConcurrentRequests} at a time`);
+			}
+
+			if (requestsPerMinute > 0 && this.recent.length >= requestsPerMinute) {
+				const retryAfter = Math.ceil((this.recent[0] + WINDOW_MS - now) / 1000);
+				return sendRateLimitError(req, res, retryAfter, `Rate limit reached: the LLM Bridge allows ${requestsPerMinute} requests per minute`);
+			}
+
+			this.recent.push(now);
+			this.active++;
+			res.on('close', () => {
+				this.active--;
+			});
+
+			next();
+		};
+	}
+}
+
+/**
+ * Reply 429 in the error shape of the API family the client called
+ */
+function sendRateLimitError(req, res, retryAfterSeconds, message) {
+	res.set('Retry-After', String(retryAfterSeconds));
+
+	// Mounted with app.use, so req.path is relative to the route; the full path tells the API family
+	if (req.originalUrl.startsWith('/v1/')) {
+		return res.status(429).json({
+			error: { message, type: 'rate_limit_error', param: null, code: 'rate_limit_exceeded' }
+		});
+	}
+
+	res.status(429).json({ success: false, error: message });
+}
+
+module.exports = {
+	RateLimiter
+};
@@ -0,0 +1,119 @@
+// Rolling log of requests served by the LLM Bridge, with per-model usage totals
+const vscode = require('vscode');
+
+// Paths not worth logging: health probes are polled by bolt on every model list refresh
+const UNLOGGED_PATHS = ['/health'];
+
+/**
+ * Keeps the most recent requests (newest first), up to the `bolt-dyi-vsllm.requestLogSize` setting.
+ *
+ * Route handlers describe what they did through `res.locals`: `model` (the model id used),
+ * `usage` (token counts from countUsage) and `error` (for failures reported in-band after
+ * streaming started). Error responses sent with `res.json` are picked up automatically.
+ */
+class RequestLog {
+	constructor() {
+		this.entries = [];
+		this._onDidChange = new vscode.EventEmitter();
+		this.onDidChange = this._onDidChange.event;
+	}
+
+	add(entry) {
+		const maxEntries = vscode.workspace.getConfiguration('bolt-dyi-vsllm').get('requestLogSize', 200);
+
+		this.entries.unshift(entry);
+		this.entries.length = Math.min(this.entries.length, Math.max(maxEntries, 0));
+		this._onDidChange.fire();
+	}
+
+	clear() {
+		this.entries = [];
+		this._onDidChange.fire();
+	}
+
+	/**
+	 * Totals per model over the logged requests, busiest model first
+	 */
+	getTotals() {
+		const totals = new Map();
+
+		for (const entry of this.entries) {
+			if (!entry.model) {
+				continue;
+			}
+
+			const total = totals.get(entry.model) || {
+				model: entry.model,
+				requests: 0,
+				errors: 0,
+				promptTokens: 0,
+				completionTokens: 0,
+				latencyMs: 0
+			};
+
+			total.requests++;
+			total.errors += entry.error ? 1 : 0;
+			total.promptTokens += entry.promptTokens;
+			total.completionTokens += entry.completionTokens;
+			total.latencyMs += entry.latencyMs;
+			totals.set(entry.model, total);
+		}
+
+		return [...totals.values()]
+			.map(total => ({ ...total, averageLatencyMs: Math.round(total.latencyMs / total.requests) }))
+			.sort((a, b) => b.requests - a.requests);
+	}
+
+	/**
+	 * Express middleware recording every request once its response is finished or abandoned
+	 */
+	middleware() {
+		return (req, res, next) => {
+			if (req.method === 'OPTIONS' || UNLOGGED_PATHS.includes(req.path)) {
+				return next();
+			}
+
+			const startedAt = Date.now();
+			const path = req.path;
+			const json = res.json.bind(res);
+
+			res.json = body => {
+				if (res.statusCode >= 400 && body && body.error && !res.locals.error) {
+					res.locals.error = typeof body.error === 'string' ? body.error : body.error.message;
+				}
+
+				return json(body);
+			};
+
+			res.on('close', () => {
+				const usage = res.locals.usage || {};
+
+				this.add({
+					time: new Date(startedAt).toISOString(),
+					method: req.method,
+					path,
+					caller: describeCaller(req),
+					model: res.locals.model || null,
+					status: res.writableFinished ? res.statusCode : null,
+					latencyMs: Date.now() - startedAt,
+					promptTokens: usage.promptTokens || 0,
+					completionTokens: usage.completionTokens || 0,
+					error: res.locals.error || (res.writableFinished ? null : 'Client disconnected')
+				});
+			});
+
+			next();
+		};
+	}
+}
+
+/**
+ * Who made the request: the browser origin, else the client's user agent, else its address
+ */
+function describeCaller(req) {
+	return req.headers.origin || req.headers['user-agent'] || req.socket.remoteAddress || 'unknown';
+}
+
+module.exports = {
+	RequestLog
+};
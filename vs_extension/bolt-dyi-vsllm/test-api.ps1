@@ -1,6 +1,17 @@
 # PowerShell script to test the VS Code LLM Bridge API
 
-$API_BASE = "http://localhost:3000"
+# VS_LLM_API_BASE_URL, else the address the running bridge announced in its discovery file
+$DiscoveryFile = Join-Path $HOME ".bolt-dyi/vsllm-bridge.json"
+if ($env:VS_LLM_API_BASE_URL) {
+    $API_BASE = $env:VS_LLM_API_BASE_URL
+} elseif (Test-Path $DiscoveryFile) {
+    $API_BASE = (Get-Content $DiscoveryFile -Raw | ConvertFrom-Json).url
+} else {
+    $API_BASE = "http://127.0.0.1:41400"
+}
+
+# Copy the token in VS Code with "Bolt DYI: Copy API Token"
+$Headers = @{ Authorization = "Bearer $env:VS_LLM_API_KEY" }
 
 Write-Host "🧪 Testing VS Code LLM Bridge API" -ForegroundColor Cyan
 Write-Host ""
@@ -17,9 +28,9 @@ function Test-Endpoint {
         
         if ($Body) {
             $jsonBody = $Body | ConvertTo-Json -Depth 10
-            $response = Invoke-RestMethod -Uri $uri -Method $Method -Body $jsonBody -ContentType "application/json"
+            $response = Invoke-RestMethod -Uri $uri -Method $Method -Body $jsonBody -ContentType "application/json" -Headers $Headers
         } else {
-            $response = Invoke-RestMethod -Uri $uri -Method $Method
+            $response = Invoke-RestMethod -Uri $uri -Method $Method -Headers $Headers
         }
         
         return @{ Success = $true; Data = $response }
@@ -1,16 +1,36 @@
 const http = require('http');
 
-const API_BASE = 'http://localhost:3000';
+const fs = require('fs');
+const { DISCOVERY_FILE } = require('./discovery');
+
+// VS_LLM_API_BASE_URL, else the address the running bridge announced in its discovery file
+function getBridgeUrl() {
+    if (process.env.VS_LLM_API_BASE_URL) {
+        return process.env.VS_LLM_API_BASE_URL;
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(DISCOVERY_FILE, 'utf-8')).url;
+    } catch {
+        return 'http://127.0.0.1:41400';
+    }
+}
+
+const API_BASE = new URL(getBridgeUrl());
+
+// Copy the token in VS Code with "Bolt DYI: Copy API Token"
+const API_TOKEN = process.env.VS_LLM_API_KEY || '';
 
 async function makeRequest(method, path, data = null) {
     return new Promise((resolve, reject) => {
         const options = {
-            hostname: 'localhost',
-            port: 3000,
+            hostname: API_BASE.hostname,
+            port: API_BASE.port,
             path: path,
             method: method,
             headers: {
                 'Content-Type': 'application/json',
+                'Authorization': `Bearer ${API_TOKEN}`,
             },
         };
 
@@ -77,13 +97,25 @@ async function testAPI() {
         if (chat.data.success) {
             console.log(`   Response: ${chat.data.response}`);
             console.log(`   Model used: ${chat.data.model.name}`);
+            console.log(`   Tokens: ${chat.data.usage.promptTokens} prompt + ${chat.data.usage.completionTokens} completion`);
         } else {
             console.log(`   Error: ${chat.data.error}`);
         }
         console.log();
 
+        // Test token counting endpoint
+        console.log('4. Testing count-tokens endpoint...');
+        const count = await makeRequest('POST', '/api/count-tokens', chatRequest);
+        console.log(`   Status: ${count.status}`);
+        if (count.data.success) {
+            console.log(`   Tokens: ${count.data.tokens} of ${count.data.maxInputTokens} (${count.data.model.name})`);
+        } else {
+            console.log(`   Error: ${count.data.error}`);
+        }
+        console.log();
+
         // Test docs endpoint
-        console.log('4. Testing docs endpoint...');
+        console.log('5. Testing docs endpoint...');
         const docs = await makeRequest('GET', '/api/docs');
         console.log(`   Status: ${docs.status}`);
         console.log(`   API name: ${docs.data.name}`);
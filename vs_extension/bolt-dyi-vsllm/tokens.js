@@ -0,0 +1,46 @@
+// Token accounting with the language model's own tokenizer (LanguageModelChat.countTokens)
+
+/**
+ * Count the tokens of a prompt: a string or an array of LanguageModelChatMessages
+ */
+async function countPromptTokens(model, input, token) {
+	if (typeof input === 'string') {
+		return model.countTokens(input, token);
+	}
+
+	const counts = await Promise.all(input.map(message => model.countTokens(message, token)));
+
+	return counts.reduce((total, count) => total + count, 0);
+}
+
+/**
+ * Count the prompt and completion tokens of one exchange. Tool calls made by the model are
+ * counted as their name plus JSON arguments, which is what the model generated for them.
+ * Returns zeros when the model cannot count, so usage reporting never fails a response.
+ */
+async function countUsage(model, chatMessages, completion, toolCalls = []) {
+	let promptTokens = 0;
+	let completionTokens = 0;
+
+	try {
+		promptTokens = await countPromptTokens(model, chatMessages);
+
+		const generated = [completion, ...toolCalls.map(toolCall => toolCall.name + JSON.stringify(toolCall.input || {}))]
+			.filter(Boolean)
+			.join('\n');
+		completionTokens = generated ? await model.countTokens(generated) : 0;
+	} catch (error) {
+		console.warn('Unable to count tokens:', error.message);
+	}
+
+	return {
+		promptTokens,
+		completionTokens,
+		totalTokens: promptTokens + completionTokens
+	};
+}
+
+module.exports = {
+	countPromptTokens,
+	countUsage
+};